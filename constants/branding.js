@@ -0,0 +1,19 @@
+// constants/branding.js
+
+// Shared by emails and PDF reports so they look like the app (the primary
+// colour is the theme_color of the frontend build)
+const APP_NAME = 'DermaDetect';
+
+const BRAND_COLORS = {
+  primary: '#4f46e5',
+  primaryLight: '#6366f1',
+  text: '#1f2937',
+  muted: '#6b7280',
+  warning: '#b45309',
+  warningLight: '#fef3c7'
+};
+
+module.exports = {
+  APP_NAME,
+  BRAND_COLORS
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+// constants/diseases.js
+
+// Classes the ML model was trained on
+const VALID_DISEASES = [
+  'acne', 
+  'hyperpigmentation', 
+  'vitiligo', 
+  'sjs', 
+  'melanoma', 
+  'keratosis', 
+  'psoriasis', 
+  'ringworm'
+];
+
+// Classes where a wrong or late call is dangerous: reviewed first and
+// flagged when a tracked lesion starts looking like one
+const HIGH_RISK_DISEASES = ['melanoma', 'sjs'];
+
+// Severity the prediction pipeline derives from the model's confidence
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+
+function normalizeDiseaseName(disease) {
+  return disease.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// The trained class a disease name stands for, or null. Model output may
+// carry extra words ("Melanoma (suspected)"), so a name that contains a
+// class counts as that class. Predictions are accepted by this same rule.
+function canonicalDisease(disease) {
+  const normalized = normalizeDiseaseName(String(disease || ''));
+  if (!normalized) return null;
+  return VALID_DISEASES.find((valid) => normalized === valid || normalized.includes(valid)) || null;
+}
+
+// Diagnoses entered by people: known classes are stored normalized so they
+// compare with model output, anything else is kept as written
+function normalizeDiagnosis(diagnosis) {
+  const normalized = normalizeDiseaseName(diagnosis);
+  return VALID_DISEASES.includes(normalized) ? normalized : diagnosis.trim();
+}
+
+module.exports = {
+  VALID_DISEASES,
+  HIGH_RISK_DISEASES,
+  SEVERITIES,
+  normalizeDiseaseName,
+  canonicalDisease,
+  normalizeDiagnosis
+};
\ No newline at end of file
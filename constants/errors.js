@@ -0,0 +1,62 @@
+// constants/errors.js
+
+// Stable error codes, sent as `code` in every error response. Clients should
+// branch on these rather than on the message text, which may change.
+// Each code has the HTTP status it is normally sent with.
+const ERROR_CODES = {
+  BAD_REQUEST: 400,
+  VALIDATION_FAILED: 400,
+  MALFORMED_JSON: 400,
+  UNEXPECTED_FILE: 400,
+  UNSUPPORTED_IMAGE: 400,
+  CORRUPT_IMAGE: 400,
+  BAD_DIMENSIONS: 400,
+  EMAIL_TAKEN: 400,
+  INVALID_TOKEN: 400,
+  MODEL_REJECTED_IMAGE: 400,
+  UNAUTHORIZED: 401,
+  INVALID_CREDENTIALS: 401,
+  FORBIDDEN: 403,
+  ACCOUNT_SUSPENDED: 403,
+  EMAIL_NOT_VERIFIED: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  GONE: 410,
+  PAYLOAD_TOO_LARGE: 413,
+  FILE_TOO_LARGE: 413,
+  UNPROCESSABLE: 422,
+  PHOTO_QUALITY_REJECTED: 422,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  NOT_CONFIGURED: 500,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_UNAVAILABLE: 503,
+  UPSTREAM_TIMEOUT: 504
+};
+
+// Code used when a response sets only a status
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'UPSTREAM_UNAVAILABLE',
+  504: 'UPSTREAM_TIMEOUT'
+};
+
+function defaultCode(status) {
+  return DEFAULT_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+module.exports = {
+  ERROR_CODES,
+  defaultCode
+};
\ No newline at end of file
@@ -0,0 +1,26 @@
+// constants/lesions.js
+
+// Where on the body a tracked lesion is
+const BODY_LOCATIONS = [
+  'scalp',
+  'face',
+  'neck',
+  'chest',
+  'abdomen',
+  'upper_back',
+  'lower_back',
+  'left_arm',
+  'right_arm',
+  'left_hand',
+  'right_hand',
+  'left_leg',
+  'right_leg',
+  'left_foot',
+  'right_foot',
+  'genital',
+  'other'
+];
+
+module.exports = {
+  BODY_LOCATIONS
+};
\ No newline at end of file
@@ -0,0 +1,16 @@
+// constants/reviews.js
+
+// pending -> claimed (by a dermatologist) -> completed
+const REVIEW_STATUSES = ['pending', 'claimed', 'completed'];
+
+// Why a prediction was sent for review
+const REVIEW_REASONS = ['all', 'low_confidence', 'high_risk'];
+
+// How soon the patient should see a doctor, as judged by the reviewer
+const URGENCY_LEVELS = ['routine', 'soon', 'urgent', 'emergency'];
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_REASONS,
+  URGENCY_LEVELS
+};
\ No newline at end of file
@@ -0,0 +1,25 @@
+// constants/roles.js
+
+const ROLES = ['patient', 'dermatologist', 'admin'];
+
+const DEFAULT_ROLE = 'patient';
+
+// Which roles may perform each protected action
+const PERMISSIONS = {
+  'models:manage': ['admin'],
+  'config:read': ['admin'],
+  'users:manage': ['admin'],
+  'reviews:work': ['dermatologist', 'admin']
+};
+
+function hasPermission(role, permission) {
+  const allowed = PERMISSIONS[permission];
+  return Array.isArray(allowed) && allowed.includes(role);
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  hasPermission
+};
\ No newline at end of file
@@ -1,7 +1,8 @@
 // middleware/auth.js
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/sessions');
+const logger = require('../utils/logger');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -13,14 +14,16 @@ const authMiddleware = (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and that its session has not been revoked
+    const decoded = await verifyAccessToken(token);
     req.userId = decoded.userId;
     req.userEmail = decoded.email;
+    req.sessionId = decoded.sid;
+    req.user = { _id: decoded.userId, email: decoded.email };
     
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    logger.debug('Access token rejected', { reason: error.message });
     res.status(401).json({ 
       success: false, 
       message: 'Token is invalid or expired' 
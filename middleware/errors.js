@@ -0,0 +1,102 @@
+// middleware/errors.js
+const multer = require('multer');
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/errors');
+const { defaultCode } = require('../constants/errors');
+const logger = require('../utils/logger');
+
+// Every JSON error response gets the same envelope: routes that answer
+// with res.status(4xx/5xx).json({ message }) get success: false and the
+// default code for their status added, plus the request ID to quote in
+// bug reports.
+function errorEnvelope(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+      body = {
+        success: false,
+        code: body.code || defaultCode(res.statusCode),
+        ...body,
+        requestId: req.id
+      };
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+// Unknown routes answer in JSON instead of Express's HTML page
+function notFound(req, res, next) {
+  next(new ApiError('NOT_FOUND', `No route for ${req.method} ${req.path}`));
+}
+
+function multerError(err) {
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new ApiError('FILE_TOO_LARGE', 'The image is too large');
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new ApiError('UNEXPECTED_FILE', `Unexpected file in "${err.field}"; send one image in the "image" field`);
+    default:
+      return new ApiError('BAD_REQUEST', err.message);
+  }
+}
+
+// Maps whatever reached next(err) to a status and an ApiError
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  if (err instanceof multer.MulterError) return multerError(err);
+
+  // express.json() / express.urlencoded()
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError('MALFORMED_JSON', 'Request body is not valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return new ApiError('PAYLOAD_TOO_LARGE', 'Request body is too large');
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError('VALIDATION_FAILED', `Invalid value for ${err.path}`);
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+    return new ApiError('VALIDATION_FAILED', details[0] ? details[0].message : 'Invalid data', details);
+  }
+  if (err.code === 11000) {
+    return new ApiError('CONFLICT', 'This record already exists');
+  }
+
+  return null;
+}
+
+// Must be registered after every route. Unexpected errors are logged here
+// and answered with a generic message, so internals never reach clients.
+function errorHandler(err, req, res, next) {
+  const apiError = toApiError(err);
+
+  if (!apiError || apiError.status >= 500) {
+    logger.error('Request failed', { method: req.method, path: req.originalUrl.split('?')[0], err });
+  }
+
+  // Streams (SSE, file downloads) may already have started
+  if (res.headersSent) {
+    return res.destroy();
+  }
+
+  const error = apiError || new ApiError('INTERNAL_ERROR', 'Server error');
+  const body = {
+    success: false,
+    code: error.code,
+    message: error.message
+  };
+  if (error.details !== undefined) body.details = error.details;
+
+  res.status(error.status).json(body);
+}
+
+module.exports = {
+  errorEnvelope,
+  notFound,
+  errorHandler
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+// middleware/imageUpload.js
+const { sanitizeImage, isImageError } = require('../services/imageProcessing');
+
+// Runs after multer's upload.single(): replaces req.file with the checked,
+// metadata-free JPEG from services/imageProcessing. The client's mimetype
+// and file name are not trusted past this point.
+async function sanitizeUpload(req, res, next) {
+  if (!req.file) return next();
+
+  try {
+    const image = await sanitizeImage(req.file.buffer);
+
+    req.file.original = image.original;
+    req.file.buffer = image.buffer;
+    req.file.size = image.buffer.length;
+    req.file.mimetype = image.contentType;
+    req.file.originalname = (req.file.originalname || 'upload').replace(/\.[^.]*$/, '') + '.jpg';
+    req.file.width = image.width;
+    req.file.height = image.height;
+
+    next();
+  } catch (error) {
+    if (isImageError(error)) {
+      return res.status(400).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    next(error);
+  }
+}
+
+module.exports = sanitizeUpload;
\ No newline at end of file
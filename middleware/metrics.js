@@ -0,0 +1,22 @@
+// middleware/metrics.js
+const metrics = require('../services/metrics');
+const routeLabel = require('../utils/routeLabel');
+
+// Counts every request and its latency under the route pattern
+// (/api/user/predictions/:id), never the raw path, so IDs don't turn into
+// new series. Requests that match no route are counted as 'unmatched'.
+function httpMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    metrics.recordHttpRequest({
+      method: req.method,
+      route: routeLabel.get(req, res) || 'unmatched',
+      status: String(res.statusCode)
+    }, Number(process.hrtime.bigint() - started) / 1e9);
+  });
+
+  next();
+}
+
+module.exports = httpMetrics;
\ No newline at end of file
@@ -0,0 +1,79 @@
+// middleware/rateLimit.js
+const User = require('../models/User');
+const limits = require('../services/rateLimit');
+const { DEFAULT_ROLE } = require('../constants/roles');
+const logger = require('../utils/logger');
+
+async function roleOf(req) {
+  if (req.userRole) return req.userRole;
+  const user = await User.findById(req.userId).select('role');
+  return (user && user.role) || DEFAULT_ROLE;
+}
+
+// RateLimit-* headers (IETF draft) describe the counter closest to its limit
+function setHeaders(res, results) {
+  if (results.length === 0) return;
+
+  const now = Date.now();
+  const tightest = results.reduce((a, b) => {
+    if (a.remaining !== b.remaining) return a.remaining < b.remaining ? a : b;
+    return a.resetAt <= b.resetAt ? a : b;
+  });
+
+  res.set({
+    'RateLimit-Policy': results.map((r) => `${r.limit};w=${Math.round(r.windowMs / 1000)}`).join(', '),
+    'RateLimit-Limit': String(tightest.limit),
+    'RateLimit-Remaining': String(tightest.remaining),
+    'RateLimit-Reset': String(Math.max(Math.ceil((tightest.resetAt.getTime() - now) / 1000), 0))
+  });
+}
+
+// Counts the request against the group's limits and quota (see
+// services/rateLimit). Put it after the auth middleware so signed-in users
+// are counted per account, and after validate so a request that is refused
+// as invalid does not use up quota. On upload routes that means after multer
+// (validate needs the form fields) but before sanitizeUpload, so a limited
+// request's photo is never decoded.
+function rateLimit(group) {
+  return async (req, res, next) => {
+    let outcome;
+    try {
+      const userId = req.userId || null;
+      outcome = await limits.consume(group, {
+        ip: req.ip,
+        userId,
+        role: userId ? await roleOf(req) : null
+      });
+    } catch (error) {
+      // Never turn a counter outage into an outage of the route
+      logger.error('Rate limit check failed', { group, err: error });
+      return next();
+    }
+
+    if (!outcome) return next();
+    setHeaders(res, outcome.results);
+
+    const blocked = outcome.blocked;
+    if (blocked) {
+      const retryAfter = Math.max(Math.ceil((blocked.resetAt.getTime() - Date.now()) / 1000), 1);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: blocked.scope === 'daily' ? 'QUOTA_EXCEEDED' : 'RATE_LIMITED',
+        message: blocked.scope === 'daily'
+          ? 'Daily quota reached, please try again tomorrow'
+          : 'Too many requests, please slow down',
+        retryAfter,
+        limit: {
+          scope: blocked.scope,
+          limit: blocked.limit,
+          resetAt: blocked.resetAt
+        }
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = rateLimit;
\ No newline at end of file
@@ -0,0 +1,42 @@
+// middleware/requestId.js
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const requestContext = require('../utils/requestContext');
+const routeLabel = require('../utils/routeLabel');
+const logger = require('../utils/logger');
+
+// A caller's own X-Request-Id is kept when it looks like an ID
+const VALID_ID = /^[\w.:-]{1,100}$/;
+
+// Gives every request an ID (req.id, X-Request-Id response header), runs the
+// rest of the chain in its request context and writes one access log line
+// when the response is finished. Register before everything else.
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = id;
+  res.set('X-Request-Id', id);
+
+  requestContext.run({ requestId: id }, () => {
+    // Body parsers (multer) call next() from the socket's events, which
+    // would otherwise run outside this context
+    req.emit = AsyncResource.bind(req.emit, 'RequestEmit', req);
+
+    res.on('finish', () => {
+      logger.info('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route: routeLabel.get(req, res),
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+        userId: req.userId
+      });
+    });
+
+    next();
+  });
+}
+
+module.exports = requestId;
\ No newline at end of file
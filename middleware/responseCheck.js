@@ -0,0 +1,101 @@
+// middleware/responseCheck.js
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { getDocument } = require('../openapi');
+const logger = require('../utils/logger');
+
+// OPENAPI_RESPONSE_CHECK=warn|off (default: warn, off in production).
+// In warn mode every JSON response of a documented route is checked
+// against its schema in the OpenAPI document and mismatches are logged.
+const MODE = process.env.OPENAPI_RESPONSE_CHECK ||
+  (process.env.NODE_ENV === 'production' ? 'off' : 'warn');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const MAX_LOGGED_ERRORS = 5;
+
+let operations = null;
+
+// JSON pointer into the document, for $refs
+function pointer(...parts) {
+  return '#/' + parts.map((p) => String(p).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+}
+
+// [{ method, path, pattern, validators: { status: validate } }], built on first use
+function loadOperations() {
+  const document = getDocument();
+  const ajv = new Ajv({ strict: false, allErrors: true, allowUnionTypes: true });
+  addFormats(ajv);
+  ajv.addSchema(document, 'openapi.json');
+
+  const result = [];
+  Object.keys(document.paths).forEach((path) => {
+    // /api/user/history/{id} -> ^/api/user/history/[^/]+$
+    const pattern = new RegExp('^' + path.replace(/\{[^}]+\}/g, '[^/]+') + '/?$');
+
+    METHODS.filter((method) => document.paths[path][method]).forEach((method) => {
+      const validators = {};
+      const responses = document.paths[path][method].responses;
+
+      Object.keys(responses).forEach((status) => {
+        let response = responses[status];
+        let location = ['paths', path, method, 'responses', status];
+        if (response.$ref) {
+          location = response.$ref.slice(2).split('/');
+          response = document.components.responses[location[2]];
+        }
+        if (response.content && response.content['application/json']) {
+          const schemaRef = 'openapi.json' + pointer(...location, 'content', 'application/json', 'schema');
+          validators[status] = ajv.compile({ $ref: schemaRef });
+        }
+      });
+
+      result.push({ method: method.toUpperCase(), path, pattern, validators });
+    });
+  });
+  return result;
+}
+
+function findOperation(req) {
+  if (!operations) operations = loadOperations();
+  const path = req.originalUrl.split('?')[0];
+  // Literal paths first: /history/export before /history/{id}
+  const matches = operations.filter((op) => op.method === req.method && op.pattern.test(path));
+  return matches.find((op) => !op.path.includes('{')) || matches[0] || null;
+}
+
+// Logs responses that don't match the OpenAPI document. Register before
+// errorEnvelope, so the check sees error bodies as they are sent.
+function responseCheck(req, res, next) {
+  if (MODE === 'off') return next();
+
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    try {
+      const operation = findOperation(req);
+      const validate = operation && operation.validators[res.statusCode];
+
+      if (operation && !validate) {
+        logger.warn('Response status is not documented', {
+          method: req.method,
+          route: operation.path,
+          status: res.statusCode
+        });
+      } else if (validate && !validate(JSON.parse(JSON.stringify(body)))) {
+        logger.warn('Response does not match the OpenAPI document', {
+          method: req.method,
+          route: operation.path,
+          status: res.statusCode,
+          errors: validate.errors.slice(0, MAX_LOGGED_ERRORS).map((e) => `${e.instancePath || '/'} ${e.message}`)
+        });
+      }
+    } catch (err) {
+      logger.error('Response check failed', { err });
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = responseCheck;
\ No newline at end of file
@@ -0,0 +1,69 @@
+// middleware/roles.js
+const User = require('../models/User');
+const { hasPermission } = require('../constants/roles');
+
+// Replaces the token's { _id, email } with the full user document (without
+// the password) so routes can check role and status. Use after authMiddleware.
+async function loadUser(req, res, next) {
+  try {
+    if (req.user && req.user.role) {
+      return next();
+    }
+
+    const user = await User.findById(req.userId).select('-password');
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'Account suspended'
+      });
+    }
+
+    req.user = user;
+    req.userRole = user.role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function forbidden(res) {
+  return res.status(403).json({
+    success: false,
+    message: 'You do not have permission to do this'
+  });
+}
+
+// requireRole('admin') or requireRole('dermatologist', 'admin')
+function requireRole(...roles) {
+  return [loadUser, (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return forbidden(res);
+    }
+    next();
+  }];
+}
+
+// requirePermission('models:manage'), see constants/roles.js
+function requirePermission(permission) {
+  return [loadUser, (req, res, next) => {
+    if (!hasPermission(req.user.role, permission)) {
+      return forbidden(res);
+    }
+    next();
+  }];
+}
+
+module.exports = {
+  loadUser,
+  requireRole,
+  requirePermission
+};
\ No newline at end of file
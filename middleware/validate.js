@@ -0,0 +1,70 @@
+// middleware/validate.js
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ApiError } = require('../utils/errors');
+
+// Query strings, route params and multipart fields are always strings, so
+// values are coerced to the schema's types. Properties a schema does not
+// declare are dropped (schemas set additionalProperties: false).
+// A schema's description, when present, is used as the error message.
+const ajv = new Ajv({
+  allErrors: true,
+  verbose: true,
+  allowUnionTypes: true,
+  coerceTypes: true,
+  useDefaults: true,
+  removeAdditional: true
+});
+addFormats(ajv);
+
+const PARTS = ['params', 'query', 'body'];
+
+function describeError(part, error) {
+  const path = error.instancePath.slice(1).replace(/\//g, '.');
+
+  if (error.keyword === 'required') {
+    const field = [path, error.params.missingProperty].filter(Boolean).join('.');
+    return { field, message: `${field} is required` };
+  }
+
+  const field = path || part;
+  const schema = error.parentSchema || {};
+  if (error.keyword === 'enum') {
+    return { field, message: `${field} must be one of: ${error.params.allowedValues.join(', ')}` };
+  }
+  return { field, message: `${field} ${schema.description ? 'must be ' + schema.description : error.message}` };
+}
+
+// One message per field; anyOf branches only add noise
+function collectErrors(part, errors, details) {
+  errors
+    .filter((error) => !error.schemaPath.includes('/anyOf/'))
+    .forEach((error) => {
+      const detail = describeError(part, error);
+      if (!details.some((d) => d.field === detail.field)) details.push(detail);
+    });
+}
+
+// validate({ params?, query?, body? }) - JSON Schemas from schemas/.
+// Rejects with VALIDATION_FAILED and details: [{ field, message }].
+function validate(schemas) {
+  const validators = PARTS
+    .filter((part) => schemas[part])
+    .map((part) => ({ part, check: ajv.compile(schemas[part]) }));
+
+  return (req, res, next) => {
+    const details = [];
+
+    validators.forEach(({ part, check }) => {
+      if (req[part] === undefined || req[part] === null) req[part] = {};
+      if (!check(req[part])) collectErrors(part, check.errors, details);
+    });
+
+    if (details.length > 0) {
+      return next(new ApiError('VALIDATION_FAILED', details[0].message, details));
+    }
+    next();
+  };
+}
+
+module.exports = validate;
\ No newline at end of file
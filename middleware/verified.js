@@ -0,0 +1,44 @@
+// middleware/verified.js
+const User = require('../models/User');
+const Prediction = require('../models/Prediction');
+
+// Blocks users who haven't confirmed their email yet. Use after authMiddleware.
+// options.freePredictions lets unverified users make a few predictions first.
+function requireVerifiedEmail(options = {}) {
+  const freePredictions = options.freePredictions || 0;
+
+  return async (req, res, next) => {
+    try {
+      const user = await User.findById(req.userId).select('emailVerified');
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.emailVerified !== false) {
+        return next();
+      }
+
+      if (freePredictions > 0) {
+        const used = await Prediction.countDocuments({ userId: req.userId });
+        if (used < freePredictions) {
+          return next();
+        }
+      }
+
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address to continue',
+        emailVerified: false
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = requireVerifiedEmail;
\ No newline at end of file
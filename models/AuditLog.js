@@ -0,0 +1,30 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+// Append-only record of sensitive account actions. Kept after the account
+// itself is deleted, so it holds ids and a hashed email rather than
+// personal data.
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['data_export', 'account_deletion'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Who did it; the user themself unless an admin acted on their behalf
+  actorId: mongoose.Schema.Types.ObjectId,
+  emailHash: String,
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.models.AuditLog || mongoose.model('AuditLog', auditLogSchema);
\ No newline at end of file
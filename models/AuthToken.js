@@ -0,0 +1,34 @@
+// models/AuthToken.js
+const mongoose = require('mongoose');
+
+// Single-use tokens sent by email. Only the SHA-256 of the token is stored.
+const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ userId: 1, type: 1 });
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.AuthToken || mongoose.model('AuthToken', authTokenSchema);
\ No newline at end of file
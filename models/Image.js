@@ -0,0 +1,39 @@
+// models/Image.js
+const mongoose = require('mongoose');
+
+// One document per stored upload. The blob itself lives in the storage
+// driver under a content-addressed key, so several documents may share a key.
+const imageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  driver: {
+    type: String,
+    enum: ['local', 'gridfs', 's3'],
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['prediction', 'profile'],
+    default: 'prediction'
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: Number,
+  originalName: String
+}, {
+  timestamps: true
+});
+
+imageSchema.index({ key: 1 });
+imageSchema.index({ userId: 1 });
+
+module.exports = mongoose.models.Image || mongoose.model('Image', imageSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+// models/Job.js
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['prediction', 'advice'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  progress: {
+    percent: { type: Number, default: 0 },
+    message: { type: String, default: 'Queued' }
+  },
+  // Form fields / request body the job was submitted with
+  input: mongoose.Schema.Types.Mixed,
+  // Prediction jobs store their upload first so they survive a restart
+  imageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Image'
+  },
+  // Same body the synchronous endpoint would have returned
+  result: mongoose.Schema.Types.Mixed,
+  error: {
+    status: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // ID of the request that submitted the job; the worker logs and calls
+  // upstreams under the same ID
+  requestId: String,
+  workerId: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+// Finished jobs are cleaned up after a week
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.models.Job || mongoose.model('Job', jobSchema);
\ No newline at end of file
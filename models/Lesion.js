@@ -0,0 +1,30 @@
+// models/Lesion.js
+const mongoose = require('mongoose');
+const { BODY_LOCATIONS } = require('../constants/lesions');
+
+// A mole or patch the user photographs repeatedly; predictions point to it
+// through Prediction.lesionId
+const lesionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  bodyLocation: {
+    type: String,
+    enum: BODY_LOCATIONS,
+    required: true
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+lesionSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Lesion || mongoose.model('Lesion', lesionSchema);
\ No newline at end of file
@@ -0,0 +1,76 @@
+// models/ModelVersion.js
+const mongoose = require('mongoose');
+
+// Metric values are percentages (0-100), matching what the dashboard
+// has always displayed. Training curves are fractions per epoch.
+const percent = { type: Number, min: 0, max: 100 };
+
+const classPerformanceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  accuracy: percent,
+  precision: percent,
+  recall: percent,
+  f1: percent,
+  count: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const modelVersionSchema = new mongoose.Schema({
+  version: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  accuracy: percent,
+  precision: percent,
+  recall: percent,
+  f1Score: percent,
+  classPerformance: [classPerformanceSchema],
+  // matrix[i][j] = samples of labels[i] predicted as labels[j]
+  confusionMatrix: {
+    labels: [String],
+    matrix: [[Number]]
+  },
+  trainingHistory: {
+    epochs: Number,
+    trainingAccuracy: [Number],
+    validationAccuracy: [Number],
+    trainingLoss: [Number],
+    validationLoss: [Number]
+  },
+  datasetInfo: {
+    totalSamples: Number,
+    trainingSamples: Number,
+    validationSamples: Number,
+    testSamples: Number,
+    classes: Number,
+    imageSize: String,
+    augmentation: Boolean
+  },
+  evaluatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  uploadedBy: String
+}, {
+  timestamps: true
+});
+
+// At most one active version
+modelVersionSchema.index(
+  { isActive: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.models.ModelVersion || mongoose.model('ModelVersion', modelVersionSchema);
\ No newline at end of file
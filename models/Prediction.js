@@ -1,5 +1,82 @@
 // models/Prediction.js
 const mongoose = require('mongoose');
+const { REVIEW_STATUSES, REVIEW_REASONS, URGENCY_LEVELS } = require('../constants/reviews');
+const { SEVERITIES } = require('../constants/diseases');
+
+// Dermatologist review of a prediction; only set on predictions that the
+// review rule sent to the queue (see services/reviews.js)
+const reviewSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: REVIEW_STATUSES,
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    enum: REVIEW_REASONS
+  },
+  // Higher is reviewed first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  claimedAt: Date,
+  diagnosis: String,
+  agreesWithModel: Boolean,
+  notes: String,
+  urgency: {
+    type: String,
+    enum: URGENCY_LEVELS
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  _id: false
+});
+
+// The patient's own verdict on a prediction, optionally with the diagnosis
+// a doctor later gave them
+const feedbackSchema = new mongoose.Schema({
+  correct: {
+    type: Boolean,
+    required: true
+  },
+  diagnosis: String,
+  comment: String,
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
+// Photo quality scores measured before the ML call (see services/photoQuality.js)
+const qualitySchema = new mongoose.Schema({
+  sharpness: Number,
+  brightness: Number,
+  underexposed: Number,
+  overexposed: Number,
+  skinCoverage: Number,
+  width: Number,
+  height: Number,
+  issues: [String],
+  // False when a check failed but the gate only reports
+  passed: Boolean
+}, {
+  _id: false
+});
 
 const predictionSchema = new mongoose.Schema({
   userId: {
@@ -19,8 +96,40 @@ const predictionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // 'accepted' results are shown to the user as a diagnosis; the other two
+  // were rejected by /api/predict but are kept for analysis
+  status: {
+    type: String,
+    enum: ['accepted', 'belowThreshold', 'invalidClass'],
+    default: 'accepted'
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES
+  },
+  allPredictions: mongoose.Schema.Types.Mixed,
+  description: String,
+  recommendations: [String],
   symptoms: [String],
+  duration: String,
+  reportedSeverity: String,
+  modelDetails: mongoose.Schema.Types.Mixed,
   advice: String,
+  adviceGeneratedAt: Date,
+  review: reviewSchema,
+  feedback: feedbackSchema,
+  // Tracked lesion this photo belongs to, if any
+  lesionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesion'
+  },
+  // Registered model version that was active when the prediction was made
+  modelVersion: String,
+  quality: qualitySchema,
+  // Duplicate detection (see services/duplicates.js): sha256 of the
+  // normalised image and its 64-bit perceptual hash, in hex
+  contentHash: String,
+  perceptualHash: String,
   createdAt: {
     type: Date,
     default: Date.now
@@ -29,4 +138,9 @@ const predictionSchema = new mongoose.Schema({
   timestamps: true
 });
 
+predictionSchema.index({ userId: 1, createdAt: -1 });
+predictionSchema.index({ lesionId: 1, createdAt: 1 }, { sparse: true });
+predictionSchema.index({ userId: 1, contentHash: 1 }, { sparse: true });
+predictionSchema.index({ 'review.status': 1, 'review.priority': -1, 'review.queuedAt': 1 }, { sparse: true });
+
 module.exports = mongoose.models.Prediction || mongoose.model('Prediction', predictionSchema);
\ No newline at end of file
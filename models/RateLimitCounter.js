@@ -0,0 +1,25 @@
+// models/RateLimitCounter.js
+const mongoose = require('mongoose');
+
+// One fixed-window counter for the Mongo rate limit store. The key already
+// includes the window start, so a new window is simply a new document.
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Finished windows are removed by MongoDB
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.RateLimitCounter || mongoose.model('RateLimitCounter', rateLimitCounterSchema);
\ No newline at end of file
@@ -1,6 +1,7 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES, DEFAULT_ROLE } = require('../constants/roles');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -20,6 +21,18 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  // No default on purpose: accounts created before email verification
+  // existed have no value and are treated as verified
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE
+  },
+  // Suspended users can't log in; their sessions are revoked on suspension
+  suspendedAt: Date,
+  suspendedReason: String,
   age: {
     type: Number,
     min: 0
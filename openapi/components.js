@@ -0,0 +1,391 @@
+// openapi/components.js
+//
+// Response schemas. They list the fields clients rely on and leave
+// additionalProperties open, so adding a field to a response never breaks
+// the response check (middleware/responseCheck.js); removing or retyping
+// one does.
+const { ERROR_CODES } = require('../constants/errors');
+const { GENDERS } = require('../schemas/auth');
+const { ROLES } = require('../constants/roles');
+const { SEVERITIES } = require('../constants/diseases');
+const { BODY_LOCATIONS } = require('../constants/lesions');
+const { REVIEW_STATUSES, REVIEW_REASONS, URGENCY_LEVELS } = require('../constants/reviews');
+const { STATUS_TEXT, ref, json } = require('./helpers');
+
+const id = { type: 'string', pattern: '^[a-fA-F0-9]{24}$' };
+const nullableId = { type: ['string', 'null'], pattern: '^[a-fA-F0-9]{24}$' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullableNumber = { type: ['number', 'null'] };
+
+function object(properties, required) {
+  return { type: 'object', properties, required: required || [] };
+}
+
+const schemas = {
+  Error: object({
+    success: { const: false },
+    code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'Stable error code to branch on' },
+    message: { type: 'string' },
+    details: {
+      type: 'array',
+      description: 'Per-field problems (VALIDATION_FAILED)',
+      items: object({ field: { type: 'string' }, message: { type: 'string' } }, ['field', 'message'])
+    },
+    retryAfter: { type: 'integer', description: 'Seconds to wait before retrying (429 and 503)' },
+    requestId: { type: 'string', description: 'Quote this when reporting a problem' }
+  }, ['success', 'code', 'message']),
+
+  Message: object({
+    success: { const: true },
+    message: { type: 'string' }
+  }, ['success', 'message']),
+
+  User: object({
+    id,
+    name: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    age: { type: 'integer' },
+    gender: { type: 'string', enum: GENDERS },
+    phone: { type: 'string' },
+    profilePicture: { type: 'string', description: 'Image id; fetch it from /api/images/{id}' },
+    emailVerified: { type: 'boolean' },
+    role: { type: 'string', enum: ROLES }
+  }, ['id', 'name', 'email', 'emailVerified', 'role']),
+
+  // GET /api/user/profile returns the stored document
+  Profile: object({
+    _id: id,
+    name: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    age: { type: 'integer' },
+    gender: { type: 'string', enum: GENDERS },
+    phone: { type: 'string' },
+    profilePicture: { type: 'string' },
+    emailVerified: { type: 'boolean' },
+    role: { type: 'string', enum: ROLES },
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }, ['_id', 'name', 'email']),
+
+  Session: object({
+    success: { const: true },
+    message: { type: 'string' },
+    token: { type: 'string', description: 'Access token (JWT) for the Authorization header' },
+    refreshToken: { type: 'string', description: 'Single use; POST it to /api/auth/refresh for a new pair' },
+    expiresIn: { type: 'integer', description: 'Seconds until the access token expires' },
+    sessionId: id,
+    user: ref('User')
+  }, ['success', 'token', 'refreshToken', 'expiresIn', 'sessionId', 'user']),
+
+  SessionInfo: object({
+    id,
+    device: { type: 'string' },
+    ip: { type: 'string' },
+    createdAt: dateTime,
+    lastUsedAt: dateTime,
+    expiresAt: dateTime,
+    current: { type: 'boolean' }
+  }, ['id', 'current']),
+
+  ClassScore: object({
+    disease: { type: 'string' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 }
+  }, ['disease', 'confidence']),
+
+  DuplicateOf: object({
+    predictionId: id,
+    match: { type: 'string', enum: ['exact', 'similar'] },
+    distance: { type: 'integer', description: 'Perceptual hash distance in bits' },
+    createdAt: dateTime,
+    url: { type: 'string' }
+  }, ['predictionId', 'match', 'distance']),
+
+  AcceptedPrediction: object({
+    success: { const: true },
+    predictionId: { ...nullableId, description: 'null when the prediction could not be saved' },
+    prediction: { type: 'string', description: 'Predicted disease' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    severity: { type: 'string', enum: SEVERITIES },
+    description: { type: 'string' },
+    recommendations: { type: 'array', items: { type: 'string' } },
+    allPredictions: { type: ['array', 'null'], items: ref('ClassScore') },
+    modelDetails: { type: 'object' },
+    cached: { const: true, description: 'Set when an earlier result for the same photo was reused' },
+    duplicate: ref('DuplicateOf')
+  }, ['success', 'predictionId', 'prediction', 'confidence']),
+
+  BelowThresholdPrediction: object({
+    success: { const: false },
+    message: { type: 'string' },
+    predictionId: nullableId,
+    confidence: { type: 'number' },
+    predictedDisease: { type: 'string' },
+    belowThreshold: { const: true },
+    cached: { const: true },
+    duplicate: ref('DuplicateOf')
+  }, ['success', 'predictionId', 'confidence', 'predictedDisease', 'belowThreshold']),
+
+  InvalidClassPrediction: object({
+    success: { const: false },
+    message: { type: 'string' },
+    predictionId: nullableId,
+    detectedClass: { type: 'string' },
+    confidence: { type: 'number' },
+    invalidClass: { const: true },
+    cached: { const: true },
+    duplicate: ref('DuplicateOf')
+  }, ['success', 'predictionId', 'detectedClass', 'confidence', 'invalidClass']),
+
+  PredictionResult: {
+    description: 'HTTP 200 in all three cases: check success, then belowThreshold / invalidClass',
+    oneOf: [ref('AcceptedPrediction'), ref('BelowThresholdPrediction'), ref('InvalidClassPrediction')]
+  },
+
+  PhotoQualityRejection: object({
+    success: { const: false },
+    code: { const: 'PHOTO_QUALITY_REJECTED' },
+    message: { type: 'string' },
+    qualityRejected: { const: true },
+    reasons: {
+      type: 'array',
+      items: object({ code: { type: 'string' }, message: { type: 'string' }, tip: { type: 'string' } }, ['code', 'message', 'tip'])
+    },
+    tips: { type: 'array', items: { type: 'string' } },
+    quality: { type: 'object' }
+  }, ['success', 'code', 'reasons']),
+
+  Review: object({
+    status: { type: 'string', enum: ['pending', 'in_review', 'completed'] },
+    diagnosis: { type: 'string' },
+    agreesWithModel: { type: 'boolean' },
+    notes: { type: 'string' },
+    urgency: { type: 'string' },
+    reviewer: { type: 'string' },
+    reviewedAt: dateTime
+  }, ['status']),
+
+  Feedback: object({
+    correct: { type: 'boolean' },
+    diagnosis: { type: 'string' },
+    comment: { type: 'string' },
+    submittedAt: dateTime
+  }, ['correct']),
+
+  HistoryItem: object({
+    _id: id,
+    disease: { type: 'string' },
+    confidence: { type: 'number' },
+    status: { type: 'string', enum: ['accepted', 'belowThreshold', 'invalidClass'] },
+    severity: { type: 'string', enum: SEVERITIES },
+    allPredictions: { type: ['array', 'object', 'null'], description: 'An object of disease: confidence on older records' },
+    description: { type: 'string' },
+    recommendations: { type: 'array', items: { type: 'string' } },
+    symptoms: { type: 'array', items: { type: 'string' } },
+    duration: { type: 'string' },
+    reportedSeverity: { type: 'string' },
+    advice: { type: 'string' },
+    adviceGeneratedAt: dateTime,
+    lesionId: id,
+    modelVersion: { type: 'string' },
+    imageUrl: { type: ['string', 'null'] },
+    review: { oneOf: [ref('Review'), { type: 'null' }] },
+    feedback: ref('Feedback'),
+    createdAt: dateTime
+  }, ['_id', 'disease', 'confidence', 'imageUrl', 'review', 'createdAt']),
+
+  Quota: object({
+    limit: { type: ['integer', 'null'], description: 'null when unlimited' },
+    used: { type: 'integer' },
+    remaining: { type: ['integer', 'null'] },
+    resetAt: dateTime
+  }, ['limit', 'used', 'remaining', 'resetAt']),
+
+  Advice: object({
+    success: { const: true },
+    advice: { type: 'string' },
+    metadata: object({
+      model: { type: 'string' },
+      llm_url: { type: ['string', 'null'] },
+      generated_at: dateTime
+    }, ['model', 'generated_at'])
+  }, ['success', 'advice', 'metadata']),
+
+  UpstreamStatus: object({
+    name: { type: 'string' },
+    configured: { type: 'boolean' },
+    state: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+    consecutiveFailures: { type: 'integer' },
+    lastSuccessAt: { type: ['string', 'null'] },
+    lastFailureAt: { type: ['string', 'null'] },
+    lastError: { type: ['string', 'null'] },
+    lastLatencyMs: { type: ['number', 'null'] },
+    retryAfterSeconds: { type: 'integer' }
+  }, ['name', 'configured', 'state']),
+
+  ModelMetrics: object({
+    version: { type: 'string' },
+    description: { type: 'string' },
+    accuracy: { type: 'number' },
+    precision: { type: 'number' },
+    recall: { type: 'number' },
+    f1Score: { type: 'number' },
+    confusionMatrix: object({
+      labels: { type: 'array', items: { type: 'string' } },
+      matrix: { type: 'array', items: { type: 'array', items: { type: 'integer' } } }
+    }),
+    classPerformance: {
+      type: 'array',
+      items: object({
+        name: { type: 'string' },
+        accuracy: { type: 'number' },
+        precision: { type: 'number' },
+        recall: { type: 'number' },
+        f1: { type: 'number' },
+        count: { type: 'integer' }
+      }, ['name'])
+    },
+    trainingHistory: { type: 'object' },
+    datasetInfo: { type: 'object' },
+    evaluatedAt: dateTime,
+    lastUpdated: dateTime
+  }, ['version']),
+
+  ModelSummary: object({
+    _id: id,
+    version: { type: 'string' },
+    description: { type: 'string' },
+    isActive: { type: 'boolean' },
+    accuracy: { type: 'number' },
+    precision: { type: 'number' },
+    recall: { type: 'number' },
+    f1Score: { type: 'number' },
+    evaluatedAt: dateTime,
+    createdAt: dateTime
+  }, ['version', 'isActive']),
+
+  MetricDelta: object({
+    base: nullableNumber,
+    target: nullableNumber,
+    delta: nullableNumber
+  }, ['base', 'target', 'delta']),
+
+  Job: object({
+    id,
+    type: { type: 'string', enum: ['prediction', 'advice'] },
+    status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'] },
+    progress: object({ percent: { type: 'number' }, message: { type: 'string' } }),
+    result: {
+      type: ['object', 'null'],
+      description: 'When succeeded: the body POST /api/predict or POST /api/llm/advice would have returned'
+    },
+    error: {
+      type: ['object', 'null'],
+      description: 'When failed: the status and error body the synchronous endpoint would have returned',
+      properties: { status: { type: 'integer' }, body: { type: 'object' } }
+    },
+    attempts: { type: 'integer' },
+    createdAt: dateTime,
+    startedAt: { type: ['string', 'null'], format: 'date-time' },
+    finishedAt: { type: ['string', 'null'], format: 'date-time' },
+    updatedAt: dateTime
+  }, ['id', 'type', 'status', 'progress', 'result', 'error']),
+
+  Lesion: object({
+    id,
+    name: { type: 'string' },
+    bodyLocation: { type: 'string', enum: BODY_LOCATIONS },
+    notes: { type: 'string' },
+    createdAt: dateTime,
+    updatedAt: dateTime,
+    predictionCount: { type: 'integer', description: 'Only in GET responses' },
+    lastPredictionAt: { type: ['string', 'null'], format: 'date-time' },
+    latestDisease: { type: ['string', 'null'] }
+  }, ['id', 'name', 'bodyLocation']),
+
+  TimelinePoint: object({
+    predictionId: id,
+    date: dateTime,
+    disease: { type: 'string', description: 'Normalised class name' },
+    confidence: { type: 'number' },
+    severity: { type: ['string', 'null'] },
+    status: { type: 'string', enum: ['accepted', 'belowThreshold', 'invalidClass'] },
+    confirmedDiagnosis: { type: ['string', 'null'], description: 'A dermatologist\'s diagnosis, when reviewed' },
+    compared: { type: 'boolean', description: 'False for rejected results, which are shown but never flagged' },
+    highRiskProbability: { type: 'object', additionalProperties: { type: 'number' } },
+    imageUrl: { type: ['string', 'null'] }
+  }, ['predictionId', 'date', 'disease', 'confidence', 'status', 'compared']),
+
+  TimelineFlag: object({
+    type: {
+      type: 'string',
+      enum: ['shift_to_high_risk', 'class_changed', 'confidence_rising', 'high_risk_probability_rising', 'severity_increased']
+    },
+    level: { type: 'string', enum: ['info', 'warning', 'alert'] },
+    message: { type: 'string' },
+    from: dateTime,
+    to: dateTime,
+    predictionId: id
+  }, ['type', 'level', 'message', 'from', 'to', 'predictionId']),
+
+  ReviewCase: object({
+    predictionId: id,
+    imageUrl: { type: ['string', 'null'] },
+    disease: { type: 'string' },
+    confidence: { type: 'number' },
+    status: { type: 'string', enum: ['accepted', 'belowThreshold', 'invalidClass'] },
+    severity: { type: 'string', enum: SEVERITIES },
+    allPredictions: { type: ['array', 'object', 'null'] },
+    symptoms: { type: 'array', items: { type: 'string' } },
+    duration: { type: 'string' },
+    reportedSeverity: { type: 'string' },
+    patient: object({ age: { type: 'integer' }, gender: { type: 'string' } }),
+    createdAt: dateTime,
+    review: object({
+      status: { type: 'string', enum: REVIEW_STATUSES },
+      reason: { type: 'string', enum: REVIEW_REASONS },
+      priority: { type: 'number' },
+      queuedAt: dateTime,
+      claimedBy: id,
+      claimedAt: dateTime,
+      diagnosis: { type: 'string' },
+      agreesWithModel: { type: 'boolean' },
+      notes: { type: 'string' },
+      urgency: { type: 'string', enum: URGENCY_LEVELS },
+      reviewedBy: id,
+      reviewedAt: dateTime
+    }, ['status'])
+  }, ['predictionId', 'disease', 'confidence', 'patient', 'review']),
+
+  AdminUser: object({
+    id,
+    name: { type: 'string' },
+    email: { type: 'string', format: 'email' },
+    role: { type: 'string', enum: ROLES },
+    emailVerified: { type: 'boolean' },
+    suspended: { type: 'boolean' },
+    suspendedAt: dateTime,
+    suspendedReason: { type: 'string' },
+    createdAt: dateTime
+  }, ['id', 'name', 'email', 'emailVerified', 'suspended'])
+};
+
+// One reusable response per error status, e.g. #/components/responses/Error404
+const responses = {};
+Object.keys(STATUS_TEXT).forEach((status) => {
+  responses[`Error${status}`] = json(STATUS_TEXT[status], ref('Error'));
+});
+
+const securitySchemes = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'The token from login, signup or refresh'
+  }
+};
+
+module.exports = {
+  schemas,
+  responses,
+  securitySchemes
+};
\ No newline at end of file
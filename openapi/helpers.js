@@ -0,0 +1,123 @@
+// openapi/helpers.js
+//
+// Shorthands for the path modules. Request parameters and bodies come from
+// the same JSON Schemas that middleware/validate.js enforces (schemas/), so
+// the document can't drift from what the API accepts.
+
+const STATUS_TEXT = {
+  400: 'Invalid request',
+  401: 'Missing, invalid or expired access token',
+  403: 'Not allowed for this account',
+  404: 'Not found',
+  409: 'Conflict',
+  410: 'Gone',
+  413: 'Upload too large',
+  422: 'Rejected input',
+  429: 'Rate limit or daily quota reached',
+  500: 'Server error',
+  502: 'Upstream model answered with an error',
+  503: 'Upstream model unavailable',
+  504: 'Upstream model timed out'
+};
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// The request schemas are shared with the validator; never hand out the
+// same object twice
+function copy(schema) {
+  return JSON.parse(JSON.stringify(schema));
+}
+
+function json(description, schema) {
+  return {
+    description,
+    content: { 'application/json': { schema } }
+  };
+}
+
+// { success: true, message } responses
+function ok(description) {
+  return json(description, ref('Message'));
+}
+
+// Error responses for the given statuses, all with the error envelope
+function errors(...statuses) {
+  const responses = {};
+  statuses.forEach((status) => {
+    responses[status] = { $ref: `#/components/responses/Error${status}` };
+  });
+  return responses;
+}
+
+// An object schema from schemas/ becomes one parameter per property
+function parameters(location, schema) {
+  if (!schema) return [];
+  const required = schema.required || [];
+  return Object.keys(schema.properties).map((name) => {
+    const property = copy(schema.properties[name]);
+    const parameter = {
+      name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      schema: property
+    };
+    if (property.description) parameter.description = property.description;
+    return parameter;
+  });
+}
+
+// Multipart uploads: the image plus the form fields from schemas/
+function multipart(fields, description) {
+  const body = fields ? copy(fields) : { type: 'object', properties: {}, required: [] };
+  body.properties = {
+    image: { type: 'string', format: 'binary', description },
+    ...body.properties
+  };
+  body.required = ['image', ...(body.required || [])];
+  delete body.additionalProperties;
+  return { required: true, content: { 'multipart/form-data': { schema: body } } };
+}
+
+// operation({ tag, summary, description?, auth?, request?, upload?, responses })
+//   auth     true for bearer tokens, 'optional' when guests are allowed
+//   request  an entry of schemas/*.js: { params?, query?, body? }
+//   upload   description of the "image" file for multipart routes; the
+//            request body schema then describes the other form fields
+function operation(options) {
+  const request = options.request || {};
+  const result = {
+    tags: [options.tag],
+    summary: options.summary
+  };
+  if (options.description) result.description = options.description;
+  if (options.deprecated) result.deprecated = true;
+
+  if (options.auth === true) result.security = [{ bearerAuth: [] }];
+  if (options.auth === 'optional') result.security = [{ bearerAuth: [] }, {}];
+
+  const params = parameters('path', request.params).concat(parameters('query', request.query));
+  if (params.length > 0) result.parameters = params;
+
+  if (options.upload) {
+    result.requestBody = multipart(request.body, options.upload);
+  } else if (request.body) {
+    result.requestBody = {
+      required: (request.body.required || []).length > 0,
+      content: { 'application/json': { schema: copy(request.body) } }
+    };
+  }
+
+  result.responses = options.responses;
+  return result;
+}
+
+module.exports = {
+  STATUS_TEXT,
+  ref,
+  json,
+  ok,
+  errors,
+  operation
+};
\ No newline at end of file
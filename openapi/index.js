@@ -0,0 +1,71 @@
+// openapi/index.js
+//
+// OpenAPI 3.1 description of the API, served at GET /api/openapi.json with
+// a Swagger UI page at GET /api/docs. Request schemas are the ones in
+// schemas/, response schemas are in ./components.js, and
+// middleware/responseCheck.js compares live responses against them.
+// `npm run check:openapi` verifies that every route is documented.
+const { version } = require('../package.json');
+const components = require('./components');
+
+// One module per routes/ module, in the order they appear in the docs
+const PATHS = [
+  'auth', 'user', 'predict', 'jobs', 'llm', 'lesions', 'images', 'reviews',
+  'performance', 'admin', 'analysis', 'health', 'metrics'
+];
+
+const DESCRIPTION = [
+  'Skin condition classification with care advice.',
+  '',
+  'Send the access token from login, signup or refresh as `Authorization: Bearer <token>`.',
+  'Every error answers with `{ success: false, code, message, details?, requestId }`;',
+  'branch on `code`, not on the message. Every response carries an `X-Request-Id` header.'
+].join('\n');
+
+let document = null;
+
+function buildDocument() {
+  const paths = {};
+  PATHS.forEach((name) => {
+    Object.assign(paths, require(`./paths/${name}`));
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'DermaDetect API',
+      version,
+      description: DESCRIPTION
+    },
+    servers: [{ url: '/' }],
+    tags: [
+      { name: 'Auth', description: 'Accounts, sign-in and sessions' },
+      { name: 'User', description: 'Profile, prediction history and personal data' },
+      { name: 'Predict', description: 'Skin photo classification' },
+      { name: 'Jobs', description: 'Predictions and advice run in the background' },
+      { name: 'LLM', description: 'Care advice from the language model' },
+      { name: 'Lesions', description: 'Tracking one lesion over time' },
+      { name: 'Images', description: 'Stored photos' },
+      { name: 'Reviews', description: 'Dermatologist review queue' },
+      { name: 'Performance', description: 'Model versions and accuracy' },
+      { name: 'Admin', description: 'User management and configuration' },
+      { name: 'Analysis', description: 'Older unsaved classification form' },
+      { name: 'Health', description: 'Service status' },
+      { name: 'Metrics', description: 'Prometheus scrape endpoint' }
+    ],
+    paths,
+    components
+  };
+}
+
+// The document never changes while the server runs
+function getDocument() {
+  if (!document) {
+    document = buildDocument();
+  }
+  return document;
+}
+
+module.exports = {
+  getDocument
+};
\ No newline at end of file
@@ -0,0 +1,126 @@
+// openapi/paths/admin.js
+const schemas = require('../../schemas/admin');
+const { ref, json, errors, operation } = require('../helpers');
+
+const tag = 'Admin';
+
+const oneUser = (description, extra) => json(description, {
+  type: 'object',
+  properties: { success: { const: true }, message: { type: 'string' }, user: ref('AdminUser'), ...extra },
+  required: ['success', 'user']
+});
+
+module.exports = {
+  '/api/admin/users': {
+    get: operation({
+      tag,
+      summary: 'List and search users',
+      description: 'q matches name or email.',
+      auth: true,
+      request: schemas.listUsers,
+      responses: {
+        200: json('One page of users, newest first', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            count: { type: 'integer' },
+            users: { type: 'array', items: ref('AdminUser') }
+          },
+          required: ['success', 'page', 'limit', 'total', 'count', 'users']
+        }),
+        ...errors(400, 401, 403)
+      }
+    })
+  },
+
+  '/api/admin/users/{id}': {
+    get: operation({
+      tag,
+      summary: 'Get one user with prediction and session counts',
+      auth: true,
+      request: schemas.user,
+      responses: {
+        200: json('The user', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            user: {
+              allOf: [ref('AdminUser'), {
+                type: 'object',
+                properties: {
+                  age: { type: 'integer' },
+                  gender: { type: 'string' },
+                  phone: { type: 'string' },
+                  predictionCount: { type: 'integer' },
+                  activeSessions: { type: 'integer' }
+                },
+                required: ['predictionCount', 'activeSessions']
+              }]
+            }
+          },
+          required: ['success', 'user']
+        }),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+
+  '/api/admin/users/{id}/role': {
+    put: operation({
+      tag,
+      summary: 'Promote or demote a user',
+      description: 'Admins cannot remove their own admin role.',
+      auth: true,
+      request: schemas.setRole,
+      responses: {
+        200: oneUser('Role updated'),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+
+  '/api/admin/users/{id}/suspend': {
+    post: operation({
+      tag,
+      summary: 'Suspend a user and end all their sessions',
+      auth: true,
+      request: schemas.suspend,
+      responses: {
+        200: oneUser('User suspended', { revokedSessions: { type: 'integer' } }),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+
+  '/api/admin/users/{id}/unsuspend': {
+    post: operation({
+      tag,
+      summary: 'Lift a suspension',
+      auth: true,
+      request: schemas.user,
+      responses: {
+        200: oneUser('Suspension lifted'),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+
+  '/api/admin/config': {
+    get: operation({
+      tag,
+      summary: 'Runtime configuration, without secrets',
+      auth: true,
+      responses: {
+        200: json('Configuration summary', {
+          type: 'object',
+          properties: { success: { const: true }, config: { type: 'object' } },
+          required: ['success', 'config']
+        }),
+        ...errors(401, 403)
+      }
+    })
+  }
+};
\ No newline at end of file
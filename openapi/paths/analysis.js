@@ -0,0 +1,59 @@
+// openapi/paths/analysis.js
+const schemas = require('../../schemas/predict');
+const { ref, json, errors, operation } = require('../helpers');
+
+const tag = 'Analysis';
+
+module.exports = {
+  '/api/analysis/predict': {
+    post: operation({
+      tag,
+      summary: 'Classify a skin photo without saving it (older form)',
+      description: [
+        'Prefer POST /api/predict. This route takes a longer questionnaire and saves nothing.',
+        'Unverified accounts get the same few predictions as on /api/predict before EMAIL_NOT_VERIFIED.'
+      ].join(' '),
+      auth: true,
+      request: schemas.analysis,
+      upload: 'The skin photo; the multipart field must be called "image"',
+      responses: {
+        200: json('Prediction', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            prediction: { type: 'string' },
+            confidence: { type: 'number' },
+            allPredictions: { type: ['array', 'null'], items: ref('ClassScore') },
+            description: { type: ['string', 'null'], description: 'null when the model sends none' },
+            recommendations: { type: 'array', items: { type: 'string' } },
+            modelDetails: { type: ['object', 'null'] },
+            predicted_disease: { type: 'string', description: 'Same as prediction' },
+            probabilities: { type: 'object', additionalProperties: { type: 'number' } }
+          },
+          required: ['success', 'prediction', 'confidence', 'predicted_disease', 'probabilities']
+        }),
+        ...errors(400, 401, 403, 413, 429, 500, 502, 503, 504)
+      }
+    })
+  },
+
+  '/api/analysis/test': {
+    get: operation({
+      tag,
+      summary: 'Check that the ML model can be reached',
+      responses: {
+        200: json('The model answered its health check', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            provider: { type: 'string' },
+            modelStatus: {}
+          },
+          required: ['success', 'provider']
+        }),
+        ...errors(503)
+      }
+    })
+  }
+};
\ No newline at end of file
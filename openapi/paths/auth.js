@@ -0,0 +1,165 @@
+// openapi/paths/auth.js
+const schemas = require('../../schemas/auth');
+const { ref, json, ok, errors, operation } = require('../helpers');
+
+const tag = 'Auth';
+
+const signup = (summary, extra) => ({
+  tag,
+  summary,
+  request: schemas.register,
+  responses: {
+    201: json('Account created and signed in; a verification email is sent', ref('Session')),
+    ...errors(400, 500)
+  },
+  ...extra
+});
+
+module.exports = {
+  '/api/auth/signup': {
+    post: operation(signup('Create an account'))
+  },
+
+  '/api/auth/register': {
+    post: operation(signup('Create an account (same as /signup)', {
+      description: 'Identical to POST /api/auth/signup; both stay for older clients.'
+    }))
+  },
+
+  '/api/auth/login': {
+    post: operation({
+      tag,
+      summary: 'Sign in with email and password',
+      request: schemas.login,
+      responses: {
+        200: json('Signed in', ref('Session')),
+        ...errors(400, 401, 403)
+      }
+    })
+  },
+
+  '/api/auth/forgot-password': {
+    post: operation({
+      tag,
+      summary: 'Email a password reset link',
+      description: 'Answers the same whether or not an account exists for the address.',
+      request: schemas.forgotPassword,
+      responses: {
+        200: ok('Reset link sent if the account exists'),
+        ...errors(400)
+      }
+    })
+  },
+
+  '/api/auth/reset-password': {
+    post: operation({
+      tag,
+      summary: 'Set a new password with a reset token',
+      description: 'Ends every session of the account.',
+      request: schemas.resetPassword,
+      responses: {
+        200: ok('Password changed'),
+        ...errors(400)
+      }
+    })
+  },
+
+  '/api/auth/verify-email': {
+    post: operation({
+      tag,
+      summary: 'Confirm an email address',
+      request: schemas.verifyEmail,
+      responses: {
+        200: json('Email verified', {
+          allOf: [ref('Message'), { type: 'object', properties: { user: ref('User') }, required: ['user'] }]
+        }),
+        ...errors(400)
+      }
+    })
+  },
+
+  '/api/auth/resend-verification': {
+    post: operation({
+      tag,
+      summary: 'Send a new verification email',
+      auth: true,
+      responses: {
+        200: ok('Verification email sent'),
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/auth/refresh': {
+    post: operation({
+      tag,
+      summary: 'Swap a refresh token for a new token pair',
+      description: 'Refresh tokens are single use. Presenting one twice revokes the whole session.',
+      request: schemas.refresh,
+      responses: {
+        200: json('New token pair', ref('Session')),
+        ...errors(400, 401)
+      }
+    })
+  },
+
+  '/api/auth/logout': {
+    post: operation({
+      tag,
+      summary: 'End the current session',
+      auth: true,
+      responses: {
+        200: ok('Signed out'),
+        ...errors(401)
+      }
+    })
+  },
+
+  '/api/auth/logout-all': {
+    post: operation({
+      tag,
+      summary: 'End every session of the current user',
+      auth: true,
+      request: schemas.logoutAll,
+      responses: {
+        200: json('Sessions ended', {
+          allOf: [ref('Message'), { type: 'object', properties: { revoked: { type: 'integer' } }, required: ['revoked'] }]
+        }),
+        ...errors(400, 401)
+      }
+    })
+  },
+
+  '/api/auth/sessions': {
+    get: operation({
+      tag,
+      summary: 'List the active sessions of the current user',
+      auth: true,
+      responses: {
+        200: json('Active sessions', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            count: { type: 'integer' },
+            sessions: { type: 'array', items: ref('SessionInfo') }
+          },
+          required: ['success', 'count', 'sessions']
+        }),
+        ...errors(401)
+      }
+    })
+  },
+
+  '/api/auth/sessions/{id}': {
+    delete: operation({
+      tag,
+      summary: 'Revoke one of the current user\'s sessions',
+      auth: true,
+      request: schemas.revokeSession,
+      responses: {
+        200: ok('Session revoked'),
+        ...errors(400, 401, 404)
+      }
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,30 @@
+// openapi/paths/health.js
+const { ref, json, operation } = require('../helpers');
+
+const tag = 'Health';
+
+module.exports = {
+  '/api/health': {
+    get: operation({
+      tag,
+      summary: 'API, database and upstream status',
+      responses: {
+        200: json('Status', {
+          type: 'object',
+          properties: {
+            status: { const: 'OK' },
+            mongo: { type: 'string', enum: ['Connected', 'Disconnected'] },
+            llm_configured: { type: 'boolean' },
+            ml_configured: { type: 'boolean' },
+            upstreams: {
+              type: 'object',
+              properties: { ml: ref('UpstreamStatus'), llm: ref('UpstreamStatus') },
+              required: ['ml', 'llm']
+            }
+          },
+          required: ['status', 'mongo', 'llm_configured', 'ml_configured', 'upstreams']
+        })
+      }
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,24 @@
+// openapi/paths/images.js
+const schemas = require('../../schemas/images');
+const { errors, operation } = require('../helpers');
+
+const tag = 'Images';
+
+module.exports = {
+  '/api/images/{id}': {
+    get: operation({
+      tag,
+      summary: 'Fetch a stored image',
+      description: 'Only for its owner, or a reviewer when the image belongs to a case in the review queue.',
+      auth: true,
+      request: schemas.image,
+      responses: {
+        200: {
+          description: 'The image, in the format it was uploaded in',
+          content: { 'image/*': { schema: { type: 'string', format: 'binary' } } }
+        },
+        ...errors(400, 401, 404)
+      }
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,119 @@
+// openapi/paths/jobs.js
+const schemas = require('../../schemas/jobs');
+const { ref, json, errors, operation } = require('../helpers');
+
+const tag = 'Jobs';
+
+const queued = json('Job queued; poll statusUrl or listen on eventsUrl', {
+  type: 'object',
+  properties: {
+    success: { const: true },
+    message: { type: 'string' },
+    jobId: { type: 'string' },
+    status: { type: 'string' },
+    statusUrl: { type: 'string' },
+    eventsUrl: { type: 'string' }
+  },
+  required: ['success', 'jobId', 'status', 'statusUrl', 'eventsUrl']
+});
+
+const oneJob = (description) => json(description, {
+  type: 'object',
+  properties: { success: { const: true }, message: { type: 'string' }, job: ref('Job') },
+  required: ['success', 'job']
+});
+
+module.exports = {
+  '/api/jobs/predict': {
+    post: operation({
+      tag,
+      summary: 'Queue a prediction',
+      description: 'Same multipart fields as POST /api/predict; the finished job\'s result is that endpoint\'s answer.',
+      auth: true,
+      request: schemas.predict,
+      upload: 'The skin photo (JPEG, PNG or WebP, up to 10 MB)',
+      responses: {
+        202: queued,
+        ...errors(400, 401, 403, 404, 413, 429)
+      }
+    })
+  },
+
+  '/api/jobs/advice': {
+    post: operation({
+      tag,
+      summary: 'Queue care advice',
+      description: 'Same body as POST /api/llm/advice.',
+      auth: true,
+      request: schemas.advice,
+      responses: {
+        202: queued,
+        ...errors(400, 401, 403, 429)
+      }
+    })
+  },
+
+  '/api/jobs': {
+    get: operation({
+      tag,
+      summary: 'The caller\'s 50 most recent jobs',
+      auth: true,
+      responses: {
+        200: json('Jobs, newest first', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            count: { type: 'integer' },
+            jobs: { type: 'array', items: ref('Job') }
+          },
+          required: ['success', 'count', 'jobs']
+        }),
+        ...errors(401)
+      }
+    })
+  },
+
+  '/api/jobs/{id}': {
+    get: operation({
+      tag,
+      summary: 'Poll a job\'s status, progress and result',
+      auth: true,
+      request: schemas.job,
+      responses: {
+        200: oneJob('The job'),
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/jobs/{id}/events': {
+    get: operation({
+      tag,
+      summary: 'Follow a job as server-sent events',
+      description: '"progress" with the job on every change, then "done" with the finished job, after which the stream closes.',
+      auth: true,
+      request: schemas.job,
+      responses: {
+        200: {
+          description: 'An event stream',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        },
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/jobs/{id}/cancel': {
+    post: operation({
+      tag,
+      summary: 'Cancel a queued or running job',
+      description: 'A running job stops at its next step; until then the status stays running.',
+      auth: true,
+      request: schemas.job,
+      responses: {
+        200: oneJob('Cancelled, or cancellation requested'),
+        ...errors(400, 401, 404, 409)
+      }
+    })
+  }
+};
\ No newline at end of file
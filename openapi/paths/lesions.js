@@ -0,0 +1,135 @@
+// openapi/paths/lesions.js
+const schemas = require('../../schemas/lesions');
+const { ref, json, ok, errors, operation } = require('../helpers');
+
+const tag = 'Lesions';
+
+const oneLesion = (description) => json(description, {
+  type: 'object',
+  properties: { success: { const: true }, message: { type: 'string' }, lesion: ref('Lesion') },
+  required: ['success', 'lesion']
+});
+
+module.exports = {
+  '/api/lesions': {
+    get: operation({
+      tag,
+      summary: 'List tracked lesions with prediction counts',
+      auth: true,
+      responses: {
+        200: json('Lesions, newest first', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            count: { type: 'integer' },
+            lesions: { type: 'array', items: ref('Lesion') }
+          },
+          required: ['success', 'count', 'lesions']
+        }),
+        ...errors(401)
+      }
+    }),
+    post: operation({
+      tag,
+      summary: 'Start tracking a lesion',
+      auth: true,
+      request: schemas.create,
+      responses: {
+        201: oneLesion('Lesion created'),
+        ...errors(400, 401)
+      }
+    })
+  },
+
+  '/api/lesions/{id}': {
+    get: operation({
+      tag,
+      summary: 'Get one lesion',
+      auth: true,
+      request: schemas.lesion,
+      responses: {
+        200: oneLesion('The lesion'),
+        ...errors(400, 401, 404)
+      }
+    }),
+    put: operation({
+      tag,
+      summary: 'Rename a lesion or change its location or notes',
+      auth: true,
+      request: schemas.update,
+      responses: {
+        200: oneLesion('Lesion updated'),
+        ...errors(400, 401, 404)
+      }
+    }),
+    delete: operation({
+      tag,
+      summary: 'Stop tracking a lesion',
+      description: 'Its predictions stay in the history.',
+      auth: true,
+      request: schemas.lesion,
+      responses: {
+        200: ok('Lesion deleted'),
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/lesions/{id}/timeline': {
+    get: operation({
+      tag,
+      summary: 'Class, confidence and severity over time, with flagged changes',
+      description: [
+        'Points are the lesion\'s predictions, oldest first. Only accepted or reviewed',
+        'points are compared; rejected ones are shown with compared: false.',
+        'concerning is true when any flag is above info level.'
+      ].join(' '),
+      auth: true,
+      request: schemas.lesion,
+      responses: {
+        200: json('The timeline', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            lesion: ref('Lesion'),
+            count: { type: 'integer' },
+            points: { type: 'array', items: ref('TimelinePoint') },
+            flags: { type: 'array', items: ref('TimelineFlag') },
+            concerning: { type: 'boolean' }
+          },
+          required: ['success', 'lesion', 'count', 'points', 'flags', 'concerning']
+        }),
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/lesions/{id}/predictions/{predictionId}': {
+    put: operation({
+      tag,
+      summary: 'Attach a saved prediction to the lesion',
+      auth: true,
+      request: schemas.lesionPrediction,
+      responses: {
+        200: json('Prediction attached', {
+          allOf: [ref('Message'), {
+            type: 'object',
+            properties: { predictionId: { type: 'string' }, lesionId: { type: 'string' } },
+            required: ['predictionId', 'lesionId']
+          }]
+        }),
+        ...errors(400, 401, 404)
+      }
+    }),
+    delete: operation({
+      tag,
+      summary: 'Detach a prediction from the lesion',
+      auth: true,
+      request: schemas.lesionPrediction,
+      responses: {
+        200: ok('Prediction detached'),
+        ...errors(400, 401, 404)
+      }
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+// openapi/paths/llm.js
+const schemas = require('../../schemas/llm');
+const { ref, json, errors, operation } = require('../helpers');
+
+const tag = 'LLM';
+
+module.exports = {
+  '/api/llm/advice': {
+    post: operation({
+      tag,
+      summary: 'Generate care advice for a diagnosis',
+      description: 'Pass predictionId to save the advice on that prediction. Needs a verified email.',
+      auth: true,
+      request: schemas.advice,
+      responses: {
+        200: json('Advice', ref('Advice')),
+        ...errors(400, 401, 403, 429, 500, 503)
+      }
+    })
+  },
+
+  '/api/llm/advice/stream': {
+    post: operation({
+      tag,
+      summary: 'Generate care advice as server-sent events',
+      description: [
+        'Same body as /api/llm/advice. Events:',
+        '"token" { text } for each piece of text as it arrives,',
+        '"done" { success, advice, saved, metadata } once the advice is saved,',
+        '"error" { success: false, code, message, retryAfter? }.',
+        'Closing the connection cancels generation.'
+      ].join(' '),
+      auth: true,
+      request: schemas.advice,
+      responses: {
+        200: {
+          description: 'An event stream',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        },
+        ...errors(400, 401, 403, 429)
+      }
+    })
+  },
+
+  '/api/llm/health': {
+    get: operation({
+      tag,
+      summary: 'LLM configuration and circuit breaker state',
+      responses: {
+        200: json('LLM status', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            llm_url: { type: ['string', 'null'] },
+            configured: { type: 'boolean' },
+            upstream: ref('UpstreamStatus')
+          },
+          required: ['success', 'configured', 'upstream']
+        })
+      }
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+// openapi/paths/metrics.js
+const { errors, operation } = require('../helpers');
+
+const tag = 'Metrics';
+
+module.exports = {
+  '/metrics': {
+    get: operation({
+      tag,
+      summary: 'Prometheus metrics',
+      description: 'Needs "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set; that token is not a user access token.',
+      responses: {
+        200: {
+          description: 'Metrics in the Prometheus text format',
+          content: { 'text/plain': { schema: { type: 'string' } } }
+        },
+        ...errors(401)
+      }
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,158 @@
+// openapi/paths/performance.js
+const schemas = require('../../schemas/performance');
+const { ref, json, errors, operation } = require('../helpers');
+
+const tag = 'Performance';
+
+const data = (description, schema, extra) => json(description, {
+  type: 'object',
+  properties: { success: { const: true }, data: schema, ...extra },
+  required: ['success', 'data']
+});
+
+module.exports = {
+  '/api/performance/metrics': {
+    get: operation({
+      tag,
+      summary: 'Evaluation metrics of the active model version',
+      responses: {
+        200: data('Metrics (percentages, 0-100)', ref('ModelMetrics')),
+        ...errors(404)
+      }
+    })
+  },
+
+  '/api/performance/models': {
+    get: operation({
+      tag,
+      summary: 'List registered model versions',
+      responses: {
+        200: data('Model versions, newest first', { type: 'array', items: ref('ModelSummary') }, {
+          count: { type: 'integer' }
+        })
+      }
+    }),
+    post: operation({
+      tag,
+      summary: 'Register a model version from its evaluation report',
+      description: 'Set activate: true to make it the active version at once. Needs the models:manage permission.',
+      auth: true,
+      request: schemas.registerModel,
+      responses: {
+        201: data('Registered', ref('ModelMetrics'), {
+          message: { type: 'string' },
+          isActive: { type: 'boolean' }
+        }),
+        ...errors(400, 401, 403, 409)
+      }
+    })
+  },
+
+  '/api/performance/models/{version}': {
+    get: operation({
+      tag,
+      summary: 'Metrics of one model version',
+      request: schemas.modelVersion,
+      responses: {
+        200: data('Metrics', ref('ModelMetrics'), { isActive: { type: 'boolean' } }),
+        ...errors(400, 404)
+      }
+    })
+  },
+
+  '/api/performance/models/{version}/activate': {
+    put: operation({
+      tag,
+      summary: 'Make a model version the active one',
+      description: 'Needs the models:manage permission.',
+      auth: true,
+      request: schemas.modelVersion,
+      responses: {
+        200: data('Activated', ref('ModelMetrics'), { message: { type: 'string' } }),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+
+  '/api/performance/compare': {
+    get: operation({
+      tag,
+      summary: 'Compare two model versions',
+      description: 'target defaults to the active version. Every metric is { base, target, delta }.',
+      request: schemas.compare,
+      responses: {
+        200: data('Differences', {
+          type: 'object',
+          properties: {
+            base: { type: 'string' },
+            target: { type: 'string' },
+            overall: { type: 'object', additionalProperties: ref('MetricDelta') },
+            classPerformance: { type: 'array', items: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] } },
+            confusionMatrix: { type: ['object', 'null'], description: 'null when the versions use different labels' },
+            datasetInfo: { type: 'object' }
+          },
+          required: ['base', 'target', 'overall', 'classPerformance', 'confusionMatrix']
+        }),
+        ...errors(400, 404)
+      }
+    })
+  },
+
+  '/api/performance/observed': {
+    get: operation({
+      tag,
+      summary: 'Accuracy measured from user feedback and dermatologist reviews',
+      request: schemas.observed,
+      responses: {
+        200: data('Observed metrics (percentages; null without labeled cases)', {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            modelVersion: { type: ['string', 'null'] },
+            source: { type: 'string' },
+            labeled: { type: 'integer' },
+            excluded: { type: 'integer' },
+            labelSources: { type: 'object', additionalProperties: { type: 'integer' } },
+            accuracy: { type: ['number', 'null'] },
+            precision: { type: ['number', 'null'] },
+            recall: { type: ['number', 'null'] },
+            f1Score: { type: ['number', 'null'] },
+            classPerformance: { type: 'array', items: { type: 'object' } },
+            confusionMatrix: { type: 'object' }
+          },
+          required: ['from', 'to', 'source', 'labeled', 'accuracy', 'classPerformance', 'confusionMatrix']
+        }),
+        ...errors(400)
+      }
+    })
+  },
+
+  '/api/performance/live-stats': {
+    get: operation({
+      tag,
+      summary: 'Live prediction statistics',
+      description: 'from and to bound the daily time series (default: the last 30 days).',
+      request: schemas.liveStats,
+      responses: {
+        200: data('Statistics', {
+          type: 'object',
+          properties: {
+            totalPredictions: { type: 'integer' },
+            todayPredictions: { type: 'integer' },
+            averageConfidence: { type: ['number', 'null'] },
+            mostCommonDisease: { type: ['string', 'null'] },
+            byStatus: { type: 'object' },
+            byDisease: { type: 'array', items: { type: 'object', properties: { disease: { type: 'string' }, count: { type: 'integer' } } } },
+            bySeverity: { type: 'array', items: { type: 'object', properties: { severity: { type: 'string' }, count: { type: 'integer' } } } },
+            confidenceHistogram: { type: 'array', items: { type: 'object', properties: { min: { type: 'number' }, max: { type: 'number' }, count: { type: 'integer' } } } },
+            timeSeries: { type: 'object', properties: { from: { type: 'string' }, to: { type: 'string' }, days: { type: 'array' } } },
+            recentPredictions: { type: 'array' }
+          },
+          required: ['totalPredictions', 'todayPredictions', 'byStatus', 'byDisease', 'timeSeries']
+        }),
+        ...errors(400)
+      }
+    })
+  }
+};
\ No newline at end of file
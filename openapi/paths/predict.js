@@ -0,0 +1,52 @@
+// openapi/paths/predict.js
+const schemas = require('../../schemas/predict');
+const { ref, json, errors, operation } = require('../helpers');
+
+const tag = 'Predict';
+
+module.exports = {
+  '/api/predict': {
+    post: operation({
+      tag,
+      summary: 'Classify a skin photo',
+      description: [
+        'The photo goes in the multipart field "image" (not "file").',
+        'A 200 answer is one of three shapes: an accepted prediction (success: true),',
+        'belowThreshold (the model was not confident enough) or invalidClass (the model',
+        'answered with a class outside the trained set). Both rejections have success: false',
+        'and are saved to the history. Re-uploads of the same photo return the earlier',
+        'result with cached: true; one sent with a lesionId, symptoms, duration or severity',
+        'is saved again with those fields. Unverified accounts get a few predictions before',
+        'EMAIL_NOT_VERIFIED.'
+      ].join(' '),
+      auth: true,
+      request: schemas.predict,
+      upload: 'The skin photo (JPEG, PNG or WebP, up to 10 MB)',
+      responses: {
+        200: json('Prediction result', ref('PredictionResult')),
+        422: json('The photo is too dark, blurry or small to classify', ref('PhotoQualityRejection')),
+        ...errors(400, 401, 403, 404, 413, 429, 500, 502, 503, 504)
+      }
+    })
+  },
+
+  '/api/predict/test': {
+    get: operation({
+      tag,
+      summary: 'Check that the predict routes are up',
+      responses: {
+        200: json('Inference configuration', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            provider: { type: 'string' },
+            mlModelUrl: { type: 'string' },
+            configured: { type: 'boolean' }
+          },
+          required: ['success', 'provider', 'configured']
+        })
+      }
+    })
+  }
+};
\ No newline at end of file
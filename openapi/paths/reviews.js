@@ -0,0 +1,102 @@
+// openapi/paths/reviews.js
+const schemas = require('../../schemas/reviews');
+const { ref, json, ok, errors, operation } = require('../helpers');
+
+const tag = 'Reviews';
+
+const oneCase = (description) => json(description, {
+  type: 'object',
+  properties: { success: { const: true }, message: { type: 'string' }, case: ref('ReviewCase') },
+  required: ['success', 'case']
+});
+
+module.exports = {
+  '/api/reviews/queue': {
+    get: operation({
+      tag,
+      summary: 'List review cases',
+      description: 'Open cases by default, most urgent first. mine=true limits claimed and completed cases to your own.',
+      auth: true,
+      request: schemas.queue,
+      responses: {
+        200: json('One page of cases', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            count: { type: 'integer' },
+            cases: { type: 'array', items: ref('ReviewCase') }
+          },
+          required: ['success', 'page', 'limit', 'total', 'count', 'cases']
+        }),
+        ...errors(400, 401, 403)
+      }
+    })
+  },
+
+  '/api/reviews/claim-next': {
+    post: operation({
+      tag,
+      summary: 'Claim the most urgent open case',
+      auth: true,
+      responses: {
+        200: oneCase('Case claimed'),
+        ...errors(401, 403, 404)
+      }
+    })
+  },
+
+  '/api/reviews/{predictionId}': {
+    get: operation({
+      tag,
+      summary: 'Full case: image, patient inputs, model output and review',
+      auth: true,
+      request: schemas.reviewCase,
+      responses: {
+        200: oneCase('The case'),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+
+  '/api/reviews/{predictionId}/claim': {
+    post: operation({
+      tag,
+      summary: 'Claim a specific case',
+      auth: true,
+      request: schemas.reviewCase,
+      responses: {
+        200: oneCase('Case claimed'),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+
+  '/api/reviews/{predictionId}/release': {
+    post: operation({
+      tag,
+      summary: 'Give a claimed case back to the queue',
+      auth: true,
+      request: schemas.reviewCase,
+      responses: {
+        200: ok('Case released'),
+        ...errors(400, 401, 403, 404)
+      }
+    })
+  },
+
+  '/api/reviews/{predictionId}/complete': {
+    post: operation({
+      tag,
+      summary: 'Record the review of a case you have claimed',
+      auth: true,
+      request: schemas.complete,
+      responses: {
+        200: oneCase('Review saved'),
+        ...errors(400, 401, 403, 409)
+      }
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,231 @@
+// openapi/paths/user.js
+const schemas = require('../../schemas/user');
+const { ref, json, ok, errors, operation } = require('../helpers');
+
+const tag = 'User';
+
+const historyItem = (description) => json(description, {
+  type: 'object',
+  properties: { success: { const: true }, prediction: ref('HistoryItem') },
+  required: ['success', 'prediction']
+});
+
+const download = (description, type, schema) => ({
+  description,
+  headers: {
+    'Content-Disposition': { schema: { type: 'string' }, description: 'attachment; filename="..."' }
+  },
+  content: { [type]: { schema: schema || { type: 'string', format: 'binary' } } }
+});
+
+module.exports = {
+  '/api/user/profile': {
+    get: operation({
+      tag,
+      summary: 'Get the signed-in user\'s profile',
+      auth: true,
+      responses: {
+        200: json('Profile', {
+          type: 'object',
+          properties: { success: { const: true }, user: ref('Profile') },
+          required: ['success', 'user']
+        }),
+        ...errors(401, 404)
+      }
+    }),
+    put: operation({
+      tag,
+      summary: 'Update the profile',
+      description: 'profilePicture must be the id of an image uploaded with POST /api/user/profile/picture.',
+      auth: true,
+      request: schemas.updateProfile,
+      responses: {
+        200: json('Updated profile', {
+          allOf: [ref('Message'), {
+            type: 'object',
+            properties: { user: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } },
+            required: ['user']
+          }]
+        }),
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/user/profile/picture': {
+    post: operation({
+      tag,
+      summary: 'Upload a profile picture',
+      auth: true,
+      upload: 'The picture; the multipart field must be called "image"',
+      responses: {
+        200: json('Picture stored', {
+          allOf: [ref('Message'), {
+            type: 'object',
+            properties: { profilePicture: { type: 'string' }, imageUrl: { type: 'string' } },
+            required: ['profilePicture', 'imageUrl']
+          }]
+        }),
+        ...errors(400, 401, 404, 413)
+      }
+    })
+  },
+
+  '/api/user/quota': {
+    get: operation({
+      tag,
+      summary: 'Today\'s prediction and advice quota',
+      auth: true,
+      responses: {
+        200: json('Quota use by group; limits are null when unlimited', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            role: { type: 'string' },
+            quotas: {
+              type: 'object',
+              properties: { predict: ref('Quota'), advice: ref('Quota') },
+              required: ['predict', 'advice']
+            },
+            rateLimits: { type: ['object', 'null'], description: 'Short-window limits; null when rate limiting is off' }
+          },
+          required: ['success', 'role', 'quotas', 'rateLimits']
+        }),
+        ...errors(401, 404)
+      }
+    })
+  },
+
+  '/api/user/history': {
+    get: operation({
+      tag,
+      summary: 'Prediction history, newest first',
+      description: 'Pass nextCursor as cursor to get the next page.',
+      auth: true,
+      request: schemas.history,
+      responses: {
+        200: json('One page of predictions', {
+          type: 'object',
+          properties: {
+            success: { const: true },
+            count: { type: 'integer' },
+            predictions: { type: 'array', items: ref('HistoryItem') },
+            nextCursor: { type: ['string', 'null'] },
+            hasMore: { type: 'boolean' }
+          },
+          required: ['success', 'count', 'predictions', 'nextCursor', 'hasMore']
+        }),
+        ...errors(400, 401)
+      }
+    })
+  },
+
+  '/api/user/history/export': {
+    get: operation({
+      tag,
+      summary: 'Download the history as CSV or JSON',
+      description: 'Same filters as GET /api/user/history, without paging.',
+      auth: true,
+      request: schemas.historyExport,
+      responses: {
+        200: {
+          description: 'The export, as an attachment',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  exportedAt: { type: 'string', format: 'date-time' },
+                  count: { type: 'integer' },
+                  truncated: { type: 'boolean' },
+                  predictions: { type: 'array', items: ref('HistoryItem') }
+                },
+                required: ['exportedAt', 'count', 'truncated', 'predictions']
+              }
+            }
+          }
+        },
+        ...errors(400, 401)
+      }
+    })
+  },
+
+  '/api/user/history/{id}': {
+    get: operation({
+      tag,
+      summary: 'Get one saved prediction',
+      auth: true,
+      request: schemas.prediction,
+      responses: {
+        200: historyItem('The prediction'),
+        ...errors(400, 401, 404)
+      }
+    }),
+    delete: operation({
+      tag,
+      summary: 'Delete a saved prediction and its image',
+      auth: true,
+      request: schemas.prediction,
+      responses: {
+        200: ok('Prediction deleted'),
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/user/history/{id}/report': {
+    get: operation({
+      tag,
+      summary: 'Download a PDF report of one prediction',
+      auth: true,
+      request: schemas.prediction,
+      responses: {
+        200: download('The report', 'application/pdf'),
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/user/history/{id}/feedback': {
+    put: operation({
+      tag,
+      summary: 'Mark a prediction correct or incorrect',
+      auth: true,
+      request: schemas.feedback,
+      responses: {
+        200: json('Feedback saved', {
+          allOf: [ref('Message'), { type: 'object', properties: { feedback: ref('Feedback') }, required: ['feedback'] }]
+        }),
+        ...errors(400, 401, 404)
+      }
+    })
+  },
+
+  '/api/user/export': {
+    get: operation({
+      tag,
+      summary: 'Download all of the user\'s data as a ZIP archive',
+      auth: true,
+      responses: {
+        200: download('The archive', 'application/zip'),
+        ...errors(401, 404)
+      }
+    })
+  },
+
+  '/api/user/account': {
+    delete: operation({
+      tag,
+      summary: 'Permanently delete the account and its data',
+      auth: true,
+      request: schemas.deleteAccount,
+      responses: {
+        200: json('Account deleted', {
+          allOf: [ref('Message'), { type: 'object', properties: { deleted: { type: 'object' } }, required: ['deleted'] }]
+        }),
+        ...errors(400, 401, 404)
+      }
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,230 @@
+// routes/admin.js
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const Prediction = require('../models/Prediction');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const sessions = require('../services/sessions');
+const { configSummary } = require('../services/config');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function adminUserResponse(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified !== false,
+    suspended: !!user.suspendedAt,
+    suspendedAt: user.suspendedAt,
+    suspendedReason: user.suspendedReason,
+    createdAt: user.createdAt
+  };
+}
+
+// Loads the target user for the /users/:id routes
+async function findTargetUser(req, res) {
+  const user = await User.findById(req.params.id).select('-password');
+  if (!user) {
+    res.status(404).json({ success: false, message: 'User not found' });
+    return null;
+  }
+
+  return user;
+}
+
+function isSelf(req, user) {
+  return String(user._id) === String(req.user._id);
+}
+
+// @route   GET /api/admin/users
+// @desc    List users; filter with ?q= (name/email), ?role=, ?status=active|suspended,
+//          paginate with ?page= and ?limit=
+// @access  Admin
+router.get('/users', authMiddleware, requirePermission('users:manage'), validate(schemas.listUsers), async (req, res, next) => {
+  try {
+    const { q, role, status } = req.query;
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const filter = {};
+
+    if (q) {
+      const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    if (role) {
+      // Accounts created before roles existed have no role stored
+      filter.role = role === 'patient' ? { $in: ['patient', null] } : role;
+    }
+
+    if (status === 'suspended') {
+      filter.suspendedAt = { $ne: null };
+    } else if (status === 'active') {
+      filter.suspendedAt = null;
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password -history')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      count: users.length,
+      users: users.map(adminUserResponse)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get one user with prediction and session counts
+// @access  Admin
+router.get('/users/:id', authMiddleware, requirePermission('users:manage'), validate(schemas.user), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [predictionCount, activeSessions] = await Promise.all([
+      Prediction.countDocuments({ userId: user._id }),
+      sessions.listSessions(user._id)
+    ]);
+
+    res.json({
+      success: true,
+      user: {
+        ...adminUserResponse(user),
+        age: user.age,
+        gender: user.gender,
+        phone: user.phone,
+        predictionCount,
+        activeSessions: activeSessions.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Promote or demote a user (body: { role })
+// @access  Admin
+router.put('/users/:id/role', authMiddleware, requirePermission('users:manage'), validate(schemas.setRole), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    // Keeps at least one admin around
+    if (isSelf(req, user) && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    logger.info('Role changed', { actorId: req.userId, targetId: String(user._id), role });
+
+    res.json({
+      success: true,
+      message: `Role updated to ${role}`,
+      user: adminUserResponse(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a user and end all their sessions (body: { reason })
+// @access  Admin
+router.post('/users/:id/suspend', authMiddleware, requirePermission('users:manage'), validate(schemas.suspend), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (isSelf(req, user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot suspend your own account'
+      });
+    }
+
+    if (!user.suspendedAt) {
+      user.suspendedAt = new Date();
+    }
+    user.suspendedReason = req.body.reason || undefined;
+    await user.save();
+
+    const revoked = await sessions.revokeAllSessions(user._id, 'suspended');
+
+    logger.info('User suspended', { actorId: req.userId, targetId: String(user._id), revokedSessions: revoked });
+
+    res.json({
+      success: true,
+      message: 'User suspended',
+      revokedSessions: revoked,
+      user: adminUserResponse(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/users/:id/unsuspend
+// @desc    Lift a suspension; the user can log in again
+// @access  Admin
+router.post('/users/:id/unsuspend', authMiddleware, requirePermission('users:manage'), validate(schemas.user), async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Suspension lifted',
+      user: adminUserResponse(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/config
+// @desc    Runtime configuration summary (no secrets)
+// @access  Admin
+router.get('/config', authMiddleware, requirePermission('config:read'), (req, res) => {
+  res.json({
+    success: true,
+    config: configSummary()
+  });
+});
+
+module.exports = router;
\ No newline at end of file
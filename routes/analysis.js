@@ -2,8 +2,20 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const axios = require('axios');
-const FormData = require('form-data');
+const inference = require('../services/inference');
+const authMiddleware = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/verified');
+const sanitizeUpload = require('../middleware/imageUpload');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/predict');
+const { isImageError } = require('../services/imageProcessing');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Same allowance for unverified accounts as /api/predict
+const UNVERIFIED_FREE_PREDICTIONS = parseInt(process.env.UNVERIFIED_FREE_PREDICTIONS, 10) || 3;
+const verifiedOrTrial = requireVerifiedEmail({ freePredictions: UNVERIFIED_FREE_PREDICTIONS });
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -14,16 +26,17 @@ const upload = multer({
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed!'), false);
+      cb(new ApiError('UNSUPPORTED_IMAGE', 'Only image files are allowed'), false);
     }
   }
 });
 
 // POST /api/analysis/predict - Send image to ML model for analysis
-router.post('/predict', upload.single('image'), async (req, res) => {
+// Signed in, under the same email verification rule as /api/predict
+router.post('/predict', authMiddleware, verifiedOrTrial, upload.single('image'), validate(schemas.analysis), rateLimit('predict'), sanitizeUpload, async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ message: 'No image uploaded' });
+      return res.status(400).json({ success: false, message: 'No image uploaded' });
     }
 
     // Get additional form data
@@ -41,94 +54,113 @@ router.post('/predict', upload.single('image'), async (req, res) => {
       medications: req.body.medications || ''
     };
 
-    console.log('📊 Received analysis request:', {
-      filename: req.file.originalname,
-      size: req.file.size,
-      symptoms: formData.symptoms
-    });
+    logger.debug('Analysis request', { bytes: req.file.size });
 
-    // ML Model API URL (update this to your actual ML model endpoint)
-    const ML_MODEL_URL = process.env.ML_MODEL_URL || 'http://localhost:5001/predict';
+    if (!inference.isConfigured()) {
+      return res.status(500).json({ success: false, code: 'NOT_CONFIGURED', message: 'ML Model not configured' });
+    }
 
-    // Create FormData to send to ML model
-    const mlFormData = new FormData();
-    mlFormData.append('file', req.file.buffer, {
+    // Send image to ML model for prediction
+    const result = await inference.predict({
+      buffer: req.file.buffer,
       filename: req.file.originalname,
       contentType: req.file.mimetype
+    }, {
+      symptoms: formData.symptoms,
+      age: formData.age,
+      location: formData.location,
+      duration: formData.duration,
+      severity: formData.severity
     });
 
-    // Add additional data to ML request
-    mlFormData.append('symptoms', formData.symptoms);
-    mlFormData.append('age', formData.age);
-    mlFormData.append('location', formData.location);
-    mlFormData.append('duration', formData.duration);
-    mlFormData.append('severity', formData.severity);
+    logger.info('Analysis completed', { disease: result.disease, confidence: result.confidence });
 
-    // Send image to ML model for prediction
-    const mlResponse = await axios.post(ML_MODEL_URL, mlFormData, {
-      headers: {
-        ...mlFormData.getHeaders(),
-      },
-      timeout: 30000 // 30 second timeout
+    // Same fields as /api/predict, plus the names this route has always returned
+    const probabilities = {};
+    (result.allPredictions || []).forEach((p) => {
+      probabilities[p.disease] = p.confidence;
     });
 
-    console.log('✅ ML Model response received:', mlResponse.data);
-
-    // Convert image to base64 for frontend display
-    const imageBase64 = `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`;
-
-    // Return prediction results
     res.status(200).json({
-      predicted_disease: mlResponse.data.disease || mlResponse.data.predicted_class || 'Unknown',
-      confidence: mlResponse.data.confidence || 0,
-      image: imageBase64,
-      probabilities: mlResponse.data.probabilities || {},
-      recommendations: mlResponse.data.recommendations || []
+      success: true,
+      prediction: result.disease,
+      confidence: result.confidence,
+      allPredictions: result.allPredictions,
+      description: result.description,
+      recommendations: result.recommendations || [],
+      modelDetails: result.modelDetails,
+      predicted_disease: result.disease,
+      probabilities
     });
 
   } catch (error) {
-    console.error('❌ Analysis error:', error.message);
+    logger.warn('Analysis failed', { err: error });
+
+    if (isImageError(error)) {
+      return res.status(400).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    if (error.code === 'CIRCUIT_OPEN') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({
+        success: false,
+        code: 'UPSTREAM_UNAVAILABLE',
+        message: 'ML model service is temporarily unavailable. Please try again shortly.',
+        retryAfter: error.retryAfter
+      });
+    }
 
     // Check if ML model is not running
     if (error.code === 'ECONNREFUSED') {
-      return res.status(503).json({ 
-        message: 'ML model service is not available. Please ensure the model server is running.',
-        error: 'Model service unavailable'
+      return res.status(503).json({
+        success: false,
+        code: 'UPSTREAM_UNAVAILABLE',
+        message: 'ML model service is not available. Please ensure the model server is running.'
+      });
+    }
+
+    if (error.code === 'ML_ERROR' || error.code === 'ML_NO_PREDICTION' || error.code === 'ML_BAD_RESPONSE') {
+      return res.status(502).json({
+        success: false,
+        code: 'UPSTREAM_ERROR',
+        message: error.message
       });
     }
 
     // Check for timeout
-    if (error.code === 'ECONNABORTED') {
-      return res.status(504).json({ 
-        message: 'Analysis timed out. Please try again.',
-        error: 'Request timeout'
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      return res.status(504).json({
+        success: false,
+        code: 'UPSTREAM_TIMEOUT',
+        message: 'Analysis timed out. Please try again.'
       });
     }
 
-    res.status(500).json({ 
-      message: 'Error analyzing image',
-      error: error.message 
-    });
+    next(error);
   }
 });
 
 // GET /api/analysis/test - Test if ML model is accessible
 router.get('/test', async (req, res) => {
   try {
-    const ML_MODEL_URL = process.env.ML_MODEL_URL || 'http://localhost:5001';
-    
-    const response = await axios.get(`${ML_MODEL_URL}/health`, {
-      timeout: 5000
-    });
+    const modelStatus = await inference.health();
 
     res.status(200).json({
+      success: true,
       message: 'ML model is accessible',
-      modelStatus: response.data
+      provider: inference.describe().provider,
+      modelStatus
     });
   } catch (error) {
+    logger.warn('ML health check failed', { err: error });
     res.status(503).json({
-      message: 'ML model is not accessible',
-      error: error.message
+      success: false,
+      code: 'UPSTREAM_UNAVAILABLE',
+      message: 'ML model is not accessible'
     });
   }
 });
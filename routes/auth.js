@@ -1,33 +1,59 @@
 // routes/auth.js
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const sessions = require('../services/sessions');
+const authTokens = require('../services/authTokens');
+const mailer = require('../services/mailer');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const logger = require('../utils/logger');
 
-// @route   POST /api/auth/signup
-// @desc    Register new user (signup endpoint)
-// @access  Public
-router.post('/signup', async (req, res) => {
+// Links in emails point at the frontend, which calls the API with the token
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+function userResponse(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    age: user.age,
+    gender: user.gender,
+    phone: user.phone,
+    profilePicture: user.profilePicture,
+    emailVerified: user.emailVerified !== false,
+    role: user.role
+  };
+}
+
+async function sendVerificationEmail(user) {
+  const token = await authTokens.createToken(user._id, 'email_verification');
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+  await mailer.sendTemplate(
+    user.email,
+    'verifyEmail',
+    user,
+    link,
+    Math.round(authTokens.lifetimeMinutes('email_verification') / 60)
+  );
+}
+
+// Shared by /signup and /register
+async function register(req, res, next) {
   try {
     const { name, email, password, age, gender, phone } = req.body;
-    
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please provide name, email, and password' 
-      });
-    }
-    
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User already exists with this email' 
+      return res.status(400).json({
+        success: false,
+        code: 'EMAIL_TAKEN',
+        message: 'User already exists with this email'
       });
     }
-    
+
     // Create new user
     const user = new User({
       name,
@@ -35,169 +61,358 @@ router.post('/signup', async (req, res) => {
       password,
       age,
       gender,
-      phone
+      phone,
+      emailVerified: false
     });
-    
+
     await user.save();
-    
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret-key-please-change-in-production',
-      { expiresIn: '7d' }
-    );
-    
+
+    // Signup still succeeds if the mail can't be sent; the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('Could not send verification email', { userId: String(user._id), err: mailError });
+    }
+
+    const tokens = await sessions.createSession(user, req);
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        age: user.age,
-        gender: user.gender,
-        phone: user.phone
-      }
+      ...tokens,
+      user: userResponse(user)
     });
   } catch (error) {
-    console.error('Signup error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during registration',
-      error: error.message 
-    });
+    next(error);
   }
-});
+}
+
+// @route   POST /api/auth/signup
+// @desc    Register new user (signup endpoint)
+// @access  Public
+router.post('/signup', validate(schemas.register), register);
 
 // @route   POST /api/auth/register
 // @desc    Register new user (register endpoint - same as signup)
 // @access  Public
-router.post('/register', async (req, res) => {
+router.post('/register', validate(schemas.register), register);
+
+// @route   POST /api/auth/login
+// @desc    Login user
+// @access  Public
+router.post('/login', validate(schemas.login), async (req, res, next) => {
   try {
-    const { name, email, password, age, gender, phone } = req.body;
-    
-    // Validation
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please provide name, email, and password' 
+    const { email, password } = req.body;
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_CREDENTIALS',
+        message: 'Invalid email or password'
       });
     }
-    
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'User already exists with this email' 
+
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_CREDENTIALS',
+        message: 'Invalid email or password'
       });
     }
-    
-    // Create new user
-    const user = new User({
-      name,
-      email,
-      password,
-      age,
-      gender,
-      phone
-    });
-    
-    await user.save();
-    
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret-key-please-change-in-production',
-      { expiresIn: '7d' }
-    );
-    
-    res.status(201).json({
+
+    if (user.suspendedAt) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_SUSPENDED',
+        message: 'Account suspended'
+      });
+    }
+
+    const tokens = await sessions.createSession(user, req);
+
+    res.json({
       success: true,
-      message: 'User registered successfully',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        age: user.age,
-        gender: user.gender,
-        phone: user.phone
+      message: 'Login successful',
+      ...tokens,
+      user: userResponse(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', validate(schemas.forgotPassword), async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Same answer whether or not the account exists
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      // A failure is only logged: an error here would reveal that the
+      // account exists
+      try {
+        const token = await authTokens.createToken(user._id, 'password_reset');
+        const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+        await mailer.sendTemplate(
+          user.email,
+          'passwordReset',
+          user,
+          link,
+          authTokens.lifetimeMinutes('password_reset')
+        );
+      } catch (mailError) {
+        logger.error('Could not send password reset email', { userId: String(user._id), err: mailError });
       }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
     });
   } catch (error) {
-    console.error('Register error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during registration',
-      error: error.message 
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token; ends all sessions
+// @access  Public (reset token in body)
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await authTokens.consumeToken(token, 'password_reset');
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(resetToken.userId);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    // Receiving the reset email proves the address works
+    if (user.emailVerified === false) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await sessions.revokeAllSessions(user._id, 'password reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in again.'
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Login user
-// @access  Public
-router.post('/login', async (req, res) => {
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from the verification email
+// @access  Public (verification token in body)
+router.post('/verify-email', validate(schemas.verifyEmail), async (req, res, next) => {
   try {
-    const { email, password } = req.body;
-    
-    // Validation
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please provide email and password' 
+    const verifyToken = await authTokens.consumeToken(req.body.token, 'email_verification');
+
+    if (!verifyToken) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Verification link is invalid or has expired'
       });
     }
-    
-    // Find user
-    const user = await User.findOne({ email });
+
+    const user = await User.findByIdAndUpdate(
+      verifyToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
     if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid email or password' 
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Verification link is invalid or has expired'
       });
     }
-    
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Invalid email or password' 
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      user: userResponse(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
       });
     }
-    
-    // Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback-secret-key-please-change-in-production',
-      { expiresIn: '7d' }
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (refresh token in body)
+router.post('/refresh', validate(schemas.refresh), async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { user, ...tokens } = await sessions.rotateSession(
+      refreshToken,
+      req,
+      (userId) => User.findOne({ _id: userId, suspendedAt: null })
     );
-    
+
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        age: user.age,
-        gender: user.gender,
-        phone: user.phone,
-        profilePicture: user.profilePicture
-      }
+      message: 'Token refreshed',
+      ...tokens,
+      user: userResponse(user)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return res.status(401).json({
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: error.message
+      });
+    }
+
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', authMiddleware, async (req, res, next) => {
+  try {
+    await sessions.revokeSession(req.sessionId, 'logout', req.userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error during login',
-      error: error.message 
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user (pass keepCurrent: true
+//          to stay logged in on this device)
+// @access  Private
+router.post('/logout-all', authMiddleware, validate(schemas.logoutAll), async (req, res, next) => {
+  try {
+    const keepCurrent = req.body.keepCurrent === true;
+    const count = await sessions.revokeAllSessions(
+      req.userId,
+      'logout-all',
+      keepCurrent ? req.sessionId : null
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      revoked: count
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', authMiddleware, async (req, res, next) => {
+  try {
+    const list = await sessions.listSessions(req.userId);
+
+    res.json({
+      success: true,
+      count: list.length,
+      sessions: list.map((session) => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', authMiddleware, validate(schemas.revokeSession), async (req, res, next) => {
+  try {
+    const revoked = await sessions.revokeSession(req.params.id, 'revoked by user', req.userId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
-module.exports = router;
+module.exports = router;
\ No newline at end of file
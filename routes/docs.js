@@ -0,0 +1,48 @@
+// routes/docs.js
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-dist');
+const { getDocument } = require('../openapi');
+
+// Swagger UI's files from the installed package: the version is pinned in
+// package.json and the docs page loads nothing from third-party hosts
+const SWAGGER_UI = '/api/docs/assets';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>DermaDetect API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>
+`;
+
+// @route   GET /api/openapi.json
+// @desc    OpenAPI 3.1 description of the API
+// @access  Public
+router.get('/openapi.json', (req, res) => {
+  res.json(getDocument());
+});
+
+// @route   GET /api/docs/assets/*
+// @desc    Swagger UI scripts and styles
+// @access  Public
+router.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+// @route   GET /api/docs
+// @desc    Interactive API docs (Swagger UI)
+// @access  Public
+router.get('/docs', (req, res) => {
+  res.type('html').send(DOCS_PAGE);
+});
+
+module.exports = router;
\ No newline at end of file
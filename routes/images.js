@@ -0,0 +1,75 @@
+// routes/images.js
+const express = require('express');
+const router = express.Router();
+const Image = require('../models/Image');
+const User = require('../models/User');
+const Prediction = require('../models/Prediction');
+const authMiddleware = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/images');
+const storage = require('../services/storage');
+const { hasPermission } = require('../constants/roles');
+const logger = require('../utils/logger');
+
+// Reviewers may see images of cases waiting in the queue and of cases they
+// have claimed; not of cases claimed by someone else or already completed
+async function canReview(req, image) {
+  if (image.kind !== 'prediction') return false;
+
+  const user = await User.findById(req.userId).select('role');
+  if (!user || !hasPermission(user.role, 'reviews:work')) return false;
+
+  return !!(await Prediction.exists({
+    image: image._id.toString(),
+    $or: [
+      { 'review.status': 'pending' },
+      { 'review.status': 'claimed', 'review.claimedBy': req.userId }
+    ]
+  }));
+}
+
+// @route   GET /api/images/:id
+// @desc    Stream a stored image back to its owner
+// @access  Private (owner, or a reviewer for pending or own claimed cases)
+router.get('/:id', authMiddleware, validate(schemas.image), async (req, res, next) => {
+  try {
+    const image = await Image.findById(req.params.id);
+
+    // Same response for "missing" and "not yours" so ids can't be probed
+    const allowed = image && (image.userId.toString() === String(req.userId) || await canReview(req, image));
+    if (!allowed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const stream = await storage.openImage(image);
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': 'private, max-age=86400',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    if (image.size) {
+      res.set('Content-Length', String(image.size));
+    }
+
+    stream.on('error', (err) => {
+      logger.error('Image stream failed', { imageId: String(image._id), err });
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        success: false,
+        message: 'Image file missing from storage'
+      });
+    }
+
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
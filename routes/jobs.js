@@ -0,0 +1,226 @@
+// routes/jobs.js
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Job = require('../models/Job');
+const authMiddleware = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/verified');
+const sanitizeUpload = require('../middleware/imageUpload');
+const rateLimit = require('../middleware/rateLimit');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/jobs');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const storage = require('../services/storage');
+const jobs = require('../services/jobs');
+const lesions = require('../services/lesions');
+const { openEventStream } = require('../utils/sse');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new ApiError('UNSUPPORTED_IMAGE', 'Only image files are allowed'), false);
+    }
+  }
+});
+
+// Other instances may be running the job, so the stream also polls Mongo
+const STREAM_POLL_INTERVAL = 2000;
+
+function accepted(res, job) {
+  return res.status(202).json({
+    success: true,
+    message: 'Job queued',
+    jobId: job._id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job._id}`,
+    eventsUrl: `/api/jobs/${job._id}/events`
+  });
+}
+
+// @route   POST /api/jobs/predict
+// @desc    Queue a prediction (same multipart fields as POST /api/predict)
+// @access  Private
+router.post('/predict', authMiddleware, requireVerifiedEmail(), upload.single('image'), validate(schemas.predict), rateLimit('predict'), sanitizeUpload, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image uploaded'
+      });
+    }
+
+    if (req.body.lesionId && !(await lesions.findForUser(req.body.lesionId, req.userId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lesion not found'
+      });
+    }
+
+    const image = await storage.saveImage(req.userId, req.file, 'prediction');
+    const job = await jobs.submit('prediction', req.userId, {
+      symptoms: req.body.symptoms,
+      duration: req.body.duration,
+      severity: req.body.severity,
+      lesionId: req.body.lesionId
+    }, image._id);
+
+    accepted(res, job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/jobs/advice
+// @desc    Queue LLM advice (same body as POST /api/llm/advice)
+// @access  Private
+router.post('/advice', authMiddleware, requireVerifiedEmail(), validate(schemas.advice), rateLimit('advice'), async (req, res, next) => {
+  try {
+    const { disease, symptoms, severity, duration, predictionId, confidence } = req.body;
+
+    const job = await jobs.submit('advice', req.userId, {
+      disease, symptoms, severity, duration, predictionId, confidence
+    });
+
+    accepted(res, job);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/jobs
+// @desc    List the caller's recent jobs
+// @access  Private
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const list = await Job.find({ userId: req.userId })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      count: list.length,
+      jobs: list.map(jobs.toPublic)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/jobs/:id
+// @desc    Poll a job's status, progress and result
+// @access  Private (owner only)
+router.get('/:id', authMiddleware, validate(schemas.job), async (req, res, next) => {
+  try {
+    const job = await jobs.findForUser(req.params.id, req.userId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobs.toPublic(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/jobs/:id/events
+// @desc    Server-sent events: "progress" on every change, then "done"
+// @access  Private (owner only)
+router.get('/:id/events', authMiddleware, validate(schemas.job), async (req, res, next) => {
+  try {
+    const job = await jobs.findForUser(req.params.id, req.userId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const id = String(job._id);
+    let lastUpdate = 0;
+    let poll = null;
+
+    const onUpdate = (snapshot) => {
+      const updatedAt = new Date(snapshot.updatedAt).getTime();
+      if (updatedAt < lastUpdate) return;
+      lastUpdate = updatedAt;
+
+      if (jobs.isTerminal(snapshot.status)) {
+        stream.send('done', snapshot);
+        stream.close();
+      } else {
+        stream.send('progress', snapshot);
+      }
+    };
+
+    const stream = openEventStream(req, res, () => {
+      jobs.events.removeListener(id, onUpdate);
+      clearInterval(poll);
+    });
+
+    jobs.events.on(id, onUpdate);
+
+    // Started before the first snapshot: a finished job closes the stream
+    // right away, and the close handler must find the poll to stop it
+    poll = setInterval(async () => {
+      try {
+        const current = await Job.findById(id);
+        if (current && current.updatedAt.getTime() > lastUpdate) {
+          onUpdate(jobs.toPublic(current));
+        }
+      } catch (err) {
+        logger.error('Job stream poll failed', { jobId: id, err });
+      }
+    }, STREAM_POLL_INTERVAL);
+
+    onUpdate(jobs.toPublic(job));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/jobs/:id/cancel
+// @desc    Cancel a queued or running job
+// @access  Private (owner only)
+router.post('/:id/cancel', authMiddleware, validate(schemas.job), async (req, res, next) => {
+  try {
+    const job = await jobs.cancel(req.params.id, req.userId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (jobs.isTerminal(job.status) && job.status !== 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: `Job already ${job.status}`,
+        job: jobs.toPublic(job)
+      });
+    }
+
+    res.json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested',
+      job: jobs.toPublic(job)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,194 @@
+// routes/lesions.js
+const express = require('express');
+const router = express.Router();
+const Lesion = require('../models/Lesion');
+const authMiddleware = require('../middleware/auth');
+const lesions = require('../services/lesions');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/lesions');
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Lesion not found'
+  });
+}
+
+// @route   GET /api/lesions
+// @desc    List the user's lesions with prediction counts
+// @access  Private
+router.get('/', authMiddleware, async (req, res, next) => {
+  try {
+    const list = await Lesion.find({ userId: req.userId }).sort({ createdAt: -1 });
+    const stats = await lesions.summaries(list.map((l) => l._id));
+
+    res.json({
+      success: true,
+      count: list.length,
+      lesions: list.map((lesion) => lesions.toPublic(
+        lesion,
+        stats[String(lesion._id)] || { count: 0, lastAt: null, latestDisease: null }
+      ))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/lesions
+// @desc    Start tracking a lesion (body: { name, bodyLocation, notes? })
+// @access  Private
+router.post('/', authMiddleware, validate(schemas.create), async (req, res, next) => {
+  try {
+    const body = req.body;
+
+    const lesion = await Lesion.create({
+      userId: req.userId,
+      name: body.name,
+      bodyLocation: body.bodyLocation,
+      notes: body.notes
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Lesion created',
+      lesion: lesions.toPublic(lesion)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/lesions/:id
+// @desc    Get one lesion
+// @access  Private (owner only)
+router.get('/:id', authMiddleware, validate(schemas.lesion), async (req, res, next) => {
+  try {
+    const lesion = await lesions.findForUser(req.params.id, req.userId);
+    if (!lesion) return notFound(res);
+
+    const stats = await lesions.summaries([lesion._id]);
+
+    res.json({
+      success: true,
+      lesion: lesions.toPublic(lesion, stats[String(lesion._id)] || { count: 0, lastAt: null, latestDisease: null })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/lesions/:id
+// @desc    Rename a lesion or change its location/notes
+// @access  Private (owner only)
+router.put('/:id', authMiddleware, validate(schemas.update), async (req, res, next) => {
+  try {
+    const body = req.body;
+
+    const lesion = await lesions.findForUser(req.params.id, req.userId);
+    if (!lesion) return notFound(res);
+
+    if (body.name !== undefined) lesion.name = body.name;
+    if (body.bodyLocation !== undefined) lesion.bodyLocation = body.bodyLocation;
+    if (body.notes !== undefined) lesion.notes = body.notes;
+    await lesion.save();
+
+    res.json({
+      success: true,
+      message: 'Lesion updated',
+      lesion: lesions.toPublic(lesion)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/lesions/:id
+// @desc    Stop tracking a lesion; its predictions stay in the history
+// @access  Private (owner only)
+router.delete('/:id', authMiddleware, validate(schemas.lesion), async (req, res, next) => {
+  try {
+    const lesion = await lesions.findForUser(req.params.id, req.userId);
+    if (!lesion) return notFound(res);
+
+    await lesions.deleteLesion(lesion);
+
+    res.json({
+      success: true,
+      message: 'Lesion deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/lesions/:id/timeline
+// @desc    Class, confidence and severity over time, with flagged changes
+// @access  Private (owner only)
+router.get('/:id/timeline', authMiddleware, validate(schemas.lesion), async (req, res, next) => {
+  try {
+    const lesion = await lesions.findForUser(req.params.id, req.userId);
+    if (!lesion) return notFound(res);
+
+    res.json({
+      success: true,
+      ...(await lesions.timeline(lesion))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/lesions/:id/predictions/:predictionId
+// @desc    Attach an existing prediction to the lesion
+// @access  Private (owner only)
+router.put('/:id/predictions/:predictionId', authMiddleware, validate(schemas.lesionPrediction), async (req, res, next) => {
+  try {
+    const lesion = await lesions.findForUser(req.params.id, req.userId);
+    if (!lesion) return notFound(res);
+
+    const prediction = await lesions.attachPrediction(req.params.predictionId, lesion, req.userId);
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prediction attached to lesion',
+      predictionId: prediction._id,
+      lesionId: lesion._id
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/lesions/:id/predictions/:predictionId
+// @desc    Detach a prediction from the lesion
+// @access  Private (owner only)
+router.delete('/:id/predictions/:predictionId', authMiddleware, validate(schemas.lesionPrediction), async (req, res, next) => {
+  try {
+    const lesion = await lesions.findForUser(req.params.id, req.userId);
+    if (!lesion) return notFound(res);
+
+    const prediction = await lesions.detachPrediction(req.params.predictionId, lesion, req.userId);
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Prediction detached from lesion'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
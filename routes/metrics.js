@@ -0,0 +1,29 @@
+// routes/metrics.js
+const express = require('express');
+const router = express.Router();
+const metrics = require('../services/metrics');
+
+// Set METRICS_TOKEN to make scrapers send "Authorization: Bearer <token>"
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// @route   GET /metrics
+// @desc    Prometheus metrics in text format
+// @access  Public, or bearer METRICS_TOKEN when set
+router.get('/', async (req, res, next) => {
+  try {
+    if (METRICS_TOKEN && req.get('Authorization') !== `Bearer ${METRICS_TOKEN}`) {
+      return res.status(401).json({
+        success: false,
+        code: 'UNAUTHORIZED',
+        message: 'Metrics token required'
+      });
+    }
+
+    res.set('Content-Type', metrics.contentType());
+    res.send(await metrics.metricsText());
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,94 +1,575 @@
 // backend/routes/performance.js
 const express = require('express');
 const router = express.Router();
+const Prediction = require('../models/Prediction');
+const ModelVersion = require('../models/ModelVersion');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/performance');
+const modelVersions = require('../services/modelVersions');
+const feedback = require('../services/feedback');
+const { VALID_DISEASES, normalizeDiseaseName } = require('../constants/diseases');
 
-// This would typically come from your ML model evaluation
-// You should run this after training your model
-const modelMetrics = {
-  accuracy: 94.5,
-  precision: 92.8,
-  recall: 91.3,
-  f1Score: 92.0,
-  confusionMatrix: {
-    truePositive: 450,
-    trueNegative: 420,
-    falsePositive: 35,
-    falseNegative: 45
-  },
-  classPerformance: [
-    { name: 'Acne', accuracy: 95.2, precision: 94.1, recall: 93.8, f1: 93.9, count: 120 },
-    { name: 'Eczema', accuracy: 93.8, precision: 92.5, recall: 91.9, f1: 92.2, count: 98 },
-    { name: 'Melanoma', accuracy: 96.1, precision: 95.8, recall: 95.5, f1: 95.6, count: 85 },
-    { name: 'Psoriasis', accuracy: 92.5, precision: 91.2, recall: 90.8, f1: 91.0, count: 110 },
-    { name: 'Rosacea', accuracy: 91.8, precision: 90.5, recall: 90.1, f1: 90.3, count: 75 }
-  ],
-  trainingHistory: {
-    epochs: 50,
-    trainingAccuracy: [0.65, 0.72, 0.78, 0.83, 0.87, 0.90, 0.92, 0.94, 0.945, 0.95],
-    validationAccuracy: [0.63, 0.70, 0.75, 0.80, 0.85, 0.88, 0.90, 0.92, 0.925, 0.93],
-    trainingLoss: [0.85, 0.72, 0.58, 0.45, 0.35, 0.28, 0.22, 0.18, 0.15, 0.12],
-    validationLoss: [0.88, 0.75, 0.62, 0.50, 0.40, 0.33, 0.28, 0.24, 0.21, 0.19]
-  },
-  datasetInfo: {
-    totalSamples: 950,
-    trainingSamples: 760,
-    validationSamples: 95,
-    testSamples: 95,
-    classes: 5,
-    imageSize: '224x224',
-    augmentation: true
-  },
-  lastUpdated: new Date().toISOString()
-};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const HISTOGRAM_BUCKETS = 10;
+const RECENT_LIMIT = 10;
+// live-stats is public and its $facet scans the whole collection, so each
+// date range is computed at most once per LIVE_STATS_CACHE_MS
+const LIVE_STATS_CACHE_MS = 30 * 1000;
+const LIVE_STATS_CACHE_SIZE = 100;
+
+const OVERALL_METRICS = ['accuracy', 'precision', 'recall', 'f1Score'];
+const CLASS_METRICS = ['accuracy', 'precision', 'recall', 'f1'];
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function average(values) {
+  const present = values.filter((v) => typeof v === 'number');
+  if (present.length === 0) return undefined;
+  return round(present.reduce((sum, v) => sum + v, 0) / present.length);
+}
+
+// Checks the schema can't express; returns an error message, or null when
+// the evaluation report is usable
+function validateReport(report) {
+  const classes = report.classPerformance || [];
+  for (const cls of classes) {
+    if (!VALID_DISEASES.includes(normalizeDiseaseName(cls.name))) {
+      return `Unknown class "${cls.name}". Expected one of: ${VALID_DISEASES.join(', ')}`;
+    }
+  }
+
+  const cm = report.confusionMatrix;
+  if (cm) {
+    const size = cm.labels.length;
+    const square = cm.matrix.length === size && cm.matrix.every((row) => row.length === size);
+    if (!square) {
+      return 'confusionMatrix.matrix must be a square matrix of counts matching labels';
+    }
+  }
+
+  return null;
+}
+
+// Fill in overall figures the report left out: accuracy from the confusion
+// matrix, precision/recall/F1 as macro averages over the classes
+function deriveOverallMetrics(report) {
+  const cm = report.confusionMatrix;
+  if (report.accuracy === undefined && cm && cm.matrix.length > 0) {
+    let correct = 0;
+    let total = 0;
+    cm.matrix.forEach((row, i) => {
+      row.forEach((n, j) => {
+        total += n;
+        if (i === j) correct += n;
+      });
+    });
+    if (total > 0) report.accuracy = round((correct / total) * 100);
+  }
+
+  const classes = report.classPerformance || [];
+  if (report.precision === undefined) report.precision = average(classes.map((c) => c.precision));
+  if (report.recall === undefined) report.recall = average(classes.map((c) => c.recall));
+  if (report.f1Score === undefined) report.f1Score = average(classes.map((c) => c.f1));
+
+  return report;
+}
+
+// Same shape the static modelMetrics object used to have
+function formatMetrics(model) {
+  return {
+    version: model.version,
+    description: model.description,
+    accuracy: model.accuracy,
+    precision: model.precision,
+    recall: model.recall,
+    f1Score: model.f1Score,
+    confusionMatrix: model.confusionMatrix,
+    classPerformance: model.classPerformance,
+    trainingHistory: model.trainingHistory,
+    datasetInfo: model.datasetInfo,
+    evaluatedAt: model.evaluatedAt,
+    lastUpdated: model.updatedAt
+  };
+}
+
+function delta(base, target) {
+  const hasBoth = typeof base === 'number' && typeof target === 'number';
+  return {
+    base: base === undefined ? null : base,
+    target: target === undefined ? null : target,
+    delta: hasBoth ? round(target - base) : null
+  };
+}
+
+function compareVersions(base, target) {
+  const overall = {};
+  OVERALL_METRICS.forEach((metric) => {
+    overall[metric] = delta(base[metric], target[metric]);
+  });
+
+  const baseClasses = {};
+  const targetClasses = {};
+  base.classPerformance.forEach((c) => { baseClasses[normalizeDiseaseName(c.name)] = c; });
+  target.classPerformance.forEach((c) => { targetClasses[normalizeDiseaseName(c.name)] = c; });
+
+  const names = Array.from(new Set(Object.keys(baseClasses).concat(Object.keys(targetClasses))));
+  const classPerformance = names.map((name) => {
+    const entry = { name };
+    CLASS_METRICS.forEach((metric) => {
+      entry[metric] = delta(
+        baseClasses[name] && baseClasses[name][metric],
+        targetClasses[name] && targetClasses[name][metric]
+      );
+    });
+    return entry;
+  });
+
+  // Cell-by-cell difference only makes sense when both use the same labels
+  let confusionMatrix = null;
+  const baseCm = base.confusionMatrix;
+  const targetCm = target.confusionMatrix;
+  if (baseCm && targetCm && baseCm.labels.length > 0 &&
+      baseCm.labels.join('|') === targetCm.labels.join('|')) {
+    confusionMatrix = {
+      labels: targetCm.labels,
+      matrix: targetCm.matrix.map((row, i) => row.map((n, j) => n - baseCm.matrix[i][j]))
+    };
+  }
+
+  return {
+    base: base.version,
+    target: target.version,
+    overall,
+    classPerformance,
+    confusionMatrix,
+    datasetInfo: {
+      totalSamples: delta(base.datasetInfo && base.datasetInfo.totalSamples,
+        target.datasetInfo && target.datasetInfo.totalSamples)
+    }
+  };
+}
+
+async function activateVersion(version) {
+  const model = await ModelVersion.findOne({ version });
+  if (!model) return null;
+
+  await ModelVersion.updateMany({ isActive: true, _id: { $ne: model._id } }, { isActive: false });
+  model.isActive = true;
+  await model.save();
+  modelVersions.invalidate();
+  return model;
+}
 
 // @route   GET /api/performance/metrics
-// @desc    Get model performance metrics
+// @desc    Get performance metrics of the active model version
 // @access  Public (or you can add auth middleware)
-router.get('/metrics', async (req, res) => {
+router.get('/metrics', async (req, res, next) => {
+  try {
+    const model = await ModelVersion.findOne({ isActive: true });
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active model version has been registered'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatMetrics(model)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/performance/models
+// @desc    List registered model versions
+// @access  Public
+router.get('/models', async (req, res, next) => {
+  try {
+    const models = await ModelVersion.find()
+      .select('version description isActive accuracy precision recall f1Score evaluatedAt createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: models.length,
+      data: models
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/performance/models
+// @desc    Upload an evaluation report as a new model version
+//          (set "activate": true to make it the active version immediately)
+// @access  Admin
+router.post('/models', authMiddleware, requirePermission('models:manage'), validate(schemas.registerModel), async (req, res, next) => {
+  try {
+    const report = { ...req.body };
+    const validationError = validateReport(report);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const existing = await ModelVersion.findOne({ version: report.version });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Model version already exists'
+      });
+    }
+
+    deriveOverallMetrics(report);
+    const activate = report.activate === true;
+    delete report.activate;
+    delete report.isActive;
+    report.uploadedBy = report.uploadedBy || req.user.email;
+
+    let model = await ModelVersion.create(report);
+    if (activate) {
+      model = await activateVersion(model.version);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Model version registered',
+      data: formatMetrics(model),
+      isActive: model.isActive
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/performance/models/:version/activate
+// @desc    Make a registered version the one served by /metrics
+// @access  Admin
+router.put('/models/:version/activate', authMiddleware, requirePermission('models:manage'), validate(schemas.modelVersion), async (req, res, next) => {
+  try {
+    const model = await activateVersion(req.params.version);
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Model version ${model.version} is now active`,
+      data: formatMetrics(model)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/performance/models/:version
+// @desc    Get the full evaluation report of one version
+// @access  Public
+router.get('/models/:version', validate(schemas.modelVersion), async (req, res, next) => {
   try {
+    const model = await ModelVersion.findOne({ version: req.params.version });
+
+    if (!model) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: modelMetrics
+      data: formatMetrics(model),
+      isActive: model.isActive
     });
   } catch (error) {
-    console.error('Error fetching metrics:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch performance metrics',
-      error: error.message
+    next(error);
+  }
+});
+
+// @route   GET /api/performance/compare?base=<version>&target=<version>
+// @desc    Metric deltas (target - base); target defaults to the active version
+// @access  Public
+router.get('/compare', validate(schemas.compare), async (req, res, next) => {
+  try {
+    const { base, target } = req.query;
+
+    const [baseModel, targetModel] = await Promise.all([
+      ModelVersion.findOne({ version: base }),
+      target ? ModelVersion.findOne({ version: target }) : ModelVersion.findOne({ isActive: true })
+    ]);
+
+    if (!baseModel || !targetModel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model version not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: compareVersions(baseModel, targetModel)
     });
+  } catch (error) {
+    next(error);
   }
 });
 
+function startOfUTCDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive, UTC). Defaults to the last 30 days.
+function parseDateRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(startOfUTCDay(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+
+  const start = startOfUTCDay(from);
+  const end = new Date(startOfUTCDay(to).getTime() + DAY_MS);
+
+  if (start >= end) {
+    return { error: 'from must be before to' };
+  }
+  if ((end - start) / DAY_MS > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { start, end };
+}
+
+function histogramBoundaries() {
+  const boundaries = [];
+  for (let i = 0; i < HISTOGRAM_BUCKETS; i++) {
+    boundaries.push(i / HISTOGRAM_BUCKETS);
+  }
+  // Upper bound is exclusive in $bucket, so nudge it past 1.0
+  boundaries.push(1.000001);
+  return boundaries;
+}
+
+// Turn the sparse $bucket output into a fixed list of ranges
+function fillHistogram(buckets) {
+  const counts = {};
+  buckets.forEach((b) => { counts[b._id] = b.count; });
+
+  return histogramBoundaries().slice(0, HISTOGRAM_BUCKETS).map((min, i) => ({
+    min,
+    max: (i + 1) / HISTOGRAM_BUCKETS,
+    count: counts[min] || 0
+  }));
+}
+
+// One entry per day in the range, including days with no predictions
+function fillTimeSeries(days, start, end) {
+  const byDate = {};
+  days.forEach((d) => { byDate[d._id] = d; });
+
+  const series = [];
+  for (let t = start.getTime(); t < end.getTime(); t += DAY_MS) {
+    const date = new Date(t).toISOString().slice(0, 10);
+    const day = byDate[date];
+    series.push({
+      date,
+      count: day ? day.count : 0,
+      accepted: day ? day.accepted : 0,
+      averageConfidence: day ? day.averageConfidence : null
+    });
+  }
+  return series;
+}
+
+// @route   GET /api/performance/observed
+// @desc    Real-world precision/recall and confusion matrix from user feedback
+//          and dermatologist reviews
+// @query   from, to - prediction dates (default: last 30 days)
+//          modelVersion - only predictions made by this version
+//          source=clinician - only dermatologist-reviewed predictions
+// @access  Public
+router.get('/observed', validate(schemas.observed), async (req, res, next) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
+
+    const { modelVersion, source } = req.query;
+
+    const observed = await feedback.observedPerformance({
+      start: range.start,
+      end: range.end,
+      modelVersion,
+      source
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: range.start.toISOString(),
+        to: new Date(range.end.getTime() - 1).toISOString(),
+        modelVersion: modelVersion || null,
+        source: source || 'all',
+        ...observed
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Statistics for GET /live-stats; range from parseDateRange
+async function computeLiveStats(range) {
+  const todayStart = startOfUTCDay(new Date());
+  const accepted = { status: 'accepted' };
+
+  const [stats] = await Prediction.aggregate([
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              today: { $sum: { $cond: [{ $gte: ['$createdAt', todayStart] }, 1, 0] } },
+              averageConfidence: { $avg: '$confidence' }
+            }
+          }
+        ],
+        byStatus: [
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ],
+        byDisease: [
+          { $match: accepted },
+          { $group: { _id: { $toLower: '$disease' }, count: { $sum: 1 }, averageConfidence: { $avg: '$confidence' } } },
+          { $sort: { count: -1 } }
+        ],
+        bySeverity: [
+          { $match: accepted },
+          { $group: { _id: '$severity', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ],
+        confidenceHistogram: [
+          {
+            $bucket: {
+              groupBy: '$confidence',
+              boundaries: histogramBoundaries(),
+              default: 'other',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        timeSeries: [
+          { $match: { createdAt: { $gte: range.start, $lt: range.end } } },
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+              count: { $sum: 1 },
+              accepted: { $sum: { $cond: [{ $eq: ['$status', 'accepted'] }, 1, 0] } },
+              averageConfidence: { $avg: '$confidence' }
+            }
+          }
+        ],
+        // No userId, image or free-text inputs: this endpoint is public
+        recentPredictions: [
+          { $match: accepted },
+          { $sort: { createdAt: -1 } },
+          { $limit: RECENT_LIMIT },
+          { $project: { _id: 0, disease: 1, confidence: 1, severity: 1, timestamp: '$createdAt' } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = stats.totals[0] || { total: 0, today: 0, averageConfidence: null };
+  const byStatus = { accepted: 0, belowThreshold: 0, invalidClass: 0 };
+  stats.byStatus.forEach((s) => {
+    byStatus[s._id || 'accepted'] = (byStatus[s._id || 'accepted'] || 0) + s.count;
+  });
+
+  return {
+    totalPredictions: totals.total,
+    todayPredictions: totals.today,
+    averageConfidence: totals.averageConfidence,
+    mostCommonDisease: stats.byDisease.length > 0 ? stats.byDisease[0]._id : null,
+    byStatus,
+    byDisease: stats.byDisease.map((d) => ({
+      disease: d._id,
+      count: d.count,
+      averageConfidence: d.averageConfidence
+    })),
+    bySeverity: stats.bySeverity.map((s) => ({ severity: s._id || 'unknown', count: s.count })),
+    confidenceHistogram: fillHistogram(stats.confidenceHistogram),
+    timeSeries: {
+      from: range.start.toISOString(),
+      to: new Date(range.end.getTime() - 1).toISOString(),
+      days: fillTimeSeries(stats.timeSeries, range.start, range.end)
+    },
+    recentPredictions: stats.recentPredictions
+  };
+}
+
+const liveStatsCache = new Map();
+
+async function cachedLiveStats(range) {
+  const key = `${range.start.getTime()}-${range.end.getTime()}`;
+  const hit = liveStatsCache.get(key);
+  if (hit && Date.now() - hit.at < LIVE_STATS_CACHE_MS) {
+    return hit.stats;
+  }
+
+  const stats = await computeLiveStats(range);
+  // Ranges come from the query string; don't let the map grow without bound
+  if (liveStatsCache.size >= LIVE_STATS_CACHE_SIZE) {
+    liveStatsCache.clear();
+  }
+  liveStatsCache.set(key, { stats, at: Date.now() });
+  return stats;
+}
+
 // @route   GET /api/performance/live-stats
 // @desc    Get live prediction statistics
+// @query   from, to - date range for the daily time series (default: last 30 days)
 // @access  Public
-router.get('/live-stats', async (req, res) => {
+router.get('/live-stats', validate(schemas.liveStats), async (req, res, next) => {
   try {
-    // This would come from your database
-    // Example: Count predictions by disease type
-    const liveStats = {
-      totalPredictions: 1250,
-      todayPredictions: 45,
-      averageConfidence: 0.89,
-      mostCommonDisease: 'Acne',
-      recentPredictions: [
-        { disease: 'Acne', confidence: 0.94, timestamp: new Date() },
-        { disease: 'Eczema', confidence: 0.88, timestamp: new Date() },
-        { disease: 'Psoriasis', confidence: 0.91, timestamp: new Date() }
-      ]
-    };
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error
+      });
+    }
 
     res.json({
       success: true,
-      data: liveStats
+      data: await cachedLiveStats(range)
     });
   } catch (error) {
-    console.error('Error fetching live stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch live statistics'
-    });
+    next(error);
   }
 });
 
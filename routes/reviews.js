@@ -0,0 +1,168 @@
+// routes/reviews.js
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roles');
+const reviews = require('../services/reviews');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/reviews');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Every route here is for dermatologists (and admins)
+router.use(authMiddleware, requirePermission('reviews:work'));
+
+function notFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Case not found or not claimable'
+  });
+}
+
+// @route   GET /api/reviews/queue
+// @desc    List cases. ?status=open (default) | claimed | completed,
+//          ?mine=true for your own claims/reviews, ?page= and ?limit=
+// @access  Dermatologist, Admin
+router.get('/queue', validate(schemas.queue), async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = Math.min(req.query.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    const { cases, total } = await reviews.listQueue({
+      status: req.query.status,
+      mine: req.query.mine === true,
+      reviewerId: req.user._id,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      count: cases.length,
+      cases: cases.map(reviews.caseView)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/reviews/claim-next
+// @desc    Claim the most urgent open case
+// @access  Dermatologist, Admin
+router.post('/claim-next', async (req, res, next) => {
+  try {
+    const prediction = await reviews.claimNext(req.user._id);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'The review queue is empty'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Case claimed',
+      case: reviews.caseView(prediction)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/reviews/:predictionId
+// @desc    Full case: image URL, patient inputs, model output and review
+// @access  Dermatologist, Admin
+router.get('/:predictionId', validate(schemas.reviewCase), async (req, res, next) => {
+  try {
+    const prediction = await reviews.findCase(req.params.predictionId);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      case: reviews.caseView(prediction)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/reviews/:predictionId/claim
+// @desc    Claim a specific case
+// @access  Dermatologist, Admin
+router.post('/:predictionId/claim', validate(schemas.reviewCase), async (req, res, next) => {
+  try {
+    const prediction = await reviews.claim(req.params.predictionId, req.user._id);
+
+    if (!prediction) {
+      return notFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Case claimed',
+      case: reviews.caseView(prediction)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/reviews/:predictionId/release
+// @desc    Give a claimed case back to the queue
+// @access  Dermatologist, Admin (claimant only)
+router.post('/:predictionId/release', validate(schemas.reviewCase), async (req, res, next) => {
+  try {
+    const prediction = await reviews.release(req.params.predictionId, req.user._id);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not claimed this case'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Case released'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/reviews/:predictionId/complete
+// @desc    Record the review (body: { diagnosis, urgency, notes })
+// @access  Dermatologist, Admin (claimant only)
+router.post('/:predictionId/complete', validate(schemas.complete), async (req, res, next) => {
+  try {
+    const prediction = await reviews.complete(req.params.predictionId, req.user._id, req.body);
+
+    if (!prediction) {
+      return res.status(409).json({
+        success: false,
+        message: 'You must hold the claim on this case to review it'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review saved',
+      case: reviews.caseView(prediction)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
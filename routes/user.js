@@ -1,14 +1,42 @@
 // routes/user.js - FIXED
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Prediction = require('../models/Prediction');
+const Image = require('../models/Image');
 const authMiddleware = require('../middleware/auth');
+const sanitizeUpload = require('../middleware/imageUpload');
+const validate = require('../middleware/validate');
+const schemas = require('../schemas/user');
+const { ApiError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const storage = require('../services/storage');
+const history = require('../services/history');
+const feedback = require('../services/feedback');
+const { buildPredictionReport } = require('../services/report');
+const accountData = require('../services/accountData');
+const audit = require('../services/audit');
+const rateLimits = require('../services/rateLimit');
+const { DEFAULT_ROLE } = require('../constants/roles');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new ApiError('UNSUPPORTED_IMAGE', 'Only image files are allowed'), false);
+    }
+  }
+});
 
 // @route   GET /api/user/profile
 // @desc    Get user profile
 // @access  Private
-router.get('/profile', authMiddleware, async (req, res) => {
+router.get('/profile', authMiddleware, async (req, res, next) => {
   try {
     // FIXED: Use req.user._id instead of req.userId
     const user = await User.findById(req.user._id).select('-password');
@@ -25,19 +53,14 @@ router.get('/profile', authMiddleware, async (req, res) => {
       user
     });
   } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error',
-      error: error.message 
-    });
+    next(error);
   }
 });
 
 // @route   PUT /api/user/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', authMiddleware, async (req, res) => {
+router.put('/profile', authMiddleware, validate(schemas.updateProfile), async (req, res, next) => {
   try {
     const { name, age, gender, phone, profilePicture } = req.body;
     
@@ -51,9 +74,17 @@ router.put('/profile', authMiddleware, async (req, res) => {
       });
     }
 
+    // Only pictures this user uploaded with POST /profile/picture
+    if (profilePicture && !(await Image.exists({ _id: profilePicture, userId: user._id }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'profilePicture must be an image you uploaded'
+      });
+    }
+
     // Update fields
     if (name) user.name = name;
-    if (age) user.age = age;
+    if (age !== undefined) user.age = age;
     if (gender) user.gender = gender;
     if (phone) user.phone = phone;
     if (profilePicture) user.profilePicture = profilePicture;
@@ -74,38 +105,329 @@ router.put('/profile', authMiddleware, async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error',
-      error: error.message 
+    next(error);
+  }
+});
+
+// @route   POST /api/user/profile/picture
+// @desc    Upload a profile picture (multipart field "image")
+// @access  Private
+router.post('/profile/picture', authMiddleware, upload.single('image'), sanitizeUpload, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image uploaded'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previous = user.profilePicture;
+    const image = await storage.saveImage(user._id, req.file, 'profile');
+
+    user.profilePicture = image._id.toString();
+    await user.save();
+
+    // Only clean up pictures we stored ourselves, not legacy URLs
+    if (previous && mongoose.Types.ObjectId.isValid(previous)) {
+      await storage.deleteImage(previous).catch((err) => {
+        logger.error('Could not delete old profile picture', { imageId: previous, err });
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile picture updated successfully',
+      profilePicture: user.profilePicture,
+      imageUrl: storage.imageUrl(image._id)
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/user/quota
+// @desc    Today's prediction and advice quota: limit, used, remaining, resetAt
+//          (limit and remaining are null when unlimited)
+// @access  Private
+router.get('/quota', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.userId).select('role');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const role = user.role || DEFAULT_ROLE;
+    const limits = rateLimits.describe();
+
+    res.json({
+      success: true,
+      role,
+      quotas: await rateLimits.usage(user._id, role),
+      rateLimits: limits.enabled ? limits.limits : null
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
 // @route   GET /api/user/history
-// @desc    Get user prediction history
+// @desc    Get user prediction history, newest first
+// @query   cursor, limit (default 50, max 100) - pass nextCursor to get the next page
+//          disease, severity (comma-separated), minConfidence, maxConfidence (0-1),
+//          from, to (dates), lesionId (or "none")
 // @access  Private
-router.get('/history', authMiddleware, async (req, res) => {
+router.get('/history', authMiddleware, validate(schemas.history), async (req, res, next) => {
   try {
     // FIXED: Use req.user._id instead of req.userId
-    const predictions = await Prediction.find({ userId: req.user._id })
-      .sort({ createdAt: -1 })
-      .limit(50);
+    const page = await history.listPage(req.user._id, req.query);
+
+    if (page.error) {
+      return res.status(400).json({
+        success: false,
+        message: page.error
+      });
+    }
 
     res.json({
       success: true,
-      count: predictions.length,
-      predictions
+      count: page.predictions.length,
+      predictions: page.predictions.map(history.historyItem),
+      nextCursor: page.nextCursor,
+      hasMore: page.nextCursor !== null
     });
   } catch (error) {
-    console.error('Get history error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Server error',
-      error: error.message 
+    next(error);
+  }
+});
+
+// @route   GET /api/user/history/export?format=csv|json
+// @desc    Download the history (same filters as GET /history, no paging)
+// @access  Private
+router.get('/history/export', authMiddleware, validate(schemas.historyExport), async (req, res, next) => {
+  try {
+    const { format } = req.query;
+    const result = await history.exportRows(req.user._id, req.query);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const filename = `dermadetect-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set({
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    if (format === 'json') {
+      return res.json({
+        exportedAt: new Date(),
+        count: result.predictions.length,
+        truncated: result.predictions.length === history.MAX_EXPORT_ROWS,
+        predictions: result.predictions.map(history.historyItem)
+      });
+    }
+
+    res.type('text/csv').send(history.toCsv(result.predictions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/user/history/:id
+// @desc    Get one saved prediction
+// @access  Private (owner only)
+router.get('/history/:id', authMiddleware, validate(schemas.prediction), async (req, res, next) => {
+  try {
+    const prediction = await history.findForUser(req.params.id, req.user._id);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      prediction: history.historyItem(prediction)
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/user/history/:id
+// @desc    Delete a saved prediction and its stored image
+// @access  Private (owner only)
+router.delete('/history/:id', authMiddleware, validate(schemas.prediction), async (req, res, next) => {
+  try {
+    const prediction = await history.findForUser(req.params.id, req.user._id);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    await history.deletePrediction(prediction);
+
+    res.json({
+      success: true,
+      message: 'Prediction deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/user/history/:id/report
+// @desc    Download a PDF report of one prediction
+// @access  Private (owner only)
+router.get('/history/:id/report', authMiddleware, validate(schemas.prediction), async (req, res, next) => {
+  try {
+    const [prediction, user] = await Promise.all([
+      Prediction.findOne({ _id: req.params.id, userId: req.user._id }),
+      User.findById(req.user._id).select('name')
+    ]);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    const pdf = await buildPredictionReport(prediction, user);
+    const date = prediction.createdAt.toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="dermadetect-report-${date}.pdf"`,
+      'Content-Length': String(pdf.length),
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/user/history/:id/feedback
+// @desc    Mark a prediction correct or incorrect
+//          (body: { correct, diagnosis?, comment? })
+// @access  Private (owner only)
+router.put('/history/:id/feedback', authMiddleware, validate(schemas.feedback), async (req, res, next) => {
+  try {
+    const prediction = await feedback.saveFeedback(req.params.id, req.user._id, req.body);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prediction not found'
+      });
+    }
+
+    if (prediction.error) {
+      return res.status(400).json({
+        success: false,
+        message: prediction.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks for your feedback',
+      feedback: prediction.feedback
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/user/export
+// @desc    Download all of the user's data as a ZIP archive
+// @access  Private
+router.get('/export', authMiddleware, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="dermadetect-export-${date}.zip"`,
+      'Cache-Control': 'private, no-store'
+    });
+
+    const counts = await accountData.writeExport(user, res);
+    await audit.record('data_export', req, user, counts);
+  } catch (error) {
+    // The error handler ends the response if the archive had started
+    next(error);
+  }
+});
+
+// @route   DELETE /api/user/account
+// @desc    Permanently delete the account, predictions and images
+//          (body: { password })
+// @access  Private
+router.delete('/account', authMiddleware, validate(schemas.deleteAccount), async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const deleted = await accountData.deleteAccount(user);
+    await audit.record('account_deletion', req, user, deleted);
+
+    logger.info('Account deleted', { userId: user._id.toString() });
+
+    res.json({
+      success: true,
+      message: 'Your account and data have been deleted',
+      deleted
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
-module.exports = router;
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,29 @@
+// schemas/admin.js
+const { page, limit, text, object, idParams } = require('./common');
+const { ROLES } = require('../constants/roles');
+
+module.exports = {
+  listUsers: {
+    query: object({
+      q: text(100),
+      role: { type: 'string', enum: ROLES },
+      status: { type: 'string', enum: ['active', 'suspended'] },
+      page,
+      limit
+    })
+  },
+
+  user: {
+    params: idParams
+  },
+
+  setRole: {
+    params: idParams,
+    body: object({ role: { type: 'string', enum: ROLES } }, ['role'])
+  },
+
+  suspend: {
+    params: idParams,
+    body: object({ reason: text(500) })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+// schemas/auth.js
+const { email, password, text, requiredText, object, idParams } = require('./common');
+
+const GENDERS = ['male', 'female', 'other'];
+
+// Optional label for the session list; defaults to one from the User-Agent
+const device = text(100);
+
+const profileFields = {
+  age: { type: 'integer', minimum: 0, maximum: 150 },
+  gender: { type: 'string', enum: GENDERS },
+  phone: { type: 'string', maxLength: 30, pattern: '^[0-9+()\\-. ]*$', description: 'a phone number of at most 30 characters' }
+};
+
+module.exports = {
+  GENDERS,
+  profileFields,
+
+  register: {
+    body: object({
+      name: requiredText(100),
+      email,
+      password,
+      ...profileFields,
+      device
+    }, ['name', 'email', 'password'])
+  },
+
+  // No password rules here: they only apply when a password is set
+  login: {
+    body: object({
+      email: requiredText(254),
+      password: requiredText(128),
+      device
+    }, ['email', 'password'])
+  },
+
+  forgotPassword: {
+    body: object({ email: requiredText(254) }, ['email'])
+  },
+
+  resetPassword: {
+    body: object({
+      token: requiredText(200),
+      password
+    }, ['token', 'password'])
+  },
+
+  verifyEmail: {
+    body: object({ token: requiredText(200) }, ['token'])
+  },
+
+  refresh: {
+    body: object({ refreshToken: requiredText(500), device }, ['refreshToken'])
+  },
+
+  logoutAll: {
+    body: object({ keepCurrent: { type: 'boolean' } })
+  },
+
+  revokeSession: {
+    params: idParams
+  }
+};
\ No newline at end of file
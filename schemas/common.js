@@ -0,0 +1,72 @@
+// schemas/common.js
+//
+// Building blocks for the request schemas (JSON Schema, checked by
+// middleware/validate.js). One file per routes/ module.
+
+// `description` doubles as the validation message ("<field> must be ...")
+const objectId = { type: 'string', pattern: '^[a-fA-F0-9]{24}$', description: 'a valid id' };
+
+// Accepts "2024-05-01" as well as full ISO timestamps
+const dateString = {
+  type: 'string',
+  anyOf: [{ format: 'date' }, { format: 'iso-date-time' }],
+  description: 'a date (YYYY-MM-DD) or an ISO 8601 timestamp'
+};
+
+const email = { type: 'string', format: 'email', maxLength: 254, description: 'a valid email address' };
+
+const password = { type: 'string', minLength: 6, maxLength: 128 };
+
+const page = { type: 'integer', minimum: 1 };
+
+// Routes clamp this to their own maximum
+const limit = { type: 'integer', minimum: 1 };
+
+// Optional free text; required text must not be blank
+function text(maxLength) {
+  return { type: 'string', maxLength };
+}
+
+function requiredText(maxLength) {
+  return { type: 'string', minLength: 1, maxLength, pattern: '\\S' };
+}
+
+// A comma-separated string or a repeated query parameter
+function list(items) {
+  return { type: ['string', 'array'], maxLength: 500, items: items || text(100), maxItems: 20 };
+}
+
+function object(properties, required) {
+  return {
+    type: 'object',
+    properties,
+    required: required || [],
+    additionalProperties: false
+  };
+}
+
+const idParams = object({ id: objectId }, ['id']);
+
+// Form fields of a prediction upload (POST /api/predict, /api/jobs/predict).
+// symptoms is a JSON array string, a comma-separated string or an array.
+const predictionFields = {
+  symptoms: { type: ['string', 'array'], maxLength: 2000, items: text(200), maxItems: 50 },
+  duration: text(100),
+  severity: text(50),
+  lesionId: objectId
+};
+
+module.exports = {
+  objectId,
+  dateString,
+  email,
+  password,
+  page,
+  limit,
+  text,
+  requiredText,
+  list,
+  object,
+  idParams,
+  predictionFields
+};
\ No newline at end of file
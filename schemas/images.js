@@ -0,0 +1,8 @@
+// schemas/images.js
+const { idParams } = require('./common');
+
+module.exports = {
+  image: {
+    params: idParams
+  }
+};
\ No newline at end of file
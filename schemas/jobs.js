@@ -0,0 +1,15 @@
+// schemas/jobs.js
+const { object, idParams, predictionFields } = require('./common');
+const llm = require('./llm');
+
+module.exports = {
+  predict: {
+    body: object(predictionFields)
+  },
+
+  advice: llm.advice,
+
+  job: {
+    params: idParams
+  }
+};
\ No newline at end of file
@@ -0,0 +1,28 @@
+// schemas/lesions.js
+const { objectId, text, requiredText, object, idParams } = require('./common');
+const { BODY_LOCATIONS } = require('../constants/lesions');
+
+const lesionFields = {
+  name: requiredText(100),
+  bodyLocation: { type: 'string', enum: BODY_LOCATIONS },
+  notes: text(2000)
+};
+
+module.exports = {
+  create: {
+    body: object(lesionFields, ['name', 'bodyLocation'])
+  },
+
+  update: {
+    params: idParams,
+    body: object(lesionFields)
+  },
+
+  lesion: {
+    params: idParams
+  },
+
+  lesionPrediction: {
+    params: object({ id: objectId, predictionId: objectId }, ['id', 'predictionId'])
+  }
+};
\ No newline at end of file
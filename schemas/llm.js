@@ -0,0 +1,17 @@
+// schemas/llm.js
+const { objectId, text, requiredText, object } = require('./common');
+
+module.exports = {
+  // POST /api/llm/advice, /api/llm/advice/stream and /api/jobs/advice
+  advice: {
+    body: object({
+      disease: requiredText(100),
+      symptoms: { type: ['string', 'array'], maxLength: 2000, items: text(200), maxItems: 50 },
+      severity: text(50),
+      duration: text(100),
+      predictionId: objectId,
+      // Fraction or percentage, as the frontend shows it
+      confidence: { type: 'number', minimum: 0, maximum: 100 }
+    }, ['disease'])
+  }
+};
\ No newline at end of file
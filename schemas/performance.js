@@ -0,0 +1,87 @@
+// schemas/performance.js
+const { dateString, text, requiredText, object } = require('./common');
+const { LABEL_SOURCES } = require('../services/feedback');
+
+// Metrics are percentages (0-100), as stored on ModelVersion
+const percent = { type: 'number', minimum: 0, maximum: 100 };
+const count = { type: 'integer', minimum: 0 };
+const curve = { type: 'array', items: { type: 'number' }, maxItems: 10000 };
+
+const versionParams = object({ version: requiredText(50) }, ['version']);
+
+const dateRange = {
+  from: dateString,
+  to: dateString
+};
+
+module.exports = {
+  // Evaluation report for POST /models
+  registerModel: {
+    body: object({
+      version: requiredText(50),
+      description: text(1000),
+      accuracy: percent,
+      precision: percent,
+      recall: percent,
+      f1Score: percent,
+      classPerformance: {
+        type: 'array',
+        maxItems: 100,
+        items: object({
+          name: requiredText(100),
+          accuracy: percent,
+          precision: percent,
+          recall: percent,
+          f1: percent,
+          count
+        }, ['name'])
+      },
+      confusionMatrix: object({
+        labels: { type: 'array', items: requiredText(100), maxItems: 100 },
+        matrix: { type: 'array', items: { type: 'array', items: count }, maxItems: 100 }
+      }, ['labels', 'matrix']),
+      trainingHistory: object({
+        epochs: count,
+        trainingAccuracy: curve,
+        validationAccuracy: curve,
+        trainingLoss: curve,
+        validationLoss: curve
+      }),
+      datasetInfo: object({
+        totalSamples: count,
+        trainingSamples: count,
+        validationSamples: count,
+        testSamples: count,
+        classes: count,
+        imageSize: text(50),
+        augmentation: { type: 'boolean' }
+      }),
+      evaluatedAt: dateString,
+      uploadedBy: text(254),
+      activate: { type: 'boolean' }
+    }, ['version'])
+  },
+
+  modelVersion: {
+    params: versionParams
+  },
+
+  compare: {
+    query: object({
+      base: requiredText(50),
+      target: text(50)
+    }, ['base'])
+  },
+
+  observed: {
+    query: object({
+      ...dateRange,
+      modelVersion: text(50),
+      source: { type: 'string', enum: LABEL_SOURCES }
+    })
+  },
+
+  liveStats: {
+    query: object(dateRange)
+  }
+};
\ No newline at end of file
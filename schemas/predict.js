@@ -0,0 +1,26 @@
+// schemas/predict.js
+const { text, object, predictionFields } = require('./common');
+
+module.exports = {
+  // multipart/form-data; the file itself is checked by middleware/imageUpload.js
+  predict: {
+    body: object(predictionFields)
+  },
+
+  // The older /api/analysis/predict form has a few more questions
+  analysis: {
+    body: object({
+      symptoms: text(2000),
+      duration: text(100),
+      severity: text(50),
+      age: text(20),
+      location: text(100),
+      spreading: text(100),
+      pain: text(100),
+      itching: text(100),
+      previousTreatment: text(500),
+      allergies: text(500),
+      medications: text(500)
+    })
+  }
+};
\ No newline at end of file
@@ -0,0 +1,29 @@
+// schemas/reviews.js
+const { objectId, page, limit, text, requiredText, object } = require('./common');
+const { URGENCY_LEVELS } = require('../constants/reviews');
+
+const caseParams = object({ predictionId: objectId }, ['predictionId']);
+
+module.exports = {
+  queue: {
+    query: object({
+      status: { type: 'string', enum: ['open', 'claimed', 'completed'] },
+      mine: { type: 'boolean' },
+      page,
+      limit
+    })
+  },
+
+  reviewCase: {
+    params: caseParams
+  },
+
+  complete: {
+    params: caseParams,
+    body: object({
+      diagnosis: requiredText(200),
+      urgency: { type: 'string', enum: URGENCY_LEVELS },
+      notes: text(2000)
+    }, ['diagnosis', 'urgency'])
+  }
+};
\ No newline at end of file
@@ -0,0 +1,59 @@
+// schemas/user.js
+const { objectId, dateString, limit, text, requiredText, list, object, idParams } = require('./common');
+const { profileFields } = require('./auth');
+const { SEVERITIES } = require('../constants/diseases');
+const { MAX_COMMENT_LENGTH } = require('../services/feedback');
+
+// Filters shared by GET /history and GET /history/export
+const historyFilters = {
+  disease: list(),
+  severity: list({ type: 'string', enum: SEVERITIES }),
+  minConfidence: { type: 'number', minimum: 0, maximum: 1 },
+  maxConfidence: { type: 'number', minimum: 0, maximum: 1 },
+  from: dateString,
+  to: dateString,
+  lesionId: { type: 'string', pattern: '^([a-fA-F0-9]{24}|none)$', description: 'a lesion id or "none"' }
+};
+
+module.exports = {
+  updateProfile: {
+    body: object({
+      name: requiredText(100),
+      ...profileFields,
+      // Id of an image uploaded with POST /profile/picture
+      profilePicture: objectId
+    })
+  },
+
+  history: {
+    query: object({
+      cursor: text(200),
+      limit,
+      ...historyFilters
+    })
+  },
+
+  historyExport: {
+    query: object({
+      format: { type: 'string', enum: ['csv', 'json'], default: 'csv' },
+      ...historyFilters
+    })
+  },
+
+  prediction: {
+    params: idParams
+  },
+
+  feedback: {
+    params: idParams,
+    body: object({
+      correct: { type: 'boolean' },
+      diagnosis: { type: ['string', 'null'], maxLength: 100, pattern: '\\S' },
+      comment: text(MAX_COMMENT_LENGTH)
+    }, ['correct'])
+  },
+
+  deleteAccount: {
+    body: object({ password: requiredText(128) }, ['password'])
+  }
+};
\ No newline at end of file
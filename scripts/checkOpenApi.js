@@ -0,0 +1,122 @@
+// scripts/checkOpenApi.js
+//
+// Checks the OpenAPI document (openapi/) against the code:
+//   npm run check:openapi
+// - every route is in the document and every documented operation exists
+// - every schema compiles, so $refs resolve
+// Exits with 1 when something is off. Live responses are compared with the
+// document by middleware/responseCheck.js.
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { getDocument } = require('../openapi');
+
+// Mount points from server.js of every routes/ module except docs
+const MOUNTS = {
+  auth: '/api/auth',
+  user: '/api/user',
+  predict: '/api/predict',
+  jobs: '/api/jobs',
+  llm: '/api/llm',
+  lesions: '/api/lesions',
+  images: '/api/images',
+  reviews: '/api/reviews',
+  performance: '/api/performance',
+  admin: '/api/admin',
+  analysis: '/api/analysis',
+  metrics: '/metrics'
+};
+
+// The document and its viewer
+const NOT_DOCUMENTED = ['docs'];
+
+// Registered in server.js itself
+const APP_ROUTES = ['GET /api/health'];
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// "POST /api/user/history/{id}/feedback" for every route in the routers
+function routeOperations() {
+  const operations = APP_ROUTES.slice();
+  Object.keys(MOUNTS).forEach((name) => {
+    const router = require(`../routes/${name}`);
+    router.stack.filter((layer) => layer.route).forEach((layer) => {
+      const path = (MOUNTS[name] + layer.route.path)
+        .replace(/\/$/, '')
+        .replace(/:(\w+)/g, '{$1}');
+      Object.keys(layer.route.methods).forEach((method) => {
+        operations.push(`${method.toUpperCase()} ${path}`);
+      });
+    });
+  });
+  return operations;
+}
+
+// A new routes/ module has to be added to MOUNTS to be checked at all
+function unknownModules() {
+  return fs.readdirSync(path.join(__dirname, '..', 'routes'))
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => file.slice(0, -3))
+    .filter((name) => !MOUNTS[name] && !NOT_DOCUMENTED.includes(name));
+}
+
+function documentedOperations(document) {
+  const operations = [];
+  Object.keys(document.paths).forEach((path) => {
+    METHODS.filter((method) => document.paths[path][method]).forEach((method) => {
+      operations.push(`${method.toUpperCase()} ${path}`);
+    });
+  });
+  return operations;
+}
+
+// Compiles every schema in the document; returns the failures
+function schemaErrors(document) {
+  const ajv = new Ajv({ strict: false, allowUnionTypes: true });
+  addFormats(ajv);
+  ajv.addFormat('binary', true);
+  ajv.addSchema(document, 'openapi.json');
+
+  const problems = [];
+  const visit = (value, location) => {
+    if (!value || typeof value !== 'object') return;
+    if (value.schema && typeof value.schema === 'object') {
+      try {
+        ajv.compile({ $ref: 'openapi.json#' + location + '/schema' });
+      } catch (err) {
+        problems.push(`${location}: ${err.message}`);
+      }
+    }
+    Object.keys(value).forEach((key) => {
+      if (key !== 'schema') visit(value[key], `${location}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`);
+    });
+  };
+  visit(document.paths, '/paths');
+  visit(document.components.responses, '/components/responses');
+  return problems;
+}
+
+function main() {
+  const document = getDocument();
+  const routes = routeOperations();
+  const documented = documentedOperations(document);
+
+  const problems = []
+    .concat(unknownModules().map((name) => `routes/${name}.js is not in MOUNTS (scripts/checkOpenApi.js)`))
+    .concat(routes.filter((op) => !documented.includes(op)).map((op) => `Not documented: ${op}`))
+    .concat(documented.filter((op) => !routes.includes(op)).map((op) => `No such route: ${op}`))
+    .concat(schemaErrors(document).map((message) => `Invalid schema at ${message}`));
+
+  if (problems.length > 0) {
+    problems.forEach((problem) => console.error(`❌ ${problem}`));
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`✅ ${documented.length} operations documented, all schemas compile`);
+}
+
+main();
+// The routes load services that may keep timers running
+process.exit();
\ No newline at end of file
@@ -0,0 +1,45 @@
+// scripts/setRole.js
+//
+// Sets a user's role from the command line, e.g. to create the first admin:
+//   npm run set-role -- someone@example.com admin
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../constants/roles');
+
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const user = await User.findOneAndUpdate(
+      { email: email.toLowerCase().trim() },
+      { role },
+      { new: true }
+    );
+
+    if (!user) {
+      console.error(`❌ No user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`✅ ${user.email} is now ${user.role}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((err) => {
+  console.error('❌ set-role failed:', err.message);
+  process.exitCode = 1;
+});
\ No newline at end of file
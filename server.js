@@ -1,12 +1,23 @@
 // server.js – CORRECTED VERSION
-const express = require('express');
-const mongoose = require('mongoose');
-const cors = require('cors');
 
+// Before anything else: the services read their settings when they load
 if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 
+const express = require('express');
+const mongoose = require('mongoose');
+const cors = require('cors');
+const warmup = require('./services/warmup');
+const jobs = require('./services/jobs');
+const { errorEnvelope, notFound, errorHandler } = require('./middleware/errors');
+const requestId = require('./middleware/requestId');
+const httpMetrics = require('./middleware/metrics');
+const responseCheck = require('./middleware/responseCheck');
+const routeLabel = require('./utils/routeLabel');
+const { configSummary } = require('./services/config');
+const logger = require('./utils/logger');
+
 const app = express();
 
 // =======================================================
@@ -16,75 +27,122 @@ const PORT = process.env.PORT || 5000;
 const HOST = "0.0.0.0";
 const MONGODB_URI = process.env.MONGODB_URI;
 
-console.log("====== ENV DEBUG ======");
-console.log("LLM_URL:", process.env.LLM_URL);
-console.log("PREDICTION_MODEL_URL:", process.env.PREDICTION_MODEL_URL);
-console.log("========================");
-
 // =======================================================
 // Middleware
 // =======================================================
-app.use(cors({ origin: '*', credentials: true }));
+// Number of proxies in front of us (1 on Railway), so req.ip is the real
+// client IP. Unset trusts none: a client could otherwise pick its own IP
+// through X-Forwarded-For and dodge the per-IP rate limits.
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set('trust proxy', isNaN(trustProxyHops) ? false : trustProxyHops);
+
+app.use(requestId);
+app.use(httpMetrics);
+
+app.use(cors({
+  origin: '*',
+  credentials: true,
+  // Let browser clients read the rate limit state
+  exposedHeaders: ['X-Request-Id', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
+app.use(responseCheck);
+app.use(errorEnvelope);
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-app.use((req, res, next) => {
-  console.log(`➡️ ${req.method} ${req.path}`);  // ✅ FIXED - Added opening (
-  next();
-});
-
-// =======================================================
-// MongoDB
-// =======================================================
-mongoose.connect(MONGODB_URI)
-  .then(() => console.log("✅ MongoDB Connected"))
-  .catch(err => console.error("❌ MongoDB Error:", err.message));
-
 // =======================================================
 // Routes with error handling
 // =======================================================
+// routeLabel.enter/leave keep each router's mount path for the route
+// label of logs and metrics (see utils/routeLabel.js)
 try {
-  app.use('/api/auth', require('./routes/auth'));
-  console.log('✅ Auth routes loaded');
+  app.use('/api/auth', routeLabel.enter, require('./routes/auth'), routeLabel.leave);
 } catch (err) {
-  console.error('❌ Auth routes error:', err.message);
+  logger.error('Could not load auth routes', { err });
 }
 
 try {
-  app.use('/api/user', require('./routes/user'));
-  console.log('✅ User routes loaded');
+  app.use('/api/user', routeLabel.enter, require('./routes/user'), routeLabel.leave);
 } catch (err) {
-  console.error('❌ User routes error:', err.message);
+  logger.error('Could not load user routes', { err });
 }
 
 try {
-  app.use('/api/predict', require('./routes/predict'));
-  console.log('✅ Predict routes loaded');
+  app.use('/api/predict', routeLabel.enter, require('./routes/predict'), routeLabel.leave);
 } catch (err) {
-  console.error('❌ Predict routes error:', err.message);
+  logger.error('Could not load predict routes', { err });
 }
 
 try {
-  app.use('/api/performance', require('./routes/performance'));
-  console.log('✅ Performance routes loaded');
+  app.use('/api/analysis', routeLabel.enter, require('./routes/analysis'), routeLabel.leave);
 } catch (err) {
-  console.error('❌ Performance routes error:', err.message);
+  logger.error('Could not load analysis routes', { err });
 }
 
 try {
-  app.use('/api/llm', require('./routes/llm'));
-  console.log('✅ LLM routes loaded');
+  app.use('/api/images', routeLabel.enter, require('./routes/images'), routeLabel.leave);
 } catch (err) {
-  console.error('❌ LLM routes error:', err.message);
+  logger.error('Could not load image routes', { err });
+}
+
+try {
+  app.use('/api/jobs', routeLabel.enter, require('./routes/jobs'), routeLabel.leave);
+} catch (err) {
+  logger.error('Could not load job routes', { err });
+}
+
+try {
+  app.use('/api/performance', routeLabel.enter, require('./routes/performance'), routeLabel.leave);
+} catch (err) {
+  logger.error('Could not load performance routes', { err });
+}
+
+try {
+  app.use('/api/llm', routeLabel.enter, require('./routes/llm'), routeLabel.leave);
+} catch (err) {
+  logger.error('Could not load LLM routes', { err });
+}
+
+try {
+  app.use('/api/lesions', routeLabel.enter, require('./routes/lesions'), routeLabel.leave);
+} catch (err) {
+  logger.error('Could not load lesion routes', { err });
+}
+
+try {
+  app.use('/api/reviews', routeLabel.enter, require('./routes/reviews'), routeLabel.leave);
+} catch (err) {
+  logger.error('Could not load review routes', { err });
+}
+
+try {
+  app.use('/api/admin', routeLabel.enter, require('./routes/admin'), routeLabel.leave);
+} catch (err) {
+  logger.error('Could not load admin routes', { err });
+}
+
+try {
+  app.use('/api', routeLabel.enter, require('./routes/docs'), routeLabel.leave);
+} catch (err) {
+  logger.error('Could not load API docs routes', { err });
+}
+
+// Prometheus scrape endpoint, outside /api like the usual /metrics
+try {
+  app.use('/metrics', routeLabel.enter, require('./routes/metrics'), routeLabel.leave);
+} catch (err) {
+  logger.error('Could not load metrics routes', { err });
 }
 
 // Health check
 app.get('/api/health', (req, res) => {
+  const upstreams = warmup.upstreamStatus();
   res.json({
     status: "OK",
     mongo: mongoose.connection.readyState === 1 ? "Connected" : "Disconnected",
-    llm_configured: !!process.env.LLM_URL,
-    ml_configured: !!process.env.PREDICTION_MODEL_URL
+    llm_configured: upstreams.llm.configured,
+    ml_configured: upstreams.ml.configured,
+    upstreams
   });
 });
 
@@ -96,20 +154,29 @@ app.get('/', (req, res) => {
   });
 });
 
-// Catch-all
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: "Route not found",
-    message: "Backend API only. Frontend hosted separately."
-  });
-});
+// Catch-all (backend API only, the frontend is hosted separately)
+app.use(notFound);
+
+// Must stay last: turns errors from any route into the JSON error envelope
+app.use(errorHandler);
 
 // =======================================================
-// Start Server
+// MongoDB and Start Server
 // =======================================================
-app.listen(PORT, HOST, () => {
-  console.log(`🚀 Server started at http://localhost:${PORT}`);  // ✅ FIXED - Added opening (
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);  // ✅ FIXED - Added opening (
-});
+// Only when run directly: the tests load the app without either
+if (require.main === module) {
+  mongoose.connect(MONGODB_URI)
+    .then(() => {
+      logger.info('MongoDB connected');
+      jobs.start();
+    })
+    .catch(err => logger.error('MongoDB connection failed', { err }));
+
+  app.listen(PORT, HOST, () => {
+    logger.info('Server started', { host: HOST, port: Number(PORT) });
+    logger.info('Configuration', configSummary());
+    warmup.start();
+  });
+}
 
-module.exports = app;
+module.exports = app;
\ No newline at end of file
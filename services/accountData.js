@@ -0,0 +1,163 @@
+// services/accountData.js
+//
+// "Download my data" and "delete my account". The export is a ZIP with
+// JSON files for the profile, predictions and lesions, every stored image,
+// and a manifest.json listing each file with its size and SHA-256.
+const crypto = require('crypto');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Prediction = require('../models/Prediction');
+const Lesion = require('../models/Lesion');
+const Image = require('../models/Image');
+const Job = require('../models/Job');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const storage = require('./storage');
+const reviews = require('./reviews');
+const rateLimit = require('./rateLimit');
+const { APP_NAME } = require('../constants/branding');
+const logger = require('../utils/logger');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'image/bmp': 'bmp'
+};
+
+function imagePath(image) {
+  return `images/${image._id}.${EXTENSIONS[image.contentType] || 'bin'}`;
+}
+
+function profileData(user) {
+  const profile = user.toObject();
+  delete profile.password;
+  delete profile.__v;
+  return profile;
+}
+
+function predictionData(prediction, imagePaths) {
+  const data = prediction.toObject();
+  delete data.__v;
+  data.review = reviews.patientView(prediction.review);
+  data.imageFile = imagePaths[prediction.image] || null;
+  return data;
+}
+
+// Streams the archive into `output` (e.g. the HTTP response).
+// Resolves to a summary once the archive has been fully written.
+async function writeExport(user, output) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+
+  const files = [];
+  const add = (path, content, type, contentType) => {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(JSON.stringify(content, null, 2));
+    archive.append(buffer, { name: path });
+    files.push({
+      path,
+      type,
+      contentType: contentType || 'application/json',
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+    });
+  };
+
+  const [predictions, lesions, images] = await Promise.all([
+    Prediction.find({ userId: user._id }).sort({ createdAt: 1 }).populate('review.reviewedBy', 'name'),
+    Lesion.find({ userId: user._id }).sort({ createdAt: 1 }),
+    Image.find({ userId: user._id }).sort({ createdAt: 1 })
+  ]);
+
+  // One image at a time to keep memory flat
+  const imagePaths = {};
+  const missing = [];
+  for (const image of images) {
+    try {
+      const buffer = await storage.readImage(image);
+      const path = imagePath(image);
+      add(path, buffer, image.kind === 'profile' ? 'profile_picture' : 'prediction_image', image.contentType);
+      imagePaths[String(image._id)] = path;
+    } catch (err) {
+      logger.warn('Could not add image to export', { imageId: String(image._id), err });
+      missing.push(String(image._id));
+    }
+  }
+
+  add('profile.json', profileData(user), 'profile');
+  add('predictions.json', predictions.map((p) => predictionData(p, imagePaths)), 'predictions');
+  add('lesions.json', lesions.map((l) => {
+    const data = l.toObject();
+    delete data.__v;
+    return data;
+  }), 'lesions');
+
+  const manifest = {
+    format: 'dermadetect-export',
+    version: EXPORT_FORMAT_VERSION,
+    application: APP_NAME,
+    generatedAt: new Date().toISOString(),
+    userId: String(user._id),
+    counts: {
+      predictions: predictions.length,
+      lesions: lesions.length,
+      images: images.length - missing.length
+    },
+    missingImages: missing,
+    files
+  };
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+  await archive.finalize();
+  await finished;
+
+  return manifest.counts;
+}
+
+// Removes the user and everything that belongs to them. Resolves to counts.
+async function deleteAccount(user) {
+  const userId = user._id;
+
+  const images = await Image.find({ userId }).select('_id');
+  let imagesDeleted = 0;
+  for (const image of images) {
+    try {
+      if (await storage.deleteImage(image._id)) imagesDeleted++;
+    } catch (err) {
+      logger.error('Could not delete image during account deletion', { imageId: String(image._id), err });
+    }
+  }
+
+  const [predictions, lesions, jobs, sessions] = await Promise.all([
+    Prediction.deleteMany({ userId }),
+    Lesion.deleteMany({ userId }),
+    Job.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    AuthToken.deleteMany({ userId }),
+    rateLimit.forgetUser(userId)
+  ]);
+
+  await User.deleteOne({ _id: userId });
+
+  return {
+    predictions: predictions.deletedCount,
+    lesions: lesions.deletedCount,
+    images: imagesDeleted,
+    jobs: jobs.deletedCount,
+    sessions: sessions.deletedCount
+  };
+}
+
+module.exports = {
+  writeExport,
+  deleteAccount
+};
\ No newline at end of file
@@ -0,0 +1,122 @@
+// services/adviceService.js – /api/llm/advice pipeline, shared by the
+// route and the advice job worker
+
+const mongoose = require("mongoose");
+const Prediction = require("../models/Prediction");
+const { LLM_URL, generateAdvice } = require("./llm");
+const logger = require("../utils/logger");
+
+// Attach advice to the caller's own prediction (only if ObjectId is valid)
+async function saveAdvice(predictionId, userId, advice) {
+  if (!predictionId) return false;
+
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) {
+    logger.warn("Invalid predictionId for advice", { predictionId });
+    return false;
+  }
+
+  try {
+    const updated = await Prediction.findOneAndUpdate(
+      { _id: predictionId, userId },
+      { advice, adviceGeneratedAt: new Date() }
+    );
+    if (!updated) {
+      logger.warn("Prediction not found for advice", { predictionId });
+      return false;
+    }
+    logger.info("Advice saved", { predictionId });
+    return true;
+  } catch (dbError) {
+    logger.error("Could not save advice", { predictionId, err: dbError });
+    return false;
+  }
+}
+
+function adviceMetadata() {
+  return {
+    model: "TinyLlama HF Space",
+    llm_url: LLM_URL,
+    generated_at: new Date(),
+  };
+}
+
+function errorResponse(err) {
+  logger.error("Advice generation failed", { err });
+
+  if (err.code === "CIRCUIT_OPEN") {
+    return {
+      status: 503,
+      headers: { "Retry-After": String(err.retryAfter) },
+      body: {
+        success: false,
+        code: "UPSTREAM_UNAVAILABLE",
+        message: "Advice service is temporarily unavailable",
+        retryAfter: err.retryAfter,
+      },
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      success: false,
+      code: "INTERNAL_ERROR",
+      message: "Failed to generate advice",
+    },
+  };
+}
+
+// input: request body fields plus userId
+// options: { signal, onProgress(percent, message) }
+// Resolves to { status, body, headers? }; only rethrows cancellation.
+async function runAdvice(input, options = {}) {
+  const progress = options.onProgress || (() => {});
+  const { disease, symptoms, severity, duration, predictionId, confidence } = input;
+
+  if (!disease) {
+    return {
+      status: 400,
+      body: {
+        success: false,
+        message: "Disease is required",
+      },
+    };
+  }
+
+  logger.info("Generating advice", { disease });
+  progress(10, "Waiting for the advice model");
+
+  let advice;
+  try {
+    advice = await generateAdvice(
+      disease,
+      symptoms,
+      severity,
+      duration,
+      confidence,
+      { signal: options.signal }
+    );
+  } catch (err) {
+    if (err.code === "ERR_CANCELED") throw err;
+    return errorResponse(err);
+  }
+
+  progress(90, "Saving advice");
+  await saveAdvice(predictionId, input.userId, advice);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      advice,
+      metadata: adviceMetadata(),
+    },
+  };
+}
+
+module.exports = {
+  runAdvice,
+  saveAdvice,
+  adviceMetadata,
+  errorResponse,
+};
\ No newline at end of file
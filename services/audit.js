@@ -0,0 +1,31 @@
+// services/audit.js
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+function hashEmail(email) {
+  return email ? crypto.createHash('sha256').update(String(email).toLowerCase()).digest('hex') : undefined;
+}
+
+// Write an audit record for an action by req's user on `user`.
+// Never throws: a failed audit write is logged, not sent to the client.
+async function record(action, req, user, details) {
+  try {
+    return await AuditLog.create({
+      action,
+      userId: user._id,
+      actorId: req.userId,
+      emailHash: hashEmail(user.email),
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      details
+    });
+  } catch (err) {
+    logger.error('Could not write audit log', { action, err });
+    return null;
+  }
+}
+
+module.exports = {
+  record
+};
\ No newline at end of file
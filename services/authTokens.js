@@ -0,0 +1,53 @@
+// services/authTokens.js
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const LIFETIMES = {
+  password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000,
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new token of this type; any older unused one stops working
+async function createToken(userId, type) {
+  await AuthToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + LIFETIMES[type])
+  });
+  return token;
+}
+
+// Mark a token used and return it, or null if it is unknown, used or expired.
+// The conditional update makes each token redeemable exactly once.
+async function consumeToken(token, type) {
+  if (!token || typeof token !== 'string') return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+function lifetimeMinutes(type) {
+  return Math.round(LIFETIMES[type] / 60000);
+}
+
+module.exports = {
+  createToken,
+  consumeToken,
+  lifetimeMinutes
+};
\ No newline at end of file
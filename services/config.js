@@ -0,0 +1,55 @@
+// services/config.js
+//
+// Runtime configuration summary, logged at startup and returned by
+// GET /api/admin/config. Never includes secrets: upstream URLs are cut down
+// to origin and path so credentials or tokens in them are not shown.
+const storage = require('./storage');
+const inference = require('./inference');
+const photoQuality = require('./photoQuality');
+const duplicates = require('./duplicates');
+const rateLimits = require('./rateLimit');
+const { LLM_URL } = require('./llm');
+const warmup = require('./warmup');
+const logger = require('../utils/logger');
+
+function safeUrl(url) {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    return parsed.origin + parsed.pathname;
+  } catch (err) {
+    return '[invalid url]';
+  }
+}
+
+function configSummary() {
+  const ml = inference.describe();
+
+  return {
+    environment: process.env.NODE_ENV || 'development',
+    logLevel: logger.level,
+    storage: storage.getDriver().name,
+    inference: { ...ml, url: safeUrl(ml.url) },
+    photoQuality: photoQuality.describe(),
+    duplicateDetection: duplicates.describe(),
+    rateLimits: rateLimits.describe(),
+    llm: {
+      url: safeUrl(LLM_URL),
+      streamUrl: safeUrl(process.env.LLM_STREAM_URL),
+      configured: !!LLM_URL
+    },
+    mail: process.env.MAIL_TRANSPORT || 'console',
+    jobs: {
+      concurrency: parseInt(process.env.JOBS_CONCURRENCY, 10) || 2,
+      workerDisabled: process.env.JOBS_WORKER_DISABLED === 'true'
+    },
+    mongo: { configured: !!process.env.MONGODB_URI },
+    metrics: { authRequired: !!process.env.METRICS_TOKEN },
+    upstreams: warmup.upstreamStatus()
+  };
+}
+
+module.exports = {
+  safeUrl,
+  configSummary
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+// services/duplicates.js
+//
+// Re-uploads of the same photo reuse the earlier prediction instead of
+// another slow model call. A match needs the same user, the same active
+// model version (so activating a new model invalidates every cached result)
+// and either identical bytes or a perceptual hash within
+// DUPLICATE_MAX_DISTANCE bits.
+const mongoose = require('mongoose');
+const Prediction = require('../models/Prediction');
+const { hashDistance } = require('./imageProcessing');
+
+const ENABLED = process.env.DUPLICATE_DETECTION !== 'off';
+const MAX_DISTANCE = parseInt(process.env.DUPLICATE_MAX_DISTANCE, 10) || 4;
+// How many of the user's latest predictions are compared for near-duplicates
+const SCAN_LIMIT = parseInt(process.env.DUPLICATE_SCAN_LIMIT, 10) || 200;
+
+// Stored predictions made without a registered version have no modelVersion
+function versionFilter(modelVersion) {
+  return modelVersion || null;
+}
+
+// Resolves to { prediction, match: 'exact' | 'similar', distance } or null
+async function findDuplicate(userId, hashes, modelVersion) {
+  if (!ENABLED || !hashes || !userId || !mongoose.Types.ObjectId.isValid(userId)) {
+    return null;
+  }
+
+  const base = { userId, modelVersion: versionFilter(modelVersion) };
+
+  const exact = await Prediction.findOne({ ...base, contentHash: hashes.contentHash })
+    .sort({ createdAt: -1 });
+  if (exact) {
+    return { prediction: exact, match: 'exact', distance: 0 };
+  }
+
+  const recent = await Prediction.find({ ...base, perceptualHash: { $exists: true } })
+    .sort({ createdAt: -1 })
+    .limit(SCAN_LIMIT)
+    .select('_id perceptualHash');
+
+  let best = null;
+  recent.forEach((candidate) => {
+    const distance = hashDistance(hashes.perceptualHash, candidate.perceptualHash);
+    if (distance <= MAX_DISTANCE && (!best || distance < best.distance)) {
+      best = { id: candidate._id, distance };
+    }
+  });
+  if (!best) return null;
+
+  const prediction = await Prediction.findById(best.id);
+  return prediction ? { prediction, match: 'similar', distance: best.distance } : null;
+}
+
+function describe() {
+  return { enabled: ENABLED, maxDistance: MAX_DISTANCE, scanLimit: SCAN_LIMIT };
+}
+
+module.exports = {
+  findDuplicate,
+  describe
+};
\ No newline at end of file
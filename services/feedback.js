@@ -0,0 +1,220 @@
+// services/feedback.js
+//
+// Patient feedback on predictions and the real-world accuracy computed from
+// it. Each prediction gets at most one ground-truth label, highest trust first:
+//   clinician       - completed dermatologist review (services/reviews.js)
+//   doctor_reported - diagnosis the patient says a doctor gave them
+//   user            - patient marked the prediction correct / incorrect
+// "Incorrect" without a diagnosis still counts against the predicted class's
+// precision, but can't be placed in the confusion matrix.
+const mongoose = require('mongoose');
+const Prediction = require('../models/Prediction');
+const { VALID_DISEASES, normalizeDiseaseName, canonicalDisease, normalizeDiagnosis } = require('../constants/diseases');
+
+const LABEL_SOURCES = ['clinician', 'doctor_reported', 'user'];
+const MAX_COMMENT_LENGTH = 1000;
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function percent(numerator, denominator) {
+  return denominator > 0 ? round((numerator / denominator) * 100) : null;
+}
+
+// Names are compared by the trained class they stand for, as the prediction
+// pipeline and the confusion matrix do; other names as written
+function diseaseKey(name) {
+  return canonicalDisease(name) || normalizeDiseaseName(name);
+}
+
+// Set (or replace) the owner's feedback on a prediction.
+// Resolves to the prediction, null when not found, or { error } when the
+// diagnosis contradicts "correct".
+async function saveFeedback(predictionId, userId, body) {
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) return null;
+
+  const prediction = await Prediction.findOne({ _id: predictionId, userId });
+  if (!prediction) return null;
+
+  const diagnosis = body.diagnosis ? normalizeDiagnosis(body.diagnosis) : undefined;
+  if (diagnosis) {
+    const matches = diseaseKey(diagnosis) === diseaseKey(prediction.disease);
+    if (matches !== body.correct) {
+      return {
+        error: body.correct
+          ? 'The diagnosis differs from the prediction; mark it as incorrect instead'
+          : 'The diagnosis is the predicted disease; mark it as correct instead'
+      };
+    }
+  }
+
+  prediction.feedback = {
+    correct: body.correct,
+    diagnosis,
+    comment: body.comment ? body.comment.trim() : undefined,
+    submittedAt: new Date()
+  };
+  await prediction.save();
+  return prediction;
+}
+
+// Aggregation stage adding { label, labelSource } per prediction
+function labelStage() {
+  return {
+    $addFields: {
+      labelSource: {
+        $switch: {
+          branches: [
+            { case: { $eq: ['$review.status', 'completed'] }, then: 'clinician' },
+            { case: { $ne: [{ $ifNull: ['$feedback.diagnosis', null] }, null] }, then: 'doctor_reported' },
+            { case: { $eq: [{ $type: '$feedback.correct' }, 'bool'] }, then: 'user' }
+          ],
+          default: null
+        }
+      },
+      label: {
+        $switch: {
+          branches: [
+            { case: { $eq: ['$review.status', 'completed'] }, then: '$review.diagnosis' },
+            { case: { $ne: [{ $ifNull: ['$feedback.diagnosis', null] }, null] }, then: '$feedback.diagnosis' },
+            { case: { $eq: ['$feedback.correct', true] }, then: '$disease' }
+          ],
+          // Marked incorrect, true class unknown
+          default: null
+        }
+      }
+    }
+  };
+}
+
+// filters: { start, end, modelVersion, source }
+// source 'clinician' restricts to dermatologist-reviewed predictions.
+async function observedPerformance(filters) {
+  const match = {
+    createdAt: { $gte: filters.start, $lt: filters.end },
+    $or: [
+      { 'review.status': 'completed' },
+      { 'feedback.correct': { $in: [true, false] } }
+    ]
+  };
+  if (filters.modelVersion) {
+    match.modelVersion = filters.modelVersion;
+  }
+
+  const pipeline = [
+    { $match: match },
+    labelStage()
+  ];
+  if (filters.source) {
+    pipeline.push({ $match: { labelSource: filters.source } });
+  }
+  pipeline.push({
+    $group: {
+      _id: { predicted: '$disease', label: '$label', source: '$labelSource' },
+      count: { $sum: 1 }
+    }
+  });
+
+  const groups = await Prediction.aggregate(pipeline);
+  return computeMetrics(groups);
+}
+
+// groups: [{ _id: { predicted, label, source }, count }]
+// Predictions and labels are mapped to classes with canonicalDisease, the
+// rule that accepted the predictions in the first place.
+function computeMetrics(groups) {
+  const size = VALID_DISEASES.length;
+  const index = {};
+  VALID_DISEASES.forEach((d, i) => { index[d] = i; });
+
+  // matrix[actual][predicted]
+  const matrix = VALID_DISEASES.map(() => new Array(size).fill(0));
+  // Known-wrong predictions whose true class is unknown or outside VALID_DISEASES
+  const wrongElsewhere = new Array(size).fill(0);
+  // Labels outside VALID_DISEASES, by label as written
+  const unmapped = {};
+  const bySource = {};
+  LABEL_SOURCES.forEach((s) => { bySource[s] = 0; });
+  let labeled = 0;
+  let excluded = 0;
+
+  groups.forEach((g) => {
+    bySource[g._id.source] = (bySource[g._id.source] || 0) + g.count;
+
+    const predicted = index[canonicalDisease(g._id.predicted)];
+    if (predicted === undefined) {
+      // Model output outside the trained classes (invalidClass predictions)
+      excluded += g.count;
+      return;
+    }
+
+    labeled += g.count;
+    const actual = g._id.label ? index[canonicalDisease(g._id.label)] : undefined;
+    if (actual === undefined) {
+      wrongElsewhere[predicted] += g.count;
+      if (g._id.label) {
+        const label = String(g._id.label);
+        unmapped[label] = (unmapped[label] || 0) + g.count;
+      }
+    } else {
+      matrix[actual][predicted] += g.count;
+    }
+  });
+
+  let correct = 0;
+  const classPerformance = VALID_DISEASES.map((name, i) => {
+    const tp = matrix[i][i];
+    const predictedTotal = matrix.reduce((sum, row) => sum + row[i], 0) + wrongElsewhere[i];
+    const actualTotal = matrix[i].reduce((sum, n) => sum + n, 0);
+    correct += tp;
+
+    const precision = percent(tp, predictedTotal);
+    const recall = percent(tp, actualTotal);
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? round((2 * precision * recall) / (precision + recall))
+      : null;
+
+    return {
+      name,
+      precision,
+      recall,
+      f1,
+      // Labeled cases that really were this class / that the model called this class
+      support: actualTotal,
+      predicted: predictedTotal
+    };
+  });
+
+  const macro = (metric) => {
+    const values = classPerformance.map((c) => c[metric]).filter((v) => v !== null);
+    return values.length > 0 ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+  };
+
+  return {
+    labeled,
+    excluded,
+    labelSources: bySource,
+    accuracy: percent(correct, labeled),
+    precision: macro('precision'),
+    recall: macro('recall'),
+    f1Score: macro('f1'),
+    classPerformance,
+    confusionMatrix: {
+      labels: VALID_DISEASES,
+      // Rows are the true class, columns the predicted class
+      matrix,
+      incorrectUnlabeled: VALID_DISEASES.map((name, i) => ({ name, count: wrongElsewhere[i] })),
+      // True classes the model was not trained on; included in incorrectUnlabeled
+      unmappedLabels: Object.keys(unmapped).map((label) => ({ label, count: unmapped[label] }))
+    }
+  };
+}
+
+module.exports = {
+  LABEL_SOURCES,
+  MAX_COMMENT_LENGTH,
+  saveFeedback,
+  observedPerformance
+};
\ No newline at end of file
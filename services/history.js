@@ -0,0 +1,234 @@
+// services/history.js
+//
+// Filtering, cursor paging and export of a user's saved predictions.
+// Pages are ordered newest first by (createdAt, _id); the cursor is the
+// last item's position, so new predictions don't shift later pages.
+const mongoose = require('mongoose');
+const Prediction = require('../models/Prediction');
+const User = require('../models/User');
+const storage = require('./storage');
+const reviews = require('./reviews');
+const logger = require('../utils/logger');
+const { SEVERITIES, normalizeDiseaseName } = require('../constants/diseases');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 5000;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function list(value) {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+}
+
+function encodeCursor(prediction) {
+  return Buffer.from(`${prediction.createdAt.getTime()}:${prediction._id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const date = new Date(Number(time));
+  if (isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return { date, id: new mongoose.Types.ObjectId(id) };
+}
+
+// Query string -> Mongo filter for this user's predictions.
+// Returns { filter } or { error }.
+function buildFilter(userId, query) {
+  const filter = { userId };
+
+  const diseases = list(query.disease);
+  if (diseases.length > 0) {
+    // Stored names keep the model's casing, so match case-insensitively
+    filter.disease = {
+      $in: diseases.map((d) => new RegExp(`^${escapeRegex(normalizeDiseaseName(d))}$`, 'i'))
+    };
+  }
+
+  const severities = list(query.severity);
+  if (severities.length > 0) {
+    const unknown = severities.find((s) => !SEVERITIES.includes(s));
+    if (unknown) {
+      return { error: `severity must be one of: ${SEVERITIES.join(', ')}` };
+    }
+    filter.severity = { $in: severities };
+  }
+
+  if (query.minConfidence !== undefined || query.maxConfidence !== undefined) {
+    const min = query.minConfidence !== undefined ? parseFloat(query.minConfidence) : 0;
+    const max = query.maxConfidence !== undefined ? parseFloat(query.maxConfidence) : 1;
+    if (isNaN(min) || isNaN(max) || min < 0 || max > 1 || min > max) {
+      return { error: 'minConfidence and maxConfidence must be between 0 and 1, min <= max' };
+    }
+    filter.confidence = { $gte: min, $lte: max };
+  }
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) {
+      const from = new Date(query.from);
+      if (isNaN(from.getTime())) return { error: 'from must be a valid date' };
+      filter.createdAt.$gte = from;
+    }
+    if (query.to) {
+      const to = new Date(query.to);
+      if (isNaN(to.getTime())) return { error: 'to must be a valid date' };
+      // A bare date means "up to the end of that day"
+      if (/^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+        filter.createdAt.$lt = to;
+      } else {
+        filter.createdAt.$lte = to;
+      }
+    }
+  }
+
+  if (query.lesionId) {
+    if (query.lesionId === 'none') {
+      filter.lesionId = null;
+    } else if (mongoose.Types.ObjectId.isValid(query.lesionId)) {
+      filter.lesionId = query.lesionId;
+    } else {
+      return { error: 'lesionId must be a lesion id or "none"' };
+    }
+  }
+
+  return { filter };
+}
+
+// Resolves to { predictions, nextCursor } or { error }
+async function listPage(userId, query) {
+  const built = buildFilter(userId, query);
+  if (built.error) return built;
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = built.filter;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: 'Invalid cursor' };
+    filter.$or = [
+      { createdAt: { $lt: cursor.date } },
+      { createdAt: cursor.date, _id: { $lt: cursor.id } }
+    ];
+  }
+
+  // One extra row tells us whether there is another page
+  const rows = await Prediction.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit + 1)
+    .populate('review.reviewedBy', 'name');
+
+  const hasMore = rows.length > limit;
+  const predictions = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    predictions,
+    nextCursor: hasMore ? encodeCursor(predictions[predictions.length - 1]) : null
+  };
+}
+
+async function exportRows(userId, query) {
+  const built = buildFilter(userId, query);
+  if (built.error) return built;
+
+  const predictions = await Prediction.find(built.filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .populate('review.reviewedBy', 'name');
+
+  return { predictions };
+}
+
+async function findForUser(predictionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) return null;
+  return Prediction.findOne({ _id: predictionId, userId })
+    .populate('review.reviewedBy', 'name');
+}
+
+// Fields the owner sees; hashes, photo quality measurements and the raw
+// model output stay internal
+const HISTORY_FIELDS = [
+  '_id', 'disease', 'confidence', 'status', 'severity', 'allPredictions',
+  'description', 'recommendations', 'symptoms', 'duration', 'reportedSeverity',
+  'advice', 'adviceGeneratedAt', 'feedback', 'lesionId', 'modelVersion', 'createdAt'
+];
+
+// What the owner sees for one prediction
+function historyItem(prediction) {
+  const stored = prediction.toObject();
+  const item = {};
+  HISTORY_FIELDS.forEach((field) => {
+    if (stored[field] !== undefined) item[field] = stored[field];
+  });
+
+  return {
+    ...item,
+    imageUrl: mongoose.Types.ObjectId.isValid(prediction.image) ? storage.imageUrl(prediction.image) : null,
+    review: reviews.patientView(prediction.review)
+  };
+}
+
+// Removes the prediction, its stored image and the User.history entry
+async function deletePrediction(prediction) {
+  await Prediction.deleteOne({ _id: prediction._id });
+  await User.updateOne(
+    { _id: prediction.userId },
+    { $pull: { history: { predictionId: prediction._id } } }
+  );
+
+  if (mongoose.Types.ObjectId.isValid(prediction.image)) {
+    await storage.deleteImage(prediction.image).catch((err) => {
+      logger.error('Could not delete prediction image', { predictionId: String(prediction._id), err });
+    });
+  }
+}
+
+const CSV_COLUMNS = [
+  ['id', (p) => p._id],
+  ['createdAt', (p) => p.createdAt && p.createdAt.toISOString()],
+  ['disease', (p) => p.disease],
+  ['confidence', (p) => p.confidence],
+  ['severity', (p) => p.severity],
+  ['status', (p) => p.status],
+  ['symptoms', (p) => (p.symptoms || []).join('; ')],
+  ['duration', (p) => p.duration],
+  ['reportedSeverity', (p) => p.reportedSeverity],
+  ['lesionId', (p) => p.lesionId],
+  ['modelVersion', (p) => p.modelVersion],
+  ['reviewStatus', (p) => p.review && p.review.status],
+  ['reviewDiagnosis', (p) => p.review && p.review.diagnosis],
+  ['reviewUrgency', (p) => p.review && p.review.urgency],
+  ['feedbackCorrect', (p) => p.feedback && p.feedback.correct],
+  ['feedbackDiagnosis', (p) => p.feedback && p.feedback.diagnosis],
+  ['advice', (p) => p.advice]
+];
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  // Stop spreadsheets from treating user text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(predictions) {
+  const header = CSV_COLUMNS.map(([name]) => name).join(',');
+  const lines = predictions.map((p) => CSV_COLUMNS.map(([, get]) => csvCell(get(p))).join(','));
+  return [header].concat(lines).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  MAX_EXPORT_ROWS,
+  listPage,
+  exportRows,
+  findForUser,
+  historyItem,
+  deletePrediction,
+  toCsv
+};
\ No newline at end of file
@@ -0,0 +1,173 @@
+// services/imageProcessing.js
+//
+// In-process image checks and normalisation with sharp. Every upload goes
+// through sanitizeImage() before it is stored or sent anywhere:
+//   - the real format is read from the file's magic bytes, not its mimetype
+//   - corrupt files and extreme dimensions are rejected
+//   - EXIF orientation is applied, then all metadata (GPS etc.) is dropped
+//   - the result is re-encoded as JPEG, capped at IMAGE_STORE_MAX_DIMENSION
+// toModelInput() then resizes a sanitized image to the model's input size.
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const MIN_DIMENSION = parseInt(process.env.IMAGE_MIN_DIMENSION, 10) || 64;
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 10000;
+const MAX_ASPECT_RATIO = parseFloat(process.env.IMAGE_MAX_ASPECT_RATIO) || 8;
+const STORE_MAX_DIMENSION = parseInt(process.env.IMAGE_STORE_MAX_DIMENSION, 10) || 2048;
+const STORE_QUALITY = parseInt(process.env.IMAGE_JPEG_QUALITY, 10) || 90;
+const MODEL_INPUT_SIZE = parseInt(process.env.INFERENCE_INPUT_SIZE, 10) || 224;
+// cover = centre crop (like the training transforms), contain = letterbox
+const MODEL_RESIZE_FIT = process.env.INFERENCE_RESIZE_FIT || 'cover';
+
+const OUTPUT_TYPE = 'image/jpeg';
+
+// Decompression-bomb guard: refuse to decode more pixels than this
+const MAX_INPUT_PIXELS = MAX_DIMENSION * MAX_DIMENSION;
+
+function imageError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// Image format from the first bytes of the file, or null
+function detectFormat(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'jpeg';
+  if (buffer.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+// Validate and normalise an upload.
+// Resolves to { buffer, contentType, width, height, original: { format, width, height, bytes } }
+// Rejects with code UNSUPPORTED_IMAGE, CORRUPT_IMAGE or BAD_DIMENSIONS.
+async function sanitizeImage(buffer) {
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw imageError('UNSUPPORTED_IMAGE', 'Only JPEG, PNG and WebP images are supported');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (err) {
+    throw imageError('CORRUPT_IMAGE', 'The image file is damaged or incomplete');
+  }
+
+  // EXIF orientations 5-8 swap width and height
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  if (!width || !height) {
+    throw imageError('CORRUPT_IMAGE', 'The image file is damaged or incomplete');
+  }
+  if (Math.min(width, height) < MIN_DIMENSION) {
+    throw imageError('BAD_DIMENSIONS', `Image is too small (minimum ${MIN_DIMENSION}px per side)`);
+  }
+  if (Math.max(width, height) > MAX_DIMENSION) {
+    throw imageError('BAD_DIMENSIONS', `Image is too large (maximum ${MAX_DIMENSION}px per side)`);
+  }
+  if (Math.max(width, height) / Math.min(width, height) > MAX_ASPECT_RATIO) {
+    throw imageError('BAD_DIMENSIONS', 'Image is too narrow; please take a normal photo');
+  }
+
+  let output;
+  try {
+    // sharp drops all metadata unless asked to keep it
+    output = await sharp(buffer, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(STORE_MAX_DIMENSION, STORE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .toColourspace('srgb')
+      .jpeg({ quality: STORE_QUALITY, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    // Headers can be fine while the pixel data is truncated
+    throw imageError('CORRUPT_IMAGE', 'The image file is damaged or incomplete');
+  }
+
+  return {
+    buffer: output.data,
+    contentType: OUTPUT_TYPE,
+    width: output.info.width,
+    height: output.info.height,
+    original: {
+      format,
+      width,
+      height,
+      bytes: buffer.length
+    }
+  };
+}
+
+// Resize a (sanitized) image to the model's square input size.
+// image: { buffer, filename, contentType } -> same shape
+async function toModelInput(image) {
+  let data;
+  try {
+    data = await sharp(image.buffer, { failOn: 'error', limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(MODEL_INPUT_SIZE, MODEL_INPUT_SIZE, { fit: MODEL_RESIZE_FIT, background: '#000000' })
+      .flatten({ background: '#000000' })
+      .jpeg({ quality: 95 })
+      .toBuffer();
+  } catch (err) {
+    throw imageError('CORRUPT_IMAGE', 'The image file is damaged or incomplete');
+  }
+
+  return {
+    buffer: data,
+    filename: (image.filename || 'upload').replace(/\.[^.]*$/, '') + '.jpg',
+    contentType: OUTPUT_TYPE
+  };
+}
+
+// Content hash (exact bytes) and 64-bit difference hash (dHash) of an image.
+// The dHash survives re-encoding and resizing, so the same photo uploaded
+// twice lands within a few bits. Resolves to { contentHash, perceptualHash }.
+async function fingerprint(buffer) {
+  const pixels = await sharp(buffer)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits += pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? '1' : '0';
+    }
+  }
+
+  return {
+    contentHash: crypto.createHash('sha256').update(buffer).digest('hex'),
+    perceptualHash: BigInt('0b' + bits).toString(16).padStart(16, '0')
+  };
+}
+
+// Number of differing bits between two perceptual hashes
+function hashDistance(a, b) {
+  let diff = BigInt('0x' + a) ^ BigInt('0x' + b);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+function isImageError(err) {
+  return !!err && ['UNSUPPORTED_IMAGE', 'CORRUPT_IMAGE', 'BAD_DIMENSIONS'].includes(err.code);
+}
+
+module.exports = {
+  detectFormat,
+  sanitizeImage,
+  toModelInput,
+  fingerprint,
+  hashDistance,
+  isImageError
+};
\ No newline at end of file
@@ -0,0 +1,48 @@
+// services/inference/flaskProvider.js
+const axios = require('axios');
+const { upstreamHeaders } = require('../../utils/requestContext');
+const FormData = require('form-data');
+
+// The Flask app on the HuggingFace Space: multipart upload to /predict
+function createFlaskProvider(options) {
+  return {
+    name: 'flask',
+
+    async predict(image, fields, signal) {
+      const formData = new FormData();
+      formData.append(options.imageField, image.buffer, {
+        filename: image.filename,
+        contentType: image.contentType,
+        knownLength: image.buffer.length
+      });
+
+      Object.keys(fields).forEach((name) => {
+        formData.append(name, fields[name]);
+      });
+
+      const response = await axios.post(options.baseUrl + '/predict', formData, {
+        headers: {
+          ...formData.getHeaders(),
+          ...options.headers,
+          ...upstreamHeaders()
+        },
+        timeout: options.timeout,
+        signal,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      return response.data;
+    },
+
+    async health() {
+      const response = await axios.get(options.baseUrl + '/health', {
+        headers: { ...options.headers, ...upstreamHeaders() },
+        timeout: 5000
+      });
+      return response.data;
+    }
+  };
+}
+
+module.exports = createFlaskProvider;
\ No newline at end of file
@@ -0,0 +1,162 @@
+// services/inference/index.js
+const createFlaskProvider = require('./flaskProvider');
+const createJsonProvider = require('./jsonProvider');
+const createMockProvider = require('./mockProvider');
+const { createUpstream } = require('../resilience');
+const { toModelInput } = require('../imageProcessing');
+
+// Select with INFERENCE_PROVIDER=flask|json|mock (default: flask)
+const PROVIDER = process.env.INFERENCE_PROVIDER || 'flask';
+const ML_MODEL_URL = process.env.PREDICTION_MODEL_URL || process.env.ML_MODEL_URL;
+const TIMEOUT = parseInt(process.env.INFERENCE_TIMEOUT_MS, 10) || 120000;
+
+let provider = null;
+
+const upstream = createUpstream({
+  name: 'ML model',
+  metricLabel: 'ml',
+  retries: parseInt(process.env.UPSTREAM_RETRIES, 10) || 3,
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+  resetTimeout: parseInt(process.env.CIRCUIT_RESET_MS, 10) || 30000,
+  isConfigured
+});
+
+// Accept the URL with or without the /predict suffix
+function baseUrl() {
+  return ML_MODEL_URL ? ML_MODEL_URL.replace(/\/+$/, '').replace(/\/predict$/, '') : null;
+}
+
+function isConfigured() {
+  return PROVIDER === 'mock' || !!ML_MODEL_URL;
+}
+
+function getProvider() {
+  if (provider) return provider;
+
+  const options = {
+    baseUrl: baseUrl(),
+    timeout: TIMEOUT,
+    imageField: process.env.INFERENCE_IMAGE_FIELD || 'image',
+    latency: parseInt(process.env.INFERENCE_MOCK_LATENCY_MS, 10) || 0
+  };
+
+  switch (PROVIDER) {
+    case 'flask':
+      provider = createFlaskProvider(options);
+      break;
+    case 'json':
+      provider = createJsonProvider(options);
+      break;
+    case 'mock':
+      provider = createMockProvider(options);
+      break;
+    default:
+      throw new Error('Unknown inference provider: ' + PROVIDER);
+  }
+  return provider;
+}
+
+function inferenceError(message, code, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+// Model servers report confidence either as 0-1 or as a percentage
+function toFraction(value) {
+  let n = parseFloat(value || 0);
+  if (isNaN(n)) return 0;
+  if (n > 1) n = n / 100;
+  return n;
+}
+
+// all_predictions / probabilities come as { class: p } or [{ class, confidence }];
+// always return [{ disease, confidence }] sorted by confidence
+function normalizeAllPredictions(data) {
+  const raw = data.all_predictions || data.probabilities || data.predictions;
+  if (!raw) return null;
+
+  let entries = [];
+  if (Array.isArray(raw)) {
+    entries = raw.map((p) => ({
+      disease: p.disease || p.class || p.label || p.name,
+      confidence: toFraction(p.confidence !== undefined ? p.confidence : (p.probability !== undefined ? p.probability : p.score))
+    }));
+  } else if (typeof raw === 'object') {
+    entries = Object.keys(raw).map((disease) => ({ disease, confidence: toFraction(raw[disease]) }));
+  }
+
+  return entries
+    .filter((p) => p.disease)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+function normalizeResponse(data) {
+  if (!data || typeof data !== 'object') {
+    throw inferenceError('ML model returned an unreadable response', 'ML_BAD_RESPONSE', data);
+  }
+
+  if (data.success === false) {
+    throw inferenceError(data.error || 'ML model returned an error', 'ML_ERROR', data);
+  }
+
+  const disease = data.prediction || data.predicted_class || data.disease;
+  if (!disease) {
+    throw inferenceError('No disease prediction in response', 'ML_NO_PREDICTION', data);
+  }
+
+  return {
+    disease: String(disease).trim(),
+    confidence: toFraction(data.confidence),
+    allPredictions: normalizeAllPredictions(data),
+    description: data.description || null,
+    recommendations: Array.isArray(data.recommendations) ? data.recommendations : null,
+    modelDetails: data.model_details || null
+  };
+}
+
+// Run the configured provider on an uploaded image, resized to the model's
+// input size first. image: { buffer, filename, contentType }; fields: extra form inputs;
+// options.signal aborts the upstream request.
+// Transport errors (ECONNREFUSED, timeouts, HTTP errors) are thrown as-is.
+async function predict(image, fields, options) {
+  const signal = options && options.signal;
+  const cleanFields = {};
+  Object.keys(fields || {}).forEach((name) => {
+    if (fields[name] !== undefined && fields[name] !== null && fields[name] !== '') {
+      cleanFields[name] = String(fields[name]);
+    }
+  });
+
+  const input = await toModelInput(image);
+  const data = await upstream.call(() => getProvider().predict(input, cleanFields, signal));
+  return normalizeResponse(data);
+}
+
+async function health() {
+  return getProvider().health();
+}
+
+// Background ping that keeps the Space awake
+function warmup() {
+  return upstream.ping(() => getProvider().health());
+}
+
+function describe() {
+  return {
+    provider: PROVIDER,
+    url: PROVIDER === 'mock' ? null : baseUrl(),
+    configured: isConfigured(),
+    timeout: TIMEOUT
+  };
+}
+
+module.exports = {
+  predict,
+  health,
+  warmup,
+  upstream,
+  isConfigured,
+  describe
+};
\ No newline at end of file
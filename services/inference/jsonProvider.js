@@ -0,0 +1,42 @@
+// services/inference/jsonProvider.js
+const axios = require('axios');
+const { upstreamHeaders } = require('../../utils/requestContext');
+
+// Generic contract for model servers that take JSON instead of multipart:
+// POST /predict { image: <base64>, mimeType, filename, ...fields }
+function createJsonProvider(options) {
+  return {
+    name: 'json',
+
+    async predict(image, fields, signal) {
+      const response = await axios.post(options.baseUrl + '/predict', {
+        image: image.buffer.toString('base64'),
+        mimeType: image.contentType,
+        filename: image.filename,
+        ...fields
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers,
+          ...upstreamHeaders()
+        },
+        timeout: options.timeout,
+        signal,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
+      });
+
+      return response.data;
+    },
+
+    async health() {
+      const response = await axios.get(options.baseUrl + '/health', {
+        headers: { ...options.headers, ...upstreamHeaders() },
+        timeout: 5000
+      });
+      return response.data;
+    }
+  };
+}
+
+module.exports = createJsonProvider;
\ No newline at end of file
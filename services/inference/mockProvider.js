@@ -0,0 +1,52 @@
+// services/inference/mockProvider.js
+const crypto = require('crypto');
+const { VALID_DISEASES } = require('../../constants/diseases');
+
+// Offline stand-in for the ML service. The same image always gets the same
+// answer, derived from its SHA-256, so frontend work doesn't need the Space.
+function createMockProvider(options) {
+  const latency = options.latency || 0;
+
+  return {
+    name: 'mock',
+
+    async predict(image, fields, signal) {
+      const digest = crypto.createHash('sha256').update(image.buffer).digest();
+      const winner = digest[0] % VALID_DISEASES.length;
+      const confidence = 0.5 + (digest[1] / 255) * 0.45;
+
+      // Spread the remaining probability over the other classes
+      const weights = VALID_DISEASES.map((_, i) => (i === winner ? 0 : digest[2 + i] + 1));
+      const weightSum = weights.reduce((sum, w) => sum + w, 0);
+      const allPredictions = {};
+      VALID_DISEASES.forEach((disease, i) => {
+        allPredictions[disease] = i === winner
+          ? confidence
+          : (1 - confidence) * (weights[i] / weightSum);
+      });
+
+      if (latency > 0) {
+        await new Promise((resolve) => setTimeout(resolve, latency));
+      }
+      if (signal && signal.aborted) {
+        const err = new Error('canceled');
+        err.code = 'ERR_CANCELED';
+        throw err;
+      }
+
+      return {
+        success: true,
+        prediction: VALID_DISEASES[winner],
+        confidence,
+        all_predictions: allPredictions,
+        model_details: { name: 'mock', version: 'mock-1' }
+      };
+    },
+
+    async health() {
+      return { status: 'ok', provider: 'mock' };
+    }
+  };
+}
+
+module.exports = createMockProvider;
\ No newline at end of file
@@ -0,0 +1,332 @@
+// services/jobs.js
+//
+// Mongo-backed job queue for slow upstream work. Jobs are claimed atomically
+// with findOneAndUpdate, so several server instances can share the queue.
+// A running job heartbeats; if the process dies, another worker (or this one
+// after a restart) notices the stale heartbeat and requeues it.
+const os = require('os');
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Image = require('../models/Image');
+const storage = require('./storage');
+const { runPrediction } = require('./predictionService');
+const { runAdvice } = require('./adviceService');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const CONCURRENCY = parseInt(process.env.JOBS_CONCURRENCY, 10) || 2;
+const POLL_INTERVAL = parseInt(process.env.JOBS_POLL_INTERVAL_MS, 10) || 1000;
+const HEARTBEAT_INTERVAL = 10000;
+const STALE_AFTER = 60000;
+const MAX_ATTEMPTS = 3;
+
+const TERMINAL = ['succeeded', 'failed', 'cancelled'];
+
+// Emits '<jobId>' with the public job view on every change in this process
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+const running = new Map();
+let timer = null;
+let ticking = false;
+
+function isTerminal(status) {
+  return TERMINAL.includes(status);
+}
+
+function toPublic(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result || null,
+    error: job.error && job.error.body ? job.error : null,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    updatedAt: job.updatedAt
+  };
+}
+
+function publish(job) {
+  events.emit(String(job._id), toPublic(job));
+}
+
+// ============================================================
+// Handlers: the same pipelines the synchronous routes run
+// ============================================================
+async function runPredictionJob(job, options) {
+  const image = await Image.findById(job.imageId);
+  if (!image) {
+    return { status: 410, body: { success: false, code: 'GONE', message: 'Uploaded image is no longer available' } };
+  }
+
+  options.onProgress(10, 'Loading image');
+  const buffer = await storage.readImage(image);
+
+  return runPrediction({
+    userId: job.userId,
+    image,
+    body: job.input || {},
+    file: {
+      buffer,
+      originalname: image.originalName || 'upload',
+      mimetype: image.contentType,
+      size: buffer.length
+    }
+  }, options);
+}
+
+async function runAdviceJob(job, options) {
+  return runAdvice({ ...(job.input || {}), userId: job.userId }, options);
+}
+
+const handlers = {
+  prediction: runPredictionJob,
+  advice: runAdviceJob
+};
+
+// ============================================================
+// Queue operations
+// ============================================================
+async function submit(type, userId, input, imageId) {
+  const job = await Job.create({ type, userId, input, imageId, requestId: requestContext.requestId() });
+  publish(job);
+  setImmediate(tick);
+  return job;
+}
+
+async function findForUser(jobId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  return Job.findOne({ _id: jobId, userId });
+}
+
+// Queued jobs are cancelled right away; running ones are aborted by the
+// worker that owns them (directly here, or via cancelRequested elsewhere)
+async function cancel(jobId, userId) {
+  const job = await findForUser(jobId, userId);
+  if (!job || isTerminal(job.status)) return job;
+
+  if (job.status === 'queued') {
+    const cancelled = await Job.findOneAndUpdate(
+      { _id: job._id, status: 'queued' },
+      { status: 'cancelled', finishedAt: new Date(), 'progress.message': 'Cancelled' },
+      { new: true }
+    );
+    if (cancelled) {
+      await cleanupImage(cancelled);
+      publish(cancelled);
+      return cancelled;
+    }
+  }
+
+  const updated = await Job.findByIdAndUpdate(job._id, { cancelRequested: true }, { new: true });
+  const controller = running.get(String(job._id));
+  if (controller) controller.abort();
+  return updated;
+}
+
+// A prediction job keeps its upload only if it produced a new saved
+// prediction (a duplicate points at an earlier prediction's image)
+async function cleanupImage(job) {
+  if (job.type !== 'prediction' || !job.imageId) return;
+  if (job.status === 'succeeded' && job.result && job.result.predictionId && !job.result.duplicate) return;
+
+  await storage.deleteImage(job.imageId).catch((err) => {
+    logger.error('Could not delete job image', { jobId: String(job._id), err });
+  });
+}
+
+// ============================================================
+// Worker
+// ============================================================
+async function finish(job, update) {
+  const finished = await Job.findByIdAndUpdate(job._id, {
+    ...update,
+    finishedAt: new Date(),
+    workerId: null
+  }, { new: true });
+
+  if (finished) {
+    await cleanupImage(finished);
+    publish(finished);
+  }
+}
+
+async function execute(job) {
+  const id = String(job._id);
+  const controller = new AbortController();
+  running.set(id, controller);
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const current = await Job.findByIdAndUpdate(job._id, { heartbeatAt: new Date() }, { new: true });
+      if (current && current.cancelRequested) controller.abort();
+    } catch (err) {
+      logger.error('Job heartbeat failed', { jobId: id, err });
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  const onProgress = (percent, message) => {
+    Job.findOneAndUpdate({ _id: job._id, status: 'running' }, { progress: { percent, message } }, { new: true })
+      .then((updated) => updated && publish(updated))
+      .catch((err) => logger.error('Job progress update failed', { jobId: id, err }));
+  };
+
+  try {
+    if (job.cancelRequested) controller.abort();
+
+    const outcome = await handlers[job.type](job, { signal: controller.signal, onProgress });
+
+    if (outcome.status < 400) {
+      await finish(job, {
+        status: 'succeeded',
+        result: outcome.body,
+        progress: { percent: 100, message: 'Done' }
+      });
+    } else {
+      await finish(job, {
+        status: 'failed',
+        error: { status: outcome.status, body: outcome.body },
+        progress: { percent: 100, message: outcome.body.message || 'Failed' }
+      });
+    }
+  } catch (err) {
+    if (controller.signal.aborted) {
+      await finish(job, { status: 'cancelled', progress: { percent: job.progress.percent, message: 'Cancelled' } });
+    } else {
+      logger.error('Job failed', { jobId: id, type: job.type, err });
+      await finish(job, {
+        status: 'failed',
+        error: { status: 500, body: { success: false, code: 'INTERNAL_ERROR', message: 'Job failed' } },
+        progress: { percent: 100, message: 'Failed' }
+      });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    running.delete(id);
+    setImmediate(tick);
+  }
+}
+
+async function claimNext() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: 'queued' },
+    {
+      $set: {
+        status: 'running',
+        workerId: WORKER_ID,
+        startedAt: now,
+        heartbeatAt: now,
+        progress: { percent: 5, message: 'Started' }
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+// Jobs whose worker stopped heartbeating (crash, deploy, restart)
+async function recoverStale() {
+  const cutoff = new Date(Date.now() - STALE_AFTER);
+  const stale = await Job.find({ status: 'running', heartbeatAt: { $lt: cutoff } });
+
+  for (const job of stale) {
+    if (job.cancelRequested || job.attempts >= MAX_ATTEMPTS) {
+      const failed = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'running', heartbeatAt: job.heartbeatAt },
+        job.cancelRequested
+          ? { status: 'cancelled', finishedAt: new Date(), 'progress.message': 'Cancelled' }
+          : {
+            status: 'failed',
+            finishedAt: new Date(),
+            error: { status: 500, body: { success: false, code: 'INTERNAL_ERROR', message: 'Job was interrupted too many times' } }
+          },
+        { new: true }
+      );
+      if (failed) {
+        await cleanupImage(failed);
+        publish(failed);
+      }
+    } else {
+      const requeued = await Job.findOneAndUpdate(
+        { _id: job._id, status: 'running', heartbeatAt: job.heartbeatAt },
+        { status: 'queued', workerId: null, progress: { percent: 0, message: 'Requeued after interruption' } },
+        { new: true }
+      );
+      if (requeued) {
+        logger.warn('Requeued interrupted job', { jobId: String(job._id) });
+        publish(requeued);
+      }
+    }
+  }
+}
+
+let lastRecovery = 0;
+
+async function tick() {
+  if (ticking || !timer || mongoose.connection.readyState !== 1) return;
+  ticking = true;
+
+  try {
+    if (Date.now() - lastRecovery > HEARTBEAT_INTERVAL) {
+      lastRecovery = Date.now();
+      await recoverStale();
+    }
+
+    while (running.size < CONCURRENCY) {
+      const job = await claimNext();
+      if (!job) break;
+      publish(job);
+      requestContext.run({ requestId: job.requestId || `job-${job._id}` }, () => execute(job));
+    }
+  } catch (err) {
+    logger.error('Job worker error', { err });
+  } finally {
+    ticking = false;
+  }
+}
+
+// Anything still marked as ours was left behind by a previous process with
+// the same host and pid (common in containers), so requeue it right away
+async function requeueOwn() {
+  const result = await Job.updateMany(
+    { status: 'running', workerId: WORKER_ID },
+    { status: 'queued', workerId: null, progress: { percent: 0, message: 'Requeued after restart' } }
+  );
+  if (result.modifiedCount > 0) {
+    logger.warn('Requeued jobs after restart', { count: result.modifiedCount });
+  }
+}
+
+function start() {
+  if (timer || process.env.JOBS_WORKER_DISABLED === 'true') return;
+  timer = setInterval(tick, POLL_INTERVAL);
+  timer.unref();
+  requeueOwn()
+    .catch((err) => logger.error('Could not requeue jobs', { err }))
+    .then(tick);
+  logger.info('Job worker started', { workerId: WORKER_ID, concurrency: CONCURRENCY });
+}
+
+// Running jobs are left as they are; stale-heartbeat recovery requeues them
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  events,
+  submit,
+  cancel,
+  findForUser,
+  toPublic,
+  isTerminal,
+  start,
+  stop
+};
\ No newline at end of file
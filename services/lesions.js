@@ -0,0 +1,197 @@
+// services/lesions.js
+//
+// Tracked lesions and their timelines. A timeline is the lesion's
+// predictions in date order; consecutive points are compared to flag
+// changes worth showing to a doctor.
+const mongoose = require('mongoose');
+const Lesion = require('../models/Lesion');
+const Prediction = require('../models/Prediction');
+const storage = require('./storage');
+const { HIGH_RISK_DISEASES, normalizeDiseaseName } = require('../constants/diseases');
+
+// Confidence (0-1) gains that count as "rising"
+const CONFIDENCE_RISE = parseFloat(process.env.LESION_CONFIDENCE_RISE) || 0.15;
+const HIGH_RISK_RISE = parseFloat(process.env.LESION_HIGH_RISK_RISE) || 0.1;
+
+const SEVERITY_RANK = { mild: 1, moderate: 2, severe: 3 };
+
+async function findForUser(lesionId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(lesionId)) return null;
+  return Lesion.findOne({ _id: lesionId, userId });
+}
+
+function toPublic(lesion, stats) {
+  const view = {
+    id: lesion._id,
+    name: lesion.name,
+    bodyLocation: lesion.bodyLocation,
+    notes: lesion.notes,
+    createdAt: lesion.createdAt,
+    updatedAt: lesion.updatedAt
+  };
+  if (stats) {
+    view.predictionCount = stats.count;
+    view.lastPredictionAt = stats.lastAt;
+    view.latestDisease = stats.latestDisease;
+  }
+  return view;
+}
+
+// Prediction count and latest result per lesion, keyed by lesion id
+async function summaries(lesionIds) {
+  const rows = await Prediction.aggregate([
+    { $match: { lesionId: { $in: lesionIds } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: '$lesionId',
+        count: { $sum: 1 },
+        lastAt: { $last: '$createdAt' },
+        latestDisease: { $last: '$disease' }
+      }
+    }
+  ]);
+
+  const byId = {};
+  rows.forEach((row) => { byId[String(row._id)] = row; });
+  return byId;
+}
+
+// Probability the model gave a class, from allPredictions when present
+function probabilityOf(prediction, disease) {
+  const entries = Array.isArray(prediction.allPredictions) ? prediction.allPredictions : [];
+  const match = entries.find((p) => p && p.disease && normalizeDiseaseName(String(p.disease)) === disease);
+  if (match) return match.confidence;
+  return normalizeDiseaseName(prediction.disease) === disease ? prediction.confidence : 0;
+}
+
+function timelinePoint(prediction) {
+  const reviewed = prediction.review && prediction.review.status === 'completed';
+  const confirmedDiagnosis = reviewed && prediction.review.diagnosis ? prediction.review.diagnosis : null;
+  const highRisk = {};
+  HIGH_RISK_DISEASES.forEach((d) => { highRisk[d] = probabilityOf(prediction, d); });
+
+  return {
+    predictionId: prediction._id,
+    date: prediction.createdAt,
+    disease: normalizeDiseaseName(prediction.disease),
+    confidence: prediction.confidence,
+    severity: prediction.severity || null,
+    status: prediction.status,
+    // A dermatologist's diagnosis overrides the model for trend purposes
+    confirmedDiagnosis,
+    // Rejected results (belowThreshold, invalidClass) stay on the timeline
+    // but are too unsure to compare, unless a reviewer confirmed them
+    compared: prediction.status === 'accepted' || Boolean(confirmedDiagnosis),
+    highRiskProbability: highRisk,
+    imageUrl: mongoose.Types.ObjectId.isValid(prediction.image) ? storage.imageUrl(prediction.image) : null
+  };
+}
+
+function effectiveClass(point) {
+  return point.confirmedDiagnosis ? normalizeDiseaseName(point.confirmedDiagnosis) : point.disease;
+}
+
+function flag(type, level, message, from, to) {
+  return { type, level, message, from: from.date, to: to.date, predictionId: to.predictionId };
+}
+
+// Compare each compared point with the compared one before it
+function detectChanges(timelinePoints) {
+  const points = timelinePoints.filter((point) => point.compared);
+  const flags = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const curr = points[i];
+    const prevClass = effectiveClass(prev);
+    const currClass = effectiveClass(curr);
+
+    if (currClass !== prevClass) {
+      if (HIGH_RISK_DISEASES.includes(currClass)) {
+        flags.push(flag('shift_to_high_risk', 'alert',
+          `Result changed from ${prevClass} to ${currClass}`, prev, curr));
+      } else {
+        flags.push(flag('class_changed', 'info',
+          `Result changed from ${prevClass} to ${currClass}`, prev, curr));
+      }
+    } else if (curr.confidence - prev.confidence >= CONFIDENCE_RISE) {
+      const level = HIGH_RISK_DISEASES.includes(currClass) ? 'alert' : 'warning';
+      flags.push(flag('confidence_rising', level,
+        `Confidence in ${currClass} rose from ${Math.round(prev.confidence * 100)}% to ${Math.round(curr.confidence * 100)}%`,
+        prev, curr));
+    }
+
+    // High-risk probability creeping up even while another class is on top
+    HIGH_RISK_DISEASES.forEach((disease) => {
+      if (disease === currClass) return;
+      const rise = curr.highRiskProbability[disease] - prev.highRiskProbability[disease];
+      if (rise >= HIGH_RISK_RISE) {
+        flags.push(flag('high_risk_probability_rising', 'warning',
+          `Probability of ${disease} rose from ${Math.round(prev.highRiskProbability[disease] * 100)}% to ${Math.round(curr.highRiskProbability[disease] * 100)}%`,
+          prev, curr));
+      }
+    });
+
+    if (SEVERITY_RANK[curr.severity] > (SEVERITY_RANK[prev.severity] || 0) && prev.severity) {
+      flags.push(flag('severity_increased', 'warning',
+        `Severity went from ${prev.severity} to ${curr.severity}`, prev, curr));
+    }
+  }
+
+  return flags;
+}
+
+async function timeline(lesion) {
+  const predictions = await Prediction.find({ lesionId: lesion._id })
+    .sort({ createdAt: 1 });
+
+  const points = predictions.map(timelinePoint);
+  const flags = detectChanges(points);
+
+  return {
+    lesion: toPublic(lesion),
+    count: points.length,
+    points,
+    flags,
+    concerning: flags.some((f) => f.level !== 'info')
+  };
+}
+
+// Both resolve to the prediction, or null when it isn't the user's
+// (or, for detach, isn't attached to this lesion)
+async function attachPrediction(predictionId, lesion, userId) {
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) return null;
+
+  return Prediction.findOneAndUpdate(
+    { _id: predictionId, userId },
+    { lesionId: lesion._id },
+    { new: true }
+  );
+}
+
+async function detachPrediction(predictionId, lesion, userId) {
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) return null;
+
+  return Prediction.findOneAndUpdate(
+    { _id: predictionId, userId, lesionId: lesion._id },
+    { $unset: { lesionId: 1 } },
+    { new: true }
+  );
+}
+
+// Deleting a lesion keeps its predictions, they just stop being grouped
+async function deleteLesion(lesion) {
+  await Prediction.updateMany({ lesionId: lesion._id }, { $unset: { lesionId: 1 } });
+  await Lesion.deleteOne({ _id: lesion._id });
+}
+
+module.exports = {
+  findForUser,
+  toPublic,
+  summaries,
+  timeline,
+  attachPrediction,
+  detachPrediction,
+  deleteLesion
+};
\ No newline at end of file
@@ -0,0 +1,287 @@
+// services/llm.js – TinyLlama client used by routes/llm.js
+
+const axios = require("axios");
+const { createUpstream } = require("./resilience");
+const { upstreamHeaders } = require("../utils/requestContext");
+const logger = require("../utils/logger");
+
+// ============================================================
+// Load HuggingFace Space URL
+// ============================================================
+const LLM_URL = process.env.LLM_URL;
+// Cold starts are handled by retries now, so this only bounds generation time
+const LLM_TIMEOUT = parseInt(process.env.LLM_TIMEOUT_MS, 10) || 180000;
+// Optional streaming endpoint (SSE, NDJSON or chunked plain text)
+const LLM_STREAM_URL = process.env.LLM_STREAM_URL;
+// Pace of the fallback when the upstream returns everything at once
+const FALLBACK_CHUNK_WORDS = 4;
+const FALLBACK_CHUNK_DELAY_MS = 30;
+
+if (!LLM_URL) {
+  logger.warn("LLM_URL is not set; advice is disabled");
+}
+
+// ============================================================
+// Build Prompt
+// ============================================================
+function buildPrompt(disease, symptoms, severity, duration, confidence) {
+  return `
+You are a dermatology medical assistant.
+
+Condition: ${disease}
+Symptoms: ${symptoms || "Not provided"}
+Severity: ${severity || "Not provided"}
+Duration: ${duration || "Not provided"}
+Confidence: ${(confidence * 100).toFixed(0)}%
+
+Write a clear, safe explanation using:
+
+1. What the condition is  
+2. Common symptoms  
+3. Causes  
+4. Safe home care  
+5. Dermatologist treatments  
+6. When to see a doctor  
+7. Prevention tips  
+
+End with: "⚠️ AI-generated advice. Consult a dermatologist."
+`;
+}
+
+// ============================================================
+// Retries + circuit breaker (see services/resilience.js)
+// ============================================================
+const upstream = createUpstream({
+  name: "LLM",
+  metricLabel: "llm",
+  retries: parseInt(process.env.UPSTREAM_RETRIES, 10) || 3,
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+  resetTimeout: parseInt(process.env.CIRCUIT_RESET_MS, 10) || 30000,
+  isConfigured: () => !!LLM_URL,
+});
+
+// ============================================================
+// Handle all HF Space formats
+// ============================================================
+function extractText(data) {
+  if (data?.response) return data.response;
+  if (data?.generated_text) return data.generated_text;
+  if (Array.isArray(data) && data[0]?.generated_text) return data[0].generated_text;
+  return null;
+}
+
+// One streamed piece: TGI-style { token: { text } }, OpenAI-style deltas,
+// or any of the whole-response shapes above
+function extractToken(data) {
+  if (typeof data === "string") return data;
+  if (data?.token?.text !== undefined) return data.token.text;
+  if (typeof data?.token === "string") return data.token;
+  if (data?.choices?.[0]?.delta?.content !== undefined) return data.choices[0].delta.content;
+  if (typeof data?.text === "string") return data.text;
+  return extractText(data);
+}
+
+// ============================================================
+// CALL TINYLLAMA (wait_for_model)
+// ============================================================
+async function callTinyLlama(prompt, options = {}) {
+  logger.debug("Sending prompt to TinyLlama");
+
+  try {
+    const response = await upstream.call(() =>
+      axios.post(
+        LLM_URL,
+        { text: prompt, wait_for_model: true },
+        {
+          headers: { "Content-Type": "application/json", ...upstreamHeaders() },
+          timeout: LLM_TIMEOUT,
+          signal: options.signal,
+        }
+      )
+    );
+
+    logger.debug("TinyLlama response received", {
+      format: Array.isArray(response.data) ? "array" : typeof response.data,
+    });
+
+    const text = extractText(response.data);
+    if (text) return text.trim();
+
+    throw new Error("Unrecognized TinyLlama response format");
+
+  } catch (err) {
+    logger.error("TinyLlama request failed", { err });
+    throw err;
+  }
+}
+
+// ============================================================
+// Generate Advice
+// ============================================================
+async function generateAdvice(disease, symptoms, severity, duration, confidence, options) {
+  const prompt = buildPrompt(disease, symptoms, severity, duration, confidence);
+  return await callTinyLlama(prompt, options);
+}
+
+// ============================================================
+// STREAMING
+// ============================================================
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(canceledError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(canceledError());
+    }, { once: true });
+  });
+}
+
+function canceledError() {
+  const err = new Error("canceled");
+  err.code = "ERR_CANCELED";
+  return err;
+}
+
+// Re-deliver a complete answer piece by piece so the client UI behaves the same
+async function deliverInChunks(text, onToken, signal) {
+  const words = text.split(/(\s+)/);
+  const step = FALLBACK_CHUNK_WORDS * 2;
+  for (let i = 0; i < words.length; i += step) {
+    onToken(words.slice(i, i + step).join(""));
+    if (i + step < words.length) await sleep(FALLBACK_CHUNK_DELAY_MS, signal);
+  }
+}
+
+// Read an upstream response stream and call onToken for every piece of text.
+// Returns the full text.
+function readTokenStream(stream, contentType, onToken) {
+  const isSSE = contentType.includes("text/event-stream");
+  const isNDJSON = contentType.includes("ndjson") || contentType.includes("jsonl");
+  let buffer = "";
+  let full = "";
+  let finished = false;
+
+  function emit(piece) {
+    if (!piece) return;
+    full += piece;
+    onToken(piece);
+  }
+
+  function handleLine(line) {
+    let payload = line;
+    if (isSSE) {
+      if (!line.startsWith("data:")) return;
+      payload = line.slice(5).trimStart();
+      if (payload === "[DONE]") {
+        finished = true;
+        return;
+      }
+    }
+    if (!payload.trim()) return;
+
+    try {
+      const data = JSON.parse(payload);
+      if (data?.details || data?.generated_text) {
+        // TGI repeats the whole text in the final event; tokens already sent
+        if (data?.token?.text !== undefined) emit(data.token.text);
+        return;
+      }
+      emit(extractToken(data));
+    } catch (err) {
+      emit(payload);
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    stream.setEncoding("utf8");
+
+    stream.on("data", (chunk) => {
+      if (finished) return;
+      if (!isSSE && !isNDJSON) {
+        emit(chunk);
+        return;
+      }
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    stream.on("end", () => {
+      if (buffer && !finished) handleLine(buffer);
+      resolve(full);
+    });
+
+    stream.on("error", reject);
+  });
+}
+
+// Stream advice tokens through onToken and resolve to the full text.
+// Uses LLM_STREAM_URL when configured; if that upstream answers with plain
+// JSON, or no streaming endpoint exists, the complete answer is chunked.
+async function streamAdvice(disease, symptoms, severity, duration, confidence, options = {}) {
+  const prompt = buildPrompt(disease, symptoms, severity, duration, confidence);
+  const { signal, onToken } = options;
+
+  if (!LLM_STREAM_URL) {
+    const text = await callTinyLlama(prompt, { signal });
+    await deliverInChunks(text, onToken, signal);
+    return text;
+  }
+
+  logger.debug("Streaming prompt to TinyLlama");
+
+  const response = await upstream.call(() =>
+    axios.post(
+      LLM_STREAM_URL,
+      { text: prompt, inputs: prompt, stream: true, wait_for_model: true },
+      {
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "text/event-stream, application/x-ndjson, text/plain, application/json",
+          ...upstreamHeaders(),
+        },
+        timeout: LLM_TIMEOUT,
+        responseType: "stream",
+        signal,
+      }
+    )
+  );
+
+  const contentType = String(response.headers["content-type"] || "");
+
+  if (contentType.includes("application/json")) {
+    const body = await readTokenStream(response.data, "text/plain", () => {});
+    const text = extractText(JSON.parse(body));
+    if (!text) throw new Error("Unrecognized TinyLlama response format");
+    await deliverInChunks(text.trim(), onToken, signal);
+    return text.trim();
+  }
+
+  const text = await readTokenStream(response.data, contentType, onToken);
+  return text.trim();
+}
+
+// ============================================================
+// Warm-up ping: any HTTP answer from the Space means it is awake
+// ============================================================
+function warmup() {
+  return upstream.ping(async () => {
+    try {
+      await axios.get(new URL(LLM_URL).origin, { headers: upstreamHeaders(), timeout: 30000 });
+    } catch (err) {
+      if (!err.response || err.response.status >= 500) throw err;
+    }
+  });
+}
+
+module.exports = {
+  LLM_URL,
+  buildPrompt,
+  callTinyLlama,
+  generateAdvice,
+  streamAdvice,
+  warmup,
+  upstream,
+};
\ No newline at end of file
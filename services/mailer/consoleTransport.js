@@ -0,0 +1,22 @@
+// services/mailer/consoleTransport.js
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// Logs messages instead of sending them (default outside production).
+// The body holds single-use links, so it is left out in production.
+function createConsoleTransport() {
+  return {
+    name: 'console',
+
+    async send(message) {
+      logger.info('Mail not sent (console transport)', {
+        to: message.to,
+        subject: message.subject,
+        text: process.env.NODE_ENV === 'production' ? undefined : message.text
+      });
+      return { id: crypto.randomBytes(6).toString('hex') };
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
\ No newline at end of file
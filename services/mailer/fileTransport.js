@@ -0,0 +1,26 @@
+// services/mailer/fileTransport.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// Local development: every message becomes a JSON file in MAIL_DIR
+// (and is logged), so links can be copied from there
+function createFileTransport(options) {
+  const dir = path.resolve(options.dir || path.join(__dirname, '..', '..', 'mail'));
+
+  return {
+    name: 'file',
+
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date() }, null, 2));
+      logger.info('Mail saved to file', { to: message.to, file });
+      return { id };
+    }
+  };
+}
+
+module.exports = createFileTransport;
\ No newline at end of file
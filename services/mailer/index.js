@@ -0,0 +1,59 @@
+// services/mailer/index.js
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+const templates = require('./templates');
+const { APP_NAME } = require('../../constants/branding');
+const logger = require('../../utils/logger');
+
+// Select with MAIL_TRANSPORT=smtp|file|console (default: console)
+const TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || `${APP_NAME} <no-reply@dermadetect.app>`;
+
+// The console transport only logs, so nobody gets their reset or
+// verification email
+if (TRANSPORT === 'console' && process.env.NODE_ENV === 'production') {
+  logger.warn('MAIL_TRANSPORT is console in production; emails are logged, not sent');
+}
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+
+  switch (TRANSPORT) {
+    case 'smtp':
+      transport = createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || undefined,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+      break;
+    case 'file':
+      transport = createFileTransport({ dir: process.env.MAIL_DIR });
+      break;
+    case 'console':
+      transport = createConsoleTransport();
+      break;
+    default:
+      throw new Error('Unknown mail transport: ' + TRANSPORT);
+  }
+  return transport;
+}
+
+async function sendMail(message) {
+  return getTransport().send({ from: MAIL_FROM, ...message });
+}
+
+// Render a template from templates.js and send it
+async function sendTemplate(to, name, ...args) {
+  const rendered = templates[name](...args);
+  return sendMail({ to, ...rendered });
+}
+
+module.exports = {
+  sendMail,
+  sendTemplate
+};
\ No newline at end of file
@@ -0,0 +1,26 @@
+// services/mailer/smtpTransport.js
+const nodemailer = require('nodemailer');
+
+function createSmtpTransport(options) {
+  if (!options.host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port || 587,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
\ No newline at end of file
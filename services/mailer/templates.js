@@ -0,0 +1,57 @@
+// services/mailer/templates.js
+
+const { APP_NAME, BRAND_COLORS } = require('../../constants/branding');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function layout(title, paragraphs, link, linkLabel) {
+  const body = paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n');
+  return `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: ${BRAND_COLORS.text}; max-width: 560px;">
+    <h2 style="color: ${BRAND_COLORS.primary};">${escapeHtml(title)}</h2>
+    ${body}
+    <p><a href="${escapeHtml(link)}" style="background: ${BRAND_COLORS.primary}; color: #fff; padding: 10px 18px; border-radius: 6px; text-decoration: none;">${escapeHtml(linkLabel)}</a></p>
+    <p style="font-size: 12px; color: ${BRAND_COLORS.muted};">If the button doesn't work, open this link: ${escapeHtml(link)}</p>
+    <p style="font-size: 12px; color: ${BRAND_COLORS.muted};">${APP_NAME}</p>
+  </body>
+</html>`;
+}
+
+function passwordReset(user, link, expiresInMinutes) {
+  const lines = [
+    `Hi ${user.name},`,
+    `We received a request to reset your ${APP_NAME} password.`,
+    `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    "If you didn't ask for this, you can ignore this email."
+  ];
+  return {
+    subject: `Reset your ${APP_NAME} password`,
+    text: `${lines.join('\n\n')}\n\n${link}`,
+    html: layout('Reset your password', lines, link, 'Reset password')
+  };
+}
+
+function verifyEmail(user, link, expiresInHours) {
+  const lines = [
+    `Hi ${user.name},`,
+    `Please confirm this email address for your ${APP_NAME} account.`,
+    `This link expires in ${expiresInHours} hours.`
+  ];
+  return {
+    subject: `Confirm your email for ${APP_NAME}`,
+    text: `${lines.join('\n\n')}\n\n${link}`,
+    html: layout('Confirm your email', lines, link, 'Confirm email')
+  };
+}
+
+module.exports = {
+  passwordReset,
+  verifyEmail
+};
\ No newline at end of file
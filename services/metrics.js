@@ -0,0 +1,105 @@
+// services/metrics.js
+//
+// Prometheus metrics, served in text format on GET /metrics:
+//   http_requests_total / http_request_duration_seconds   by method, route, status
+//   upstream_request_duration_seconds                      ML model and LLM calls, by outcome
+//   upstream_errors_total                                  by upstream and error code (ECONNREFUSED, 503, ...)
+//   predictions_total                                      results answered, by class, outcome and source
+//   mongodb_connection_state                               mongoose readyState
+// plus the prom-client process metrics (memory, CPU, event loop lag).
+const client = require('prom-client');
+const mongoose = require('mongoose');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+// The HF Spaces take anywhere from a second to minutes on a cold start
+const upstreamDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Latency of each call attempt to the ML model and the LLM',
+  labelNames: ['upstream', 'outcome'],
+  buckets: [0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+  registers: [register]
+});
+
+const upstreamErrors = new client.Counter({
+  name: 'upstream_errors_total',
+  help: 'Failed calls to the ML model and the LLM by error code or HTTP status',
+  labelNames: ['upstream', 'code'],
+  registers: [register]
+});
+
+const predictions = new client.Counter({
+  name: 'predictions_total',
+  help: 'Prediction results answered to clients, by class, outcome (accepted, belowThreshold, invalidClass) and source (model, or cache for a reused duplicate result)',
+  labelNames: ['class', 'outcome', 'source'],
+  registers: [register]
+});
+
+// Read when scraped
+new client.Gauge({
+  name: 'mongodb_connection_state',
+  help: 'MongoDB connection state: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting',
+  registers: [register],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  }
+});
+
+function recordHttpRequest(labels, seconds) {
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+}
+
+// Axios errors carry the upstream's status; network errors only a code
+function errorCode(err) {
+  if (err.response && err.response.status) return String(err.response.status);
+  return err.code || 'UNKNOWN';
+}
+
+// seconds is null for calls that never reached the upstream (open circuit)
+function recordUpstreamCall(upstream, seconds, err) {
+  if (seconds !== null) {
+    upstreamDuration.observe({ upstream, outcome: err ? 'error' : 'success' }, seconds);
+  }
+  if (err) {
+    upstreamErrors.inc({ upstream, code: errorCode(err) });
+  }
+}
+
+// Called once per result a client gets back; results that could not be
+// saved are not answered, so they are not counted
+function recordPrediction(className, outcome, source) {
+  predictions.inc({ class: className, outcome, source });
+}
+
+function contentType() {
+  return register.contentType;
+}
+
+function metricsText() {
+  return register.metrics();
+}
+
+module.exports = {
+  recordHttpRequest,
+  recordUpstreamCall,
+  recordPrediction,
+  contentType,
+  metricsText
+};
\ No newline at end of file
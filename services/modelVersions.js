@@ -0,0 +1,33 @@
+// services/modelVersions.js
+//
+// Which registered ModelVersion is active. Predictions are tagged with it,
+// so the lookup is cached briefly instead of hitting Mongo on every upload.
+const ModelVersion = require('../models/ModelVersion');
+
+const CACHE_MS = 60 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+// Active version string, or null when none is registered
+async function activeVersion() {
+  if (cachedAt && Date.now() - cachedAt < CACHE_MS) {
+    return cached;
+  }
+
+  const model = await ModelVersion.findOne({ isActive: true }).select('version');
+  cached = model ? model.version : null;
+  cachedAt = Date.now();
+  return cached;
+}
+
+// Call after activating a version; other instances catch up within CACHE_MS
+function invalidate() {
+  cached = null;
+  cachedAt = 0;
+}
+
+module.exports = {
+  activeVersion,
+  invalidate
+};
\ No newline at end of file
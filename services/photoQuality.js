@@ -0,0 +1,186 @@
+// services/photoQuality.js
+//
+// Photo quality gate run before the ML call. Many "Confidence too low"
+// results come from unusable photos, so we measure the photo first and tell
+// the user how to take a better one instead of spending a model call on it.
+//
+// Scores (computed on a copy scaled to ANALYSIS_SIZE on its longest side):
+//   sharpness     variance of the Laplacian of the luma; low means blurry
+//   brightness    mean luma, 0-255
+//   underexposed  share of pixels that are almost black
+//   overexposed   share of pixels that are almost white
+//   skinCoverage  share of pixels in the YCbCr skin-colour range
+//   width/height  resolution of the uploaded image
+const sharp = require('sharp');
+
+// enforce: reject bad photos; report: score and store only; off: skip
+const MODE = ['enforce', 'report', 'off'].includes(process.env.PHOTO_QUALITY_MODE)
+  ? process.env.PHOTO_QUALITY_MODE
+  : 'enforce';
+
+// Unset keeps the default; 0 is a valid setting (e.g. no minimum)
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+}
+
+const THRESHOLDS = {
+  minResolution: envNumber('QUALITY_MIN_RESOLUTION', 224),
+  minSharpness: envNumber('QUALITY_MIN_SHARPNESS', 25),
+  minBrightness: envNumber('QUALITY_MIN_BRIGHTNESS', 50),
+  maxBrightness: envNumber('QUALITY_MAX_BRIGHTNESS', 220),
+  maxUnderexposed: envNumber('QUALITY_MAX_UNDEREXPOSED', 0.5),
+  maxOverexposed: envNumber('QUALITY_MAX_OVEREXPOSED', 0.3),
+  minSkinCoverage: envNumber('QUALITY_MIN_SKIN_COVERAGE', 0.2)
+};
+
+const ANALYSIS_SIZE = 512;
+const DARK_LEVEL = 16;
+const BRIGHT_LEVEL = 240;
+
+const ISSUES = {
+  low_resolution: {
+    message: 'The photo resolution is too low',
+    tip: 'Use your phone\'s main camera at full resolution instead of a screenshot or a cropped image.'
+  },
+  blurry: {
+    message: 'The photo is blurry',
+    tip: 'Hold the phone steady, tap the skin on screen to focus, and wait a moment before taking the photo.'
+  },
+  too_dark: {
+    message: 'The photo is too dark',
+    tip: 'Use more light: face a window or switch on a lamp.'
+  },
+  too_bright: {
+    message: 'The photo is overexposed',
+    tip: 'Avoid direct sunlight and flash glare; use even, indirect light.'
+  },
+  low_skin_coverage: {
+    message: 'Not enough of the photo shows skin',
+    tip: 'Move closer so the affected skin fills most of the frame.'
+  }
+};
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+// RGB pixels -> sharpness, exposure and skin scores
+function measure(data, width, height, channels) {
+  const pixels = width * height;
+  const luma = new Float32Array(pixels);
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+  let skin = 0;
+
+  for (let i = 0; i < pixels; i++) {
+    const r = data[i * channels];
+    const g = data[i * channels + 1];
+    const b = data[i * channels + 2];
+
+    const y = 0.299 * r + 0.587 * g + 0.114 * b;
+    luma[i] = y;
+    sum += y;
+    if (y < DARK_LEVEL) dark++;
+    if (y > BRIGHT_LEVEL) bright++;
+
+    // Chai & Ngan skin range; works across skin tones as it ignores luma
+    const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+    const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+    if (cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173) skin++;
+  }
+
+  // 4-neighbour Laplacian over the interior
+  let lapSum = 0;
+  let lapSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = 4 * luma[i] - luma[i - 1] - luma[i + 1] - luma[i - width] - luma[i + width];
+      lapSum += lap;
+      lapSquares += lap * lap;
+      count++;
+    }
+  }
+  const lapMean = count > 0 ? lapSum / count : 0;
+
+  return {
+    sharpness: count > 0 ? round(lapSquares / count - lapMean * lapMean, 1) : 0,
+    brightness: round(sum / pixels, 1),
+    underexposed: round(dark / pixels, 3),
+    overexposed: round(bright / pixels, 3),
+    skinCoverage: round(skin / pixels, 3)
+  };
+}
+
+function findIssues(scores) {
+  const issues = [];
+  if (Math.min(scores.width, scores.height) < THRESHOLDS.minResolution) issues.push('low_resolution');
+  if (scores.brightness < THRESHOLDS.minBrightness || scores.underexposed > THRESHOLDS.maxUnderexposed) {
+    issues.push('too_dark');
+  }
+  if (scores.brightness > THRESHOLDS.maxBrightness || scores.overexposed > THRESHOLDS.maxOverexposed) {
+    issues.push('too_bright');
+  }
+
+  // Bad exposure flattens both contrast and colour, so these two would only
+  // repeat it with the wrong advice
+  const exposed = !issues.includes('too_dark') && !issues.includes('too_bright');
+  if (exposed && scores.sharpness < THRESHOLDS.minSharpness) issues.push('blurry');
+  if (exposed && scores.skinCoverage < THRESHOLDS.minSkinCoverage) issues.push('low_skin_coverage');
+  return issues;
+}
+
+// Resolves to { scores, issues, passed } where passed is false when any
+// check failed (whatever the mode), or null when the gate is off.
+async function assessPhoto(buffer) {
+  if (MODE === 'off') return null;
+
+  const { data, info } = await sharp(buffer)
+    .resize(ANALYSIS_SIZE, ANALYSIS_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const metadata = await sharp(buffer).metadata();
+
+  const scores = {
+    ...measure(data, info.width, info.height, info.channels),
+    width: metadata.width,
+    height: metadata.height
+  };
+  const issues = findIssues(scores);
+
+  return { scores, issues, passed: issues.length === 0 };
+}
+
+// Whether an assessment should stop the prediction
+function shouldReject(assessment) {
+  return MODE === 'enforce' && !!assessment && !assessment.passed;
+}
+
+// Issue codes -> [{ code, message, tip }] for the client
+function describeIssues(issues) {
+  return issues.map((code) => ({ code, ...ISSUES[code] }));
+}
+
+// What gets saved on the Prediction
+function toRecord(assessment) {
+  if (!assessment) return undefined;
+  return { ...assessment.scores, issues: assessment.issues, passed: assessment.passed };
+}
+
+function describe() {
+  return { mode: MODE, thresholds: { ...THRESHOLDS } };
+}
+
+module.exports = {
+  assessPhoto,
+  shouldReject,
+  describeIssues,
+  toRecord,
+  describe
+};
\ No newline at end of file
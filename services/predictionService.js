@@ -0,0 +1,475 @@
+// services/predictionService.js
+//
+// The /api/predict pipeline: check the photo quality, reuse the result of a
+// duplicate upload or run the ML model, apply the confidence threshold and
+// class check, save the Prediction and map failures to HTTP responses.
+// Used by the synchronous route and by the prediction job worker.
+const mongoose = require('mongoose');
+const Prediction = require('../models/Prediction');
+const User = require('../models/User');
+const storage = require('./storage');
+const inference = require('./inference');
+const reviews = require('./reviews');
+const modelVersions = require('./modelVersions');
+const photoQuality = require('./photoQuality');
+const duplicates = require('./duplicates');
+const { fingerprint, isImageError } = require('./imageProcessing');
+const { canonicalDisease } = require('../constants/diseases');
+const logger = require('../utils/logger');
+const metrics = require('./metrics');
+
+const CONFIDENCE_THRESHOLD = 0.15;
+
+const DEFAULT_RECOMMENDATIONS = [
+  'Consult a dermatologist for proper diagnosis',
+  'Monitor the condition closely',
+  'Keep the affected area clean',
+  'Avoid scratching or irritating the area'
+];
+
+function isValidDisease(disease) {
+  return canonicalDisease(disease) !== null;
+}
+
+function determineSeverity(confidence) {
+  if (confidence >= 0.7) {
+    return 'severe';
+  }
+  if (confidence >= 0.4) {
+    return 'moderate';
+  }
+  return 'mild';
+}
+
+// Symptoms arrive as a JSON array or a comma-separated string from the form
+function parseSymptoms(symptoms) {
+  if (!symptoms) {
+    return [];
+  }
+  if (Array.isArray(symptoms)) {
+    return symptoms.map(String);
+  }
+  try {
+    const parsed = JSON.parse(symptoms);
+    if (Array.isArray(parsed)) {
+      return parsed.map(String);
+    }
+  } catch (err) {
+    // Not JSON, fall through to comma splitting
+  }
+  return String(symptoms).split(',').map(function(s) { return s.trim(); }).filter(Boolean);
+}
+
+// Save the prediction and link it into the user's history.
+// Reuses input.image when the upload was already stored (jobs do that).
+// Returns the new prediction id, or null for guests, whose results are not
+// kept. Throws when the prediction could not be saved, after removing an
+// image stored here.
+async function savePrediction(input, fields) {
+  const userId = input.userId;
+  if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+    return null;
+  }
+
+  let image = input.image || null;
+  const storedHere = !image;
+  let prediction;
+  try {
+    if (!image) {
+      image = await storage.saveImage(userId, input.file, 'prediction');
+    }
+
+    const modelVersion = await modelVersions.activeVersion().catch(function() { return null; });
+
+    prediction = await Prediction.create({
+      userId: userId,
+      modelVersion: modelVersion || undefined,
+      lesionId: mongoose.Types.ObjectId.isValid(input.body.lesionId) ? input.body.lesionId : undefined,
+      image: image._id.toString(),
+      symptoms: parseSymptoms(input.body.symptoms),
+      duration: input.body.duration,
+      reportedSeverity: input.body.severity,
+      quality: photoQuality.toRecord(input.quality),
+      contentHash: input.hashes ? input.hashes.contentHash : undefined,
+      perceptualHash: input.hashes ? input.hashes.perceptualHash : undefined,
+      ...fields,
+      review: reviews.newReview(fields)
+    });
+  } catch (dbError) {
+    if (image && storedHere) {
+      storage.deleteImage(image._id).catch(function() {});
+    }
+    throw dbError;
+  }
+
+  await linkHistory(userId, prediction);
+
+  logger.info('Prediction saved', { predictionId: prediction._id.toString() });
+  return prediction._id;
+}
+
+// The history routes read the predictions themselves, so a saved prediction
+// is kept even when the User.history entry cannot be added; it is tried twice
+async function linkHistory(userId, prediction) {
+  const update = {
+    $push: { history: { predictionId: prediction._id, date: prediction.createdAt } }
+  };
+  try {
+    await User.findByIdAndUpdate(userId, update);
+  } catch (firstError) {
+    try {
+      await User.findByIdAndUpdate(userId, update);
+    } catch (dbError) {
+      logger.error('Could not link prediction into history', {
+        err: dbError,
+        predictionId: prediction._id.toString()
+      });
+    }
+  }
+}
+
+// Count a result in predictions_total. source is 'model' for a fresh model
+// result and 'cache' for one reused from a duplicate upload. Whatever the
+// model returns outside the known classes is counted as 'other'.
+function countResult(fields, source) {
+  const className = canonicalDisease(fields.disease) || 'other';
+  metrics.recordPrediction(className, fields.status, source);
+}
+
+// Save the result and answer with it. A result that could not be saved is a
+// 500: the client should not get a prediction it cannot come back to.
+async function saveResult(saveInput, fields, source) {
+  let predictionId;
+  try {
+    predictionId = await savePrediction(saveInput, fields);
+  } catch (dbError) {
+    logger.error('Could not save prediction', { err: dbError });
+    return { status: 500, body: {
+      success: false,
+      code: 'INTERNAL_ERROR',
+      message: 'Prediction could not be saved'
+    } };
+  }
+  countResult(fields, source);
+  return { status: 200, body: resultBody(predictionId, fields) };
+}
+
+// Translate an inference failure into the response /api/predict has always sent
+function errorResponse(mlError) {
+  logger.error('ML model request failed', {
+    err: mlError,
+    upstreamStatus: mlError.response ? mlError.response.status : undefined,
+    upstreamResponse: mlError.response ? mlError.response.data : undefined
+  });
+
+  // The image could not be prepared for the model
+  if (isImageError(mlError)) {
+    return { status: 400, body: {
+      success: false,
+      code: mlError.code,
+      message: mlError.message
+    } };
+  }
+
+  // The model answered, but not with a usable prediction
+  if (mlError.code === 'ML_ERROR') {
+    return { status: 400, body: {
+      success: false,
+      code: 'MODEL_REJECTED_IMAGE',
+      message: mlError.message,
+      mlError: mlError.details
+    } };
+  }
+
+  if (mlError.code === 'ML_NO_PREDICTION' || mlError.code === 'ML_BAD_RESPONSE') {
+    return { status: 502, body: {
+      success: false,
+      code: 'UPSTREAM_ERROR',
+      message: mlError.message,
+      rawResponse: mlError.details
+    } };
+  }
+
+  // Handle specific error responses from Flask
+  if (mlError.response) {
+    if (mlError.response.status === 400) {
+      return { status: 400, body: {
+        success: false,
+        code: 'MODEL_REJECTED_IMAGE',
+        message: 'ML model rejected the image',
+        error: mlError.response.data.error || mlError.response.data,
+        hint: 'The image format may be incompatible. Try a different image.'
+      } };
+    }
+
+    if (mlError.response.status === 500) {
+      return { status: 502, body: {
+        success: false,
+        code: 'UPSTREAM_ERROR',
+        message: 'ML model internal error',
+        error: mlError.response.data.error || mlError.response.data
+      } };
+    }
+  }
+
+  // Upstream has been failing; the breaker is short-circuiting calls
+  if (mlError.code === 'CIRCUIT_OPEN') {
+    return { status: 503, headers: { 'Retry-After': String(mlError.retryAfter) }, body: {
+      success: false,
+      code: 'UPSTREAM_UNAVAILABLE',
+      message: 'ML model is temporarily unavailable',
+      retryAfter: mlError.retryAfter,
+      hint: 'The model service is starting up. Please try again shortly.'
+    } };
+  }
+
+  // Handle connection errors (retries with backoff already happened)
+  if (mlError.code === 'ECONNREFUSED' || mlError.code === 'ECONNRESET') {
+    return { status: 503, body: {
+      success: false,
+      code: 'UPSTREAM_UNAVAILABLE',
+      message: 'Cannot connect to ML model',
+      hint: 'The model service is waking up. Please try again in a minute.'
+    } };
+  }
+
+  if (mlError.code === 'ETIMEDOUT' || mlError.code === 'ECONNABORTED') {
+    return { status: 504, body: {
+      success: false,
+      code: 'UPSTREAM_TIMEOUT',
+      message: 'ML model timeout',
+      hint: 'The model took too long to respond'
+    } };
+  }
+
+  // Generic error; the details were logged above
+  return { status: 500, body: {
+    success: false,
+    code: 'INTERNAL_ERROR',
+    message: 'Request failed'
+  } };
+}
+
+// Response body for a prediction result; fields are what was (or is about
+// to be) saved on the Prediction
+function resultBody(predictionId, fields) {
+  if (fields.status === 'belowThreshold') {
+    return {
+      success: false,
+      message: 'Confidence too low',
+      predictionId: predictionId,
+      confidence: fields.confidence,
+      predictedDisease: fields.disease,
+      belowThreshold: true
+    };
+  }
+
+  if (fields.status === 'invalidClass') {
+    return {
+      success: false,
+      message: 'Disease not in trained database',
+      predictionId: predictionId,
+      detectedClass: fields.disease,
+      confidence: fields.confidence,
+      invalidClass: true
+    };
+  }
+
+  return {
+    success: true,
+    predictionId: predictionId,
+    prediction: fields.disease,
+    confidence: fields.confidence,
+    severity: fields.severity,
+    description: fields.description,
+    recommendations: fields.recommendations,
+    allPredictions: fields.allPredictions,
+    modelDetails: fields.modelDetails
+  };
+}
+
+// Form fields that describe this upload rather than the photo
+function hasUploadFields(body) {
+  return !!(body.lesionId || body.symptoms || body.duration || body.severity);
+}
+
+// The parts of a saved prediction that came from the model
+function modelResult(prediction) {
+  return {
+    disease: prediction.disease,
+    confidence: prediction.confidence,
+    status: prediction.status,
+    severity: prediction.severity,
+    description: prediction.description,
+    recommendations: prediction.recommendations,
+    allPredictions: prediction.allPredictions,
+    modelDetails: prediction.modelDetails
+  };
+}
+
+// The earlier result, with a pointer to the prediction it came from. An
+// upload with its own lesion, symptoms, duration or severity is saved as a
+// new prediction with the earlier model result, so a re-photo of a tracked
+// lesion still joins its timeline.
+async function duplicateResponse(duplicate, saveInput) {
+  const earlier = duplicate.prediction;
+  let outcome;
+  if (hasUploadFields(saveInput.body)) {
+    outcome = await saveResult(saveInput, modelResult(earlier), 'cache');
+    if (outcome.status !== 200) {
+      return outcome;
+    }
+  } else {
+    countResult(earlier, 'cache');
+    outcome = { status: 200, body: resultBody(earlier._id, earlier) };
+  }
+
+  outcome.body.cached = true;
+  outcome.body.duplicate = {
+    predictionId: earlier._id,
+    match: duplicate.match,
+    distance: duplicate.distance,
+    createdAt: earlier.createdAt,
+    url: '/api/user/history/' + earlier._id
+  };
+  return outcome;
+}
+
+// input: { userId, file: multer-style file, body: form fields, image?: stored Image }
+// options: { signal, onProgress(percent, message) }
+// Resolves to { status, body, headers? } - it never throws for ML failures.
+async function runPrediction(input, options) {
+  const opts = options || {};
+  const progress = opts.onProgress || function() {};
+  const file = input.file;
+  const body = input.body || {};
+
+  if (!inference.isConfigured()) {
+    return { status: 500, body: {
+      success: false,
+      code: 'NOT_CONFIGURED',
+      message: 'ML Model not configured'
+    } };
+  }
+
+  logger.debug('Prediction requested', { bytes: file.size, width: file.width, height: file.height });
+
+  progress(10, 'Checking photo quality');
+  let quality = null;
+  try {
+    quality = await photoQuality.assessPhoto(file.buffer);
+  } catch (err) {
+    // Never block a prediction because the check itself failed
+    logger.warn('Photo quality check failed', { err: err });
+  }
+
+  if (photoQuality.shouldReject(quality)) {
+    logger.info('Photo rejected by quality gate', { issues: quality.issues });
+    const reasons = photoQuality.describeIssues(quality.issues);
+    return { status: 422, body: {
+      success: false,
+      code: 'PHOTO_QUALITY_REJECTED',
+      message: 'Photo quality is too low for a reliable result',
+      qualityRejected: true,
+      reasons: reasons,
+      tips: reasons.map(function(r) { return r.tip; }),
+      quality: quality.scores
+    } };
+  }
+
+  // Same photo from the same user under the same model: skip the model call
+  let hashes = null;
+  let duplicate = null;
+  try {
+    hashes = await fingerprint(file.buffer);
+    const modelVersion = await modelVersions.activeVersion();
+    duplicate = await duplicates.findDuplicate(input.userId, hashes, modelVersion);
+  } catch (err) {
+    logger.warn('Duplicate check failed', { err: err });
+  }
+
+  const saveInput = { userId: input.userId, file: file, body: body, image: input.image, quality: quality, hashes: hashes };
+
+  if (duplicate) {
+    logger.info('Reusing prediction for duplicate upload', {
+      predictionId: String(duplicate.prediction._id),
+      match: duplicate.match
+    });
+    return duplicateResponse(duplicate, saveInput);
+  }
+
+  let result;
+  try {
+    logger.debug('Sending image to the ML model');
+    progress(20, 'Sending image to the ML model');
+
+    result = await inference.predict({
+      buffer: file.buffer,
+      filename: file.originalname,
+      contentType: file.mimetype
+    }, {
+      symptoms: body.symptoms,
+      duration: body.duration,
+      severity: body.severity
+    }, { signal: opts.signal });
+  } catch (mlError) {
+    if (mlError.name === 'CanceledError' || mlError.code === 'ERR_CANCELED') {
+      throw mlError;
+    }
+    return errorResponse(mlError);
+  }
+
+  progress(80, 'Saving prediction');
+
+  const disease = result.disease;
+  const confidence = result.confidence;
+  logger.info('ML prediction received', { disease: disease, confidence: confidence });
+
+  const allPredictions = result.allPredictions;
+  const modelDetails = result.modelDetails;
+
+  // Check confidence threshold
+  if (confidence < CONFIDENCE_THRESHOLD) {
+    const fields = {
+      disease: disease,
+      confidence: confidence,
+      status: 'belowThreshold',
+      allPredictions: allPredictions,
+      modelDetails: modelDetails
+    };
+    return saveResult(saveInput, fields, 'model');
+  }
+
+  // Validate disease
+  if (!isValidDisease(disease)) {
+    const fields = {
+      disease: disease,
+      confidence: confidence,
+      status: 'invalidClass',
+      allPredictions: allPredictions,
+      modelDetails: modelDetails
+    };
+    return saveResult(saveInput, fields, 'model');
+  }
+
+  const fields = {
+    disease: disease,
+    confidence: confidence,
+    status: 'accepted',
+    severity: determineSeverity(confidence),
+    description: result.description || 'Detected: ' + disease,
+    recommendations: result.recommendations || DEFAULT_RECOMMENDATIONS,
+    allPredictions: allPredictions,
+    modelDetails: modelDetails
+  };
+  // Return successful prediction
+  return saveResult(saveInput, fields, 'model');
+}
+
+module.exports = {
+  CONFIDENCE_THRESHOLD,
+  isValidDisease,
+  determineSeverity,
+  parseSymptoms,
+  runPrediction
+};
\ No newline at end of file
@@ -0,0 +1,182 @@
+// services/rateLimit/index.js
+//
+// Fixed-window rate limits and daily quotas for the routes that call the
+// ML model or the LLM, so one client cannot use up the free HF Space.
+//   limits  short windows, counted per IP and per signed-in user
+//   quotas  requests per UTC day by role; guests are counted by IP
+// Counters live in the store picked with RATE_LIMIT_STORE=memory|mongo
+// (default: memory). RATE_LIMIT=off disables everything.
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+const ENABLED = process.env.RATE_LIMIT !== 'off';
+const STORE_NAME = process.env.RATE_LIMIT_STORE || 'memory';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GUEST = 'guest';
+
+// Unset keeps the default; a negative number means unlimited
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  if (isNaN(value)) return fallback;
+  return value < 0 ? null : value;
+}
+
+// RATE_LIMIT_<GROUP>_WINDOW_SECONDS, RATE_LIMIT_<GROUP>_IP, RATE_LIMIT_<GROUP>_USER
+function limit(group, windowSeconds, perIp, perUser) {
+  return {
+    windowMs: (envLimit(`RATE_LIMIT_${group}_WINDOW_SECONDS`, windowSeconds) || windowSeconds) * 1000,
+    perIp: envLimit(`RATE_LIMIT_${group}_IP`, perIp),
+    perUser: envLimit(`RATE_LIMIT_${group}_USER`, perUser)
+  };
+}
+
+// QUOTA_<GROUP>_<ROLE> per day; null is unlimited
+function quota(group, defaults) {
+  const quotas = {};
+  Object.keys(defaults).forEach((role) => {
+    quotas[role] = envLimit(`QUOTA_${group}_${role.toUpperCase()}`, defaults[role]);
+  });
+  return quotas;
+}
+
+// predict: /api/predict, /api/analysis/predict and prediction jobs
+// advice:  /api/llm/advice(/stream) and advice jobs
+const LIMITS = {
+  predict: limit('PREDICT', 60, 10, 10),
+  advice: limit('ADVICE', 60, 10, 10)
+};
+
+const QUOTAS = {
+  predict: quota('PREDICT', { guest: 5, patient: 30, dermatologist: 200, admin: null }),
+  advice: quota('ADVICE', { guest: 0, patient: 30, dermatologist: 200, admin: null })
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    switch (STORE_NAME) {
+      case 'memory':
+        store = createMemoryStore();
+        break;
+      case 'mongo':
+        store = createMongoStore();
+        break;
+      default:
+        throw new Error('Unknown rate limit store: ' + STORE_NAME);
+    }
+  }
+  return store;
+}
+
+function windowFor(windowMs, now) {
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { start, resetAt: new Date(start + windowMs) };
+}
+
+// The counters one request touches in a group
+function checksFor(group, subject) {
+  const limits = LIMITS[group];
+  const checks = [];
+
+  if (limits.perIp !== null && subject.ip) {
+    checks.push({ scope: 'ip', key: `ip:${subject.ip}`, limit: limits.perIp, windowMs: limits.windowMs });
+  }
+  if (limits.perUser !== null && subject.userId) {
+    checks.push({ scope: 'user', key: `user:${subject.userId}`, limit: limits.perUser, windowMs: limits.windowMs });
+  }
+
+  const role = subject.userId ? subject.role : GUEST;
+  const daily = QUOTAS[group][role];
+  if (daily !== null && daily !== undefined) {
+    checks.push({
+      scope: 'daily',
+      key: subject.userId ? `user:${subject.userId}` : `ip:${subject.ip}`,
+      limit: daily,
+      windowMs: DAY_MS
+    });
+  }
+
+  return checks;
+}
+
+// Count one request. subject: { ip, userId?, role? }
+// Resolves to { results, blocked } where each result is a check with
+// count, remaining and resetAt, and blocked is the first exceeded one.
+// Resolves to null when rate limiting is off.
+async function consume(group, subject) {
+  if (!ENABLED) return null;
+  if (!LIMITS[group]) throw new Error('Unknown rate limit group: ' + group);
+
+  const now = Date.now();
+  const results = [];
+  for (const check of checksFor(group, subject)) {
+    const window = windowFor(check.windowMs, now);
+    const key = `${group}:${check.scope}:${check.key}:${window.start}`;
+    const count = await getStore().increment(key, 1, window.resetAt);
+    results.push({
+      ...check,
+      storeKey: key,
+      count,
+      remaining: Math.max(check.limit - count, 0),
+      resetAt: window.resetAt
+    });
+  }
+
+  const blocked = results.find((r) => r.count > r.limit) || null;
+
+  // A rejected request must not use up quota
+  if (blocked) {
+    for (const result of results) {
+      await getStore().increment(result.storeKey, -1, result.resetAt);
+    }
+  }
+
+  return { results, blocked };
+}
+
+// Today's quota use for a signed-in user, by group
+async function usage(userId, role) {
+  const now = Date.now();
+  const window = windowFor(DAY_MS, now);
+  const result = {};
+
+  for (const group of Object.keys(QUOTAS)) {
+    const daily = QUOTAS[group][role];
+    const used = ENABLED
+      ? await getStore().get(`${group}:daily:user:${userId}:${window.start}`)
+      : 0;
+    const unlimited = !ENABLED || daily === null || daily === undefined;
+
+    result[group] = {
+      limit: unlimited ? null : daily,
+      used,
+      remaining: unlimited ? null : Math.max(daily - used, 0),
+      resetAt: window.resetAt
+    };
+  }
+
+  return result;
+}
+
+// Drops a user's counters (per-user limits and daily quotas), for account
+// deletion. Counters expire with their window anyway.
+async function forgetUser(userId) {
+  await getStore().deleteMatching(`:user:${userId}:`);
+}
+
+function describe() {
+  return {
+    enabled: ENABLED,
+    store: STORE_NAME,
+    limits: LIMITS,
+    quotas: QUOTAS
+  };
+}
+
+module.exports = {
+  consume,
+  usage,
+  forgetUser,
+  describe
+};
\ No newline at end of file
@@ -0,0 +1,42 @@
+// services/rateLimit/memoryStore.js
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Counters in this process only; with several instances each one counts
+// separately, so use the mongo store there
+function createMemoryStore() {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, SWEEP_INTERVAL);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, cost, resetAt) {
+      const counter = counters.get(key) || { count: 0, resetAt: resetAt.getTime() };
+      counter.count += cost;
+      counters.set(key, counter);
+      return counter.count;
+    },
+
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > Date.now() ? counter.count : 0;
+    },
+
+    // Removes every counter whose key contains the text
+    async deleteMatching(text) {
+      counters.forEach((counter, key) => {
+        if (key.includes(text)) counters.delete(key);
+      });
+    }
+  };
+}
+
+module.exports = createMemoryStore;
\ No newline at end of file
@@ -0,0 +1,47 @@
+// services/rateLimit/mongoStore.js
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+const DUPLICATE_KEY = 11000;
+
+// Counters shared by every instance through MongoDB
+function createMongoStore() {
+  async function increment(key, cost, resetAt) {
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        { $inc: { count: cost }, $setOnInsert: { resetAt } },
+        { upsert: true, new: true }
+      );
+      return counter.count;
+    } catch (err) {
+      // Two first hits in the same window raced on the upsert; the loser
+      // retries and now finds the document
+      if (err.code !== DUPLICATE_KEY) throw err;
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        { $inc: { count: cost } },
+        { new: true }
+      );
+      return counter.count;
+    }
+  }
+
+  return {
+    name: 'mongo',
+
+    increment,
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key }).select('count');
+      return counter ? counter.count : 0;
+    },
+
+    // Removes every counter whose key contains the text
+    async deleteMatching(text) {
+      const escaped = text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      await RateLimitCounter.deleteMany({ key: { $regex: escaped } });
+    }
+  };
+}
+
+module.exports = createMongoStore;
\ No newline at end of file
@@ -0,0 +1,275 @@
+// services/report.js
+//
+// Printable PDF of one saved prediction for the patient to take to their
+// dermatologist. Built in-process with pdfkit and its bundled fonts, so it
+// needs no network access.
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const Image = require('../models/Image');
+const storage = require('./storage');
+const { APP_NAME, BRAND_COLORS } = require('../constants/branding');
+const logger = require('../utils/logger');
+
+const ALTERNATIVES = 3;
+const IMAGE_SIZE = 220;
+
+const DISEASE_NAMES = {
+  acne: 'Acne',
+  hyperpigmentation: 'Hyperpigmentation',
+  vitiligo: 'Vitiligo',
+  sjs: 'Stevens-Johnson syndrome',
+  melanoma: 'Melanoma',
+  keratosis: 'Keratosis',
+  psoriasis: 'Psoriasis',
+  ringworm: 'Ringworm'
+};
+
+const DISCLAIMER = `This report was generated automatically by ${APP_NAME} from a photo and the ` +
+  'symptoms you entered. It is not a medical diagnosis. The predicted condition, confidence and ' +
+  'advice may be wrong. Always consult a qualified dermatologist or doctor, and seek urgent care ' +
+  'if a lesion bleeds, changes quickly or you feel unwell.';
+
+function diseaseName(disease) {
+  if (!disease) return 'Unknown';
+  const key = String(disease).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return DISEASE_NAMES[key] || String(disease);
+}
+
+function percent(confidence) {
+  return typeof confidence === 'number' ? `${(confidence * 100).toFixed(1)}%` : '-';
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-';
+}
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : '-';
+}
+
+// The standard PDF fonts only cover Latin-1; drop anything else (emoji etc.)
+function clean(text) {
+  return String(text == null ? '' : text)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/•/g, '-')
+    .replace(/[^\n\r\t\x20-\x7E\xA0-\xFF]/g, '');
+}
+
+// pdfkit can embed JPEG and PNG only
+function embeddableImage(buffer) {
+  if (!buffer || buffer.length < 4) return false;
+  const jpeg = buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF;
+  const png = buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47;
+  return jpeg || png;
+}
+
+async function loadImage(prediction) {
+  if (!mongoose.Types.ObjectId.isValid(prediction.image)) return null;
+
+  try {
+    const image = await Image.findById(prediction.image);
+    if (!image) return null;
+    const buffer = await storage.readImage(image);
+    return embeddableImage(buffer) ? buffer : null;
+  } catch (err) {
+    logger.warn('Could not load image for report', { err });
+    return null;
+  }
+}
+
+function sectionTitle(doc, title) {
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(BRAND_COLORS.primary).text(title);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5)
+    .strokeColor(BRAND_COLORS.primaryLight)
+    .stroke();
+  doc.moveDown(0.4);
+  doc.font('Helvetica').fontSize(10.5).fillColor(BRAND_COLORS.text);
+}
+
+function field(doc, label, value, x, width) {
+  doc.font('Helvetica-Bold').fillColor(BRAND_COLORS.muted).text(label, x, doc.y, { width, continued: false });
+  doc.font('Helvetica').fillColor(BRAND_COLORS.text).text(clean(value) || '-', x, doc.y, { width });
+  doc.moveDown(0.3);
+}
+
+function header(doc) {
+  doc.rect(0, 0, doc.page.width, 70).fill(BRAND_COLORS.primary);
+  doc.fillColor('#ffffff').font('Helvetica-Bold').fontSize(22).text(APP_NAME, 50, 22);
+  doc.font('Helvetica').fontSize(11).text('Skin analysis report', 50, 48);
+  doc.fillColor(BRAND_COLORS.text);
+  doc.y = 95;
+}
+
+function footers(doc, generatedAt) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.height - 40;
+    // Writing below the bottom margin would add a new page
+    const margin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor(BRAND_COLORS.muted)
+      .text(`${APP_NAME} - generated ${formatDate(generatedAt)} - not a medical diagnosis`,
+        50, bottom, { width: doc.page.width - 100, align: 'left' })
+      .text(`Page ${i + 1} of ${range.count}`, 50, bottom, { width: doc.page.width - 100, align: 'right' });
+    doc.page.margins.bottom = margin;
+  }
+}
+
+function summary(doc, prediction, imageBuffer) {
+  const left = doc.page.margins.left;
+  const top = doc.y;
+  const textX = imageBuffer ? left + IMAGE_SIZE + 20 : left;
+  const textWidth = doc.page.width - doc.page.margins.right - textX;
+
+  if (imageBuffer) {
+    doc.image(imageBuffer, left, top, { fit: [IMAGE_SIZE, IMAGE_SIZE], align: 'center', valign: 'center' });
+    doc.rect(left, top, IMAGE_SIZE, IMAGE_SIZE).lineWidth(0.5).strokeColor(BRAND_COLORS.muted).stroke();
+  }
+
+  doc.y = top;
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(BRAND_COLORS.muted).text('Predicted condition', textX, doc.y, { width: textWidth });
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND_COLORS.primary).text(clean(diseaseName(prediction.disease)), textX, doc.y, { width: textWidth });
+  doc.moveDown(0.5);
+  doc.fontSize(10.5);
+
+  field(doc, 'Confidence', percent(prediction.confidence), textX, textWidth);
+  field(doc, 'Severity', capitalize(prediction.severity), textX, textWidth);
+  if (prediction.status && prediction.status !== 'accepted') {
+    field(doc, 'Result status', prediction.status === 'belowThreshold'
+      ? 'Confidence too low to give a result'
+      : 'Not one of the conditions the model was trained on', textX, textWidth);
+  }
+  field(doc, 'Analysed at', formatDate(prediction.createdAt), textX, textWidth);
+  field(doc, 'Model version', prediction.modelVersion || 'Not recorded', textX, textWidth);
+  field(doc, 'Report ID', String(prediction._id), textX, textWidth);
+
+  doc.x = left;
+  doc.y = Math.max(doc.y, imageBuffer ? top + IMAGE_SIZE : 0) + 5;
+  if (!imageBuffer) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(BRAND_COLORS.muted)
+      .text('The photo could not be included in this report.', left);
+  }
+}
+
+function alternatives(doc, prediction) {
+  const others = (Array.isArray(prediction.allPredictions) ? prediction.allPredictions : [])
+    .filter((p) => p && p.disease && String(p.disease).toLowerCase() !== String(prediction.disease).toLowerCase())
+    .slice(0, ALTERNATIVES);
+
+  sectionTitle(doc, 'Other possible conditions');
+  if (others.length === 0) {
+    doc.text('None reported by the model.');
+    return;
+  }
+  others.forEach((p) => {
+    doc.text(`${clean(diseaseName(p.disease))}: ${percent(p.confidence)}`, { indent: 10 });
+  });
+}
+
+function inputs(doc, prediction) {
+  sectionTitle(doc, 'Your symptoms');
+  const symptoms = prediction.symptoms && prediction.symptoms.length > 0
+    ? prediction.symptoms.join(', ')
+    : 'None entered';
+  doc.text(`Symptoms: ${clean(symptoms)}`);
+  doc.text(`Duration: ${clean(prediction.duration) || 'Not entered'}`);
+  doc.text(`Severity you reported: ${clean(prediction.reportedSeverity) || 'Not entered'}`);
+}
+
+function review(doc, prediction) {
+  const r = prediction.review;
+  if (!r || r.status !== 'completed') return;
+
+  sectionTitle(doc, 'Dermatologist review');
+  doc.text(`Confirmed diagnosis: ${clean(diseaseName(r.diagnosis))}`);
+  doc.text(`Urgency: ${capitalize(r.urgency)}`);
+  if (r.notes) doc.text(`Notes: ${clean(r.notes)}`);
+  doc.text(`Reviewed at: ${formatDate(r.reviewedAt)}`);
+}
+
+function advice(doc, prediction) {
+  sectionTitle(doc, 'Advice');
+  if (!prediction.advice) {
+    doc.text('No advice was generated for this result.');
+    return;
+  }
+  doc.text(clean(prediction.advice), { align: 'left' });
+  if (prediction.adviceGeneratedAt) {
+    doc.moveDown(0.3);
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor(BRAND_COLORS.muted)
+      .text(`AI-generated advice, ${formatDate(prediction.adviceGeneratedAt)}`);
+    doc.font('Helvetica').fontSize(10.5).fillColor(BRAND_COLORS.text);
+  }
+}
+
+function disclaimer(doc) {
+  doc.moveDown(1);
+  const left = doc.page.margins.left;
+  const width = doc.page.width - left - doc.page.margins.right;
+  doc.font('Helvetica').fontSize(9.5);
+  const height = doc.heightOfString(DISCLAIMER, { width: width - 20 }) + 30;
+
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  doc.rect(left, top, width, height).fill(BRAND_COLORS.warningLight);
+  doc.fillColor(BRAND_COLORS.warning).font('Helvetica-Bold').fontSize(10.5)
+    .text('Important', left + 10, top + 8, { width: width - 20 });
+  doc.font('Helvetica').fontSize(9.5).text(DISCLAIMER, left + 10, doc.y + 2, { width: width - 20 });
+  doc.fillColor(BRAND_COLORS.text);
+}
+
+// Resolves to the PDF as a Buffer
+async function buildPredictionReport(prediction, user) {
+  const imageBuffer = await loadImage(prediction);
+  const generatedAt = new Date();
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: 50, bottom: 60, left: 50, right: 50 },
+    bufferPages: true,
+    info: {
+      Title: `${APP_NAME} report - ${diseaseName(prediction.disease)}`,
+      Author: APP_NAME,
+      CreationDate: generatedAt
+    }
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  header(doc);
+  if (user && user.name) {
+    doc.font('Helvetica').fontSize(10).fillColor(BRAND_COLORS.muted)
+      .text(clean(`Prepared for ${user.name}`), doc.page.margins.left, doc.y);
+    doc.moveDown(0.8);
+  }
+
+  summary(doc, prediction, imageBuffer);
+  alternatives(doc, prediction);
+  inputs(doc, prediction);
+  review(doc, prediction);
+  advice(doc, prediction);
+  disclaimer(doc);
+  footers(doc, generatedAt);
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  buildPredictionReport
+};
\ No newline at end of file
@@ -0,0 +1,212 @@
+// services/resilience.js
+
+// Retry + circuit breaker wrapper for the HuggingFace-hosted upstreams.
+// Spaces go to sleep when idle and answer with connection errors or 502/503
+// while booting, so those are retried with backoff. After enough consecutive
+// failures the circuit opens and calls fail fast until resetTimeout passes;
+// then a single trial call (half-open) decides whether to close it again.
+
+const logger = require('../utils/logger');
+const metrics = require('./metrics');
+
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE'];
+const RETRYABLE_STATUS = [502, 503, 504];
+
+function isColdStartError(err) {
+  if (RETRYABLE_CODES.includes(err.code)) return true;
+  return !!(err.response && RETRYABLE_STATUS.includes(err.response.status));
+}
+
+// Errors that say the upstream is unhealthy. A 4xx means it answered,
+// and a request we aborted ourselves says nothing about its health.
+function isUpstreamFailure(err) {
+  if (err.response) return err.response.status >= 500;
+  if (err.code === 'ERR_CANCELED') return false;
+  return !!err.code && !err.code.startsWith('ML_');
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createUpstream(options) {
+  const name = options.name;
+  // Label for the upstream_* metrics
+  const metricLabel = options.metricLabel || name;
+  const retries = options.retries !== undefined ? options.retries : 3;
+  const baseDelay = options.baseDelay || 2000;
+  const maxDelay = options.maxDelay || 15000;
+  const failureThreshold = options.failureThreshold || 5;
+  const resetTimeout = options.resetTimeout || 30000;
+  const isConfigured = options.isConfigured || (() => true);
+
+  const status = {
+    state: 'closed',
+    consecutiveFailures: 0,
+    openedAt: null,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastLatencyMs: null,
+    lastWarmupAt: null,
+    lastWarmupOk: null
+  };
+  let trialInFlight = false;
+
+  function open() {
+    status.state = 'open';
+    status.openedAt = new Date();
+    logger.warn('Circuit opened', { upstream: name, consecutiveFailures: status.consecutiveFailures });
+  }
+
+  function close() {
+    if (status.state !== 'closed') {
+      logger.info('Circuit closed', { upstream: name });
+    }
+    status.state = 'closed';
+    status.openedAt = null;
+    status.consecutiveFailures = 0;
+  }
+
+  function recordSuccess(latency) {
+    status.lastSuccessAt = new Date();
+    status.lastLatencyMs = latency;
+    close();
+  }
+
+  function recordFailure(err) {
+    status.lastFailureAt = new Date();
+    status.lastError = err.code || err.message;
+    status.consecutiveFailures += 1;
+
+    if (status.state === 'half-open' || status.consecutiveFailures >= failureThreshold) {
+      open();
+    }
+  }
+
+  function retryAfterMs() {
+    if (status.state !== 'open') return 0;
+    return Math.max(0, status.openedAt.getTime() + resetTimeout - Date.now());
+  }
+
+  // Throws CIRCUIT_OPEN when calls should not reach the upstream right now
+  function admit() {
+    if (status.state === 'open') {
+      const wait = retryAfterMs();
+      if (wait > 0) {
+        const err = new Error(`${name} service is unavailable, retry later`);
+        err.code = 'CIRCUIT_OPEN';
+        err.retryAfter = Math.ceil(wait / 1000);
+        throw err;
+      }
+      status.state = 'half-open';
+    }
+
+    if (status.state === 'half-open') {
+      if (trialInFlight) {
+        const err = new Error(`${name} service is recovering, retry shortly`);
+        err.code = 'CIRCUIT_OPEN';
+        err.retryAfter = Math.ceil(baseDelay / 1000);
+        throw err;
+      }
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // Run fn() with retries on cold-start errors, inside the circuit breaker
+  async function call(fn) {
+    let isTrial;
+    try {
+      isTrial = admit();
+    } catch (err) {
+      metrics.recordUpstreamCall(metricLabel, null, err);
+      throw err;
+    }
+
+    try {
+      let attempt = 0;
+      for (;;) {
+        const started = Date.now();
+        try {
+          const result = await fn();
+          const latency = Date.now() - started;
+          recordSuccess(latency);
+          metrics.recordUpstreamCall(metricLabel, latency / 1000);
+          return result;
+        } catch (err) {
+          metrics.recordUpstreamCall(metricLabel, (Date.now() - started) / 1000, err);
+          // In half-open only the single trial attempt is allowed
+          if (!isTrial && attempt < retries && isColdStartError(err)) {
+            const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt)) * (0.5 + Math.random() / 2);
+            attempt += 1;
+            logger.warn('Upstream cold-start error, retrying', {
+              upstream: name,
+              error: err.code || err.response.status,
+              attempt,
+              retries,
+              delayMs: Math.round(delay)
+            });
+            await sleep(delay);
+            continue;
+          }
+
+          if (isUpstreamFailure(err)) {
+            recordFailure(err);
+          }
+          throw err;
+        }
+      }
+    } finally {
+      if (isTrial) trialInFlight = false;
+    }
+  }
+
+  // Warm-up pings: a success proves the upstream is up and closes the
+  // circuit; a failure is only recorded, it doesn't trip the breaker
+  async function ping(fn) {
+    if (!isConfigured()) return null;
+
+    const started = Date.now();
+    status.lastWarmupAt = new Date();
+    try {
+      await fn();
+      status.lastWarmupOk = true;
+      recordSuccess(Date.now() - started);
+      return true;
+    } catch (err) {
+      status.lastWarmupOk = false;
+      status.lastError = err.code || err.message;
+      return false;
+    }
+  }
+
+  function snapshot() {
+    return {
+      name,
+      configured: isConfigured(),
+      state: status.state === 'open' && retryAfterMs() === 0 ? 'half-open' : status.state,
+      consecutiveFailures: status.consecutiveFailures,
+      lastSuccessAt: status.lastSuccessAt,
+      lastFailureAt: status.lastFailureAt,
+      lastError: status.lastError,
+      lastLatencyMs: status.lastLatencyMs,
+      lastWarmupAt: status.lastWarmupAt,
+      lastWarmupOk: status.lastWarmupOk,
+      retryAfterSeconds: Math.ceil(retryAfterMs() / 1000)
+    };
+  }
+
+  return {
+    name,
+    call,
+    ping,
+    snapshot
+  };
+}
+
+module.exports = {
+  createUpstream,
+  isColdStartError
+};
\ No newline at end of file
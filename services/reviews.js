@@ -0,0 +1,244 @@
+// services/reviews.js
+//
+// Dermatologist review queue. A rule decides which new predictions need a
+// human look; reviewers claim a case, then record a confirmed diagnosis,
+// notes and an urgency level on prediction.review.
+//
+// REVIEW_QUEUE_MODE: all | risk (default) | off
+//   risk queues predictions below REVIEW_CONFIDENCE_THRESHOLD, rejected ones,
+//   and any whose top classes include a REVIEW_HIGH_RISK_DISEASES class.
+const mongoose = require('mongoose');
+const Prediction = require('../models/Prediction');
+const storage = require('./storage');
+const { HIGH_RISK_DISEASES: DEFAULT_HIGH_RISK, normalizeDiseaseName, normalizeDiagnosis } = require('../constants/diseases');
+
+const MODE = (process.env.REVIEW_QUEUE_MODE || 'risk').toLowerCase();
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.6;
+const HIGH_RISK_DISEASES = (process.env.REVIEW_HIGH_RISK_DISEASES || DEFAULT_HIGH_RISK.join(','))
+  .split(',')
+  .map((d) => normalizeDiseaseName(d))
+  .filter(Boolean);
+// How far down allPredictions a high-risk class still counts
+const HIGH_RISK_TOP_N = 2;
+// A claim nobody completes goes back to the queue after this long
+const CLAIM_TIMEOUT_MS = (parseInt(process.env.REVIEW_CLAIM_TIMEOUT_MINUTES, 10) || 60) * 60 * 1000;
+
+const PRIORITY = {
+  high_risk: 2,
+  low_confidence: 1,
+  all: 0
+};
+
+function isHighRisk(fields) {
+  const top = [fields.disease]
+    .concat((fields.allPredictions || []).slice(0, HIGH_RISK_TOP_N).map((p) => p.disease))
+    .filter(Boolean)
+    .map((d) => normalizeDiseaseName(String(d)));
+  return top.some((d) => HIGH_RISK_DISEASES.includes(d));
+}
+
+// Why these prediction fields should be reviewed, or null if they shouldn't
+function reviewReason(fields) {
+  if (MODE === 'off') return null;
+
+  if (isHighRisk(fields)) return 'high_risk';
+  if (fields.status !== 'accepted' || fields.confidence < CONFIDENCE_THRESHOLD) {
+    return 'low_confidence';
+  }
+  return MODE === 'all' ? 'all' : null;
+}
+
+// Initial prediction.review for a new prediction (undefined = not queued)
+function newReview(fields) {
+  const reason = reviewReason(fields);
+  if (!reason) return undefined;
+
+  return {
+    status: 'pending',
+    reason,
+    priority: PRIORITY[reason],
+    queuedAt: new Date()
+  };
+}
+
+function staleClaimBefore() {
+  return new Date(Date.now() - CLAIM_TIMEOUT_MS);
+}
+
+// Cases a reviewer may claim: pending, or claimed but abandoned
+function claimableFilter() {
+  return {
+    $or: [
+      { 'review.status': 'pending' },
+      { 'review.status': 'claimed', 'review.claimedAt': { $lt: staleClaimBefore() } }
+    ]
+  };
+}
+
+const QUEUE_SORT = { 'review.priority': -1, 'review.queuedAt': 1 };
+
+// status: open (pending + abandoned claims, default) | claimed | completed
+// mine: only cases claimed/reviewed by reviewerId
+async function listQueue({ status, reviewerId, mine, page, limit }) {
+  let filter;
+  if (status === 'claimed') {
+    filter = { 'review.status': 'claimed' };
+    if (mine) filter['review.claimedBy'] = reviewerId;
+  } else if (status === 'completed') {
+    filter = { 'review.status': 'completed' };
+    if (mine) filter['review.reviewedBy'] = reviewerId;
+  } else {
+    filter = claimableFilter();
+  }
+
+  const [cases, total] = await Promise.all([
+    Prediction.find(filter)
+      .sort(status === 'completed' ? { 'review.reviewedAt': -1 } : QUEUE_SORT)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('userId', 'age gender'),
+    Prediction.countDocuments(filter)
+  ]);
+
+  return { cases, total };
+}
+
+// Any prediction that was ever queued, whatever its review status
+async function findCase(predictionId) {
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) return null;
+
+  return Prediction.findOne({ _id: predictionId, review: { $exists: true } })
+    .populate('userId', 'age gender');
+}
+
+function claimUpdate(reviewerId) {
+  return {
+    'review.status': 'claimed',
+    'review.claimedBy': reviewerId,
+    'review.claimedAt': new Date()
+  };
+}
+
+// Atomically claim one case. Re-claiming your own case refreshes the claim.
+async function claim(predictionId, reviewerId) {
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) return null;
+
+  return Prediction.findOneAndUpdate(
+    {
+      _id: predictionId,
+      $or: claimableFilter().$or.concat([
+        { 'review.status': 'claimed', 'review.claimedBy': reviewerId }
+      ])
+    },
+    claimUpdate(reviewerId),
+    { new: true }
+  ).populate('userId', 'age gender');
+}
+
+// Claim the highest-priority, oldest open case
+async function claimNext(reviewerId) {
+  return Prediction.findOneAndUpdate(
+    claimableFilter(),
+    claimUpdate(reviewerId),
+    { new: true, sort: QUEUE_SORT }
+  ).populate('userId', 'age gender');
+}
+
+async function release(predictionId, reviewerId) {
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) return null;
+
+  return Prediction.findOneAndUpdate(
+    { _id: predictionId, 'review.status': 'claimed', 'review.claimedBy': reviewerId },
+    {
+      'review.status': 'pending',
+      $unset: { 'review.claimedBy': 1, 'review.claimedAt': 1 }
+    },
+    { new: true }
+  );
+}
+
+// Record the review. Only the reviewer holding the claim can complete it.
+async function complete(predictionId, reviewerId, { diagnosis, notes, urgency }) {
+  if (!mongoose.Types.ObjectId.isValid(predictionId)) return null;
+
+  const prediction = await Prediction.findOne({
+    _id: predictionId,
+    'review.status': 'claimed',
+    'review.claimedBy': reviewerId
+  });
+  if (!prediction) return null;
+
+  const confirmed = normalizeDiagnosis(diagnosis);
+  const update = {
+    'review.status': 'completed',
+    'review.diagnosis': confirmed,
+    'review.agreesWithModel': normalizeDiseaseName(confirmed) === normalizeDiseaseName(prediction.disease),
+    'review.urgency': urgency,
+    'review.reviewedBy': reviewerId,
+    'review.reviewedAt': new Date()
+  };
+  if (notes && notes.trim()) {
+    update['review.notes'] = notes.trim();
+  }
+
+  // Still conditional: the claim may have gone stale and been taken over
+  return Prediction.findOneAndUpdate(
+    { _id: predictionId, 'review.status': 'claimed', 'review.claimedBy': reviewerId },
+    update,
+    { new: true }
+  );
+}
+
+// Everything a reviewer needs to judge a case. The patient is only
+// identified by age and gender.
+function caseView(prediction) {
+  const owner = prediction.userId || {};
+
+  return {
+    predictionId: prediction._id,
+    imageUrl: mongoose.Types.ObjectId.isValid(prediction.image) ? storage.imageUrl(prediction.image) : null,
+    disease: prediction.disease,
+    confidence: prediction.confidence,
+    status: prediction.status,
+    severity: prediction.severity,
+    allPredictions: prediction.allPredictions,
+    symptoms: prediction.symptoms,
+    duration: prediction.duration,
+    reportedSeverity: prediction.reportedSeverity,
+    patient: { age: owner.age, gender: owner.gender },
+    createdAt: prediction.createdAt,
+    review: prediction.review
+  };
+}
+
+// What the patient sees in their history
+function patientView(review) {
+  if (!review) return null;
+
+  if (review.status !== 'completed') {
+    return { status: review.status === 'claimed' ? 'in_review' : 'pending' };
+  }
+
+  return {
+    status: 'completed',
+    diagnosis: review.diagnosis,
+    agreesWithModel: review.agreesWithModel,
+    notes: review.notes,
+    urgency: review.urgency,
+    reviewer: review.reviewedBy && review.reviewedBy.name ? review.reviewedBy.name : undefined,
+    reviewedAt: review.reviewedAt
+  };
+}
+
+module.exports = {
+  reviewReason,
+  newReview,
+  listQueue,
+  findCase,
+  claim,
+  claimNext,
+  release,
+  complete,
+  caseView,
+  patientView
+};
\ No newline at end of file
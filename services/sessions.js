@@ -0,0 +1,191 @@
+// services/sessions.js
+//
+// Short-lived JWT access tokens plus rotating refresh tokens backed by the
+// Session collection. Access tokens carry the session id (sid) so the auth
+// middleware can reject them as soon as the session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+function jwtSecret() {
+  return process.env.JWT_SECRET || 'fallback-secret-key-please-change-in-production';
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Short label for the session list, e.g. "Chrome on Android"
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
+
+  const os = [
+    ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'],
+    ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']
+  ].find(([needle]) => userAgent.includes(needle));
+  const browser = [
+    ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'],
+    ['Firefox/', 'Firefox'], ['Safari/', 'Safari'], ['okhttp', 'Android app'],
+    ['Expo', 'Mobile app'], ['Dart', 'Mobile app']
+  ].find(([needle]) => userAgent.includes(needle));
+
+  if (os && browser) return `${browser[1]} on ${os[1]}`;
+  if (browser) return browser[1];
+  if (os) return os[1];
+  return userAgent.slice(0, 60);
+}
+
+// Refresh tokens look like "<sessionId>.<secret>" so lookups are by id
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function signAccessToken(user, session) {
+  return jwt.sign(
+    { userId: user._id, email: user.email, sid: session._id },
+    jwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function tokenResponse(user, session, refreshToken) {
+  const accessToken = signAccessToken(user, session);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    sessionId: session._id
+  };
+}
+
+// Start a new session for a successful login/signup
+async function createSession(user, req) {
+  const userAgent = req.get('User-Agent') || '';
+  const session = new Session({
+    userId: user._id,
+    tokenHash: 'pending',
+    device: (req.body && req.body.device) || describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return tokenResponse(user, session, refreshToken);
+}
+
+function sessionError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_REFRESH_TOKEN';
+  return err;
+}
+
+// Swap a refresh token for a new pair. Presenting an already-rotated token
+// means it was copied, so the whole session is revoked.
+async function rotateSession(refreshToken, req, loadUser) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw sessionError('Session expired or revoked');
+  }
+
+  const presented = hashToken(refreshToken);
+
+  if (presented !== session.tokenHash) {
+    if (presented === session.previousTokenHash) {
+      await revokeSession(session._id, 'refresh token reuse');
+      logger.warn('Refresh token reuse detected, session revoked', { sessionId: String(session._id) });
+    }
+    throw sessionError('Invalid refresh token');
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user) {
+    await revokeSession(session._id, 'user not found');
+    throw sessionError('Session expired or revoked');
+  }
+
+  const nextToken = newRefreshToken(session._id);
+  // Conditional update so two concurrent refreshes can't both succeed
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presented, revokedAt: null },
+    {
+      tokenHash: hashToken(nextToken),
+      previousTokenHash: presented,
+      lastUsedAt: new Date(),
+      ip: req.ip
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  return { user, ...tokenResponse(user, updated, nextToken) };
+}
+
+async function revokeSession(sessionId, reason, userId) {
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+  const result = await Session.updateOne(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason || 'logout'
+  });
+  return result.modifiedCount > 0;
+}
+
+async function revokeAllSessions(userId, reason, exceptSessionId) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason || 'logout-all'
+  });
+  return result.modifiedCount;
+}
+
+async function listSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+}
+
+// Used by the auth middleware on every request
+async function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, jwtSecret());
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    throw sessionError('Token has no session');
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || String(session.userId) !== String(decoded.userId)) {
+    throw sessionError('Session expired or revoked');
+  }
+
+  // Keep "last used" fresh without a write on every request
+  if (Date.now() - session.lastUsedAt.getTime() > 60 * 1000) {
+    Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(() => {});
+  }
+
+  return decoded;
+}
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  verifyAccessToken
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+// services/storage/gridfsDriver.js
+const mongoose = require('mongoose');
+
+// Stores blobs in the same MongoDB the app already uses, one GridFS file per key
+function createGridFSDriver(options) {
+  const bucketName = options.bucketName || 'images';
+  let bucket = null;
+
+  function getBucket() {
+    if (mongoose.connection.readyState !== 1) {
+      throw new Error('MongoDB is not connected');
+    }
+    if (!bucket) {
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+    return bucket;
+  }
+
+  async function findFiles(key) {
+    return getBucket().find({ filename: key }).toArray();
+  }
+
+  return {
+    name: 'gridfs',
+
+    async exists(key) {
+      const files = await findFiles(key);
+      return files.length > 0;
+    },
+
+    put(key, buffer, contentType) {
+      return new Promise((resolve, reject) => {
+        const upload = getBucket().openUploadStream(key, {
+          metadata: { contentType }
+        });
+        upload.once('error', reject);
+        upload.once('finish', () => resolve());
+        upload.end(buffer);
+      });
+    },
+
+    async createReadStream(key) {
+      const files = await findFiles(key);
+      if (files.length === 0) {
+        const err = new Error('Image not found in GridFS');
+        err.code = 'ENOENT';
+        throw err;
+      }
+      return getBucket().openDownloadStream(files[0]._id);
+    },
+
+    async remove(key) {
+      const files = await findFiles(key);
+      for (const file of files) {
+        await getBucket().delete(file._id);
+      }
+    }
+  };
+}
+
+module.exports = createGridFSDriver;
\ No newline at end of file
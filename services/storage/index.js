@@ -0,0 +1,115 @@
+// services/storage/index.js
+const crypto = require('crypto');
+const Image = require('../../models/Image');
+const createLocalDriver = require('./localDriver');
+const createGridFSDriver = require('./gridfsDriver');
+const createS3Driver = require('./s3Driver');
+
+// Select with STORAGE_DRIVER=local|gridfs|s3 (default: local)
+const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/bmp': '.bmp'
+};
+
+const drivers = {};
+
+function createDriver(name) {
+  switch (name) {
+    case 'local':
+      return createLocalDriver({ root: process.env.STORAGE_LOCAL_DIR });
+    case 'gridfs':
+      return createGridFSDriver({ bucketName: process.env.STORAGE_GRIDFS_BUCKET });
+    case 's3':
+      return createS3Driver({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        prefix: process.env.S3_PREFIX,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error('Unknown storage driver: ' + name);
+  }
+}
+
+// Images remember the driver they were written with, so switching
+// STORAGE_DRIVER does not orphan existing uploads
+function getDriver(name) {
+  const driverName = name || DEFAULT_DRIVER;
+  if (!drivers[driverName]) {
+    drivers[driverName] = createDriver(driverName);
+  }
+  return drivers[driverName];
+}
+
+function contentKey(buffer, contentType) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  return hash + (EXTENSIONS[contentType] || '');
+}
+
+// Store a multer memoryStorage file and return the Image document.
+// Its id is the opaque reference that goes into Prediction.image / profilePicture.
+async function saveImage(userId, file, kind) {
+  const driver = getDriver();
+  const key = contentKey(file.buffer, file.mimetype);
+
+  // Identical bytes are only written once
+  if (!(await driver.exists(key))) {
+    await driver.put(key, file.buffer, file.mimetype);
+  }
+
+  return Image.create({
+    userId,
+    key,
+    driver: driver.name,
+    kind: kind || 'prediction',
+    contentType: file.mimetype,
+    size: file.size,
+    originalName: file.originalname
+  });
+}
+
+async function openImage(image) {
+  return getDriver(image.driver).createReadStream(image.key);
+}
+
+async function readImage(image) {
+  const stream = await openImage(image);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Remove the Image document, and the blob once nothing else points at it
+async function deleteImage(imageId) {
+  const image = await Image.findByIdAndDelete(imageId);
+  if (!image) return false;
+
+  const stillUsed = await Image.exists({ key: image.key, driver: image.driver });
+  if (!stillUsed) {
+    await getDriver(image.driver).remove(image.key);
+  }
+  return true;
+}
+
+function imageUrl(imageId) {
+  return '/api/images/' + imageId;
+}
+
+module.exports = {
+  getDriver,
+  saveImage,
+  openImage,
+  readImage,
+  deleteImage,
+  imageUrl
+};
\ No newline at end of file
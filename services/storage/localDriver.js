@@ -0,0 +1,53 @@
+// services/storage/localDriver.js
+const fs = require('fs');
+const path = require('path');
+
+// Stores blobs on disk as <root>/<first two key chars>/<key>
+function createLocalDriver(options) {
+  const root = path.resolve(options.root || path.join(__dirname, '..', '..', 'uploads'));
+
+  function filePath(key) {
+    if (!/^[a-f0-9]{64}(\.[a-z0-9]+)?$/.test(key)) {
+      throw new Error('Invalid storage key');
+    }
+    return path.join(root, key.slice(0, 2), key);
+  }
+
+  return {
+    name: 'local',
+
+    async exists(key) {
+      try {
+        await fs.promises.access(filePath(key));
+        return true;
+      } catch (err) {
+        return false;
+      }
+    },
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      // Write to a temp file first so readers never see a partial image
+      const tmp = target + '.' + process.pid + '.tmp';
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, target);
+    },
+
+    async createReadStream(key) {
+      const target = filePath(key);
+      await fs.promises.access(target);
+      return fs.createReadStream(target);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(filePath(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  };
+}
+
+module.exports = createLocalDriver;
\ No newline at end of file
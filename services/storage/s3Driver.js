@@ -0,0 +1,74 @@
+// services/storage/s3Driver.js
+
+// Works against AWS S3 or any S3-compatible server (MinIO, LocalStack, ...).
+// Point S3_ENDPOINT at the local stand-in and keep path-style addressing on.
+function createS3Driver(options) {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand
+  } = require('@aws-sdk/client-s3');
+
+  if (!options.bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    region: options.region || 'us-east-1',
+    endpoint: options.endpoint || undefined,
+    forcePathStyle: options.forcePathStyle,
+    credentials: options.accessKeyId ? {
+      accessKeyId: options.accessKeyId,
+      secretAccessKey: options.secretAccessKey
+    } : undefined
+  });
+
+  const bucket = options.bucket;
+  const prefix = options.prefix || '';
+
+  function isNotFound(err) {
+    return err.name === 'NotFound' || err.name === 'NoSuchKey' ||
+      (err.$metadata && err.$metadata.httpStatusCode === 404);
+  }
+
+  return {
+    name: 's3',
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: prefix + key }));
+        return true;
+      } catch (err) {
+        if (isNotFound(err)) return false;
+        throw err;
+      }
+    },
+
+    async put(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: prefix + key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+    },
+
+    async createReadStream(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }));
+        return result.Body;
+      } catch (err) {
+        if (isNotFound(err)) err.code = 'ENOENT';
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: prefix + key }));
+    }
+  };
+}
+
+module.exports = createS3Driver;
\ No newline at end of file
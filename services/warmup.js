@@ -0,0 +1,50 @@
+// services/warmup.js
+const inference = require('./inference');
+const llm = require('./llm');
+const logger = require('../utils/logger');
+
+// Free HF Spaces sleep after inactivity. Ping both upstreams at startup and
+// on a schedule so the first real user request doesn't pay the cold start.
+const WARMUP_INTERVAL = parseInt(process.env.WARMUP_INTERVAL_MS, 10) || 10 * 60 * 1000;
+
+let timer = null;
+
+function describePing(result) {
+  if (result === null) return 'not configured';
+  return result ? 'up' : 'down';
+}
+
+async function pingAll() {
+  const [ml, advice] = await Promise.all([inference.warmup(), llm.warmup()]);
+  logger.info('Warm-up ping', { ml: describePing(ml), llm: describePing(advice) });
+}
+
+function start() {
+  if (timer || process.env.WARMUP_DISABLED === 'true') return;
+
+  pingAll().catch((err) => logger.error('Warm-up failed', { err }));
+  timer = setInterval(() => {
+    pingAll().catch((err) => logger.error('Warm-up failed', { err }));
+  }, WARMUP_INTERVAL);
+  // Never keep the process alive just for pings
+  timer.unref();
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+// Reported by /api/health
+function upstreamStatus() {
+  return {
+    ml: { ...inference.upstream.snapshot(), provider: inference.describe().provider },
+    llm: llm.upstream.snapshot()
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  upstreamStatus
+};
\ No newline at end of file
@@ -0,0 +1,201 @@
+// tests/accountData.test.js
+const crypto = require('crypto');
+const zlib = require('zlib');
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const app = require('../server');
+const AuditLog = require('../models/AuditLog');
+const AuthToken = require('../models/AuthToken');
+const Image = require('../models/Image');
+const Job = require('../models/Job');
+const Lesion = require('../models/Lesion');
+const Prediction = require('../models/Prediction');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const storage = require('../services/storage');
+const rateLimit = require('../services/rateLimit');
+const createMemoryStore = require('../services/rateLimit/memoryStore');
+const createMongoStore = require('../services/rateLimit/mongoStore');
+const { makeUser, signIn } = require('./helpers/auth');
+const { query } = require('./helpers/query');
+
+const PASSWORD = 'correct horse';
+
+// Entries of a ZIP archive by name, read through its central directory
+function unzip(zip) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = zip.readUInt16LE(offset + 10);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const extraLength = zip.readUInt16LE(offset + 30);
+    const commentLength = zip.readUInt16LE(offset + 32);
+    const local = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const data = zip.subarray(start, start + compressedSize);
+    entries[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('GET /api/user/export', () => {
+  let user;
+  let auth;
+  let photo;
+  let lost;
+  let prediction;
+
+  beforeEach(() => {
+    user = makeUser({ name: 'Jane Patient' });
+    auth = signIn(user);
+    photo = new Image({ userId: user._id, key: 'a', driver: 'local', contentType: 'image/png' });
+    lost = new Image({ userId: user._id, key: 'b', driver: 'local', contentType: 'image/jpeg' });
+    prediction = new Prediction({
+      userId: user._id,
+      image: photo._id,
+      disease: 'acne',
+      confidence: 0.8,
+      status: 'accepted',
+      advice: 'Wash gently.',
+      feedback: { correct: true, submittedAt: new Date() },
+      review: { status: 'claimed', reason: 'low_confidence', claimedBy: user._id }
+    });
+    jest.spyOn(Prediction, 'find').mockReturnValue(query([prediction]));
+    jest.spyOn(Lesion, 'find').mockReturnValue(query([new Lesion({ userId: user._id, name: 'Cheek', bodyLocation: 'face' })]));
+    jest.spyOn(Image, 'find').mockReturnValue(query([photo, lost]));
+    jest.spyOn(storage, 'readImage').mockImplementation(async (image) => {
+      if (image === lost) throw new Error('missing');
+      return Buffer.from('png bytes');
+    });
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  test('is a ZIP with the profile, predictions, lesions, images and a manifest', async () => {
+    const res = await request(app).get('/api/user/export').set('Authorization', auth).buffer(true).parse(binary);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="dermadetect-export-\d{4}-\d{2}-\d{2}\.zip"$/);
+    expect(res.headers['cache-control']).toBe('private, no-store');
+
+    const files = unzip(res.body);
+    const imageFile = `images/${photo._id}.png`;
+    expect(Object.keys(files).sort()).toEqual([imageFile, 'lesions.json', 'manifest.json', 'predictions.json', 'profile.json']);
+    expect(files[imageFile].toString()).toBe('png bytes');
+
+    const profile = JSON.parse(files['profile.json']);
+    expect(profile).toMatchObject({ name: 'Jane Patient', email: user.email });
+    expect(profile).not.toHaveProperty('password');
+
+    const [saved] = JSON.parse(files['predictions.json']);
+    expect(saved).toMatchObject({ disease: 'acne', advice: 'Wash gently.', feedback: { correct: true }, imageFile });
+    expect(saved.review).toEqual({ status: 'in_review' });
+    expect(JSON.parse(files['lesions.json'])[0].name).toBe('Cheek');
+
+    const manifest = JSON.parse(files['manifest.json']);
+    expect(manifest).toMatchObject({
+      format: 'dermadetect-export',
+      userId: String(user._id),
+      counts: { predictions: 1, lesions: 1, images: 1 },
+      missingImages: [String(lost._id)]
+    });
+    manifest.files.forEach((entry) => {
+      expect(entry.size).toBe(files[entry.path].length);
+      expect(entry.sha256).toBe(crypto.createHash('sha256').update(files[entry.path]).digest('hex'));
+    });
+  });
+
+  test('only reads the caller\'s data and records the export', async () => {
+    await request(app).get('/api/user/export').set('Authorization', auth).buffer(true).parse(binary);
+
+    [Prediction.find, Lesion.find, Image.find].forEach((find) => {
+      expect(find).toHaveBeenCalledWith({ userId: user._id });
+    });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'data_export',
+      userId: user._id,
+      details: { predictions: 1, lesions: 1, images: 1 }
+    }));
+  });
+});
+
+describe('DELETE /api/user/account', () => {
+  let user;
+  let auth;
+  let removals;
+
+  beforeEach(() => {
+    user = makeUser({ password: bcrypt.hashSync(PASSWORD, 4) });
+    auth = signIn(user);
+    jest.spyOn(Image, 'find').mockReturnValue(query([new Image({ userId: user._id, key: 'a', driver: 'local', contentType: 'image/png' })]));
+    jest.spyOn(storage, 'deleteImage').mockResolvedValue(true);
+    jest.spyOn(rateLimit, 'forgetUser').mockResolvedValue();
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    removals = [Prediction, Lesion, Job, Session, AuthToken].map((Model) => jest.spyOn(Model, 'deleteMany').mockReturnValue(query({ deletedCount: 2 })));
+    jest.spyOn(User, 'deleteOne').mockReturnValue(query({ deletedCount: 1 }));
+  });
+
+  const send = (body) => request(app).delete('/api/user/account').set('Authorization', auth).send(body);
+
+  test('removes the user and everything that belongs to them', async () => {
+    const res = await send({ password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.deleted).toEqual({ predictions: 2, lesions: 2, images: 1, jobs: 2, sessions: 2 });
+    removals.forEach((deleteMany) => expect(deleteMany).toHaveBeenCalledWith({ userId: user._id }));
+    expect(storage.deleteImage).toHaveBeenCalledTimes(1);
+    expect(rateLimit.forgetUser).toHaveBeenCalledWith(user._id);
+    expect(User.deleteOne).toHaveBeenCalledWith({ _id: user._id });
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'account_deletion', userId: user._id }));
+  });
+
+  test('needs the current password', async () => {
+    const wrong = await send({ password: 'guess' });
+    const missing = await send({});
+
+    expect(wrong.status).toBe(401);
+    expect(missing.status).toBe(400);
+    expect(User.deleteOne).not.toHaveBeenCalled();
+    removals.forEach((deleteMany) => expect(deleteMany).not.toHaveBeenCalled());
+  });
+});
+
+describe('forgetting a user\'s rate limit counters', () => {
+  test('the memory store drops only that user\'s counters', async () => {
+    const store = createMemoryStore();
+    const resetAt = new Date(Date.now() + 60000);
+    await store.increment('predict:user:u1:0', 3, resetAt);
+    await store.increment('predict:daily:user:u1:0', 3, resetAt);
+    await store.increment('predict:user:u10:0', 3, resetAt);
+    await store.increment('predict:ip:1.2.3.4:0', 3, resetAt);
+
+    await store.deleteMatching(':user:u1:');
+
+    expect(await store.get('predict:user:u1:0')).toBe(0);
+    expect(await store.get('predict:daily:user:u1:0')).toBe(0);
+    expect(await store.get('predict:user:u10:0')).toBe(3);
+    expect(await store.get('predict:ip:1.2.3.4:0')).toBe(3);
+  });
+
+  test('the mongo store matches the text literally', async () => {
+    const deleteMany = jest.spyOn(RateLimitCounter, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+
+    await createMongoStore().deleteMatching(':user:a.b+c:');
+
+    const { key } = deleteMany.mock.calls[0][0];
+    expect(new RegExp(key.$regex).test('predict:user:a.b+c:0')).toBe(true);
+    expect(new RegExp(key.$regex).test('predict:user:aXbbc:0')).toBe(false);
+  });
+});
\ No newline at end of file
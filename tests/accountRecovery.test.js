@@ -0,0 +1,261 @@
+// tests/accountRecovery.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const AuthToken = require('../models/AuthToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const mailer = require('../services/mailer');
+const createConsoleTransport = require('../services/mailer/consoleTransport');
+const createFileTransport = require('../services/mailer/fileTransport');
+const logger = require('../utils/logger');
+const { makeUser, signIn } = require('./helpers/auth');
+const { query } = require('./helpers/query');
+
+// AuthToken collection kept in memory for the test
+function stubAuthTokens() {
+  const store = [];
+  const live = (doc, filter) => doc.tokenHash === filter.tokenHash && doc.type === filter.type &&
+    !doc.usedAt && doc.expiresAt > filter.expiresAt.$gt;
+
+  jest.spyOn(AuthToken, 'deleteMany').mockImplementation((filter) => {
+    const stale = store.filter((doc) => String(doc.userId) === String(filter.userId) && doc.type === filter.type && !doc.usedAt);
+    stale.forEach((doc) => store.splice(store.indexOf(doc), 1));
+    return query({ deletedCount: stale.length });
+  });
+  jest.spyOn(AuthToken, 'create').mockImplementation(async (fields) => {
+    const doc = new AuthToken(fields);
+    store.push(doc);
+    return doc;
+  });
+  jest.spyOn(AuthToken, 'findOneAndUpdate').mockImplementation((filter, fields) => {
+    const doc = store.find((candidate) => live(candidate, filter));
+    if (doc) Object.assign(doc, fields);
+    return query(doc || null);
+  });
+
+  return store;
+}
+
+// The token is the last part of the emailed link
+function tokenFrom(sendTemplate) {
+  const link = sendTemplate.mock.calls[sendTemplate.mock.calls.length - 1][3];
+  return new URL(link).searchParams.get('token');
+}
+
+describe('email verification', () => {
+  let tokens;
+  let sendTemplate;
+
+  beforeEach(() => {
+    tokens = stubAuthTokens();
+    sendTemplate = jest.spyOn(mailer, 'sendTemplate').mockResolvedValue({ id: 'mail' });
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  test('signup sends a verification link and starts unverified', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ name: 'New Patient', email: 'new@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.emailVerified).toBe(false);
+    expect(sendTemplate).toHaveBeenCalledWith('new@example.com', 'verifyEmail', expect.any(User), expect.stringContaining('/verify-email?token='), 24);
+
+    // Only the hash is stored
+    const token = tokenFrom(sendTemplate);
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0].tokenHash).not.toBe(token);
+    expect(tokens[0].type).toBe('email_verification');
+  });
+
+  test('signup still succeeds when the mail cannot be sent', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+    sendTemplate.mockRejectedValue(new Error('SMTP down'));
+
+    const res = await request(app)
+      .post('/api/auth/signup')
+      .send({ name: 'New Patient', email: 'new@example.com', password: 'secret123' });
+
+    expect(res.status).toBe(201);
+  });
+
+  test('the link verifies the address once', async () => {
+    const user = makeUser({ emailVerified: false });
+    await request(app).post('/api/auth/resend-verification').set('Authorization', signIn(user));
+    const verify = jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, fields) => query(Object.assign(user, fields)));
+
+    const first = await request(app).post('/api/auth/verify-email').send({ token: tokenFrom(sendTemplate) });
+    expect(first.status).toBe(200);
+    expect(first.body.user.emailVerified).toBe(true);
+    expect(verify).toHaveBeenCalledWith(user._id, expect.objectContaining({ emailVerified: true }), { new: true });
+
+    const again = await request(app).post('/api/auth/verify-email').send({ token: tokenFrom(sendTemplate) });
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('INVALID_TOKEN');
+  });
+
+  test('a new link replaces the previous one', async () => {
+    const user = makeUser({ emailVerified: false });
+    const auth = signIn(user);
+    await request(app).post('/api/auth/resend-verification').set('Authorization', auth);
+    const old = tokenFrom(sendTemplate);
+    await request(app).post('/api/auth/resend-verification').set('Authorization', auth);
+    jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(query(user));
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token: old });
+
+    expect(res.status).toBe(400);
+    expect(tokens).toHaveLength(1);
+  });
+
+  test('unverified accounts are held back from advice until they confirm', async () => {
+    const auth = signIn(makeUser({ emailVerified: false }));
+
+    const res = await request(app).post('/api/llm/advice').set('Authorization', auth).send({ disease: 'eczema' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+});
+
+describe('password reset', () => {
+  let tokens;
+  let sendTemplate;
+  let user;
+
+  beforeEach(() => {
+    tokens = stubAuthTokens();
+    sendTemplate = jest.spyOn(mailer, 'sendTemplate').mockResolvedValue({ id: 'mail' });
+    user = makeUser({ email: 'patient@example.com' });
+    jest.spyOn(User, 'findOne').mockImplementation((filter) => query(filter.email === user.email ? user : null));
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(String(id) === String(user._id) ? user : null));
+  });
+
+  const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+
+  test('answers the same for known and unknown addresses', async () => {
+    const known = await forgot(' Patient@Example.com ');
+    const unknown = await forgot('nobody@example.com');
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(sendTemplate).toHaveBeenCalledTimes(1);
+    expect(sendTemplate.mock.calls[0].slice(0, 2)).toEqual(['patient@example.com', 'passwordReset']);
+  });
+
+  test('answers the same when the reset email cannot be sent', async () => {
+    const sent = await forgot('nobody@example.com');
+    sendTemplate.mockRejectedValue(new Error('SMTP down'));
+
+    const failed = await forgot('patient@example.com');
+
+    expect(failed.status).toBe(200);
+    expect(failed.body).toEqual(sent.body);
+  });
+
+  test('the token sets a new password once and ends every session', async () => {
+    const save = jest.spyOn(user, 'save').mockResolvedValue(user);
+    const revokeAll = jest.spyOn(Session, 'updateMany').mockReturnValue(query({ modifiedCount: 2 }));
+    await forgot(user.email);
+    const token = tokenFrom(sendTemplate);
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token, password: 'new secret' });
+    expect(res.status).toBe(200);
+    expect(user.password).toBe('new secret');
+    expect(save).toHaveBeenCalled();
+    expect(revokeAll).toHaveBeenCalledWith({ userId: user._id, revokedAt: null }, expect.objectContaining({ revokedReason: 'password reset' }));
+
+    const again = await request(app).post('/api/auth/reset-password').send({ token, password: 'other secret' });
+    expect(again.status).toBe(400);
+    expect(user.password).toBe('new secret');
+  });
+
+  test('an expired token is refused', async () => {
+    await forgot(user.email);
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token: tokenFrom(sendTemplate), password: 'new secret' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_TOKEN');
+  });
+
+  test('a verification token cannot reset a password', async () => {
+    jest.spyOn(Session.prototype, 'save').mockImplementation(async function() { return this; });
+    const unverified = makeUser({ emailVerified: false });
+    await request(app).post('/api/auth/resend-verification').set('Authorization', signIn(unverified));
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token: tokenFrom(sendTemplate), password: 'new secret' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('console mail transport', () => {
+  test('leaves the body with its single-use link out in production', async () => {
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => {});
+    const message = { to: 'patient@example.com', subject: 'Reset', text: 'https://app.example/reset-password?token=secret' };
+
+    await createConsoleTransport().send(message);
+    process.env.NODE_ENV = 'production';
+    try {
+      await createConsoleTransport().send(message);
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+
+    expect(info.mock.calls.map(([, fields]) => fields)).toEqual([
+      { to: 'patient@example.com', subject: 'Reset', text: message.text },
+      { to: 'patient@example.com', subject: 'Reset', text: undefined }
+    ]);
+  });
+});
+
+describe('file mail transport', () => {
+  test('writes each message to a JSON file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermadetect-mail-'));
+
+    await createFileTransport({ dir }).send({ to: 'patient@example.com', subject: 'Hello', text: 'Link' });
+
+    const files = fs.readdirSync(dir);
+    expect(files).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, files[0]), 'utf8'))).toMatchObject({ to: 'patient@example.com', subject: 'Hello' });
+  });
+});
+
+describe('mail transport at startup', () => {
+  // Loads the mailer in its own module registry under `env`; returns the logger.warn spy
+  function loadMailer(env) {
+    const saved = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+    Object.assign(process.env, env);
+    let warn;
+    try {
+      jest.isolateModules(() => {
+        warn = jest.spyOn(require('../utils/logger'), 'warn').mockImplementation(() => {});
+        require('../services/mailer');
+      });
+    } finally {
+      Object.assign(process.env, saved);
+    }
+    return warn;
+  }
+
+  const consoleWarning = expect.stringContaining('MAIL_TRANSPORT is console in production');
+
+  test('warns when production would only log emails', () => {
+    expect(loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' })).toHaveBeenCalledWith(consoleWarning);
+  });
+
+  test('is quiet with a real transport, or outside production', () => {
+    expect(loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'smtp' })).not.toHaveBeenCalledWith(consoleWarning);
+    expect(loadMailer({ MAIL_TRANSPORT: 'console' })).not.toHaveBeenCalledWith(consoleWarning);
+  });
+});
\ No newline at end of file
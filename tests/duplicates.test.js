@@ -0,0 +1,180 @@
+// tests/duplicates.test.js
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../server');
+const Lesion = require('../models/Lesion');
+const Prediction = require('../models/Prediction');
+const duplicates = require('../services/duplicates');
+const inference = require('../services/inference');
+const modelVersions = require('../services/modelVersions');
+const { fingerprint, hashDistance, sanitizeImage } = require('../services/imageProcessing');
+const { makeUser, signIn, objectId } = require('./helpers/auth');
+const { stubPredictionStore } = require('./helpers/predictions');
+const { query } = require('./helpers/query');
+
+// Skin with a dark spot left of centre and light falling off to the right
+function lesionPhoto() {
+  const width = 400;
+  const height = 300;
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      const spot = Math.hypot(x - width * 0.35, y - height * 0.5) < height * 0.2 ? 90 : 0;
+      const shade = Math.round((x / width) * 40) + spot;
+      pixels[i] = 210 - shade;
+      pixels[i + 1] = 160 - shade;
+      pixels[i + 2] = 130 - shade;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality: 90 }).toBuffer();
+}
+
+beforeEach(() => modelVersions.invalidate());
+
+describe('fingerprint', () => {
+  test('the perceptual hash survives re-encoding and resizing', async () => {
+    const photo = await lesionPhoto();
+    const original = await fingerprint(photo);
+    const recompressed = await fingerprint(await sharp(photo).jpeg({ quality: 40 }).toBuffer());
+    const smaller = await fingerprint(await sharp(photo).resize(180).jpeg().toBuffer());
+    const mirrored = await fingerprint(await sharp(photo).flop().jpeg().toBuffer());
+
+    expect(original.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(original.perceptualHash).toMatch(/^[0-9a-f]{16}$/);
+    expect(recompressed.contentHash).not.toBe(original.contentHash);
+    expect(hashDistance(original.perceptualHash, recompressed.perceptualHash)).toBeLessThanOrEqual(4);
+    expect(hashDistance(original.perceptualHash, smaller.perceptualHash)).toBeLessThanOrEqual(4);
+    expect(hashDistance(original.perceptualHash, mirrored.perceptualHash)).toBeGreaterThan(4);
+  });
+});
+
+describe('findDuplicate', () => {
+  const userId = String(objectId());
+  const hashes = { contentHash: 'c'.repeat(64), perceptualHash: '0000101818180000' };
+
+  test('identical bytes under the same model are an exact match', async () => {
+    const earlier = new Prediction({ userId, disease: 'acne', confidence: 0.9 });
+    const findOne = jest.spyOn(Prediction, 'findOne').mockReturnValue(query(earlier));
+
+    const duplicate = await duplicates.findDuplicate(userId, hashes, 'v2');
+
+    expect(duplicate).toEqual({ prediction: earlier, match: 'exact', distance: 0 });
+    expect(findOne).toHaveBeenCalledWith({ userId, modelVersion: 'v2', contentHash: hashes.contentHash });
+  });
+
+  test('otherwise the closest perceptual hash within the limit wins', async () => {
+    const close = new Prediction({ userId, perceptualHash: '0000101818180003' });
+    const closer = new Prediction({ userId, perceptualHash: '0000101818180001' });
+    const far = new Prediction({ userId, perceptualHash: 'ffff101818180000' });
+    jest.spyOn(Prediction, 'findOne').mockReturnValue(query(null));
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(query([close, far, closer]));
+    const findById = jest.spyOn(Prediction, 'findById').mockReturnValue(query(closer));
+
+    const duplicate = await duplicates.findDuplicate(userId, hashes, null);
+
+    expect(duplicate).toEqual({ prediction: closer, match: 'similar', distance: 1 });
+    expect(findById).toHaveBeenCalledWith(closer._id);
+    // Results stored without a registered model version only match each other
+    expect(find.mock.calls[0][0]).toEqual({ userId, modelVersion: null, perceptualHash: { $exists: true } });
+  });
+
+  test('nothing close enough is no match', async () => {
+    jest.spyOn(Prediction, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Prediction, 'find').mockReturnValue(query([new Prediction({ userId, perceptualHash: '00001018181800ff' })]));
+    const findById = jest.spyOn(Prediction, 'findById');
+
+    expect(await duplicates.findDuplicate(userId, hashes, 'v2')).toBeNull();
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  test('guests are never matched', async () => {
+    const findOne = jest.spyOn(Prediction, 'findOne');
+
+    expect(await duplicates.findDuplicate(undefined, hashes, 'v2')).toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/predict with a photo sent before', () => {
+  let user;
+  let auth;
+  let photo;
+  let earlier;
+
+  beforeEach(async () => {
+    user = makeUser();
+    auth = signIn(user);
+    photo = await lesionPhoto();
+    // Hashes are taken from the sanitized upload
+    const hashes = await fingerprint((await sanitizeImage(photo)).buffer);
+    earlier = new Prediction({
+      userId: user._id,
+      image: objectId(),
+      disease: 'eczema',
+      confidence: 0.82,
+      status: 'accepted',
+      modelVersion: 'v2',
+      createdAt: new Date('2026-03-01T10:00:00Z'),
+      ...hashes
+    });
+  });
+
+  test('answers with the earlier result and a link to it, without calling the model', async () => {
+    const store = stubPredictionStore({ earlier: [earlier], modelVersion: { version: 'v2' } });
+    const predict = jest.spyOn(inference, 'predict');
+
+    const res = await request(app).post('/api/predict').set('Authorization', auth).attach('image', photo, 'photo.jpg');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      cached: true,
+      prediction: 'eczema',
+      duplicate: { predictionId: String(earlier._id), match: 'exact', distance: 0, url: `/api/user/history/${earlier._id}` }
+    });
+    expect(store.findOne.mock.calls[0][0]).toMatchObject({ modelVersion: 'v2', contentHash: earlier.contentHash });
+    expect(predict).not.toHaveBeenCalled();
+    expect(store.create).not.toHaveBeenCalled();
+  });
+
+  test('a re-photo with its own lesion and symptoms is saved with the earlier result', async () => {
+    const store = stubPredictionStore({ earlier: [earlier], modelVersion: { version: 'v2' } });
+    const lesion = new Lesion({ userId: user._id, name: 'Left cheek', bodyLocation: 'face' });
+    jest.spyOn(Lesion, 'findOne').mockReturnValue(query(lesion));
+    const predict = jest.spyOn(inference, 'predict');
+
+    const res = await request(app)
+      .post('/api/predict')
+      .set('Authorization', auth)
+      .field('lesionId', String(lesion._id))
+      .field('symptoms', 'itching')
+      .field('duration', '2 weeks')
+      .attach('image', photo, 'photo.jpg');
+
+    const saved = await store.create.mock.results[0].value;
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      cached: true,
+      predictionId: String(saved._id),
+      prediction: 'eczema',
+      duplicate: { predictionId: String(earlier._id), match: 'exact' }
+    });
+    expect(String(saved.lesionId)).toBe(String(lesion._id));
+    expect(saved).toMatchObject({ symptoms: ['itching'], duration: '2 weeks', disease: 'eczema', confidence: 0.82, status: 'accepted', modelVersion: 'v2' });
+    expect(predict).not.toHaveBeenCalled();
+  });
+
+  test('a new model version runs the model again', async () => {
+    // Nothing was predicted with v3 yet
+    const store = stubPredictionStore({ modelVersion: { version: 'v3' } });
+    const predict = jest.spyOn(inference, 'predict');
+
+    const res = await request(app).post('/api/predict').set('Authorization', auth).attach('image', photo, 'photo.jpg');
+
+    expect(res.status).toBe(200);
+    expect(res.body.cached).toBeUndefined();
+    expect(store.findOne.mock.calls[0][0].modelVersion).toBe('v3');
+    expect(predict).toHaveBeenCalledTimes(1);
+    expect(store.create.mock.calls[0][0]).toMatchObject({ contentHash: earlier.contentHash, perceptualHash: earlier.perceptualHash });
+  });
+});
\ No newline at end of file
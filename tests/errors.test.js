@@ -0,0 +1,151 @@
+// tests/errors.test.js
+const express = require('express');
+const request = require('supertest');
+const app = require('../server');
+const Image = require('../models/Image');
+const Prediction = require('../models/Prediction');
+const User = require('../models/User');
+const { errorEnvelope, errorHandler } = require('../middleware/errors');
+const { makeUser, signIn } = require('./helpers/auth');
+const { skinPhoto } = require('./helpers/images');
+const { query } = require('./helpers/query');
+
+const envelope = (code) => ({ success: false, code, message: expect.any(String), requestId: expect.any(String) });
+
+describe('request validation', () => {
+  test('signup checks each field and names the ones that are wrong', async () => {
+    const lookup = jest.spyOn(User, 'findOne');
+
+    const res = await request(app).post('/api/auth/signup').send({ name: '  ', email: 'not-an-email', password: '123', age: 400 });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject(envelope('VALIDATION_FAILED'));
+    expect(res.body.details).toEqual(expect.arrayContaining([
+      { field: 'email', message: 'email must be a valid email address' },
+      { field: 'password', message: expect.stringMatching(/^password must/) },
+      { field: 'age', message: expect.stringMatching(/^age must/) }
+    ]));
+    expect(res.body.details.map((d) => d.field)).toContain('name');
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('missing fields are reported as required', async () => {
+    const res = await request(app).post('/api/auth/login').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map((d) => d.message)).toEqual(['email is required', 'password is required']);
+  });
+
+  test('profile updates coerce form values and drop fields nobody may set', async () => {
+    const user = makeUser({ name: 'Old Name' });
+    const auth = signIn(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+
+    const res = await request(app).put('/api/user/profile').set('Authorization', auth)
+      .send({ name: 'New Name', age: '42', role: 'admin', emailVerified: false });
+
+    expect(res.status).toBe(200);
+    expect(user).toMatchObject({ name: 'New Name', age: 42, role: 'patient', emailVerified: true });
+  });
+
+  test('a profile picture must be an id of the user\'s own upload', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    jest.spyOn(Image, 'exists').mockResolvedValue(null);
+
+    const url = await request(app).put('/api/user/profile').set('Authorization', auth)
+      .send({ name: 'Jane', profilePicture: 'https://example.com/me.png' });
+    const foreign = await request(app).put('/api/user/profile').set('Authorization', auth)
+      .send({ name: 'Jane', profilePicture: 'a'.repeat(24) });
+
+    expect(url.body.details).toEqual([{ field: 'profilePicture', message: 'profilePicture must be a valid id' }]);
+    expect(foreign.status).toBe(400);
+    expect(foreign.body).toMatchObject(envelope('BAD_REQUEST'));
+  });
+
+  test('prediction form fields are checked before the photo is processed', async () => {
+    const res = await request(app)
+      .post('/api/predict')
+      .set('Authorization', signIn(makeUser()))
+      .field('severity', 'x'.repeat(51))
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].field).toBe('severity');
+  });
+});
+
+describe('error envelope', () => {
+  test('unknown routes answer in JSON', async () => {
+    const res = await request(app).get('/api/nothing-here');
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/json/);
+    expect(res.body).toMatchObject({ ...envelope('NOT_FOUND'), message: 'No route for GET /api/nothing-here' });
+  });
+
+  test('malformed JSON is a 400, not a 500', async () => {
+    const res = await request(app).post('/api/auth/login').set('Content-Type', 'application/json').send('{"email": ');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject(envelope('MALFORMED_JSON'));
+  });
+
+  test('unexpected errors are logged, not sent to the client', async () => {
+    jest.spyOn(Prediction, 'find').mockReturnValue(query(new Error('connect ECONNREFUSED mongodb://admin:hunter2@db')));
+
+    const res = await request(app).get('/api/user/history').set('Authorization', signIn(makeUser()));
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ ...envelope('INTERNAL_ERROR'), message: 'Server error' });
+    expect(JSON.stringify(res.body)).not.toContain('hunter2');
+  });
+
+  test('responses that only set a status get the default code and the request id', async () => {
+    const res = await request(app).get('/api/user/profile');
+
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject(envelope('UNAUTHORIZED'));
+    expect(res.body.requestId).toBe(res.headers['x-request-id']);
+  });
+
+  test('a route\'s own code is kept', () => {
+    const mini = express();
+    mini.use(errorEnvelope);
+    mini.get('/', (req, res) => res.status(409).json({ code: 'ALREADY_DONE', message: 'Done already' }));
+    mini.get('/plain', (req, res) => res.status(410).json({ message: 'Gone' }));
+    mini.use(errorHandler);
+
+    return Promise.all([
+      request(mini).get('/').expect(409).then((res) => expect(res.body).toMatchObject({ success: false, code: 'ALREADY_DONE' })),
+      request(mini).get('/plain').expect(410).then((res) => expect(res.body).toMatchObject({ success: false, code: 'GONE' }))
+    ]);
+  });
+});
+
+describe('upload errors', () => {
+  test('a file over 10 MB is a 413', async () => {
+    const res = await request(app).post('/api/analysis/predict').set('Authorization', signIn(makeUser()))
+      .attach('image', Buffer.alloc(10 * 1024 * 1024 + 1), 'huge.jpg');
+
+    expect(res.status).toBe(413);
+    expect(res.body).toMatchObject(envelope('FILE_TOO_LARGE'));
+  });
+
+  test('a file that does not claim to be an image is refused', async () => {
+    const res = await request(app).post('/api/analysis/predict').set('Authorization', signIn(makeUser()))
+      .attach('image', Buffer.from('hello'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject(envelope('UNSUPPORTED_IMAGE'));
+  });
+
+  test('a file in the wrong field is named in the error', async () => {
+    const res = await request(app).post('/api/analysis/predict').set('Authorization', signIn(makeUser()))
+      .attach('photo', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject(envelope('UNEXPECTED_FILE'));
+    expect(res.body.message).toContain('"photo"');
+  });
+});
\ No newline at end of file
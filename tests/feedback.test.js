@@ -0,0 +1,156 @@
+// tests/feedback.test.js
+const request = require('supertest');
+const app = require('../server');
+const Prediction = require('../models/Prediction');
+const { makeUser, signIn, objectId } = require('./helpers/auth');
+const { query } = require('./helpers/query');
+
+describe('PUT /api/user/history/:id/feedback', () => {
+  let user;
+  let auth;
+  let prediction;
+
+  beforeEach(() => {
+    user = makeUser();
+    auth = signIn(user);
+    prediction = new Prediction({ userId: user._id, disease: 'acne', confidence: 0.8, status: 'accepted' });
+    jest.spyOn(Prediction, 'findOne').mockImplementation((filter) => query(
+      String(filter._id) === String(prediction._id) && String(filter.userId) === String(user._id) ? prediction : null
+    ));
+    jest.spyOn(prediction, 'save').mockResolvedValue(prediction);
+  });
+
+  const send = (id, body) => request(app).put(`/api/user/history/${id}/feedback`).set('Authorization', auth).send(body);
+
+  test('records the patient\'s verdict', async () => {
+    const res = await send(prediction._id, { correct: true, comment: '  Spot on ' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.feedback).toMatchObject({ correct: true, comment: 'Spot on' });
+    expect(prediction.save).toHaveBeenCalled();
+  });
+
+  test('stores a doctor\'s diagnosis as a known class', async () => {
+    const res = await send(prediction._id, { correct: false, diagnosis: 'Psoriasis' });
+
+    expect(res.status).toBe(200);
+    expect(prediction.feedback.diagnosis).toBe('psoriasis');
+  });
+
+  test('refuses a diagnosis that contradicts the verdict', async () => {
+    const sameAsModel = await send(prediction._id, { correct: false, diagnosis: 'ACNE' });
+    const different = await send(prediction._id, { correct: true, diagnosis: 'psoriasis' });
+
+    expect(sameAsModel.status).toBe(400);
+    expect(different.status).toBe(400);
+    expect(prediction.save).not.toHaveBeenCalled();
+  });
+
+  test('a diagnosis matches model output that names the class with extra words', async () => {
+    prediction.disease = 'Melanoma (suspected)';
+
+    const res = await send(prediction._id, { correct: true, diagnosis: 'melanoma' });
+
+    expect(res.status).toBe(200);
+  });
+
+  test('needs a verdict', async () => {
+    const res = await send(prediction._id, { diagnosis: 'psoriasis' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('only the owner can give feedback', async () => {
+    const res = await send(objectId(), { correct: true });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/performance/observed', () => {
+  const group = (predicted, label, source, count) => ({ _id: { predicted, label, source }, count });
+
+  test('computes per-class precision, recall and the confusion matrix', async () => {
+    jest.spyOn(Prediction, 'aggregate').mockResolvedValue([
+      group('acne', 'acne', 'user', 3),
+      group('Acne', 'psoriasis', 'clinician', 1),
+      // Marked incorrect without saying what it was
+      group('acne', null, 'user', 1),
+      group('psoriasis', 'psoriasis', 'doctor_reported', 2),
+      // Outside the trained classes
+      group('eczema', 'eczema', 'user', 2)
+    ]);
+
+    const res = await request(app).get('/api/performance/observed?from=2026-01-01&to=2026-01-31');
+
+    expect(res.status).toBe(200);
+    const data = res.body.data;
+    expect(data).toMatchObject({
+      labeled: 7,
+      excluded: 2,
+      labelSources: { clinician: 1, doctor_reported: 2, user: 6 },
+      accuracy: 71.43
+    });
+
+    const acne = data.classPerformance.find((c) => c.name === 'acne');
+    expect(acne).toMatchObject({ precision: 60, recall: 100, support: 3, predicted: 5 });
+    const psoriasis = data.classPerformance.find((c) => c.name === 'psoriasis');
+    expect(psoriasis).toMatchObject({ precision: 100, recall: 66.67, f1: 80 });
+    expect(data.classPerformance.find((c) => c.name === 'melanoma')).toMatchObject({ precision: null, recall: null, f1: null });
+
+    const labels = data.confusionMatrix.labels;
+    const cell = (actual, predicted) => data.confusionMatrix.matrix[labels.indexOf(actual)][labels.indexOf(predicted)];
+    expect(cell('psoriasis', 'acne')).toBe(1);
+    expect(cell('acne', 'acne')).toBe(3);
+    expect(data.confusionMatrix.incorrectUnlabeled.find((c) => c.name === 'acne').count).toBe(1);
+  });
+
+  test('maps names to classes the way predictions were accepted, and counts labels outside them', async () => {
+    jest.spyOn(Prediction, 'aggregate').mockResolvedValue([
+      // Accepted because the name contains a trained class
+      group('Melanoma (suspected)', 'Melanoma (suspected)', 'user', 2),
+      group('Melanoma (suspected)', 'melanoma', 'clinician', 1),
+      group('acne', 'Eczema', 'doctor_reported', 1)
+    ]);
+
+    const res = await request(app).get('/api/performance/observed?from=2026-01-01&to=2026-01-31');
+
+    const data = res.body.data;
+    expect(data).toMatchObject({ labeled: 4, excluded: 0, accuracy: 75 });
+    const labels = data.confusionMatrix.labels;
+    expect(data.confusionMatrix.matrix[labels.indexOf('melanoma')][labels.indexOf('melanoma')]).toBe(3);
+    expect(data.confusionMatrix.unmappedLabels).toEqual([{ label: 'Eczema', count: 1 }]);
+    expect(data.classPerformance.find((c) => c.name === 'acne')).toMatchObject({ precision: 0, predicted: 1 });
+  });
+
+  test('clinician reviews outrank patient feedback when labelling', async () => {
+    const aggregate = jest.spyOn(Prediction, 'aggregate').mockResolvedValue([]);
+
+    await request(app).get('/api/performance/observed?from=2026-02-01&to=2026-02-10');
+
+    const { labelSource, label } = aggregate.mock.calls[0][0][1].$addFields;
+    expect(labelSource.$switch.branches.map((b) => b.then)).toEqual(['clinician', 'doctor_reported', 'user']);
+    expect(label.$switch.branches[0].then).toBe('$review.diagnosis');
+  });
+
+  test('filters by dates, model version and label source', async () => {
+    const aggregate = jest.spyOn(Prediction, 'aggregate').mockResolvedValue([]);
+
+    const res = await request(app).get('/api/performance/observed?from=2026-02-01&to=2026-02-10&modelVersion=v2&source=clinician');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ modelVersion: 'v2', source: 'clinician', labeled: 0, accuracy: null });
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline[0].$match).toMatchObject({
+      modelVersion: 'v2',
+      createdAt: { $gte: new Date('2026-02-01T00:00:00Z'), $lt: new Date('2026-02-11T00:00:00Z') }
+    });
+    expect(pipeline[2]).toEqual({ $match: { labelSource: 'clinician' } });
+  });
+
+  test('rejects an unknown label source', async () => {
+    const res = await request(app).get('/api/performance/observed?source=gossip');
+
+    expect(res.status).toBe(400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+// tests/helpers/auth.js
+//
+// Signed-in users without a database: signIn() stubs the Session and User
+// lookups the auth and verified-email middleware make, and returns the
+// Authorization header value.
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+const { byId } = require('./query');
+
+function makeUser(fields) {
+  return new User({
+    name: 'Test Patient',
+    email: `patient${Math.floor(Math.random() * 1e6)}@example.com`,
+    password: 'hashed',
+    emailVerified: true,
+    ...fields
+  });
+}
+
+// Everyone signed in during the current test. restoreMocks drops the stubs
+// after each test, which starts a new list.
+let users = [];
+let sessions = [];
+
+function stubLookups() {
+  if (!jest.isMockFunction(Session.findById)) {
+    users = [];
+    sessions = [];
+  }
+  jest.spyOn(Session, 'findById').mockImplementation(byId(sessions));
+  jest.spyOn(User, 'findById').mockImplementation(byId(users));
+}
+
+// Stubs the lookups for the user and returns an Authorization header value
+function signIn(user) {
+  stubLookups();
+  const session = new Session({
+    userId: user._id,
+    tokenHash: 'test',
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  users.push(user);
+  sessions.push(session);
+
+  const token = jwt.sign(
+    { userId: user._id, email: user.email, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
+  return `Bearer ${token}`;
+}
+
+function objectId() {
+  return new mongoose.Types.ObjectId();
+}
+
+module.exports = {
+  makeUser,
+  signIn,
+  objectId
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+// tests/helpers/collection.js
+//
+// An in-memory stand-in for a model's collection. The read statics run
+// their filter over the given documents with sift, which knows the MongoDB
+// query operators, so a test sees which documents a filter really selects
+// instead of whatever the stub was told to return:
+//   const predictions = collection(Prediction, [pending, completed]);
+//   ...
+//   expect(predictions.find).toHaveBeenCalled();
+// Writes are left alone; stub them with jest.spyOn where a test needs them.
+const sift = require('sift').default;
+const { query } = require('./query');
+
+function plain(doc) {
+  return doc && typeof doc.toObject === 'function' ? doc.toObject() : doc;
+}
+
+function collection(Model, docs) {
+  const matching = (filter) => {
+    const test = sift(filter || {});
+    return docs.filter((doc) => test(plain(doc)));
+  };
+
+  return {
+    docs,
+    find: jest.spyOn(Model, 'find').mockImplementation((filter) => query(matching(filter))),
+    findOne: jest.spyOn(Model, 'findOne').mockImplementation((filter) => query(matching(filter)[0] || null)),
+    findById: jest.spyOn(Model, 'findById').mockImplementation((id) => query(
+      docs.find((doc) => String(doc._id) === String(id)) || null
+    )),
+    exists: jest.spyOn(Model, 'exists').mockImplementation((filter) => {
+      const found = matching(filter)[0];
+      return query(found ? { _id: found._id } : null);
+    }),
+    countDocuments: jest.spyOn(Model, 'countDocuments').mockImplementation((filter) => query(matching(filter).length))
+  };
+}
+
+module.exports = {
+  collection
+};
\ No newline at end of file
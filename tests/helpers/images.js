@@ -0,0 +1,29 @@
+// tests/helpers/images.js
+const sharp = require('sharp');
+
+// A JPEG that passes the upload checks: skin-coloured with some texture,
+// so it is neither blank nor blurry. Different seeds give different images.
+async function skinPhoto(options = {}) {
+  const width = options.width || 400;
+  const height = options.height || 300;
+  const seed = options.seed || 1;
+
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      const texture = ((x * 7 + y * 13 + seed * 31) % 23) * 3;
+      pixels[i] = 200 - texture;
+      pixels[i + 1] = 150 - texture;
+      pixels[i + 2] = 120 - texture;
+    }
+  }
+
+  return sharp(pixels, { raw: { width, height, channels: 3 } })
+    .jpeg({ quality: options.quality || 90 })
+    .toBuffer();
+}
+
+module.exports = {
+  skinPhoto
+};
\ No newline at end of file
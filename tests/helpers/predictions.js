@@ -0,0 +1,32 @@
+// tests/helpers/predictions.js
+//
+// Stubs for everything the prediction pipeline (services/predictionService.js)
+// reads and writes: no registered model version, no earlier uploads, and
+// created Image/Prediction documents that are returned as if saved.
+const Image = require('../../models/Image');
+const ModelVersion = require('../../models/ModelVersion');
+const Prediction = require('../../models/Prediction');
+const User = require('../../models/User');
+const { query } = require('./query');
+
+function stubPredictionStore(options = {}) {
+  const earlier = options.earlier || [];
+
+  return {
+    modelVersion: jest.spyOn(ModelVersion, 'findOne').mockReturnValue(query(options.modelVersion || null)),
+    findOne: jest.spyOn(Prediction, 'findOne').mockImplementation((filter) => query(
+      earlier.find((p) => filter.contentHash && p.contentHash === filter.contentHash) || null
+    )),
+    find: jest.spyOn(Prediction, 'find').mockImplementation(() => query(earlier)),
+    findById: jest.spyOn(Prediction, 'findById').mockImplementation((id) => query(
+      earlier.find((p) => String(p._id) === String(id)) || null
+    )),
+    imageCreate: jest.spyOn(Image, 'create').mockImplementation(async (fields) => new Image(fields)),
+    create: jest.spyOn(Prediction, 'create').mockImplementation(async (fields) => new Prediction(fields)),
+    linkHistory: jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue(query(null))
+  };
+}
+
+module.exports = {
+  stubPredictionStore
+};
\ No newline at end of file
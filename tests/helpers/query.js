@@ -0,0 +1,31 @@
+// tests/helpers/query.js
+//
+// Stand-ins for mongoose queries, for stubbing model statics:
+//   jest.spyOn(Prediction, 'find').mockReturnValue(query([doc]));
+// The chain methods return the query itself and awaiting it resolves to
+// the result (or rejects with it when it is an Error).
+const CHAIN_METHODS = ['sort', 'limit', 'skip', 'select', 'populate', 'lean', 'session'];
+
+function query(result) {
+  const settle = () => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result));
+  const stub = {
+    exec: settle,
+    then: (resolve, reject) => settle().then(resolve, reject),
+    catch: (reject) => settle().catch(reject)
+  };
+  CHAIN_METHODS.forEach((method) => {
+    stub[method] = jest.fn(() => stub);
+  });
+  return stub;
+}
+
+// mockImplementation for findById / findOne over a list of documents:
+//   jest.spyOn(User, 'findById').mockImplementation(byId([user]));
+function byId(docs) {
+  return (id) => query(docs.find((doc) => String(doc._id) === String(id && id._id ? id._id : id)) || null);
+}
+
+module.exports = {
+  query,
+  byId
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+// tests/helpers/upstream.js
+//
+// A local HTTP server standing in for the ML Space or the LLM. It records
+// every request and answers with whatever handler the test sets:
+//   const upstream = await startUpstream();
+//   upstream.reply(200, { prediction: 'acne', confidence: 0.9 });
+//   process.env.ML_MODEL_URL = upstream.url;
+const http = require('http');
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function startUpstream() {
+  const upstream = {
+    requests: [],
+    handler: (req, res) => sendJson(res, 404, { error: 'no handler' })
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      upstream.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      upstream.handler(req, res, body);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  upstream.url = `http://127.0.0.1:${server.address().port}`;
+
+  // Every request gets this JSON answer
+  upstream.reply = (status, body) => {
+    upstream.handler = (req, res) => sendJson(res, status, body);
+  };
+
+  // Answers in turn, the last one repeating
+  upstream.replies = (...answers) => {
+    let next = 0;
+    upstream.handler = (req, res, body) => {
+      const answer = answers[Math.min(next++, answers.length - 1)];
+      if (typeof answer === 'function') return answer(req, res, body);
+      sendJson(res, answer[0], answer[1]);
+    };
+  };
+
+  upstream.close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+
+  return upstream;
+}
+
+module.exports = {
+  startUpstream,
+  sendJson
+};
\ No newline at end of file
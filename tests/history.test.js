@@ -0,0 +1,208 @@
+// tests/history.test.js
+const request = require('supertest');
+const app = require('../server');
+const Prediction = require('../models/Prediction');
+const User = require('../models/User');
+const storage = require('../services/storage');
+const { makeUser, signIn, objectId } = require('./helpers/auth');
+const { query } = require('./helpers/query');
+
+function saved(userId, fields) {
+  return new Prediction({
+    userId,
+    image: objectId(),
+    disease: 'acne',
+    confidence: 0.8,
+    status: 'accepted',
+    severity: 'mild',
+    symptoms: ['itching'],
+    createdAt: new Date('2026-03-01T10:00:00Z'),
+    ...fields
+  });
+}
+
+describe('GET /api/user/history', () => {
+  let user;
+  let auth;
+
+  beforeEach(() => {
+    user = makeUser();
+    auth = signIn(user);
+  });
+
+  test('pages newest first with a cursor', async () => {
+    const rows = [3, 2, 1].map((day) => saved(user._id, { createdAt: new Date(Date.UTC(2026, 2, day)) }));
+    const find = jest.spyOn(Prediction, 'find')
+      .mockReturnValueOnce(query(rows))
+      .mockReturnValueOnce(query(rows.slice(2)));
+
+    const first = await request(app).get('/api/user/history?limit=2').set('Authorization', auth);
+
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({ count: 2, hasMore: true });
+    expect(first.body.predictions.map((p) => p._id)).toEqual(rows.slice(0, 2).map((p) => String(p._id)));
+    expect(find.mock.results[0].value.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    // One more than the page, to know whether there is another
+    expect(find.mock.results[0].value.limit).toHaveBeenCalledWith(3);
+
+    const second = await request(app).get(`/api/user/history?limit=2&cursor=${first.body.nextCursor}`).set('Authorization', auth);
+
+    expect(second.body).toMatchObject({ count: 1, hasMore: false, nextCursor: null });
+    expect(find.mock.calls[1][0].$or).toEqual([
+      { createdAt: { $lt: rows[1].createdAt } },
+      { createdAt: rows[1].createdAt, _id: { $lt: rows[1]._id } }
+    ]);
+  });
+
+  test('turns the filters into one query for the caller', async () => {
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(query([]));
+    const lesionId = String(objectId());
+
+    const res = await request(app)
+      .get(`/api/user/history?disease=Acne,ring.worm&severity=mild,severe&minConfidence=0.5&from=2026-03-01&to=2026-03-31&lesionId=${lesionId}`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    const filter = find.mock.calls[0][0];
+    expect(String(filter.userId)).toBe(String(user._id));
+    expect(filter.disease.$in.map(String)).toEqual(['/^acne$/i', '/^ringworm$/i']);
+    expect(filter.severity).toEqual({ $in: ['mild', 'severe'] });
+    expect(filter.confidence).toEqual({ $gte: 0.5, $lte: 1 });
+    // A bare end date includes the whole day
+    expect(filter.createdAt).toEqual({ $gte: new Date('2026-03-01T00:00:00Z'), $lt: new Date('2026-04-01T00:00:00Z') });
+    expect(filter.lesionId).toBe(lesionId);
+  });
+
+  test('lesionId=none finds predictions outside any lesion', async () => {
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(query([]));
+
+    await request(app).get('/api/user/history?lesionId=none').set('Authorization', auth);
+
+    expect(find.mock.calls[0][0].lesionId).toBeNull();
+  });
+
+  test.each([
+    ['severity=extreme'],
+    ['minConfidence=0.9&maxConfidence=0.2'],
+    ['minConfidence=2'],
+    ['cursor=bm90LWEtY3Vyc29y'],
+    ['lesionId=somewhere']
+  ])('rejects %s', async (search) => {
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(query([]));
+
+    const res = await request(app).get(`/api/user/history?${search}`).set('Authorization', auth);
+
+    expect(res.status).toBe(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('items carry only the documented fields', async () => {
+    jest.spyOn(Prediction, 'find').mockReturnValue(query([saved(user._id, {
+      contentHash: 'abc',
+      perceptualHash: 'def',
+      modelDetails: { raw: true },
+      quality: { sharpness: 120, passed: true },
+      review: { status: 'claimed', reason: 'high_risk', claimedBy: objectId() }
+    })]));
+
+    const res = await request(app).get('/api/user/history').set('Authorization', auth);
+
+    const item = res.body.predictions[0];
+    expect(item).toMatchObject({ disease: 'acne', confidence: 0.8, symptoms: ['itching'], review: { status: 'in_review' } });
+    expect(item.imageUrl).toMatch(/^\/api\/images\//);
+    ['userId', 'image', 'contentHash', 'perceptualHash', 'modelDetails', 'quality', '__v'].forEach((field) => {
+      expect(item).not.toHaveProperty(field);
+    });
+  });
+});
+
+describe('single history items', () => {
+  let user;
+  let auth;
+  let prediction;
+
+  beforeEach(() => {
+    user = makeUser();
+    auth = signIn(user);
+    prediction = saved(user._id);
+    jest.spyOn(Prediction, 'findOne').mockImplementation((filter) => query(
+      String(filter._id) === String(prediction._id) && String(filter.userId) === String(user._id) ? prediction : null
+    ));
+  });
+
+  test('the owner can read one', async () => {
+    const res = await request(app).get(`/api/user/history/${prediction._id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.prediction._id).toBe(String(prediction._id));
+  });
+
+  test('deleting removes the prediction, the history entry and the photo', async () => {
+    const remove = jest.spyOn(Prediction, 'deleteOne').mockReturnValue(query({ deletedCount: 1 }));
+    const unlink = jest.spyOn(User, 'updateOne').mockReturnValue(query({ modifiedCount: 1 }));
+    const deleteImage = jest.spyOn(storage, 'deleteImage').mockResolvedValue(true);
+
+    const res = await request(app).delete(`/api/user/history/${prediction._id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(remove).toHaveBeenCalledWith({ _id: prediction._id });
+    expect(unlink).toHaveBeenCalledWith({ _id: prediction.userId }, { $pull: { history: { predictionId: prediction._id } } });
+    expect(deleteImage).toHaveBeenCalledWith(prediction.image);
+  });
+
+  test('other users\' predictions are 404', async () => {
+    const remove = jest.spyOn(Prediction, 'deleteOne');
+
+    const read = await request(app).get(`/api/user/history/${objectId()}`).set('Authorization', auth);
+    const del = await request(app).delete(`/api/user/history/${objectId()}`).set('Authorization', auth);
+
+    expect(read.status).toBe(404);
+    expect(del.status).toBe(404);
+    expect(remove).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/user/history/export', () => {
+  let user;
+  let auth;
+
+  beforeEach(() => {
+    user = makeUser();
+    auth = signIn(user);
+  });
+
+  test('CSV quotes text and defuses spreadsheet formulas', async () => {
+    jest.spyOn(Prediction, 'find').mockReturnValue(query([saved(user._id, {
+      symptoms: ['=HYPERLINK("http://evil.example")', 'red, dry'],
+      duration: '+2 weeks',
+      advice: 'Line one\nline "two"'
+    })]));
+
+    const res = await request(app).get('/api/user/history/export?format=csv').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="dermadetect-history-\d{4}-\d{2}-\d{2}\.csv"$/);
+    const [header, row] = res.text.split('\r\n');
+    expect(header.split(',').slice(0, 4)).toEqual(['id', 'createdAt', 'disease', 'confidence']);
+    expect(row).toContain('"\'=HYPERLINK(""http://evil.example""); red, dry"');
+    expect(row).toContain(",'+2 weeks,");
+    expect(res.text).toContain('"Line one\nline ""two"""');
+  });
+
+  test('JSON export uses the history item shape', async () => {
+    jest.spyOn(Prediction, 'find').mockReturnValue(query([saved(user._id, { contentHash: 'abc' })]));
+
+    const res = await request(app).get('/api/user/history/export?format=json&severity=mild').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ count: 1, truncated: false });
+    expect(res.body.predictions[0]).not.toHaveProperty('contentHash');
+  });
+
+  test('rejects unknown formats', async () => {
+    const res = await request(app).get('/api/user/history/export?format=xlsx').set('Authorization', auth);
+
+    expect(res.status).toBe(400);
+  });
+});
\ No newline at end of file
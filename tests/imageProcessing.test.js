@@ -0,0 +1,110 @@
+// tests/imageProcessing.test.js
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../server');
+const inference = require('../services/inference');
+const { detectFormat, sanitizeImage, toModelInput } = require('../services/imageProcessing');
+const { makeUser, signIn } = require('./helpers/auth');
+const { skinPhoto } = require('./helpers/images');
+const { stubPredictionStore } = require('./helpers/predictions');
+
+// A phone photo taken sideways: stored 400x300 with orientation 6 (rotate
+// 90° clockwise) and a location in its EXIF
+async function phonePhoto() {
+  return sharp(await skinPhoto())
+    .withMetadata({
+      orientation: 6,
+      exif: { IFD0: { Copyright: 'Home address' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } }
+    })
+    .jpeg()
+    .toBuffer();
+}
+
+const plain = (width, height) => sharp({ create: { width, height, channels: 3, background: '#c08070' } }).png().toBuffer();
+
+describe('sanitizeImage', () => {
+  test('reads the format from the bytes', async () => {
+    expect(detectFormat(await skinPhoto())).toBe('jpeg');
+    expect(detectFormat(await plain(100, 100))).toBe('png');
+    expect(detectFormat(await sharp(await skinPhoto()).webp().toBuffer())).toBe('webp');
+    expect(detectFormat(Buffer.from('GIF89a......'))).toBeNull();
+    expect(detectFormat(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+  });
+
+  test('applies the orientation, drops the metadata and re-encodes as JPEG', async () => {
+    const input = await phonePhoto();
+    expect((await sharp(input).metadata()).exif).toBeDefined();
+
+    const image = await sanitizeImage(input);
+
+    expect(image).toMatchObject({
+      contentType: 'image/jpeg',
+      width: 300,
+      height: 400,
+      original: { format: 'jpeg', width: 300, height: 400, bytes: input.length }
+    });
+    const metadata = await sharp(image.buffer).metadata();
+    expect(metadata).toMatchObject({ format: 'jpeg', width: 300, height: 400 });
+    expect(metadata.exif).toBeUndefined();
+    expect(metadata.orientation).toBeUndefined();
+    expect(image.buffer.includes('Home address')).toBe(false);
+  });
+
+  test('PNGs come out as JPEG too', async () => {
+    const image = await sanitizeImage(await plain(120, 100));
+
+    expect(image.original.format).toBe('png');
+    expect(detectFormat(image.buffer)).toBe('jpeg');
+  });
+
+  test.each([
+    ['a file that is not an image', () => Buffer.from('%PDF-1.7 not a photo at all'), 'UNSUPPORTED_IMAGE'],
+    ['a truncated JPEG', async () => (await skinPhoto()).subarray(0, 600), 'CORRUPT_IMAGE'],
+    ['a thumbnail', () => plain(40, 40), 'BAD_DIMENSIONS'],
+    ['a sliver', () => plain(900, 100), 'BAD_DIMENSIONS']
+  ])('rejects %s', async (name, make, code) => {
+    await expect(sanitizeImage(await make())).rejects.toMatchObject({ code });
+  });
+});
+
+describe('toModelInput', () => {
+  test('resizes to the model\'s square input size', async () => {
+    const image = await sanitizeImage(await phonePhoto());
+
+    const input = await toModelInput({ buffer: image.buffer, filename: 'photo.png', contentType: image.contentType });
+
+    expect(input).toMatchObject({ filename: 'photo.jpg', contentType: 'image/jpeg' });
+    expect(await sharp(input.buffer).metadata()).toMatchObject({ format: 'jpeg', width: 224, height: 224 });
+  });
+});
+
+describe('uploads', () => {
+  test('the model only ever sees the cleaned image', async () => {
+    stubPredictionStore();
+    const predict = jest.spyOn(inference, 'predict');
+
+    const res = await request(app)
+      .post('/api/predict')
+      .set('Authorization', signIn(makeUser()))
+      .attach('image', await phonePhoto(), { filename: 'IMG_0001.jpeg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(200);
+    const [sent] = predict.mock.calls[0];
+    expect(sent).toMatchObject({ filename: 'IMG_0001.jpg', contentType: 'image/jpeg' });
+    expect((await sharp(sent.buffer).metadata()).exif).toBeUndefined();
+  });
+
+  test('a file labelled as an image is checked by its content', async () => {
+    stubPredictionStore();
+    const predict = jest.spyOn(inference, 'predict');
+
+    const res = await request(app)
+      .post('/api/predict')
+      .set('Authorization', signIn(makeUser()))
+      .attach('image', Buffer.from('#!/bin/sh\necho definitely a photo\n'), { filename: 'photo.jpg', contentType: 'image/jpeg' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('UNSUPPORTED_IMAGE');
+    expect(predict).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
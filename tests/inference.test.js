@@ -0,0 +1,184 @@
+// tests/inference.test.js
+const request = require('supertest');
+const sharp = require('sharp');
+const { skinPhoto } = require('./helpers/images');
+const { startUpstream } = require('./helpers/upstream');
+
+describe('inference providers', () => {
+  let upstream;
+  let photo;
+
+  beforeAll(async () => {
+    upstream = await startUpstream();
+    photo = await skinPhoto({ width: 640, height: 480 });
+  });
+
+  afterAll(() => upstream.close());
+
+  beforeEach(() => {
+    upstream.requests = [];
+    jest.resetModules();
+    process.env.ML_MODEL_URL = upstream.url + '/predict';
+  });
+
+  function loadInference(provider) {
+    process.env.INFERENCE_PROVIDER = provider;
+    return require('../services/inference');
+  }
+
+  test('flask posts the photo and the form fields as multipart to /predict', async () => {
+    const inference = loadInference('flask');
+    upstream.reply(200, { prediction: 'acne', confidence: 0.91 });
+
+    await inference.predict({ buffer: photo, filename: 'photo.jpg', contentType: 'image/jpeg' }, { symptoms: 'itching', age: '' });
+
+    const sent = upstream.requests[0];
+    expect(sent.url).toBe('/predict');
+    expect(sent.headers['content-type']).toMatch(/^multipart\/form-data/);
+    expect(sent.body.toString('latin1')).toContain('name="image"; filename="photo.jpg"');
+    expect(sent.body.toString('latin1')).toContain('name="symptoms"');
+    // Empty fields are not sent
+    expect(sent.body.toString('latin1')).not.toContain('name="age"');
+  });
+
+  test('json posts the photo resized to the model input as base64', async () => {
+    const inference = loadInference('json');
+    upstream.reply(200, { prediction: 'acne', confidence: 0.91 });
+
+    await inference.predict({ buffer: photo, filename: 'photo.jpg', contentType: 'image/jpeg' }, { symptoms: 'itching' });
+
+    const sent = JSON.parse(upstream.requests[0].body);
+    expect(sent.symptoms).toBe('itching');
+    const { width, height } = await sharp(Buffer.from(sent.image, 'base64')).metadata();
+    expect([width, height]).toEqual([224, 224]);
+  });
+
+  test('both response styles come back in one shape', async () => {
+    const inference = loadInference('flask');
+    upstream.reply(200, {
+      predicted_class: ' Psoriasis ',
+      confidence: 87.5,
+      probabilities: { acne: 2.5, Psoriasis: 87.5, vitiligo: 10 },
+      model_details: { name: 'effnet' }
+    });
+
+    const result = await inference.predict({ buffer: photo, filename: 'p.jpg', contentType: 'image/jpeg' }, {});
+
+    expect(result).toEqual({
+      disease: 'Psoriasis',
+      confidence: 0.875,
+      allPredictions: [
+        { disease: 'Psoriasis', confidence: 0.875 },
+        { disease: 'vitiligo', confidence: 0.1 },
+        { disease: 'acne', confidence: 0.025 }
+      ],
+      description: null,
+      recommendations: null,
+      modelDetails: { name: 'effnet' }
+    });
+  });
+
+  test('model-side failures become coded errors', async () => {
+    const inference = loadInference('flask');
+    const image = { buffer: photo, filename: 'p.jpg', contentType: 'image/jpeg' };
+
+    upstream.reply(200, { success: false, error: 'Not a skin image' });
+    await expect(inference.predict(image, {})).rejects.toMatchObject({ code: 'ML_ERROR', message: 'Not a skin image' });
+
+    upstream.reply(200, { confidence: 0.5 });
+    await expect(inference.predict(image, {})).rejects.toMatchObject({ code: 'ML_NO_PREDICTION' });
+  });
+
+  test('the mock provider answers the same photo the same way', async () => {
+    const inference = loadInference('mock');
+    const image = { buffer: photo, filename: 'p.jpg', contentType: 'image/jpeg' };
+
+    const first = await inference.predict(image, {});
+    const second = await inference.predict(image, {});
+
+    expect(first).toEqual(second);
+    expect(first.allPredictions).toHaveLength(8);
+    expect(upstream.requests).toHaveLength(0);
+  });
+});
+
+describe('POST /api/analysis/predict', () => {
+  let upstream;
+  let app;
+  let auth;
+
+  beforeAll(async () => {
+    upstream = await startUpstream();
+    jest.resetModules();
+    process.env.INFERENCE_PROVIDER = 'flask';
+    process.env.ML_MODEL_URL = upstream.url;
+    app = require('../server');
+  });
+
+  afterAll(() => upstream.close());
+
+  beforeEach(() => {
+    upstream.requests = [];
+    // Loaded from the same module registry as the app
+    const { makeUser, signIn } = require('./helpers/auth');
+    auth = signIn(makeUser());
+  });
+
+  test('goes through the same provider and answers without the photo', async () => {
+    upstream.reply(200, { prediction: 'vitiligo', confidence: 0.8, all_predictions: { vitiligo: 0.8, acne: 0.2 } });
+
+    const res = await request(app)
+      .post('/api/analysis/predict')
+      .set('Authorization', auth)
+      .field('symptoms', 'white patches')
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      prediction: 'vitiligo',
+      predicted_disease: 'vitiligo',
+      confidence: 0.8,
+      probabilities: { vitiligo: 0.8, acne: 0.2 }
+    });
+    expect(res.body).not.toHaveProperty('image');
+    expect(JSON.stringify(res.body)).not.toMatch(/base64/);
+    expect(upstream.requests).toHaveLength(1);
+  });
+
+  test('maps a model error to 502', async () => {
+    upstream.reply(200, { success: false, error: 'bad input' });
+
+    const res = await request(app)
+      .post('/api/analysis/predict')
+      .set('Authorization', auth)
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(502);
+    expect(res.body.code).toBe('UPSTREAM_ERROR');
+  });
+
+  test('needs a signed-in user', async () => {
+    const res = await request(app)
+      .post('/api/analysis/predict')
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(401);
+    expect(upstream.requests).toHaveLength(0);
+  });
+
+  test('holds back unverified accounts once their free predictions are used', async () => {
+    const { makeUser, signIn } = require('./helpers/auth');
+    const Prediction = require('../models/Prediction');
+    jest.spyOn(Prediction, 'countDocuments').mockResolvedValue(3);
+
+    const res = await request(app)
+      .post('/api/analysis/predict')
+      .set('Authorization', signIn(makeUser({ emailVerified: false })))
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('EMAIL_NOT_VERIFIED');
+    expect(upstream.requests).toHaveLength(0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,236 @@
+// tests/jobs.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Image = require('../models/Image');
+const Job = require('../models/Job');
+const jobs = require('../services/jobs');
+const storage = require('../services/storage');
+const { makeUser, signIn } = require('./helpers/auth');
+const { skinPhoto } = require('./helpers/images');
+const { stubPredictionStore } = require('./helpers/predictions');
+const { query } = require('./helpers/query');
+
+function job(fields) {
+  return new Job({
+    type: 'advice',
+    userId: new mongoose.Types.ObjectId(),
+    input: { disease: 'eczema' },
+    updatedAt: new Date(),
+    ...fields
+  });
+}
+
+// Reads an SSE body into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter((block) => block.startsWith('event:')).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+function eventStream(res, callback) {
+  res.setEncoding('utf8');
+  let text = '';
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text));
+}
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe('job submission', () => {
+  test('advice jobs are queued and answered with 202 and the polling URLs', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    const create = jest.spyOn(Job, 'create').mockImplementation(async (fields) => job(fields));
+
+    const res = await request(app)
+      .post('/api/jobs/advice')
+      .set('Authorization', auth)
+      .send({ disease: 'eczema', symptoms: 'itching', confidence: 0.8 });
+
+    expect(res.status).toBe(202);
+    expect(res.body).toMatchObject({
+      success: true,
+      status: 'queued',
+      statusUrl: `/api/jobs/${res.body.jobId}`,
+      eventsUrl: `/api/jobs/${res.body.jobId}/events`
+    });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'advice',
+      userId: String(user._id),
+      input: expect.objectContaining({ disease: 'eczema', symptoms: 'itching' })
+    }));
+  });
+
+  test('prediction jobs store the upload before they are queued', async () => {
+    const auth = signIn(makeUser());
+    const saved = new Image({ userId: new mongoose.Types.ObjectId(), storageKey: 'k', contentType: 'image/jpeg', size: 1 });
+    const saveImage = jest.spyOn(storage, 'saveImage').mockResolvedValue(saved);
+    const create = jest.spyOn(Job, 'create').mockImplementation(async (fields) => job(fields));
+
+    const res = await request(app)
+      .post('/api/jobs/predict')
+      .set('Authorization', auth)
+      .field('symptoms', 'itching')
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(202);
+    expect(saveImage).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0]).toMatchObject({ type: 'prediction', imageId: saved._id });
+  });
+
+  test('a prediction job without a photo is rejected before anything is stored', async () => {
+    const auth = signIn(makeUser());
+    const create = jest.spyOn(Job, 'create');
+
+    const res = await request(app).post('/api/jobs/predict').set('Authorization', auth).field('symptoms', 'itching');
+
+    expect(res.status).toBe(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('job status and cancellation', () => {
+  test('a job is only visible to its owner', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    const own = job({ userId: user._id });
+    const findOne = jest.spyOn(Job, 'findOne').mockImplementation((filter) => query(
+      String(filter._id) === String(own._id) && String(filter.userId) === String(user._id) ? own : null
+    ));
+
+    const mine = await request(app).get(`/api/jobs/${own._id}`).set('Authorization', auth);
+    expect(mine.status).toBe(200);
+    expect(mine.body.job).toMatchObject({ id: String(own._id), type: 'advice', status: 'queued' });
+
+    const other = await request(app).get(`/api/jobs/${new mongoose.Types.ObjectId()}`).set('Authorization', auth);
+    expect(other.status).toBe(404);
+    expect(findOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('cancelling a queued job finishes it right away', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    const queued = job({ userId: user._id });
+    jest.spyOn(Job, 'findOne').mockReturnValue(query(queued));
+    const update = jest.spyOn(Job, 'findOneAndUpdate').mockImplementation((filter, fields) => query(
+      job({ _id: queued._id, userId: user._id, ...fields })
+    ));
+
+    const res = await request(app).post(`/api/jobs/${queued._id}/cancel`).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.job.status).toBe('cancelled');
+    expect(update.mock.calls[0][0]).toEqual({ _id: queued._id, status: 'queued' });
+  });
+
+  test('a finished job cannot be cancelled', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    jest.spyOn(Job, 'findOne').mockReturnValue(query(job({ userId: user._id, status: 'succeeded' })));
+    const update = jest.spyOn(Job, 'findOneAndUpdate');
+
+    const res = await request(app).post(`/api/jobs/${new mongoose.Types.ObjectId()}/cancel`).set('Authorization', auth);
+
+    expect(res.status).toBe(409);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/jobs/:id/events', () => {
+  test('a finished job gets one "done" event and leaves no poll behind', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    const finished = job({ userId: user._id, status: 'succeeded', result: { success: true } });
+    jest.spyOn(Job, 'findOne').mockReturnValue(query(finished));
+    const setIntervalSpy = jest.spyOn(global, 'setInterval');
+    const clearIntervalSpy = jest.spyOn(global, 'clearInterval');
+
+    const res = await request(app)
+      .get(`/api/jobs/${finished._id}/events`)
+      .set('Authorization', auth)
+      .buffer(true)
+      .parse(eventStream);
+
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(parseEvents(res.body)).toEqual([{ event: 'done', data: expect.objectContaining({ status: 'succeeded' }) }]);
+
+    const poll = setIntervalSpy.mock.results[setIntervalSpy.mock.calls.findIndex((call) => call[1] === 2000)].value;
+    expect(clearIntervalSpy).toHaveBeenCalledWith(poll);
+    expect(jobs.events.listenerCount(String(finished._id))).toBe(0);
+  });
+
+  test('a running job streams progress until it finishes', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    const running = job({ userId: user._id, status: 'running', progress: { percent: 5, message: 'Started' } });
+    jest.spyOn(Job, 'findOne').mockReturnValue(query(running));
+    const id = String(running._id);
+
+    const pending = request(app)
+      .get(`/api/jobs/${id}/events`)
+      .set('Authorization', auth)
+      .buffer(true)
+      .parse(eventStream)
+      .then((res) => res);
+
+    await waitFor(() => jobs.events.listenerCount(id) > 0);
+    const later = (seconds, fields) => ({ ...jobs.toPublic(running), ...fields, updatedAt: new Date(running.updatedAt.getTime() + seconds * 1000) });
+    jobs.events.emit(id, later(1, { progress: { percent: 50, message: 'Waiting for the model' } }));
+    jobs.events.emit(id, later(2, { status: 'succeeded', progress: { percent: 100, message: 'Done' } }));
+
+    const events = parseEvents((await pending).body);
+    expect(events.map((e) => e.event)).toEqual(['progress', 'progress', 'done']);
+    expect(events[1].data.progress.percent).toBe(50);
+    expect(jobs.events.listenerCount(id)).toBe(0);
+  });
+});
+
+describe('job worker', () => {
+  // The worker only polls while Mongo is connected
+  beforeEach(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+  });
+
+  afterEach(() => {
+    jobs.stop();
+    delete mongoose.connection.readyState;
+  });
+
+  test('runs a claimed prediction job through the prediction pipeline', async () => {
+    stubPredictionStore();
+    const image = new Image({ userId: new mongoose.Types.ObjectId(), storageKey: 'k', contentType: 'image/jpeg', size: 1 });
+    jest.spyOn(Image, 'findById').mockReturnValue(query(image));
+    jest.spyOn(storage, 'readImage').mockResolvedValue(await skinPhoto());
+
+    const claimed = job({ type: 'prediction', status: 'running', imageId: image._id, userId: image.userId, input: { symptoms: 'itching' } });
+    let claims = 0;
+    jest.spyOn(Job, 'updateMany').mockReturnValue(query({ modifiedCount: 0 }));
+    jest.spyOn(Job, 'find').mockReturnValue(query([]));
+    jest.spyOn(Job, 'findOneAndUpdate').mockImplementation((filter) => query(
+      filter.status === 'queued' && claims++ === 0 ? claimed : null
+    ));
+    const finish = jest.spyOn(Job, 'findByIdAndUpdate').mockImplementation((id, fields) => query(
+      job({ ...claimed.toObject(), ...fields })
+    ));
+
+    const done = new Promise((resolve) => {
+      jobs.events.on(String(claimed._id), function onUpdate(snapshot) {
+        if (!jobs.isTerminal(snapshot.status)) return;
+        jobs.events.removeListener(String(claimed._id), onUpdate);
+        resolve(snapshot);
+      });
+    });
+    jobs.start();
+
+    const snapshot = await done;
+    expect(snapshot.status).toBe('succeeded');
+    expect(snapshot.result).toMatchObject({ success: true, prediction: expect.any(String) });
+    expect(finish.mock.calls[0][1]).toMatchObject({ status: 'succeeded', workerId: null });
+  });
+});
\ No newline at end of file
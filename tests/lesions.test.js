@@ -0,0 +1,182 @@
+// tests/lesions.test.js
+const request = require('supertest');
+const app = require('../server');
+const Lesion = require('../models/Lesion');
+const Prediction = require('../models/Prediction');
+const { makeUser, signIn, objectId } = require('./helpers/auth');
+const { skinPhoto } = require('./helpers/images');
+const { stubPredictionStore } = require('./helpers/predictions');
+const { query } = require('./helpers/query');
+
+let day = 0;
+
+// Predictions one day apart, in the order they are created
+function point(fields) {
+  day += 1;
+  return new Prediction({
+    image: objectId(),
+    disease: 'eczema',
+    confidence: 0.6,
+    status: 'accepted',
+    severity: 'mild',
+    createdAt: new Date(Date.UTC(2026, 0, day)),
+    ...fields
+  });
+}
+
+describe('lesion timelines', () => {
+  let user;
+  let auth;
+  let lesion;
+
+  beforeEach(() => {
+    day = 0;
+    user = makeUser();
+    auth = signIn(user);
+    lesion = new Lesion({ userId: user._id, name: 'Mole on back', bodyLocation: 'upper_back' });
+    jest.spyOn(Lesion, 'findOne').mockImplementation((filter) => query(
+      String(filter._id) === String(lesion._id) && String(filter.userId) === String(user._id) ? lesion : null
+    ));
+  });
+
+  async function timelineOf(predictions) {
+    jest.spyOn(Prediction, 'find').mockReturnValue(query(predictions));
+    const res = await request(app).get(`/api/lesions/${lesion._id}/timeline`).set('Authorization', auth);
+    expect(res.status).toBe(200);
+    return res.body;
+  }
+
+  const flagTypes = (body) => body.flags.map((f) => f.type);
+
+  test('a steady lesion raises no flags', async () => {
+    const body = await timelineOf([point(), point({ confidence: 0.65 }), point({ confidence: 0.62 })]);
+
+    expect(body.count).toBe(3);
+    expect(body.flags).toEqual([]);
+    expect(body.concerning).toBe(false);
+    expect(body.points[0].imageUrl).toMatch(/^\/api\/images\//);
+  });
+
+  test('a shift to a high-risk class is an alert', async () => {
+    const body = await timelineOf([point(), point({ disease: 'Melanoma', confidence: 0.7 })]);
+
+    expect(body.flags).toEqual([expect.objectContaining({ type: 'shift_to_high_risk', level: 'alert' })]);
+    expect(body.concerning).toBe(true);
+  });
+
+  test('flags rising confidence, high-risk probability and severity', async () => {
+    const body = await timelineOf([
+      point({ allPredictions: [{ disease: 'eczema', confidence: 0.6 }, { disease: 'melanoma', confidence: 0.05 }] }),
+      point({
+        confidence: 0.8,
+        severity: 'moderate',
+        allPredictions: [{ disease: 'eczema', confidence: 0.8 }, { disease: 'melanoma', confidence: 0.2 }]
+      })
+    ]);
+
+    expect(flagTypes(body)).toEqual(['confidence_rising', 'high_risk_probability_rising', 'severity_increased']);
+  });
+
+  test('rejected results stay on the timeline but are not compared', async () => {
+    const body = await timelineOf([
+      point(),
+      point({ disease: 'melanoma', confidence: 0.2, status: 'belowThreshold' }),
+      point({ disease: 'sunburn', confidence: 0.9, status: 'invalidClass' }),
+      point({ confidence: 0.62 })
+    ]);
+
+    expect(body.count).toBe(4);
+    expect(body.points.map((p) => p.compared)).toEqual([true, false, false, true]);
+    expect(body.flags).toEqual([]);
+  });
+
+  test('a dermatologist\'s diagnosis counts, even on a rejected result', async () => {
+    const body = await timelineOf([
+      point(),
+      point({
+        confidence: 0.3,
+        status: 'belowThreshold',
+        review: { status: 'completed', diagnosis: 'melanoma', urgency: 'urgent', reason: 'low_confidence' }
+      })
+    ]);
+
+    expect(body.points[1]).toMatchObject({ compared: true, confirmedDiagnosis: 'melanoma' });
+    expect(flagTypes(body)).toEqual(['shift_to_high_risk']);
+  });
+
+  test('someone else\'s lesion is not found', async () => {
+    const res = await request(app).get(`/api/lesions/${objectId()}/timeline`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('lesion tracking', () => {
+  let user;
+  let auth;
+  let lesion;
+
+  beforeEach(() => {
+    user = makeUser();
+    auth = signIn(user);
+    lesion = new Lesion({ userId: user._id, name: 'Mole on back', bodyLocation: 'upper_back' });
+    jest.spyOn(Lesion, 'findOne').mockImplementation((filter) => query(String(filter._id) === String(lesion._id) ? lesion : null));
+  });
+
+  test('a lesion needs a known body location', async () => {
+    const create = jest.spyOn(Lesion, 'create');
+
+    const res = await request(app).post('/api/lesions').set('Authorization', auth).send({ name: 'Mole', bodyLocation: 'elbow-ish' });
+
+    expect(res.status).toBe(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('attaching only works for the user\'s own predictions', async () => {
+    const attach = jest.spyOn(Prediction, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    const res = await request(app).put(`/api/lesions/${lesion._id}/predictions/${objectId()}`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+    expect(attach.mock.calls[0][0]).toMatchObject({ userId: String(user._id) });
+  });
+
+  test('deleting a lesion keeps its predictions', async () => {
+    const ungroup = jest.spyOn(Prediction, 'updateMany').mockReturnValue(query({ modifiedCount: 2 }));
+    const remove = jest.spyOn(Lesion, 'deleteOne').mockReturnValue(query({ deletedCount: 1 }));
+    const deletePredictions = jest.spyOn(Prediction, 'deleteMany');
+
+    const res = await request(app).delete(`/api/lesions/${lesion._id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(ungroup).toHaveBeenCalledWith({ lesionId: lesion._id }, { $unset: { lesionId: 1 } });
+    expect(remove).toHaveBeenCalled();
+    expect(deletePredictions).not.toHaveBeenCalled();
+  });
+
+  test('a prediction can be filed under a lesion when it is made', async () => {
+    const store = stubPredictionStore();
+
+    const res = await request(app)
+      .post('/api/predict')
+      .set('Authorization', auth)
+      .field('lesionId', String(lesion._id))
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(200);
+    expect(String(store.create.mock.calls[0][0].lesionId)).toBe(String(lesion._id));
+  });
+
+  test('an unknown lesion id on a prediction is refused', async () => {
+    const store = stubPredictionStore();
+
+    const res = await request(app)
+      .post('/api/predict')
+      .set('Authorization', auth)
+      .field('lesionId', String(objectId()))
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(404);
+    expect(store.create).not.toHaveBeenCalled();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+// tests/liveStats.test.js
+const request = require('supertest');
+const app = require('../server');
+const Prediction = require('../models/Prediction');
+
+// What the $facet stage answers for a small collection
+function facetResult(overrides) {
+  return [{
+    totals: [{ _id: null, total: 5, today: 2, averageConfidence: 0.6 }],
+    byStatus: [{ _id: 'accepted', count: 3 }, { _id: null, count: 1 }, { _id: 'belowThreshold', count: 1 }],
+    byDisease: [{ _id: 'eczema', count: 3, averageConfidence: 0.7 }, { _id: 'psoriasis', count: 1, averageConfidence: 0.5 }],
+    bySeverity: [{ _id: 'moderate', count: 3 }, { _id: null, count: 1 }],
+    confidenceHistogram: [{ _id: 0.1, count: 1 }, { _id: 0.7, count: 4 }],
+    timeSeries: [{ _id: '2026-03-02', count: 4, accepted: 3, averageConfidence: 0.65 }],
+    recentPredictions: [{ disease: 'Eczema', confidence: 0.8, severity: 'severe', timestamp: new Date('2026-03-02T10:00:00Z') }],
+    ...overrides
+  }];
+}
+
+describe('GET /api/performance/live-stats', () => {
+  test('summarises the stored predictions', async () => {
+    const aggregate = jest.spyOn(Prediction, 'aggregate').mockResolvedValue(facetResult());
+
+    const res = await request(app).get('/api/performance/live-stats?from=2026-03-01&to=2026-03-03');
+
+    expect(res.status).toBe(200);
+    const data = res.body.data;
+    expect(data.totalPredictions).toBe(5);
+    expect(data.todayPredictions).toBe(2);
+    expect(data.mostCommonDisease).toBe('eczema');
+    // Records from before the status field count as accepted
+    expect(data.byStatus).toEqual({ accepted: 4, belowThreshold: 1, invalidClass: 0 });
+    expect(data.bySeverity).toEqual([{ severity: 'moderate', count: 3 }, { severity: 'unknown', count: 1 }]);
+    expect(data.timeSeries.days.map((d) => [d.date, d.count])).toEqual([
+      ['2026-03-01', 0], ['2026-03-02', 4], ['2026-03-03', 0]
+    ]);
+
+    // Public endpoint: the recent list must not expose who made them
+    const pipeline = aggregate.mock.calls[0][0][0].$facet;
+    expect(pipeline.recentPredictions.find((stage) => stage.$project).$project).not.toHaveProperty('userId');
+    expect(data.recentPredictions[0]).not.toHaveProperty('userId');
+  });
+
+  test('the histogram has ten buckets with round bounds', async () => {
+    jest.spyOn(Prediction, 'aggregate').mockResolvedValue(facetResult());
+
+    const res = await request(app).get('/api/performance/live-stats?from=2026-04-01&to=2026-04-02');
+
+    const histogram = res.body.data.confidenceHistogram;
+    expect(histogram).toHaveLength(10);
+    expect(histogram[2]).toEqual({ min: 0.2, max: 0.3, count: 0 });
+    expect(histogram[7]).toEqual({ min: 0.7, max: 0.8, count: 4 });
+    expect(histogram[9].max).toBe(1);
+  });
+
+  test('answers the same range from the cache for a while', async () => {
+    const aggregate = jest.spyOn(Prediction, 'aggregate').mockResolvedValue(facetResult());
+
+    await request(app).get('/api/performance/live-stats?from=2026-05-01&to=2026-05-10');
+    const res = await request(app).get('/api/performance/live-stats?from=2026-05-01&to=2026-05-10');
+
+    expect(res.status).toBe(200);
+    expect(aggregate).toHaveBeenCalledTimes(1);
+
+    await request(app).get('/api/performance/live-stats?from=2026-05-02&to=2026-05-10');
+    expect(aggregate).toHaveBeenCalledTimes(2);
+  });
+
+  test('works on an empty collection', async () => {
+    jest.spyOn(Prediction, 'aggregate').mockResolvedValue(facetResult({
+      totals: [], byStatus: [], byDisease: [], bySeverity: [], confidenceHistogram: [], timeSeries: [], recentPredictions: []
+    }));
+
+    const res = await request(app).get('/api/performance/live-stats?from=2026-06-01&to=2026-06-01');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totalPredictions).toBe(0);
+    expect(res.body.data.mostCommonDisease).toBeNull();
+    expect(res.body.data.timeSeries.days).toHaveLength(1);
+  });
+
+  test('rejects a reversed or too long range', async () => {
+    const reversed = await request(app).get('/api/performance/live-stats?from=2026-03-10&to=2026-03-01');
+    expect(reversed.status).toBe(400);
+
+    const tooLong = await request(app).get('/api/performance/live-stats?from=2024-01-01&to=2026-01-01');
+    expect(tooLong.status).toBe(400);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,167 @@
+// tests/llmStream.test.js
+const http = require('http');
+const request = require('supertest');
+const { startUpstream } = require('./helpers/upstream');
+
+// Reads an SSE body into [{ event, data }]
+function parseEvents(text) {
+  return text.split('\n\n').filter((block) => block.startsWith('event:')).map((block) => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+function eventStream(res, callback) {
+  res.setEncoding('utf8');
+  let text = '';
+  res.on('data', (chunk) => { text += chunk; });
+  res.on('end', () => callback(null, text));
+}
+
+describe('POST /api/llm/advice/stream', () => {
+  let upstream;
+  let app;
+  let Prediction;
+  let auth;
+  let predictionId;
+
+  beforeAll(async () => {
+    upstream = await startUpstream();
+    jest.resetModules();
+    process.env.LLM_URL = upstream.url + '/generate';
+    process.env.LLM_STREAM_URL = upstream.url + '/stream';
+    require('mongoose').set('bufferCommands', false);
+    app = require('../server');
+    Prediction = require('../models/Prediction');
+  });
+
+  afterAll(async () => {
+    delete process.env.LLM_URL;
+    delete process.env.LLM_STREAM_URL;
+    await upstream.close();
+  });
+
+  beforeEach(() => {
+    upstream.requests = [];
+    // Loaded from the same module registry as the app
+    const { makeUser, signIn, objectId } = require('./helpers/auth');
+    auth = signIn(makeUser());
+    predictionId = String(objectId());
+  });
+
+  function streamAdvice() {
+    return request(app)
+      .post('/api/llm/advice/stream')
+      .set('Authorization', auth)
+      .send({ disease: 'eczema', symptoms: 'itching', confidence: 0.8, predictionId })
+      .buffer(true)
+      .parse(eventStream);
+  }
+
+  test('relays tokens from a streaming upstream and saves the full text', async () => {
+    const save = jest.spyOn(Prediction, 'findOneAndUpdate').mockResolvedValue({ _id: predictionId });
+    upstream.replies((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"token":{"text":"Eczema "}}\n\n');
+      res.write('data: {"token":{"text":"is common."}}\n\n');
+      res.write('data: {"token":{"text":""},"generated_text":"Eczema is common."}\n\n');
+      res.end('data: [DONE]\n\n');
+    });
+
+    const res = await streamAdvice();
+
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    const events = parseEvents(res.body);
+    expect(events.map((e) => e.event)).toEqual(['token', 'token', 'done']);
+    expect(events.slice(0, 2).map((e) => e.data.text)).toEqual(['Eczema ', 'is common.']);
+    expect(events[2].data).toMatchObject({ success: true, advice: 'Eczema is common.', saved: true });
+
+    expect(upstream.requests[0].url).toBe('/stream');
+    expect(JSON.parse(upstream.requests[0].body)).toMatchObject({ stream: true });
+    expect(save).toHaveBeenCalledWith(
+      { _id: predictionId, userId: expect.any(String) },
+      expect.objectContaining({ advice: 'Eczema is common.' })
+    );
+  });
+
+  test('reads newline-delimited JSON as well', async () => {
+    jest.spyOn(Prediction, 'findOneAndUpdate').mockResolvedValue({ _id: predictionId });
+    upstream.replies((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write('{"choices":[{"delta":{"content":"Keep skin "}}]}\n');
+      res.end('{"choices":[{"delta":{"content":"moisturised."}}]}\n');
+    });
+
+    const events = parseEvents((await streamAdvice()).body);
+
+    expect(events.filter((e) => e.event === 'token').map((e) => e.data.text).join('')).toBe('Keep skin moisturised.');
+    expect(events.pop().data.advice).toBe('Keep skin moisturised.');
+  });
+
+  test('delivers a complete answer in pieces when the upstream does not stream', async () => {
+    jest.spyOn(Prediction, 'findOneAndUpdate').mockResolvedValue({ _id: predictionId });
+    const advice = 'Eczema is a common condition that makes skin dry, itchy and inflamed. See a dermatologist if it spreads.';
+    upstream.reply(200, { response: advice });
+
+    const events = parseEvents((await streamAdvice()).body);
+    const tokens = events.filter((e) => e.event === 'token');
+
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(tokens.map((e) => e.data.text).join('')).toBe(advice);
+    expect(events.pop()).toMatchObject({ event: 'done', data: { advice, saved: true } });
+  });
+
+  test('ends with an error event when the upstream fails', async () => {
+    const save = jest.spyOn(Prediction, 'findOneAndUpdate');
+    upstream.reply(500, { error: 'boom' });
+
+    const events = parseEvents((await streamAdvice()).body);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].event).toBe('error');
+    expect(events[0].data.success).toBe(false);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('a client disconnect cancels the upstream request and saves nothing', async () => {
+    const save = jest.spyOn(Prediction, 'findOneAndUpdate');
+    let upstreamClosed;
+    const closed = new Promise((resolve) => { upstreamClosed = resolve; });
+    upstream.replies((req, res) => {
+      res.on('close', upstreamClosed);
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: {"token":{"text":"Eczema "}}\n\n');
+    });
+
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    try {
+      const body = JSON.stringify({ disease: 'eczema', predictionId });
+      await new Promise((resolve, reject) => {
+        const req = http.request({
+          host: '127.0.0.1',
+          port: server.address().port,
+          path: '/api/llm/advice/stream',
+          method: 'POST',
+          headers: { Authorization: auth, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+        }, (res) => {
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            if (chunk.includes('event: token')) {
+              req.destroy();
+              resolve();
+            }
+          });
+        });
+        req.on('error', (err) => (err.code === 'ECONNRESET' ? resolve() : reject(err)));
+        req.end(body);
+      });
+
+      await closed;
+      expect(save).not.toHaveBeenCalled();
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,164 @@
+// tests/metrics.test.js
+const request = require('supertest');
+const { startUpstream } = require('./helpers/upstream');
+
+// Value of the first sample of `name` whose labels include `labels`; 0 if none
+function sample(text, name, labels) {
+  const line = text.split('\n').find((l) => l.startsWith(`${name}{`)
+    && Object.entries(labels).every(([label, value]) => l.includes(`${label}="${value}"`)));
+  return line ? Number(line.slice(line.lastIndexOf(' ') + 1)) : 0;
+}
+
+describe('GET /metrics', () => {
+  const app = require('../server');
+  const inference = require('../services/inference');
+  const { createUpstream } = require('../services/resilience');
+  const { makeUser, signIn, objectId } = require('./helpers/auth');
+  const { skinPhoto } = require('./helpers/images');
+  const { stubPredictionStore } = require('./helpers/predictions');
+  const Image = require('../models/Image');
+  const Prediction = require('../models/Prediction');
+  const { fingerprint, sanitizeImage } = require('../services/imageProcessing');
+
+  const scrape = async () => (await request(app).get('/metrics')).text;
+
+  test('is Prometheus text with the process and MongoDB metrics', async () => {
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(res.text).toContain('# TYPE http_requests_total counter');
+    expect(res.text).toContain('process_resident_memory_bytes');
+    expect(res.text).toMatch(/^mongodb_connection_state 0$/m);
+  });
+
+  test('requests are counted by route pattern, also when a middleware fails them', async () => {
+    const id = String(objectId());
+    const route = { route: '/api/user/history/:id', method: 'GET' };
+    const before = await scrape();
+
+    await request(app).get(`/api/user/history/${id}`);
+    await request(app).get('/api/user/history/not-an-id').set('Authorization', signIn(makeUser()));
+    await request(app).get(`/api/nothing/${id}`);
+    // Passes through the docs router mounted on /api first
+    await request(app).get('/api/health');
+
+    const after = await scrape();
+    const delta = (labels) => sample(after, 'http_requests_total', labels) - sample(before, 'http_requests_total', labels);
+    expect(delta({ ...route, status: '401' })).toBe(1);
+    expect(delta({ ...route, status: '400' })).toBe(1);
+    expect(delta({ route: 'unmatched', status: '404' })).toBe(1);
+    expect(delta({ route: '/api/health', status: '200' })).toBe(1);
+    expect(sample(after, 'http_request_duration_seconds_count', { ...route, status: '401' })).toBeGreaterThanOrEqual(1);
+    expect(after).not.toContain(id);
+  });
+
+  test('predictions are counted by class and outcome', async () => {
+    stubPredictionStore();
+    const predict = jest.spyOn(inference, 'predict');
+    [
+      { disease: 'Melanoma', confidence: 0.9 },
+      { disease: 'sunburn', confidence: 0.9 },
+      { disease: 'acne', confidence: 0.1 }
+    ].forEach((result) => predict.mockResolvedValueOnce({ allPredictions: [], ...result }));
+    const auth = signIn(makeUser());
+    const before = await scrape();
+
+    for (let seed = 1; seed <= 3; seed++) {
+      await request(app).post('/api/predict').set('Authorization', auth).attach('image', await skinPhoto({ seed }), 'photo.jpg');
+    }
+
+    const after = await scrape();
+    const delta = (labels) => sample(after, 'predictions_total', labels) - sample(before, 'predictions_total', labels);
+    expect(delta({ class: 'melanoma', outcome: 'accepted', source: 'model' })).toBe(1);
+    expect(delta({ class: 'other', outcome: 'invalidClass', source: 'model' })).toBe(1);
+    expect(delta({ class: 'acne', outcome: 'belowThreshold', source: 'model' })).toBe(1);
+  });
+
+  test('reused results are counted as cache, results that could not be saved not at all', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    const photo = await skinPhoto({ seed: 7 });
+    // Only an exact match: the two test photos look alike
+    const { contentHash } = await fingerprint((await sanitizeImage(photo)).buffer);
+    const earlier = new Prediction({
+      userId: user._id,
+      image: objectId(),
+      disease: 'psoriasis',
+      confidence: 0.9,
+      status: 'accepted',
+      contentHash
+    });
+    const store = stubPredictionStore({ earlier: [earlier] });
+    jest.spyOn(inference, 'predict').mockResolvedValue({ disease: 'vitiligo', confidence: 0.9, allPredictions: [] });
+    jest.spyOn(Image, 'findByIdAndDelete').mockReturnValue(Promise.resolve(null));
+    const before = await scrape();
+
+    const cached = await request(app).post('/api/predict').set('Authorization', auth).attach('image', photo, 'photo.jpg');
+    store.create.mockRejectedValue(new Error('write failed'));
+    const unsaved = await request(app).post('/api/predict').set('Authorization', auth).attach('image', await skinPhoto({ seed: 8 }), 'photo.jpg');
+
+    const after = await scrape();
+    const delta = (labels) => sample(after, 'predictions_total', labels) - sample(before, 'predictions_total', labels);
+    expect(cached.body.cached).toBe(true);
+    expect(unsaved.status).toBe(500);
+    expect(delta({ class: 'psoriasis', outcome: 'accepted', source: 'cache' })).toBe(1);
+    expect(delta({ class: 'vitiligo', outcome: 'accepted', source: 'model' })).toBe(0);
+  });
+
+  test('upstream failures are counted by error code', async () => {
+    const upstream = createUpstream({ name: 'Test', metricLabel: 'test', retries: 0, failureThreshold: 10 });
+    const failure = (fields) => Object.assign(new Error('failed'), fields);
+
+    await upstream.call(async () => 'ok');
+    await expect(upstream.call(() => Promise.reject(failure({ code: 'ETIMEDOUT' })))).rejects.toThrow();
+    await expect(upstream.call(() => Promise.reject(failure({ response: { status: 503 } })))).rejects.toThrow();
+
+    const text = await scrape();
+    expect(sample(text, 'upstream_errors_total', { upstream: 'test', code: 'ETIMEDOUT' })).toBe(1);
+    expect(sample(text, 'upstream_errors_total', { upstream: 'test', code: '503' })).toBe(1);
+    expect(sample(text, 'upstream_request_duration_seconds_count', { upstream: 'test', outcome: 'success' })).toBe(1);
+    expect(sample(text, 'upstream_request_duration_seconds_count', { upstream: 'test', outcome: 'error' })).toBe(2);
+  });
+});
+
+describe('GET /metrics with METRICS_TOKEN', () => {
+  let upstream;
+  let app;
+
+  beforeAll(async () => {
+    upstream = await startUpstream();
+    upstream.reply(500, { error: 'model crashed' });
+    jest.resetModules();
+    process.env.METRICS_TOKEN = 'scrape-me';
+    process.env.LLM_URL = upstream.url + '/generate';
+    require('mongoose').set('bufferCommands', false);
+    app = require('../server');
+  });
+
+  afterAll(async () => {
+    delete process.env.METRICS_TOKEN;
+    delete process.env.LLM_URL;
+    await upstream.close();
+  });
+
+  test('needs the token', async () => {
+    const missing = await request(app).get('/metrics');
+    const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer guess');
+    const right = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-me');
+
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe('UNAUTHORIZED');
+    expect(wrong.status).toBe(401);
+    expect(right.status).toBe(200);
+  });
+
+  test('LLM errors show up under the llm upstream', async () => {
+    const { makeUser, signIn } = require('./helpers/auth');
+
+    await request(app).post('/api/llm/advice').set('Authorization', signIn(makeUser())).send({ disease: 'eczema' });
+
+    const text = (await request(app).get('/metrics').set('Authorization', 'Bearer scrape-me')).text;
+    expect(sample(text, 'upstream_errors_total', { upstream: 'llm', code: '500' })).toBeGreaterThanOrEqual(1);
+  });
+});
\ No newline at end of file
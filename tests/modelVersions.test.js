@@ -0,0 +1,138 @@
+// tests/modelVersions.test.js
+const request = require('supertest');
+const app = require('../server');
+const ModelVersion = require('../models/ModelVersion');
+const modelVersions = require('../services/modelVersions');
+const { makeUser, signIn } = require('./helpers/auth');
+const { query } = require('./helpers/query');
+
+function version(fields) {
+  return new ModelVersion({
+    version: 'v1',
+    accuracy: 80,
+    precision: 78,
+    recall: 76,
+    f1Score: 77,
+    classPerformance: [
+      { name: 'acne', accuracy: 85, precision: 80, recall: 82, f1: 81 },
+      { name: 'melanoma', accuracy: 70, precision: 72, recall: 68, f1: 70 }
+    ],
+    confusionMatrix: { labels: ['acne', 'melanoma'], matrix: [[8, 2], [3, 7]] },
+    datasetInfo: { totalSamples: 1000 },
+    ...fields
+  });
+}
+
+describe('model version registry', () => {
+  test('GET /metrics serves the active version', async () => {
+    jest.spyOn(ModelVersion, 'findOne').mockReturnValue(query(version({ isActive: true })));
+
+    const res = await request(app).get('/api/performance/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.version).toBe('v1');
+    expect(res.body.data.classPerformance).toHaveLength(2);
+  });
+
+  test('GET /metrics answers 404 until a version is active', async () => {
+    jest.spyOn(ModelVersion, 'findOne').mockReturnValue(query(null));
+
+    const res = await request(app).get('/api/performance/metrics');
+
+    expect(res.status).toBe(404);
+  });
+
+  test('registering a report fills in the overall figures it left out', async () => {
+    const auth = signIn(makeUser({ role: 'admin' }));
+    jest.spyOn(ModelVersion, 'findOne').mockReturnValue(query(null));
+    const create = jest.spyOn(ModelVersion, 'create').mockImplementation(async (fields) => version(fields));
+
+    const res = await request(app)
+      .post('/api/performance/models')
+      .set('Authorization', auth)
+      .send({
+        version: 'v2',
+        classPerformance: [
+          { name: 'Acne', precision: 90, recall: 80, f1: 85 },
+          { name: 'Melanoma', precision: 70, recall: 60, f1: 65 }
+        ],
+        confusionMatrix: { labels: ['acne', 'melanoma'], matrix: [[9, 1], [2, 8]] }
+      });
+
+    expect(res.status).toBe(201);
+    const saved = create.mock.calls[0][0];
+    // 17 of 20 on the diagonal
+    expect(saved.accuracy).toBe(85);
+    expect(saved.precision).toBe(80);
+    expect(saved.recall).toBe(70);
+    expect(saved.f1Score).toBe(75);
+    expect(res.body.isActive).toBe(false);
+  });
+
+  test('rejects unknown classes, a ragged matrix and an existing version', async () => {
+    const auth = signIn(makeUser({ role: 'admin' }));
+    const findOne = jest.spyOn(ModelVersion, 'findOne').mockReturnValue(query(null));
+    const create = jest.spyOn(ModelVersion, 'create');
+
+    const unknown = await request(app).post('/api/performance/models').set('Authorization', auth)
+      .send({ version: 'v3', classPerformance: [{ name: 'sunburn' }] });
+    expect(unknown.status).toBe(400);
+
+    const ragged = await request(app).post('/api/performance/models').set('Authorization', auth)
+      .send({ version: 'v3', confusionMatrix: { labels: ['acne', 'melanoma'], matrix: [[1, 2], [3]] } });
+    expect(ragged.status).toBe(400);
+
+    findOne.mockReturnValue(query(version({ version: 'v3' })));
+    const existing = await request(app).post('/api/performance/models').set('Authorization', auth)
+      .send({ version: 'v3' });
+    expect(existing.status).toBe(409);
+
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('only admins can register versions', async () => {
+    const auth = signIn(makeUser({ role: 'patient' }));
+
+    const res = await request(app).post('/api/performance/models').set('Authorization', auth).send({ version: 'v9' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('activating a version deactivates the others and resets the cached active version', async () => {
+    const auth = signIn(makeUser({ role: 'admin' }));
+    const target = version({ version: 'v2' });
+    jest.spyOn(ModelVersion, 'findOne').mockReturnValue(query(target));
+    const deactivate = jest.spyOn(ModelVersion, 'updateMany').mockReturnValue(query({ modifiedCount: 1 }));
+    jest.spyOn(target, 'save').mockResolvedValue(target);
+    const invalidate = jest.spyOn(modelVersions, 'invalidate');
+
+    const res = await request(app).put('/api/performance/models/v2/activate').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(target.isActive).toBe(true);
+    expect(deactivate).toHaveBeenCalledWith({ isActive: true, _id: { $ne: target._id } }, { isActive: false });
+    expect(invalidate).toHaveBeenCalled();
+  });
+
+  test('compare reports target minus base', async () => {
+    jest.spyOn(ModelVersion, 'findOne').mockImplementation((filter) => query(filter.version === 'v1'
+      ? version()
+      : version({
+        version: 'v2',
+        accuracy: 85,
+        classPerformance: [{ name: 'acne', accuracy: 90, precision: 80, recall: 82, f1: 81 }],
+        confusionMatrix: { labels: ['acne', 'melanoma'], matrix: [[9, 1], [2, 8]] },
+        datasetInfo: { totalSamples: 1500 }
+      })));
+
+    const res = await request(app).get('/api/performance/compare?base=v1&target=v2');
+
+    expect(res.status).toBe(200);
+    const data = res.body.data;
+    expect(data.overall.accuracy).toEqual({ base: 80, target: 85, delta: 5 });
+    expect(data.classPerformance.find((c) => c.name === 'acne').accuracy.delta).toBe(5);
+    expect(data.classPerformance.find((c) => c.name === 'melanoma').accuracy).toEqual({ base: 70, target: null, delta: null });
+    expect(data.confusionMatrix.matrix).toEqual([[1, -1], [-1, 1]]);
+    expect(data.datasetInfo.totalSamples.delta).toBe(500);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,171 @@
+// tests/openapi.test.js
+const express = require('express');
+const request = require('supertest');
+const app = require('../server');
+const Lesion = require('../models/Lesion');
+const Prediction = require('../models/Prediction');
+const User = require('../models/User');
+const inference = require('../services/inference');
+const responseCheck = require('../middleware/responseCheck');
+const { errorEnvelope } = require('../middleware/errors');
+const logger = require('../utils/logger');
+const { makeUser, signIn, objectId } = require('./helpers/auth');
+const { skinPhoto } = require('./helpers/images');
+const { stubPredictionStore } = require('./helpers/predictions');
+const { query } = require('./helpers/query');
+
+// What middleware/responseCheck.js reported during the test
+function mismatches() {
+  return logger.warn.mock.calls
+    .filter(([msg]) => msg === 'Response does not match the OpenAPI document' || msg === 'Response status is not documented')
+    .map(([msg, fields]) => ({ msg, ...fields }));
+}
+
+beforeEach(() => {
+  jest.spyOn(logger, 'warn');
+});
+
+describe('the OpenAPI document', () => {
+  test('is served with every area of the API', async () => {
+    const res = await request(app).get('/api/openapi.json');
+
+    expect(res.status).toBe(200);
+    expect(res.body.openapi).toMatch(/^3\./);
+    const paths = Object.keys(res.body.paths);
+    ['/api/auth/signup', '/api/auth/register', '/api/user/history', '/api/predict', '/api/llm/advice',
+      '/api/performance/observed', '/api/analysis/predict', '/api/health'].forEach((path) => expect(paths).toContain(path));
+  });
+
+  test('the docs page loads Swagger UI from this server', async () => {
+    const page = await request(app).get('/api/docs');
+    const bundle = await request(app).get('/api/docs/assets/swagger-ui-bundle.js');
+
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('/api/docs/assets/swagger-ui-bundle.js');
+    expect(page.text).toContain('/api/openapi.json');
+    expect(page.text).not.toMatch(/https?:\/\//);
+    expect(bundle.status).toBe(200);
+    expect(bundle.headers['content-type']).toMatch(/javascript/);
+  });
+});
+
+describe('responses match the document', () => {
+  test('the response check reports a body that does not', async () => {
+    const mini = express();
+    mini.use(responseCheck);
+    mini.use(errorEnvelope);
+    mini.get('/api/health', (req, res) => res.json({ status: 'fine' }));
+    mini.get('/api/user/quota', (req, res) => res.status(418).json({ message: 'teapot' }));
+
+    await request(mini).get('/api/health');
+    await request(mini).get('/api/user/quota');
+
+    expect(mismatches()).toEqual([
+      expect.objectContaining({ msg: 'Response does not match the OpenAPI document', route: '/api/health', status: 200 }),
+      expect.objectContaining({ msg: 'Response status is not documented', route: '/api/user/quota', status: 418 })
+    ]);
+  });
+
+  test('health, auth and validation errors', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+
+    await request(app).get('/api/health');
+    await request(app).post('/api/auth/signup').send({ email: 'nope' });
+    await request(app).post('/api/auth/login').send({ email: 'jane@example.com', password: 'secret1' });
+    await request(app).get('/api/user/profile');
+
+    expect(mismatches()).toEqual([]);
+  });
+
+  test('each prediction outcome', async () => {
+    stubPredictionStore();
+    const predict = jest.spyOn(inference, 'predict');
+    [
+      { disease: 'psoriasis', confidence: 0.9 },
+      { disease: 'psoriasis', confidence: 0.1 },
+      { disease: 'sunburn', confidence: 0.9 }
+    ].forEach((result) => predict.mockResolvedValueOnce({ allPredictions: [{ disease: result.disease, confidence: result.confidence }], ...result }));
+    const auth = signIn(makeUser());
+
+    const bodies = [];
+    for (let seed = 1; seed <= 3; seed++) {
+      const res = await request(app).post('/api/predict').set('Authorization', auth).attach('image', await skinPhoto({ seed }), 'photo.jpg');
+      bodies.push(res.body);
+    }
+    await request(app).post('/api/predict').set('Authorization', auth);
+    await request(app).post('/api/analysis/predict').set('Authorization', auth).attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(bodies[0]).toMatchObject({ success: true, prediction: 'psoriasis' });
+    expect(bodies[1]).toMatchObject({ success: false, belowThreshold: true });
+    expect(bodies[2]).toMatchObject({ success: false, invalidClass: true });
+    expect(mismatches()).toEqual([]);
+  });
+
+  test('history, quota and lesions', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    const prediction = new Prediction({
+      userId: user._id,
+      image: objectId(),
+      disease: 'acne',
+      confidence: 0.8,
+      status: 'accepted',
+      severity: 'mild',
+      symptoms: ['itching'],
+      createdAt: new Date('2026-03-01T10:00:00Z'),
+      feedback: { correct: true, submittedAt: new Date('2026-03-02T10:00:00Z') },
+      review: { status: 'completed', diagnosis: 'acne', agreesWithModel: true, urgency: 'routine', reviewedAt: new Date() }
+    });
+    const lesion = new Lesion({ userId: user._id, name: 'Cheek', bodyLocation: 'face' });
+    jest.spyOn(Prediction, 'find').mockReturnValue(query([prediction]));
+    jest.spyOn(Prediction, 'findOne').mockImplementation((filter) => query(String(filter._id) === String(prediction._id) ? prediction : null));
+    jest.spyOn(Lesion, 'find').mockReturnValue(query([lesion]));
+    jest.spyOn(Lesion, 'findOne').mockReturnValue(query(lesion));
+    jest.spyOn(Prediction, 'aggregate').mockResolvedValue([]);
+
+    await request(app).get('/api/user/history').set('Authorization', auth);
+    await request(app).get(`/api/user/history/${prediction._id}`).set('Authorization', auth);
+    await request(app).get(`/api/user/history/${objectId()}`).set('Authorization', auth);
+    await request(app).get('/api/user/history/export?format=json').set('Authorization', auth);
+    await request(app).get('/api/user/quota').set('Authorization', auth);
+    await request(app).get('/api/lesions').set('Authorization', auth);
+    await request(app).get(`/api/lesions/${lesion._id}/timeline`).set('Authorization', auth);
+    await request(app).get('/api/performance/observed');
+
+    expect(mismatches()).toEqual([]);
+  });
+
+  test('reviews and admin', async () => {
+    const reviewer = makeUser({ role: 'dermatologist' });
+    const admin = makeUser({ role: 'admin' });
+    const queued = new Prediction({
+      userId: makeUser({ age: 30, gender: 'male' }),
+      image: objectId(),
+      disease: 'melanoma',
+      confidence: 0.7,
+      status: 'accepted',
+      review: { status: 'pending', reason: 'high_risk', priority: 2, queuedAt: new Date() }
+    });
+    jest.spyOn(Prediction, 'find').mockReturnValue(query([queued]));
+    jest.spyOn(Prediction, 'countDocuments').mockResolvedValue(1);
+    jest.spyOn(Prediction, 'findOneAndUpdate').mockReturnValue(query(null));
+    jest.spyOn(User, 'find').mockReturnValue(query([reviewer]));
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(1);
+
+    await request(app).get('/api/reviews/queue').set('Authorization', signIn(reviewer));
+    await request(app).post('/api/reviews/claim-next').set('Authorization', signIn(reviewer));
+    await request(app).get('/api/admin/users').set('Authorization', signIn(admin));
+    await request(app).get('/api/admin/config').set('Authorization', signIn(admin));
+
+    expect(mismatches()).toEqual([]);
+  });
+
+  test('LLM advice without a configured model', async () => {
+    const auth = signIn(makeUser());
+
+    await request(app).post('/api/llm/advice').set('Authorization', auth).send({ disease: 'eczema' });
+    await request(app).post('/api/llm/advice').set('Authorization', auth).send({});
+
+    expect(mismatches()).toEqual([]);
+  });
+});
\ No newline at end of file
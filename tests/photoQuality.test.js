@@ -0,0 +1,122 @@
+// tests/photoQuality.test.js
+const sharp = require('sharp');
+const request = require('supertest');
+const { skinPhoto } = require('./helpers/images');
+
+const SETTINGS = ['PHOTO_QUALITY_MODE', 'QUALITY_MIN_RESOLUTION', 'QUALITY_MIN_SHARPNESS', 'QUALITY_MIN_SKIN_COVERAGE'];
+
+// A fresh app whose quality gate reads `env`
+function loadApp(env) {
+  Object.assign(process.env, env);
+  jest.resetModules();
+  require('mongoose').set('bufferCommands', false);
+  return require('../server');
+}
+
+const saved = {};
+beforeAll(() => SETTINGS.forEach((name) => { saved[name] = process.env[name]; }));
+afterEach(() => SETTINGS.forEach((name) => {
+  if (saved[name] === undefined) delete process.env[name];
+  else process.env[name] = saved[name];
+}));
+
+const blurred = async () => sharp(await skinPhoto()).blur(12).jpeg().toBuffer();
+const dark = async () => sharp(await skinPhoto()).linear(0.1, 0).jpeg().toBuffer();
+const wall = async () => sharp(await skinPhoto()).recomb([[0, 0, 1], [0, 1, 0], [1, 0, 0]]).jpeg().toBuffer();
+
+describe('quality gate (enforce)', () => {
+  let app;
+  let store;
+  let auth;
+
+  beforeAll(() => {
+    app = loadApp({ PHOTO_QUALITY_MODE: 'enforce' });
+  });
+
+  beforeEach(() => {
+    const { makeUser, signIn } = require('./helpers/auth');
+    const { stubPredictionStore } = require('./helpers/predictions');
+    store = stubPredictionStore();
+    auth = signIn(makeUser());
+  });
+
+  const predict = async (photo) => request(app).post('/api/predict').set('Authorization', auth).attach('image', photo, 'photo.jpg');
+
+  test('a good photo goes through and its scores are saved', async () => {
+    const res = await predict(await skinPhoto());
+
+    expect(res.status).toBe(200);
+    const { quality } = store.create.mock.calls[0][0];
+    expect(quality).toMatchObject({ width: 400, height: 300, issues: [], passed: true });
+    expect(quality.sharpness).toBeGreaterThan(25);
+    expect(quality.skinCoverage).toBeGreaterThan(0.2);
+  });
+
+  test('a blurry photo is rejected with a tip', async () => {
+    const res = await predict(await blurred());
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({ code: 'PHOTO_QUALITY_REJECTED', qualityRejected: true });
+    expect(res.body.reasons.map((r) => r.code)).toEqual(['blurry']);
+    expect(res.body.tips[0]).toMatch(/hold the phone steady/i);
+    expect(res.body.quality.sharpness).toBeLessThan(25);
+    expect(store.create).not.toHaveBeenCalled();
+  });
+
+  test('a dark photo is only reported as dark', async () => {
+    const res = await predict(await dark());
+
+    expect(res.status).toBe(422);
+    expect(res.body.reasons.map((r) => r.code)).toEqual(['too_dark']);
+    expect(res.body.tips[0]).toMatch(/more light/i);
+  });
+
+  test('a photo without skin asks the user to move closer', async () => {
+    const res = await predict(await wall());
+
+    expect(res.status).toBe(422);
+    expect(res.body.reasons.map((r) => r.code)).toContain('low_skin_coverage');
+    expect(res.body.tips.join(' ')).toMatch(/move closer/i);
+  });
+
+  test('a small photo is too low resolution', async () => {
+    const res = await predict(await skinPhoto({ width: 200, height: 150 }));
+
+    expect(res.status).toBe(422);
+    expect(res.body.reasons.map((r) => r.code)).toContain('low_resolution');
+  });
+});
+
+describe('quality gate (report)', () => {
+  test('scores the photo but lets it through', async () => {
+    const app = loadApp({ PHOTO_QUALITY_MODE: 'report' });
+    const { makeUser, signIn } = require('./helpers/auth');
+    const { stubPredictionStore } = require('./helpers/predictions');
+    const store = stubPredictionStore();
+
+    const res = await request(app).post('/api/predict').set('Authorization', signIn(makeUser())).attach('image', await blurred(), 'photo.jpg');
+
+    expect(res.status).toBe(200);
+    expect(store.create.mock.calls[0][0].quality).toMatchObject({ issues: ['blurry'], passed: false });
+  });
+});
+
+describe('thresholds', () => {
+  test('come from the environment, and 0 turns a check off', async () => {
+    loadApp({ PHOTO_QUALITY_MODE: 'enforce', QUALITY_MIN_RESOLUTION: '0', QUALITY_MIN_SHARPNESS: '0', QUALITY_MIN_SKIN_COVERAGE: '0.5' });
+    const photoQuality = require('../services/photoQuality');
+
+    expect(photoQuality.describe()).toEqual({
+      mode: 'enforce',
+      thresholds: expect.objectContaining({ minResolution: 0, minSharpness: 0, minSkinCoverage: 0.5, minBrightness: 50 })
+    });
+    const assessment = await photoQuality.assessPhoto(await sharp(await blurred()).resize(160, 120).toBuffer());
+    expect(assessment.issues).toEqual([]);
+  });
+
+  test('an unknown mode falls back to enforce', () => {
+    loadApp({ PHOTO_QUALITY_MODE: 'sometimes' });
+
+    expect(require('../services/photoQuality').describe().mode).toBe('enforce');
+  });
+});
\ No newline at end of file
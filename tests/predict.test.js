@@ -0,0 +1,107 @@
+// tests/predict.test.js
+const request = require('supertest');
+const app = require('../server');
+const Image = require('../models/Image');
+const Prediction = require('../models/Prediction');
+const inference = require('../services/inference');
+const { makeUser, signIn } = require('./helpers/auth');
+const { skinPhoto } = require('./helpers/images');
+const { stubPredictionStore } = require('./helpers/predictions');
+const { query } = require('./helpers/query');
+
+describe('POST /api/predict', () => {
+  let photo;
+
+  beforeAll(async () => {
+    photo = await skinPhoto();
+  });
+
+  const attachPhoto = (req) => req.attach('image', photo, 'photo.jpg');
+
+  test('saves the result and links it into the user\'s history', async () => {
+    const user = makeUser();
+    const auth = signIn(user);
+    const store = stubPredictionStore();
+
+    const res = await attachPhoto(request(app)
+      .post('/api/predict')
+      .set('Authorization', auth)
+      .field('symptoms', 'itching, redness'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(store.create).toHaveBeenCalledTimes(1);
+
+    const saved = await store.create.mock.results[0].value;
+    expect(res.body.predictionId).toBe(String(saved._id));
+    expect(String(saved.userId)).toBe(String(user._id));
+    expect(saved.status).toBe('accepted');
+    expect(saved.disease).toBe(res.body.prediction);
+    expect(saved.symptoms).toEqual(['itching', 'redness']);
+    expect(saved.image).toBe(String((await store.imageCreate.mock.results[0].value)._id));
+
+    expect(store.linkHistory).toHaveBeenCalledWith(String(user._id), {
+      $push: { history: { predictionId: saved._id, date: saved.createdAt } }
+    });
+  });
+
+  test('rejected results are saved with their status', async () => {
+    jest.spyOn(inference, 'predict').mockResolvedValue({ disease: 'sunburn', confidence: 0.9, allPredictions: [] });
+    const store = stubPredictionStore();
+
+    const res = await attachPhoto(request(app).post('/api/predict').set('Authorization', signIn(makeUser())));
+
+    expect(res.body).toMatchObject({ success: false, invalidClass: true });
+    expect(res.body.predictionId).toBe(String((await store.create.mock.results[0].value)._id));
+    expect(store.create).toHaveBeenCalledWith(expect.objectContaining({ disease: 'sunburn', status: 'invalidClass' }));
+  });
+
+  test('a prediction that cannot be saved is a 500, and the stored image is dropped', async () => {
+    const store = stubPredictionStore();
+    store.create.mockRejectedValue(new Error('write failed'));
+    const deleted = jest.spyOn(Image, 'findByIdAndDelete').mockReturnValue(Promise.resolve(null));
+
+    const res = await attachPhoto(request(app).post('/api/predict').set('Authorization', signIn(makeUser())));
+
+    expect(res.status).toBe(500);
+    expect(res.body).toMatchObject({ success: false, code: 'INTERNAL_ERROR', message: 'Prediction could not be saved' });
+    expect(res.body.predictionId).toBeUndefined();
+    expect(store.linkHistory).not.toHaveBeenCalled();
+    expect(deleted).toHaveBeenCalled();
+  });
+
+  test('a failed history link is retried and keeps the prediction and its image', async () => {
+    const store = stubPredictionStore();
+    store.linkHistory.mockReturnValue(query(new Error('write failed')));
+    const deleted = jest.spyOn(Image, 'findByIdAndDelete');
+    const removed = jest.spyOn(Prediction, 'deleteOne');
+
+    const res = await attachPhoto(request(app).post('/api/predict').set('Authorization', signIn(makeUser())));
+
+    expect(res.status).toBe(200);
+    expect(res.body.predictionId).toBe(String((await store.create.mock.results[0].value)._id));
+    expect(store.linkHistory).toHaveBeenCalledTimes(2);
+    expect(deleted).not.toHaveBeenCalled();
+    expect(removed).not.toHaveBeenCalled();
+  });
+
+  test('rejects a request without an image', async () => {
+    const store = stubPredictionStore();
+
+    const res = await request(app)
+      .post('/api/predict')
+      .set('Authorization', signIn(makeUser()))
+      .field('symptoms', 'itching');
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(store.create).not.toHaveBeenCalled();
+  });
+
+  test('needs a signed-in user', async () => {
+    const res = await attachPhoto(request(app).post('/api/predict'));
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('UNAUTHORIZED');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,169 @@
+// tests/rateLimit.test.js
+const request = require('supertest');
+
+const SETTINGS = {
+  RATE_LIMIT: 'on',
+  RATE_LIMIT_STORE: 'memory',
+  RATE_LIMIT_PREDICT_IP: '2',
+  RATE_LIMIT_PREDICT_USER: '50',
+  QUOTA_PREDICT_PATIENT: '2'
+};
+
+// A fresh app with its own counters; `env` is on top of SETTINGS
+function loadApp(env) {
+  Object.assign(process.env, SETTINGS, env);
+  jest.resetModules();
+  require('mongoose').set('bufferCommands', false);
+  return require('../server');
+}
+
+afterEach(() => {
+  Object.keys(SETTINGS).concat(['TRUST_PROXY_HOPS']).forEach((name) => delete process.env[name]);
+  process.env.RATE_LIMIT = 'off';
+});
+
+// A request from a new account that is counted and then fails validation
+// (no photo); only the per-IP limit is shared between them
+const predictFrom = (app, forwardedFor) => {
+  // Loaded from the same module registry as the app
+  const { makeUser, signIn } = require('./helpers/auth');
+  const req = request(app).post('/api/analysis/predict').set('Authorization', signIn(makeUser()));
+  return forwardedFor ? req.set('X-Forwarded-For', forwardedFor) : req;
+};
+
+describe('per-IP limits', () => {
+  test('the request over the limit gets a 429 with Retry-After', async () => {
+    const app = loadApp();
+
+    const first = await predictFrom(app);
+    await predictFrom(app);
+    const blocked = await predictFrom(app);
+
+    expect(first.status).toBe(400);
+    expect(first.headers['ratelimit-limit']).toBe('2');
+    expect(first.headers['ratelimit-remaining']).toBe('1');
+    expect(first.headers['ratelimit-policy']).toBe('2;w=60, 50;w=60, 2;w=86400');
+    expect(blocked.status).toBe(429);
+    expect(blocked.body).toMatchObject({ success: false, code: 'RATE_LIMITED', limit: { scope: 'ip', limit: 2 } });
+    expect(Number(blocked.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+    expect(Number(blocked.headers['retry-after'])).toBeLessThanOrEqual(60);
+    expect(blocked.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  test('X-Forwarded-For is ignored unless a proxy is trusted', async () => {
+    const app = loadApp();
+
+    await predictFrom(app, '203.0.113.1');
+    await predictFrom(app, '203.0.113.2');
+    const blocked = await predictFrom(app, '203.0.113.3');
+
+    expect(app.get('trust proxy')).toBe(false);
+    expect(blocked.status).toBe(429);
+  });
+
+  test('behind a trusted proxy each client has its own counter', async () => {
+    const app = loadApp({ TRUST_PROXY_HOPS: '1' });
+
+    await predictFrom(app, '203.0.113.1');
+    await predictFrom(app, '203.0.113.1');
+    const other = await predictFrom(app, '203.0.113.2');
+
+    expect(app.get('trust proxy')).toBe(1);
+    expect(other.status).toBe(400);
+  });
+});
+
+describe('daily quotas', () => {
+  let app;
+  let auth;
+  let user;
+
+  beforeEach(() => {
+    app = loadApp({ RATE_LIMIT_PREDICT_IP: '-1' });
+    const { makeUser, signIn } = require('./helpers/auth');
+    user = makeUser();
+    auth = signIn(user);
+  });
+
+  const predict = () => request(app).post('/api/predict').set('Authorization', auth);
+
+  test('a patient is stopped at the daily quota, and the refused request is not counted', async () => {
+    await predict();
+    await predict();
+    const blocked = await predict();
+
+    expect(blocked.status).toBe(429);
+    expect(blocked.body).toMatchObject({ code: 'QUOTA_EXCEEDED', limit: { scope: 'daily', limit: 2 } });
+
+    const quota = await request(app).get('/api/user/quota').set('Authorization', auth);
+
+    expect(quota.status).toBe(200);
+    expect(quota.body).toMatchObject({ role: 'patient', quotas: { predict: { limit: 2, used: 2, remaining: 0 } } });
+    expect(new Date(quota.body.quotas.predict.resetAt).getUTCHours()).toBe(0);
+  });
+
+  test('a request refused as invalid does not use up quota', async () => {
+    const invalid = await predict().field('severity', 'x'.repeat(51));
+    await predict();
+    await predict();
+    const blocked = await predict();
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.code).toBe('VALIDATION_FAILED');
+    expect(invalid.headers['ratelimit-limit']).toBeUndefined();
+    expect(blocked.status).toBe(429);
+  });
+
+  test('admins have no quota', async () => {
+    const { makeUser, signIn } = require('./helpers/auth');
+    const admin = signIn(makeUser({ role: 'admin' }));
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await request(app).post('/api/predict').set('Authorization', admin)).status);
+    }
+    const quota = await request(app).get('/api/user/quota').set('Authorization', admin);
+
+    expect(statuses).toEqual([400, 400, 400]);
+    expect(quota.body.quotas.predict).toMatchObject({ limit: null, remaining: null });
+  });
+
+  test('quotas are counted per account, not per connection', async () => {
+    const { makeUser, signIn } = require('./helpers/auth');
+    await predict();
+    await predict();
+
+    const someoneElse = await request(app).post('/api/predict').set('Authorization', signIn(makeUser()));
+
+    expect(someoneElse.status).toBe(400);
+  });
+});
+
+describe('the mongo store', () => {
+  test('a counter outage lets requests through', async () => {
+    const app = loadApp({ RATE_LIMIT_STORE: 'mongo' });
+    const RateLimitCounter = require('../models/RateLimitCounter');
+    jest.spyOn(RateLimitCounter, 'findOneAndUpdate').mockRejectedValue(new Error('connection lost'));
+
+    const res = await predictFrom(app);
+
+    expect(res.status).toBe(400);
+    expect(res.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  test('two first hits racing on the upsert both count', async () => {
+    loadApp({ RATE_LIMIT_STORE: 'mongo' });
+    const RateLimitCounter = require('../models/RateLimitCounter');
+    const limits = require('../services/rateLimit');
+    const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const update = jest.spyOn(RateLimitCounter, 'findOneAndUpdate')
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValue({ count: 2 });
+
+    const outcome = await limits.consume('predict', { ip: '203.0.113.9' });
+
+    expect(outcome.results[0]).toMatchObject({ scope: 'ip', count: 2, remaining: 0 });
+    // The retry increments without upserting
+    expect(update.mock.calls[1][2]).toEqual({ new: true });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,159 @@
+// tests/report.test.js
+const zlib = require('zlib');
+const request = require('supertest');
+const app = require('../server');
+const Image = require('../models/Image');
+const Prediction = require('../models/Prediction');
+const User = require('../models/User');
+const storage = require('../services/storage');
+const templates = require('../services/mailer/templates');
+const { BRAND_COLORS } = require('../constants/branding');
+const { makeUser, signIn, objectId } = require('./helpers/auth');
+const { skinPhoto } = require('./helpers/images');
+const { query } = require('./helpers/query');
+
+// Page content of a pdfkit document: inflates every stream and joins the
+// hex strings of each text run (pdfkit writes Latin-1 text as <hex> pieces)
+function pdfContent(pdf) {
+  const raw = pdf.toString('latin1');
+  const streams = [];
+  const pattern = /\bstream\r?\n/g;
+  let match;
+  while ((match = pattern.exec(raw))) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end < 0) break;
+    try {
+      streams.push(zlib.inflateSync(pdf.subarray(start, end)).toString('latin1'));
+    } catch (err) {
+      // Not deflated (images)
+    }
+    pattern.lastIndex = end;
+  }
+  const content = streams.join('\n');
+  const text = (content.match(/\[[^\]]*\] TJ/g) || []).map((run) => (run.match(/<([0-9a-f]*)>/g) || [])
+    .map((hex) => Buffer.from(hex.slice(1, -1), 'hex').toString('latin1'))
+    .join('')).join('\n');
+  return { content, text };
+}
+
+// "#4f46e5" as the fill colour operator pdfkit writes for it
+function fillOperator(hex) {
+  const channel = (i) => String(parseInt(hex.slice(i, i + 2), 16) / 255);
+  return `${channel(1)} ${channel(3)} ${channel(5)} scn`;
+}
+
+describe('GET /api/user/history/:id/report', () => {
+  let user;
+  let auth;
+  let prediction;
+
+  beforeEach(async () => {
+    user = makeUser({ name: 'Jane Patient' });
+    auth = signIn(user);
+    const image = new Image({ userId: user._id, storageKey: 'k', contentType: 'image/jpeg', size: 1 });
+    prediction = new Prediction({
+      userId: user._id,
+      image: image._id,
+      disease: 'psoriasis',
+      confidence: 0.873,
+      severity: 'moderate',
+      status: 'accepted',
+      allPredictions: [
+        { disease: 'psoriasis', confidence: 0.873 },
+        { disease: 'eczema', confidence: 0.08 },
+        { disease: 'ringworm', confidence: 0.03 }
+      ],
+      symptoms: ['itching', 'scaling'],
+      duration: '2 weeks',
+      advice: 'Keep the skin moisturised \u{1F9F4} and avoid scratching.',
+      adviceGeneratedAt: new Date('2026-03-02T10:00:00Z'),
+      modelVersion: 'v2.1',
+      createdAt: new Date('2026-03-01T09:30:00Z')
+    });
+    jest.spyOn(Prediction, 'findOne').mockImplementation((filter) => query(
+      String(filter._id) === String(prediction._id) ? prediction : null
+    ));
+    jest.spyOn(Image, 'findById').mockReturnValue(query(image));
+    jest.spyOn(storage, 'readImage').mockResolvedValue(await skinPhoto());
+  });
+
+  test('is a PDF named after the prediction date', async () => {
+    const res = await request(app)
+      .get(`/api/user/history/${prediction._id}/report`)
+      .set('Authorization', auth)
+      .buffer(true)
+      .parse((stream, callback) => {
+        const chunks = [];
+        stream.on('data', (chunk) => chunks.push(chunk));
+        stream.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="dermadetect-report-2026-03-01.pdf"');
+    expect(res.headers['cache-control']).toBe('private, no-store');
+    expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(Number(res.headers['content-length'])).toBe(res.body.length);
+  });
+
+  test('contains the photo, the result, the inputs, the advice and the disclaimer', async () => {
+    const { buildPredictionReport } = require('../services/report');
+
+    const pdf = await buildPredictionReport(prediction, user);
+
+    expect(pdf.toString('latin1')).toMatch(/\/Subtype \/Image/);
+    const { text } = pdfContent(pdf);
+    [
+      'Prepared for Jane Patient',
+      'Psoriasis',
+      '87.3%',
+      'Moderate',
+      'Model version',
+      'v2.1',
+      '2026-03-01 09:30 UTC',
+      'eczema: 8.0%',
+      'Ringworm: 3.0%',
+      'Symptoms: itching, scaling',
+      'Duration: 2 weeks',
+      'Keep the skin moisturised  and avoid scratching.',
+      'Important',
+      'The predicted condition, confidence and advice may be wrong.'
+    ].forEach((expected) => expect(text).toContain(expected));
+  });
+
+  test('uses the app\'s indigo palette', async () => {
+    const { buildPredictionReport } = require('../services/report');
+
+    const { content } = pdfContent(await buildPredictionReport(prediction, user));
+
+    expect(BRAND_COLORS.primary).toBe('#4f46e5');
+    expect(content).toContain(fillOperator(BRAND_COLORS.primary));
+  });
+
+  test('still builds when the photo is gone', async () => {
+    storage.readImage.mockRejectedValue(new Error('missing'));
+    const { buildPredictionReport } = require('../services/report');
+
+    const pdf = await buildPredictionReport(prediction, user);
+
+    expect(pdf.toString('latin1')).not.toMatch(/\/Subtype \/Image/);
+    expect(pdfContent(pdf).text).toContain('The photo could not be included in this report.');
+  });
+
+  test('another user\'s prediction is 404', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue(query(user));
+
+    const res = await request(app).get(`/api/user/history/${objectId()}/report`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('email branding', () => {
+  test('emails use the same palette as the reports', () => {
+    const mail = templates.passwordReset({ name: 'Jane' }, 'https://app.example/reset?token=x', 60);
+
+    expect(mail.html).toContain(BRAND_COLORS.primary);
+  });
+});
\ No newline at end of file
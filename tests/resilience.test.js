@@ -0,0 +1,143 @@
+// tests/resilience.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const request = require('supertest');
+const { createUpstream } = require('../services/resilience');
+
+function failure(fields) {
+  return Object.assign(new Error('upstream failed'), fields);
+}
+
+const coldStart = () => failure({ code: 'ECONNREFUSED' });
+const badRequest = () => failure({ response: { status: 400 } });
+
+function upstream(options) {
+  return createUpstream({ name: 'Test', baseDelay: 1, maxDelay: 2, resetTimeout: 50, ...options });
+}
+
+describe('upstream retries and circuit breaker', () => {
+  test('retries cold-start errors until the upstream answers', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(coldStart())
+      .mockRejectedValueOnce(failure({ response: { status: 503 } }))
+      .mockResolvedValue('ok');
+
+    await expect(upstream({ retries: 3 }).call(fn)).resolves.toBe('ok');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after the configured retries', async () => {
+    const fn = jest.fn().mockRejectedValue(coldStart());
+
+    await expect(upstream({ retries: 2 }).call(fn)).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('does not retry or count a request the upstream rejected', async () => {
+    const target = upstream({ retries: 3, failureThreshold: 1 });
+    const fn = jest.fn().mockRejectedValue(badRequest());
+
+    await expect(target.call(fn)).rejects.toBeDefined();
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(target.snapshot().state).toBe('closed');
+  });
+
+  test('opens after consecutive failures and fails fast with a retry time', async () => {
+    const target = upstream({ retries: 0, failureThreshold: 2, resetTimeout: 60000 });
+    const fn = jest.fn().mockRejectedValue(coldStart());
+
+    await expect(target.call(fn)).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    await expect(target.call(fn)).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    await expect(target.call(fn)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', retryAfter: 60 });
+
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(target.snapshot()).toMatchObject({ state: 'open', consecutiveFailures: 2 });
+  });
+
+  test('lets a single trial through once the reset timeout passed', async () => {
+    const target = upstream({ retries: 0, failureThreshold: 1, resetTimeout: 20 });
+    await expect(target.call(() => Promise.reject(coldStart()))).rejects.toBeDefined();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    let finishTrial;
+    const trial = target.call(() => new Promise((resolve) => { finishTrial = resolve; }));
+    // A second caller must not pile onto the recovering upstream
+    await expect(target.call(() => Promise.resolve('second'))).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+    finishTrial('first');
+    await expect(trial).resolves.toBe('first');
+    expect(target.snapshot().state).toBe('closed');
+  });
+
+  test('a failed trial opens the circuit again', async () => {
+    const target = upstream({ retries: 3, failureThreshold: 1, resetTimeout: 20 });
+    await expect(target.call(() => Promise.reject(coldStart()))).rejects.toBeDefined();
+    await new Promise((resolve) => setTimeout(resolve, 30));
+
+    const fn = jest.fn().mockRejectedValue(coldStart());
+    await expect(target.call(fn)).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+
+    // No retries in half-open
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(target.snapshot().state).toBe('open');
+  });
+
+  test('warm-up pings close the circuit but never open it', async () => {
+    const target = upstream({ retries: 0, failureThreshold: 1, resetTimeout: 60000 });
+
+    expect(await target.ping(() => Promise.reject(coldStart()))).toBe(false);
+    expect(target.snapshot().state).toBe('closed');
+
+    await expect(target.call(() => Promise.reject(coldStart()))).rejects.toBeDefined();
+    expect(target.snapshot().state).toBe('open');
+
+    expect(await target.ping(() => Promise.resolve({ status: 'ok' }))).toBe(true);
+    expect(target.snapshot()).toMatchObject({ state: 'closed', lastWarmupOk: true });
+  });
+
+  test('pings are skipped for an upstream that is not configured', async () => {
+    const fn = jest.fn();
+
+    expect(await upstream({ isConfigured: () => false }).ping(fn)).toBeNull();
+    expect(fn).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/health', () => {
+  test('keeps the configured flags next to the upstream status', async () => {
+    const app = require('../server');
+
+    const res = await request(app).get('/api/health');
+
+    expect(res.status).toBe(200);
+    // The mock model needs no URL; no LLM_URL is set in the tests
+    expect(res.body).toMatchObject({ status: 'OK', ml_configured: true, llm_configured: false });
+    expect(res.body.upstreams.ml).toMatchObject({ name: 'ML model', provider: 'mock', configured: true, state: 'closed' });
+    expect(res.body.upstreams.llm).toMatchObject({ configured: false });
+  });
+});
+
+describe('settings from .env', () => {
+  test('reach the services that read them when they load', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dermadetect-env-'));
+    fs.writeFileSync(path.join(dir, '.env'), 'INFERENCE_PROVIDER=json\nML_MODEL_URL=http://model.test\n');
+
+    const env = { ...process.env };
+    delete env.INFERENCE_PROVIDER;
+    delete env.ML_MODEL_URL;
+    const output = execFileSync(process.execPath, ['-e', [
+      `require(${JSON.stringify(path.join(__dirname, '..', 'server'))});`,
+      `const ml = require(${JSON.stringify(path.join(__dirname, '..', 'services', 'inference'))}).describe();`,
+      'console.log(JSON.stringify(ml));',
+      'process.exit(0);'
+    ].join('')], { cwd: dir, env, encoding: 'utf8', timeout: 30000 });
+
+    expect(JSON.parse(output.trim().split('\n').pop())).toMatchObject({
+      provider: 'json',
+      url: 'http://model.test',
+      configured: true
+    });
+  });
+});
\ No newline at end of file
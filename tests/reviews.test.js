@@ -0,0 +1,184 @@
+// tests/reviews.test.js
+const request = require('supertest');
+const app = require('../server');
+const Prediction = require('../models/Prediction');
+const reviews = require('../services/reviews');
+const { makeUser, signIn, objectId } = require('./helpers/auth');
+const { skinPhoto } = require('./helpers/images');
+const { stubPredictionStore } = require('./helpers/predictions');
+const { query } = require('./helpers/query');
+
+function queuedCase(fields) {
+  return new Prediction({
+    userId: makeUser({ age: 42, gender: 'female', name: 'Private Name' }),
+    image: objectId(),
+    disease: 'eczema',
+    confidence: 0.45,
+    status: 'accepted',
+    allPredictions: [{ disease: 'eczema', confidence: 0.45 }, { disease: 'psoriasis', confidence: 0.3 }],
+    symptoms: ['itching'],
+    review: { status: 'pending', reason: 'low_confidence', priority: 1, queuedAt: new Date() },
+    ...fields
+  });
+}
+
+describe('review rule', () => {
+  test('queues high-risk classes near the top, then anything the model is unsure of', () => {
+    expect(reviews.reviewReason({ disease: 'eczema', confidence: 0.95, status: 'accepted', allPredictions: [{ disease: 'eczema' }, { disease: 'Melanoma' }] })).toBe('high_risk');
+    expect(reviews.reviewReason({ disease: 'eczema', confidence: 0.95, status: 'accepted', allPredictions: [{ disease: 'eczema' }, { disease: 'acne' }, { disease: 'melanoma' }] })).toBeNull();
+    expect(reviews.reviewReason({ disease: 'eczema', confidence: 0.4, status: 'accepted' })).toBe('low_confidence');
+    expect(reviews.reviewReason({ disease: 'eczema', confidence: 0.9, status: 'belowThreshold' })).toBe('low_confidence');
+  });
+
+  test('high-risk cases are reviewed first', () => {
+    expect(reviews.newReview({ disease: 'melanoma', confidence: 0.9, status: 'accepted' })).toMatchObject({ status: 'pending', priority: 2 });
+    expect(reviews.newReview({ disease: 'acne', confidence: 0.3, status: 'accepted' })).toMatchObject({ status: 'pending', priority: 1 });
+    expect(reviews.newReview({ disease: 'acne', confidence: 0.9, status: 'accepted' })).toBeUndefined();
+  });
+
+  test('a new prediction is saved with the review the rule asks for', async () => {
+    const store = stubPredictionStore();
+    const queued = { status: 'pending', reason: 'high_risk', priority: 2, queuedAt: new Date() };
+    const rule = jest.spyOn(reviews, 'newReview').mockReturnValue(queued);
+
+    const res = await request(app)
+      .post('/api/predict')
+      .set('Authorization', signIn(makeUser()))
+      .attach('image', await skinPhoto(), 'photo.jpg');
+
+    expect(res.status).toBe(200);
+    const saved = store.create.mock.calls[0][0];
+    expect(rule).toHaveBeenCalledWith(expect.objectContaining({ disease: saved.disease, confidence: saved.confidence }));
+    expect(saved.review).toBe(queued);
+  });
+});
+
+describe('review queue API', () => {
+  let reviewer;
+  let auth;
+
+  beforeEach(() => {
+    reviewer = makeUser({ role: 'dermatologist', name: 'Dr Skin' });
+    auth = signIn(reviewer);
+  });
+
+  test('is closed to patients', async () => {
+    const res = await request(app).get('/api/reviews/queue').set('Authorization', signIn(makeUser()));
+
+    expect(res.status).toBe(403);
+  });
+
+  test('lists open cases, most urgent first, without identifying the patient', async () => {
+    const find = jest.spyOn(Prediction, 'find').mockReturnValue(query([queuedCase()]));
+    jest.spyOn(Prediction, 'countDocuments').mockResolvedValue(1);
+
+    const res = await request(app).get('/api/reviews/queue').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.cases[0]).toMatchObject({ disease: 'eczema', symptoms: ['itching'], patient: { age: 42, gender: 'female' } });
+    expect(res.body.cases[0].imageUrl).toMatch(/^\/api\/images\//);
+    expect(JSON.stringify(res.body)).not.toContain('Private Name');
+    expect(find.mock.calls[0][0].$or[0]).toEqual({ 'review.status': 'pending' });
+    expect(find.mock.results[0].value.sort).toHaveBeenCalledWith({ 'review.priority': -1, 'review.queuedAt': 1 });
+  });
+
+  test('claim-next takes the top open case for the caller', async () => {
+    const claimed = queuedCase({ review: { status: 'claimed', reason: 'high_risk', priority: 2, claimedBy: reviewer._id, claimedAt: new Date() } });
+    const claim = jest.spyOn(Prediction, 'findOneAndUpdate').mockReturnValue(query(claimed));
+
+    const res = await request(app).post('/api/reviews/claim-next').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.case.review.status).toBe('claimed');
+    const [filter, update, options] = claim.mock.calls[0];
+    expect(filter.$or).toHaveLength(2);
+    expect(update).toMatchObject({ 'review.status': 'claimed', 'review.claimedBy': reviewer._id });
+    expect(options.sort).toEqual({ 'review.priority': -1, 'review.queuedAt': 1 });
+  });
+
+  test('claim-next answers 404 on an empty queue', async () => {
+    jest.spyOn(Prediction, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    const res = await request(app).post('/api/reviews/claim-next').set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('completing records the diagnosis and whether it agrees with the model', async () => {
+    const held = queuedCase({ review: { status: 'claimed', reason: 'low_confidence', priority: 1, claimedBy: reviewer._id } });
+    jest.spyOn(Prediction, 'findOne').mockReturnValue(query(held));
+    const save = jest.spyOn(Prediction, 'findOneAndUpdate').mockImplementation((filter, update) => query(queuedCase({
+      review: { status: 'completed', diagnosis: update['review.diagnosis'], urgency: update['review.urgency'] }
+    })));
+
+    const res = await request(app)
+      .post(`/api/reviews/${held._id}/complete`)
+      .set('Authorization', auth)
+      .send({ diagnosis: ' Psoriasis ', urgency: 'soon', notes: '  Plaques on elbows ' });
+
+    expect(res.status).toBe(200);
+    const [filter, update] = save.mock.calls[0];
+    expect(filter).toMatchObject({ 'review.status': 'claimed', 'review.claimedBy': reviewer._id });
+    expect(update).toMatchObject({
+      'review.status': 'completed',
+      'review.diagnosis': 'psoriasis',
+      'review.agreesWithModel': false,
+      'review.urgency': 'soon',
+      'review.notes': 'Plaques on elbows',
+      'review.reviewedBy': reviewer._id
+    });
+  });
+
+  test('only the reviewer holding the claim can complete a case', async () => {
+    jest.spyOn(Prediction, 'findOne').mockReturnValue(query(null));
+    const save = jest.spyOn(Prediction, 'findOneAndUpdate');
+
+    const res = await request(app)
+      .post(`/api/reviews/${objectId()}/complete`)
+      .set('Authorization', auth)
+      .send({ diagnosis: 'eczema', urgency: 'routine' });
+
+    expect(res.status).toBe(409);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  test('an urgency outside the scale is rejected', async () => {
+    const res = await request(app)
+      .post(`/api/reviews/${objectId()}/complete`)
+      .set('Authorization', auth)
+      .send({ diagnosis: 'eczema', urgency: 'whenever' });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('releasing a case nobody holds is 404', async () => {
+    jest.spyOn(Prediction, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    const res = await request(app).post(`/api/reviews/${objectId()}/release`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('review as the patient sees it', () => {
+  test('open cases only show where they are in the process', () => {
+    expect(reviews.patientView({ status: 'pending' })).toEqual({ status: 'pending' });
+    expect(reviews.patientView({ status: 'claimed', claimedBy: objectId() })).toEqual({ status: 'in_review' });
+    expect(reviews.patientView(undefined)).toBeNull();
+  });
+
+  test('a completed review shows the diagnosis and the reviewer\'s name', () => {
+    const view = reviews.patientView({
+      status: 'completed',
+      diagnosis: 'psoriasis',
+      agreesWithModel: false,
+      urgency: 'soon',
+      notes: 'See a dermatologist',
+      reviewedBy: { name: 'Dr Skin', email: 'dr@example.com' },
+      reviewedAt: new Date()
+    });
+
+    expect(view).toMatchObject({ status: 'completed', diagnosis: 'psoriasis', urgency: 'soon', reviewer: 'Dr Skin' });
+    expect(JSON.stringify(view)).not.toContain('dr@example.com');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+// tests/roles.test.js
+const request = require('supertest');
+const app = require('../server');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { hasPermission } = require('../constants/roles');
+const { makeUser, signIn } = require('./helpers/auth');
+const { query, byId } = require('./helpers/query');
+
+describe('role permissions', () => {
+  test('each protected action names the roles that may perform it', () => {
+    expect(hasPermission('admin', 'users:manage')).toBe(true);
+    expect(hasPermission('dermatologist', 'users:manage')).toBe(false);
+    expect(hasPermission('dermatologist', 'reviews:work')).toBe(true);
+    expect(hasPermission('patient', 'reviews:work')).toBe(false);
+    expect(hasPermission('admin', 'no:such-permission')).toBe(false);
+  });
+
+  test.each(['patient', 'dermatologist'])('a %s cannot use the admin API', async (role) => {
+    const auth = signIn(makeUser({ role }));
+
+    const users = await request(app).get('/api/admin/users').set('Authorization', auth);
+    const config = await request(app).get('/api/admin/config').set('Authorization', auth);
+
+    expect(users.status).toBe(403);
+    expect(config.status).toBe(403);
+  });
+
+  test('the admin API needs a token', async () => {
+    const res = await request(app).get('/api/admin/users');
+
+    expect(res.status).toBe(401);
+  });
+
+  test('a suspended admin is turned away even with a valid token', async () => {
+    const auth = signIn(makeUser({ role: 'admin', suspendedAt: new Date() }));
+
+    const res = await request(app).get('/api/admin/users').set('Authorization', auth);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('ACCOUNT_SUSPENDED');
+  });
+
+  test('user routes act on the user in the token', async () => {
+    const user = makeUser({ name: 'Token Owner' });
+    const auth = signIn(user);
+
+    const res = await request(app).get('/api/user/profile').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.name).toBe('Token Owner');
+  });
+});
+
+describe('admin user management', () => {
+  let admin;
+  let target;
+  let auth;
+
+  beforeEach(() => {
+    admin = makeUser({ role: 'admin', name: 'Admin' });
+    target = makeUser({ name: 'Target Patient' });
+    auth = signIn(admin);
+    User.findById.mockImplementation(byId([admin, target]));
+  });
+
+  test('lists users with a literal search and old accounts counted as patients', async () => {
+    const find = jest.spyOn(User, 'find').mockReturnValue(query([target]));
+    jest.spyOn(User, 'countDocuments').mockResolvedValue(41);
+
+    const res = await request(app)
+      .get('/api/admin/users?q=a.b(c&role=patient&status=active&page=3&limit=20')
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ page: 3, limit: 20, total: 41, count: 1 });
+    expect(res.body.users[0]).toMatchObject({ name: 'Target Patient', role: 'patient', suspended: false });
+    expect(res.body.users[0]).not.toHaveProperty('password');
+
+    const filter = find.mock.calls[0][0];
+    expect(filter.$or[0].name.test('xa.b(cx')).toBe(true);
+    expect(filter.$or[0].name.test('aXb(c')).toBe(false);
+    expect(filter.role).toEqual({ $in: ['patient', null] });
+    expect(filter.suspendedAt).toBeNull();
+    expect(find.mock.results[0].value.skip).toHaveBeenCalledWith(40);
+  });
+
+  test('promotes a user', async () => {
+    const save = jest.spyOn(target, 'save').mockResolvedValue(target);
+
+    const res = await request(app)
+      .put(`/api/admin/users/${target._id}/role`)
+      .set('Authorization', auth)
+      .send({ role: 'dermatologist' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe('dermatologist');
+    expect(save).toHaveBeenCalled();
+  });
+
+  test('rejects unknown roles and an admin demoting themselves', async () => {
+    const unknown = await request(app)
+      .put(`/api/admin/users/${target._id}/role`)
+      .set('Authorization', auth)
+      .send({ role: 'superuser' });
+    expect(unknown.status).toBe(400);
+
+    const self = await request(app)
+      .put(`/api/admin/users/${admin._id}/role`)
+      .set('Authorization', auth)
+      .send({ role: 'patient' });
+    expect(self.status).toBe(400);
+    expect(admin.role).toBe('admin');
+  });
+
+  test('suspending a user ends their sessions', async () => {
+    jest.spyOn(target, 'save').mockResolvedValue(target);
+    const revokeAll = jest.spyOn(Session, 'updateMany').mockReturnValue(query({ modifiedCount: 3 }));
+
+    const res = await request(app)
+      .post(`/api/admin/users/${target._id}/suspend`)
+      .set('Authorization', auth)
+      .send({ reason: 'spam' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ revokedSessions: 3, user: { suspended: true, suspendedReason: 'spam' } });
+    expect(revokeAll).toHaveBeenCalledWith({ userId: target._id, revokedAt: null }, expect.objectContaining({ revokedReason: 'suspended' }));
+  });
+
+  test('an admin cannot suspend themselves', async () => {
+    const res = await request(app).post(`/api/admin/users/${admin._id}/suspend`).set('Authorization', auth).send({});
+
+    expect(res.status).toBe(400);
+    expect(admin.suspendedAt).toBeUndefined();
+  });
+
+  test('unknown users are 404', async () => {
+    const res = await request(app).get(`/api/admin/users/${makeUser()._id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('the config summary leaves secrets out', async () => {
+    const res = await request(app).get('/api/admin/config').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.config.environment).toBe('test');
+    expect(JSON.stringify(res.body)).not.toContain(process.env.JWT_SECRET);
+  });
+});
\ No newline at end of file
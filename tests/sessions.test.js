@@ -0,0 +1,173 @@
+// tests/sessions.test.js
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { makeUser } = require('./helpers/auth');
+const { query } = require('./helpers/query');
+
+const PASSWORD = 'correct horse';
+
+// The filters services/sessions.js uses: equality, null, $ne and $gt
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (value === null) return doc[key] == null;
+    if (value && value.$ne !== undefined) return String(doc[key]) !== String(value.$ne);
+    if (value && value.$gt !== undefined) return doc[key] > value.$gt;
+    return String(doc[key]) === String(value);
+  });
+}
+
+// Session collection kept in memory for the test
+function stubSessions() {
+  const store = [];
+  const update = (filter, fields, many) => {
+    const found = store.filter((doc) => matches(doc, filter)).slice(0, many ? undefined : 1);
+    found.forEach((doc) => Object.assign(doc, fields));
+    return found;
+  };
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(async function() {
+    if (!store.includes(this)) store.push(this);
+    return this;
+  });
+  jest.spyOn(Session, 'findById').mockImplementation((id) => query(store.find((doc) => String(doc._id) === String(id)) || null));
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((filter, fields) => query(update(filter, fields)[0] || null));
+  jest.spyOn(Session, 'updateOne').mockImplementation((filter, fields) => query({ modifiedCount: update(filter, fields).length }));
+  jest.spyOn(Session, 'updateMany').mockImplementation((filter, fields) => query({ modifiedCount: update(filter, fields, true).length }));
+  jest.spyOn(Session, 'find').mockImplementation((filter) => query(store.filter((doc) => matches(doc, filter))));
+
+  return store;
+}
+
+describe('sessions and refresh tokens', () => {
+  let user;
+  let store;
+
+  beforeEach(() => {
+    user = makeUser({ password: bcrypt.hashSync(PASSWORD, 4) });
+    store = stubSessions();
+    jest.spyOn(User, 'findOne').mockImplementation((filter) => query(
+      filter.email === user.email || String(filter._id) === String(user._id) ? user : null
+    ));
+  });
+
+  function login(device) {
+    return request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Mozilla/5.0 (Linux; Android 14) Chrome/126.0 Mobile')
+      .send({ email: user.email, password: PASSWORD, device });
+  }
+
+  const bearer = (res) => `Bearer ${res.body.token}`;
+
+  test('login starts a session with a short-lived access token and a refresh token', async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toMatch(new RegExp(`^${res.body.sessionId}\\.`));
+    expect(res.body.expiresIn).toBeLessThanOrEqual(15 * 60);
+    expect(jwt.decode(res.body.token).sid).toBe(String(res.body.sessionId));
+
+    // Only the hash of the refresh token is stored
+    expect(store).toHaveLength(1);
+    expect(store[0].tokenHash).not.toContain(res.body.refreshToken.split('.')[1]);
+    expect(store[0].device).toBe('Chrome on Android');
+  });
+
+  test('a wrong password starts no session', async () => {
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong password' });
+
+    expect(res.status).toBe(401);
+    expect(store).toHaveLength(0);
+  });
+
+  test('refreshing rotates the refresh token', async () => {
+    const first = await login();
+
+    const second = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+
+    expect(second.status).toBe(200);
+    expect(second.body.refreshToken).not.toBe(first.body.refreshToken);
+    expect(second.body.sessionId).toBe(first.body.sessionId);
+
+    const third = await request(app).post('/api/auth/refresh').send({ refreshToken: second.body.refreshToken });
+    expect(third.status).toBe(200);
+  });
+
+  test('replaying a rotated refresh token revokes the whole session', async () => {
+    const first = await login();
+    const second = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+    expect(replay.status).toBe(401);
+    expect(store[0].revokedReason).toBe('refresh token reuse');
+
+    // The legitimate holder is logged out as well
+    const next = await request(app).post('/api/auth/refresh').send({ refreshToken: second.body.refreshToken });
+    expect(next.status).toBe(401);
+    const sessions = await request(app).get('/api/auth/sessions').set('Authorization', bearer(second));
+    expect(sessions.status).toBe(401);
+  });
+
+  test('a suspended user cannot refresh', async () => {
+    const first = await login();
+    user.suspendedAt = new Date();
+    User.findOne.mockImplementation((filter) => query(filter.suspendedAt === null && user.suspendedAt ? null : user));
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.refreshToken });
+
+    expect(res.status).toBe(401);
+    expect(store[0].revokedAt).toBeInstanceOf(Date);
+  });
+
+  test('logout revokes the session its access token belongs to', async () => {
+    const phone = await login('Phone');
+    const laptop = await login('Laptop');
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', bearer(phone));
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/auth/sessions').set('Authorization', bearer(phone))).status).toBe(401);
+    const remaining = await request(app).get('/api/auth/sessions').set('Authorization', bearer(laptop));
+    expect(remaining.body.sessions).toEqual([expect.objectContaining({ device: 'Laptop', current: true })]);
+  });
+
+  test('logout-all can keep the current session', async () => {
+    const phone = await login('Phone');
+    await login('Laptop');
+    await login('Tablet');
+
+    const res = await request(app).post('/api/auth/logout-all').set('Authorization', bearer(phone)).send({ keepCurrent: true });
+
+    expect(res.body.revoked).toBe(2);
+    const remaining = await request(app).get('/api/auth/sessions').set('Authorization', bearer(phone));
+    expect(remaining.body.sessions.map((s) => s.device)).toEqual(['Phone']);
+  });
+
+  test('sessions can be revoked one by one, but only the caller\'s own', async () => {
+    const phone = await login('Phone');
+    const laptop = await login('Laptop');
+
+    const other = store.find((doc) => doc.device === 'Laptop');
+    const revoked = await request(app).delete(`/api/auth/sessions/${other._id}`).set('Authorization', bearer(phone));
+    expect(revoked.status).toBe(200);
+    expect((await request(app).get('/api/auth/sessions').set('Authorization', bearer(laptop))).status).toBe(401);
+
+    const stranger = makeUser();
+    store.push(new Session({ userId: stranger._id, tokenHash: 'x', expiresAt: new Date(Date.now() + 60000) }));
+    const foreign = await request(app).delete(`/api/auth/sessions/${store[2]._id}`).set('Authorization', bearer(phone));
+    expect(foreign.status).toBe(404);
+    expect(store[2].revokedAt).toBeUndefined();
+  });
+
+  test('access tokens without a session are rejected', async () => {
+    const token = jwt.sign({ userId: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '7d' });
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+  });
+});
\ No newline at end of file
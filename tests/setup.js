@@ -0,0 +1,29 @@
+// tests/setup.js
+//
+// Runs before each test file. There is no database in the tests: models
+// are stubbed per test (see helpers/query.js), and with buffering off a
+// call that was not stubbed fails at once instead of waiting for a
+// connection.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+// Defaults; a test file can set its own before requiring the app
+const defaults = {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'error',
+  JWT_SECRET: 'test-secret',
+  INFERENCE_PROVIDER: 'mock',
+  UPSTREAM_RETRIES: '1',
+  RATE_LIMIT: 'off',
+  PHOTO_QUALITY_MODE: 'off',
+  STORAGE_DRIVER: 'local'
+};
+Object.keys(defaults).forEach((name) => {
+  if (process.env[name] === undefined) process.env[name] = defaults[name];
+});
+
+process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dermadetect-test-'));
\ No newline at end of file
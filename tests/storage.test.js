@@ -0,0 +1,156 @@
+// tests/storage.test.js
+const request = require('supertest');
+const app = require('../server');
+const storage = require('../services/storage');
+const Image = require('../models/Image');
+const Prediction = require('../models/Prediction');
+const { makeUser, signIn } = require('./helpers/auth');
+const { collection } = require('./helpers/collection');
+const { query } = require('./helpers/query');
+const { skinPhoto } = require('./helpers/images');
+
+function upload(buffer) {
+  return { buffer, mimetype: 'image/jpeg', size: buffer.length, originalname: 'photo.jpg' };
+}
+
+// The whole stream of an image as one buffer
+async function read(image) {
+  const chunks = [];
+  for await (const chunk of await storage.openImage(image)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe('image storage', () => {
+  let photo;
+
+  beforeAll(async () => {
+    photo = await skinPhoto({ seed: 2 });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Image, 'create').mockImplementation(async (fields) => new Image(fields));
+  });
+
+  test('stores the bytes with the configured driver and reads them back', async () => {
+    const userId = makeUser()._id;
+    const image = await storage.saveImage(userId, upload(photo), 'prediction');
+
+    expect(image.driver).toBe('local');
+    expect(image.kind).toBe('prediction');
+    expect(image.key).toMatch(/^[a-f0-9]{64}\.jpg$/);
+    expect(String(image.userId)).toBe(String(userId));
+    expect((await read(image)).equals(photo)).toBe(true);
+  });
+
+  test('writes identical bytes only once', async () => {
+    const driver = storage.getDriver();
+    const put = jest.spyOn(driver, 'put');
+    const other = await skinPhoto({ seed: 3 });
+
+    const first = await storage.saveImage(makeUser()._id, upload(other));
+    const second = await storage.saveImage(makeUser()._id, upload(other));
+
+    expect(first.key).toBe(second.key);
+    expect(put).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the blob while another image still points at it', async () => {
+    const image = await storage.saveImage(makeUser()._id, upload(photo));
+    const remove = jest.spyOn(storage.getDriver(), 'remove');
+    jest.spyOn(Image, 'findByIdAndDelete').mockReturnValue(query(image));
+    const exists = jest.spyOn(Image, 'exists').mockReturnValue(query({ _id: image._id }));
+
+    expect(await storage.deleteImage(image._id)).toBe(true);
+    expect(remove).not.toHaveBeenCalled();
+
+    exists.mockReturnValue(query(null));
+    await storage.deleteImage(image._id);
+    expect(remove).toHaveBeenCalledWith(image.key);
+  });
+
+  test('the local driver refuses keys that are not content hashes', async () => {
+    await expect(storage.getDriver('local').put('../../etc/passwd', photo)).rejects.toThrow('Invalid storage key');
+  });
+});
+
+describe('GET /api/images/:id', () => {
+  let image;
+  let owner;
+
+  beforeAll(async () => {
+    jest.spyOn(Image, 'create').mockImplementation(async (fields) => new Image(fields));
+    owner = makeUser();
+    image = await storage.saveImage(owner._id, upload(await skinPhoto({ seed: 4 })), 'profile');
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Image, 'findById').mockReturnValue(query(image));
+  });
+
+  test('streams the image to its owner', async () => {
+    const res = await request(app)
+      .get(`/api/images/${image._id}`)
+      .set('Authorization', signIn(owner));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('image/jpeg');
+    expect(res.body.equals(await read(image))).toBe(true);
+  });
+
+  test('answers 404 to anyone else', async () => {
+    const res = await request(app)
+      .get(`/api/images/${image._id}`)
+      .set('Authorization', signIn(makeUser()));
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('NOT_FOUND');
+  });
+
+  describe('for a reviewer', () => {
+    let photoOfCase;
+    let reviewer;
+
+    beforeAll(async () => {
+      jest.spyOn(Image, 'create').mockImplementation(async (fields) => new Image(fields));
+      photoOfCase = await storage.saveImage(owner._id, upload(await skinPhoto({ seed: 5 })), 'prediction');
+      reviewer = makeUser({ role: 'dermatologist' });
+    });
+
+    // The image of a prediction whose review is in the given state
+    function caseWith(review) {
+      jest.spyOn(Image, 'findById').mockReturnValue(query(photoOfCase));
+      collection(Prediction, [new Prediction({
+        userId: owner._id,
+        image: String(photoOfCase._id),
+        disease: 'melanoma',
+        confidence: 0.8,
+        status: 'accepted',
+        review: { reason: 'high_risk', ...review }
+      })]);
+      return request(app).get(`/api/images/${photoOfCase._id}`).set('Authorization', signIn(reviewer));
+    }
+
+    test('streams the image of a case waiting in the queue', async () => {
+      expect((await caseWith({ status: 'pending' })).status).toBe(200);
+    });
+
+    test('streams the image of a case they claimed', async () => {
+      expect((await caseWith({ status: 'claimed', claimedBy: reviewer._id, claimedAt: new Date() })).status).toBe(200);
+    });
+
+    test('answers 404 for a case claimed by someone else or already completed', async () => {
+      const other = makeUser({ role: 'dermatologist' })._id;
+
+      expect((await caseWith({ status: 'claimed', claimedBy: other, claimedAt: new Date() })).status).toBe(404);
+      expect((await caseWith({ status: 'completed', reviewedBy: other, diagnosis: 'melanoma' })).status).toBe(404);
+    });
+
+    test('answers 404 for a profile picture', async () => {
+      collection(Prediction, []);
+
+      const res = await request(app).get(`/api/images/${image._id}`).set('Authorization', signIn(reviewer));
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
\ No newline at end of file
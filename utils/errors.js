@@ -0,0 +1,19 @@
+// utils/errors.js
+const { ERROR_CODES } = require('../constants/errors');
+
+// An error with a stable code (constants/errors.js) that the error handler
+// turns into { success: false, code, message, details? }.
+// Throw it or pass it to next() from routes and middleware.
+class ApiError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+module.exports = {
+  ApiError
+};
\ No newline at end of file
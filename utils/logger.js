@@ -0,0 +1,127 @@
+// utils/logger.js
+//
+// Structured logger: one JSON object per line, debug/info on stdout and
+// warn/error on stderr, e.g.
+//   {"time":"...","level":"info","msg":"Prediction saved","requestId":"...","predictionId":"..."}
+// LOG_LEVEL=debug|info|warn|error (default: info). The current request ID
+// (utils/requestContext.js) is added to every line.
+//
+// Everything is redacted before it is written: passwords and tokens by key,
+// emails, phone numbers, bearer tokens and JWTs wherever they appear in a
+// string, and image data (buffers, data: URIs, base64 blobs) by shape.
+const requestContext = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+
+const MAX_DEPTH = 6;
+const MAX_STRING_LENGTH = 2000;
+const MAX_ARRAY_LENGTH = 50;
+
+// Values of these keys are never written
+const SECRET_KEY = /pass(word)?|token|secret|authorization|cookie|api[-_]?key/i;
+const EMAIL_KEY = /e-?mail/i;
+const PHONE_KEY = /phone|mobile/i;
+// Ids, hashes and timestamps; scanning them would only cause false positives
+const SAFE_KEY = /^(_?id|requestId|\w+Id|\w+At|time|contentHash|perceptualHash)$/;
+
+const PATTERNS = [
+  [/data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g, '[image data]'],
+  [/[A-Za-z0-9+/]{200,}={0,2}/g, '[binary data]'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[token]'],
+  [/\bBearer\s+[\w.~+/=-]+/gi, 'Bearer [token]'],
+  [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]'],
+  // 9-15 digits with optional separators; ISO dates have fewer digits
+  [/(?:\+|\b)\d(?:[ ().-]{0,2}\d){8,14}\b/g, '[phone]']
+];
+
+function redactString(value) {
+  let text = PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+  if (text.length > MAX_STRING_LENGTH) {
+    text = text.slice(0, MAX_STRING_LENGTH) + `... [${text.length - MAX_STRING_LENGTH} more chars]`;
+  }
+  return text;
+}
+
+function serializeError(err) {
+  const result = { name: err.name, message: err.message };
+  if (err.code !== undefined) result.code = err.code;
+  const status = err.status || (err.response && err.response.status);
+  if (status) result.status = status;
+  if (err.stack) result.stack = err.stack;
+  return result;
+}
+
+// Copy of `value` that is safe to write
+function redact(value, key, depth, seen) {
+  depth = depth || 0;
+  seen = seen || new WeakSet();
+
+  if (value === null || value === undefined) return value;
+  if (key && SECRET_KEY.test(key)) return '[redacted]';
+
+  if (typeof value === 'string') {
+    if (key && EMAIL_KEY.test(key)) return '[email]';
+    if (key && PHONE_KEY.test(key)) return '[phone]';
+    if (key && SAFE_KEY.test(key)) return value.slice(0, MAX_STRING_LENGTH);
+    return redactString(value);
+  }
+  if (typeof value !== 'object') return typeof value === 'function' ? undefined : value;
+
+  if (Buffer.isBuffer(value) || ArrayBuffer.isView(value)) return `[${value.length} bytes]`;
+  if (value instanceof Error) return redact(serializeError(value), key, depth, seen);
+  if (value instanceof Date) return value.toISOString();
+  // Mongoose documents and ObjectIds
+  if (typeof value.toJSON === 'function') return redact(value.toJSON(), key, depth, seen);
+
+  if (seen.has(value)) return '[circular]';
+  if (depth >= MAX_DEPTH) return '[nested]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_LENGTH).map((item) => redact(item, key, depth + 1, seen));
+    if (value.length > MAX_ARRAY_LENGTH) items.push(`[${value.length - MAX_ARRAY_LENGTH} more]`);
+    return items;
+  }
+
+  const result = {};
+  Object.keys(value).forEach((name) => {
+    const redacted = redact(value[name], name, depth + 1, seen);
+    if (redacted !== undefined) result[name] = redacted;
+  });
+  return result;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < LEVELS[LEVEL]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg))
+  };
+  const requestId = requestContext.requestId();
+  if (requestId) entry.requestId = requestId;
+  Object.assign(entry, redact({ ...bindings, ...fields }));
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+}
+
+// logger.info('Prediction saved', { predictionId }); pass errors as { err }.
+// child({ component: 'jobs' }) adds fields to every line.
+function createLogger(bindings) {
+  const logger = {
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+  Object.keys(LEVELS).forEach((level) => {
+    logger[level] = (msg, fields) => write(level, bindings, msg, fields);
+  });
+  return logger;
+}
+
+const logger = createLogger({});
+logger.level = LEVEL;
+logger.redact = (value) => redact(value);
+
+module.exports = logger;
\ No newline at end of file
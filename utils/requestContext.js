@@ -0,0 +1,34 @@
+// utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state (the request ID) that follows the request through
+// awaits and callbacks, so services and the logger can read it without
+// passing req around. Background work (jobs) runs in its own context.
+const storage = new AsyncLocalStorage();
+
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+function get() {
+  return storage.getStore() || null;
+}
+
+function requestId() {
+  const context = get();
+  return context ? context.requestId : undefined;
+}
+
+// Headers for calls to the ML model and the LLM, so their logs can be
+// matched with ours
+function upstreamHeaders() {
+  const id = requestId();
+  return id ? { 'X-Request-Id': id } : {};
+}
+
+module.exports = {
+  run,
+  get,
+  requestId,
+  upstreamHeaders
+};
\ No newline at end of file
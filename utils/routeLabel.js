@@ -0,0 +1,30 @@
+// utils/routeLabel.js
+
+// Route pattern of a request (/api/user/predictions/:id) for logs and
+// metrics, read when the response is finished. By then req.baseUrl may be
+// gone: Express resets it once next(err) leaves a router. So every router
+// is mounted between enter and leave, which keep its mount path:
+//   app.use('/api/user', routeLabel.enter, router, routeLabel.leave);
+// leave only runs when the router passed the request on untouched, so the
+// mount path of a router that did not handle the request is dropped.
+function enter(req, res, next) {
+  res.locals.routeBase = req.baseUrl;
+  next();
+}
+
+function leave(req, res, next) {
+  res.locals.routeBase = undefined;
+  next();
+}
+
+// undefined when no route matched
+function get(req, res) {
+  if (!req.route) return undefined;
+  return (res.locals.routeBase || '') + req.route.path;
+}
+
+module.exports = {
+  enter,
+  leave,
+  get
+};
\ No newline at end of file
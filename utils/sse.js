@@ -0,0 +1,51 @@
+// utils/sse.js
+
+// Switch a response into a server-sent-events stream.
+// Returns { send(event, data), close() }; onClose runs once when either
+// side ends the stream.
+function openEventStream(req, res, onClose) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx-style proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+
+  // Comment lines keep idle connections from being dropped by proxies
+  const keepAlive = setInterval(() => {
+    if (!closed) res.write(': keep-alive\n\n');
+  }, 15000);
+
+  function cleanup() {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepAlive);
+    if (onClose) onClose();
+  }
+
+  // res, not req: a POST request emits 'close' as soon as its body is read
+  res.on('close', cleanup);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      cleanup();
+      res.end();
+    },
+    isClosed() {
+      return closed;
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
\ No newline at end of file